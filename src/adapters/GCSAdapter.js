@@ -1,29 +1,53 @@
-import { Storage } from '@google-cloud/storage';
-import fs from 'fs/promises';
-import path from 'path';
 import crypto from 'crypto';
+import zlib from 'zlib';
+import { promisify } from 'util';
 import { logger } from '../utils/logger.js';
 import { config } from '../config/env.js';
-import { FileUtils } from '../utils/FileUtils.js';
+import { dataTypeRegistry } from '../config/dataTypes.js';
+import { stagingFileFormats } from '../utils/StagingFileFormats.js';
+import { createStorageBackend } from '../storage/storageBackends.js';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
 
 /**
- * Adaptador para Google Cloud Storage
- * Maneja operaciones de upload, download, listado y eliminación de archivos
+ * Adaptador de almacenamiento de los archivos de staging.
+ * Maneja operaciones de upload, download, listado y eliminación de archivos sobre el backend
+ * configurado en STORAGE_BACKEND (GCS, S3 compatible o sistema de archivos local)
  */
 export class GCSAdapter {
   constructor() {
-    this.storage = null;
-    this.bucket = null;
-    this.bucketName = config.gcs?.bucketName || process.env.GCS_BUCKET_NAME || 'gps-data-bucket';
+    this.backend = null;
+    this.backendName = config.storage?.backend || 'gcs';
+    this.bucketName = this.backendName === 's3'
+      ? config.storage.s3.bucketName
+      : config.gcs?.bucketName || process.env.GCS_BUCKET_NAME || 'gps-data-bucket';
     this.keyFilename = config.gcs?.keyFilename || process.env.GOOGLE_APPLICATION_CREDENTIALS || 'service-account.json';
     this.projectId = config.gcs?.projectId || process.env.GCP_PROJECT_ID || '';
     this.isInitialized = false;
-    this.simulationMode = process.env.GCS_SIMULATION_MODE === 'true' || false;
-    this.localStoragePath = 'tmp/gcs-simulation/';
+    // El modo simulación es el backend local (GCS_SIMULATION_MODE=true se traduce a local en la configuración)
+    this.simulationMode = this.backendName === 'local';
+    this.localStoragePath = config.storage?.local?.rootPath || 'tmp/gcs-simulation/';
+    this.outputFormat = stagingFileFormats.get(config.gcs?.outputFormat || 'jsonl');
+    this.compression = config.gcs?.compression || { enabled: false, level: 6 };
+    this.fileLimits = config.gcs?.fileLimits || { maxRecords: 0, maxBytes: 0 };
+    this.resumableThresholdBytes = config.gcs?.resumableThresholdBytes || 8 * 1024 * 1024;
+    this.contentAddressedNames = config.gcs?.contentAddressedNames ?? true;
+    this.objectNameTemplate = config.gcs?.objectNameTemplate || '{prefix}{timestamp}_{processingId}';
+    this.partitionTimezone = config.gcs?.partitionTimezone || 'America/Lima';
+    this.objectNamePattern = this.compileObjectNamePattern(this.objectNameTemplate);
+    this.partitionFormatter = new Intl.DateTimeFormat('en-CA', {
+      timeZone: this.partitionTimezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit'
+    });
   }
 
   /**
-   * Inicializa el cliente de Google Cloud Storage
+   * Inicializa el backend de almacenamiento
    */
   async initialize() {
     try {
@@ -32,55 +56,65 @@ export class GCSAdapter {
       }
 
       if (this.simulationMode) {
+        this.backend = this.createLocalBackend();
+        await this.backend.initialize();
         logger.info('🔧 GCS Adapter iniciado en modo simulación');
-        await FileUtils.ensureDirectoryExists(this.localStoragePath);
         this.isInitialized = true;
         return;
       }
 
-      // Verificar que existe el archivo de credenciales
-      const credentialsExist = await FileUtils.pathExists(this.keyFilename);
-      if (!credentialsExist) {
-        throw new Error(`Archivo de credenciales no encontrado: ${this.keyFilename}`);
-      }
-
-      // Inicializar cliente de Storage
-      this.storage = new Storage({
-        projectId: this.projectId,
-        keyFilename: this.keyFilename
-      });
-
-      // Obtener referencia al bucket
-      this.bucket = this.storage.bucket(this.bucketName);
-
-      // Verificar que el bucket existe
-      const [exists] = await this.bucket.exists();
-      if (!exists) {
-        logger.warn(`⚠️ Bucket ${this.bucketName} no existe, intentando crear...`);
-        await this.bucket.create();
-        logger.info(`✅ Bucket ${this.bucketName} creado exitosamente`);
-      }
+      this.backend = this.createBackend();
+      await this.backend.initialize();
 
       this.isInitialized = true;
-      logger.info(`✅ GCS Adapter inicializado - Bucket: ${this.bucketName}`);
+      logger.info(`✅ GCS Adapter inicializado - Backend: ${this.backend.name}, Bucket: ${this.bucketName}`);
 
     } catch (error) {
-      logger.error('❌ Error inicializando GCS Adapter:', error.message);
-      
-      // Fallback a modo simulación si falla la inicialización
-      if (!this.simulationMode) {
-        logger.warn('🔧 Fallback a modo simulación por error de inicialización');
-        this.simulationMode = true;
-        await FileUtils.ensureDirectoryExists(this.localStoragePath);
-        this.isInitialized = true;
-      } else {
-        throw error;
-      }
+      // Sin fallback al backend local: los archivos quedarían fuera del bucket que BigQuery carga
+      logger.error(`❌ Error inicializando GCS Adapter (backend ${this.backendName}):`, error.message);
+      this.backend = null;
+      throw error;
     }
   }
 
   /**
-   * Sube un archivo JSON Lines (NEWLINE_DELIMITED_JSON) a GCS con metadata
+   * Backend configurado en STORAGE_BACKEND (gcs o s3)
+   */
+  createBackend() {
+    if (this.backendName === 's3') {
+      return createStorageBackend('s3', config.storage.s3);
+    }
+
+    return createStorageBackend('gcs', {
+      projectId: this.projectId,
+      keyFilename: this.keyFilename,
+      bucketName: this.bucketName
+    });
+  }
+
+  /**
+   * Backend local sobre localStoragePath (modo simulación)
+   */
+  createLocalBackend() {
+    return createStorageBackend('local', {
+      rootPath: this.localStoragePath,
+      bucketName: this.bucketName
+    });
+  }
+
+  /**
+   * Backend en uso, o el que se usará si aún no se inicializó
+   */
+  getBackend() {
+    return this.backend || (this.simulationMode ? this.createLocalBackend() : this.createBackend());
+  }
+
+  /**
+   * Sube un archivo JSON Lines (NEWLINE_DELIMITED_JSON) a GCS con metadata.
+   * Con compresión habilitada (o si el nombre ya termina en .gz) el contenido se sube con gzip,
+   * Content-Encoding: gzip y extensión .gz; el resultado trae el nombre final del archivo.
+   * Los archivos que superan GCS_RESUMABLE_THRESHOLD_BYTES se suben con upload resumable.
+   * Con metadata.contentHash, si el archivo ya existe con el mismo hash no se vuelve a subir (alreadyExists).
    * @param {string} jsonLines - Datos en formato JSON Lines (una línea por objeto)
    * @param {string} fileName - Nombre del archivo
    * @param {Object} metadata - Metadata adicional
@@ -91,49 +125,46 @@ export class GCSAdapter {
       await this.initialize();
 
       const timestamp = new Date().toISOString();
-      
+      const compressed = this.compression.enabled || fileName.endsWith('.gz');
+      const uncompressedSize = Buffer.byteLength(jsonLines, 'utf8');
+
+      if (compressed && !fileName.endsWith('.gz')) {
+        fileName = `${fileName}.gz`;
+      }
+
       // Agregar metadata por defecto
       const fileMetadata = {
         contentType: 'application/json',
+        ...(compressed && { contentEncoding: 'gzip' }),
         metadata: {
           uploadedAt: timestamp,
           recordCount: jsonLines.split('\n').filter(line => line.trim()).length,
           dataType: metadata.dataType || 'unknown',
           processingId: metadata.processingId || 'unknown',
           format: 'newline_delimited_json',
+          ...(compressed && { compression: 'gzip', uncompressedSize }),
           ...metadata
         }
       };
 
-      if (this.simulationMode) {
-        return await this.uploadJSONLinesSimulated(jsonLines, fileName, fileMetadata);
+      // Verificar si un intento anterior ya subió el mismo contenido
+      const existing = await this.findExistingUpload(fileName, metadata.contentHash);
+      if (existing) {
+        return existing;
       }
 
-      // Upload real a GCS
-      const file = this.bucket.file(fileName);
-      
-      await file.save(jsonLines, {
-        metadata: fileMetadata,
-        resumable: false
-      });
+      const content = compressed
+        ? await gzip(jsonLines, { level: this.compression.level })
+        : jsonLines;
 
-      const fileSize = Buffer.byteLength(jsonLines, 'utf8');
+      const result = await this.putObject(fileName, content, fileMetadata);
       
-      logger.info(`📤 Archivo JSON Lines subido a GCS: ${fileName} (${fileSize} bytes)`);
+      logger.info(`📤 Archivo JSON Lines subido (${this.backend.name}): ${fileName} (${result.fileSize} bytes${compressed ? `, ${uncompressedSize} sin comprimir` : ''}${result.resumable ? ', resumable' : ''})`);
 
-      return {
-        success: true,
-        fileName,
-        bucketName: this.bucketName,
-        fileSize,
-        uploadedAt: timestamp,
-        metadata: fileMetadata.metadata,
-        gcsPath: `gs://${this.bucketName}/${fileName}`,
-        gcsUri: `gs://${this.bucketName}/${fileName}`
-      };
+      return result;
 
     } catch (error) {
-      logger.error(`❌ Error subiendo archivo JSON Lines a GCS: ${fileName}`, error.message);
+      logger.error(`❌ Error subiendo archivo JSON Lines: ${fileName}`, error.message);
       return {
         success: false,
         error: error.message,
@@ -143,45 +174,150 @@ export class GCSAdapter {
   }
 
   /**
-   * Simula upload de archivo JSON Lines localmente
+   * Sube los registros de un lote en el formato de staging que indica la extensión del nombre
+   * (.json, .avro o .parquet). JSON Lines se sube con uploadJSONLines (admite gzip); Avro y Parquet
+   * se codifican con el esquema BigQuery del tipo (metadata.dataType) y no se comprimen con gzip
+   * @param {Array} records - Registros formateados
+   * @param {string} fileName - Nombre del archivo (ver generateFileName)
+   * @param {Object} metadata - Metadata adicional (dataType requerido para Avro y Parquet)
+   * @param {string} jsonLines - Registros ya serializados en JSON Lines (opcional)
+   * @returns {Object} Resultado de la operación
    */
-  async uploadJSONLinesSimulated(jsonLines, fileName, metadata) {
+  async uploadRecords(records, fileName, metadata = {}, jsonLines = null) {
+    const format = stagingFileFormats.fromFileName(fileName);
+    if (format.name === 'jsonl') {
+      return await this.uploadJSONLines(jsonLines ?? records.map(record => JSON.stringify(record)).join('\n'), fileName, metadata);
+    }
+
     try {
-      const filePath = path.join(this.localStoragePath, fileName);
-      const metadataPath = path.join(this.localStoragePath, `${fileName}.metadata.json`);
-      
-      // Crear directorio si no existe
-      const fileDir = path.dirname(filePath);
-      await fs.mkdir(fileDir, { recursive: true });
-      
-      // Guardar archivo de datos
-      await fs.writeFile(filePath, jsonLines, 'utf8');
-      
-      // Guardar metadata
-      await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2), 'utf8');
-      
-      const fileSize = Buffer.byteLength(jsonLines, 'utf8');
+      await this.initialize();
+
+      const existing = await this.findExistingUpload(fileName, metadata.contentHash);
+      if (existing) {
+        return existing;
+      }
+
       const timestamp = new Date().toISOString();
-      
-      logger.info(`📤 Archivo JSON Lines simulado guardado: ${fileName} (${fileSize} bytes)`);
+      const content = await stagingFileFormats.encode(format.name, records, metadata.dataType);
+      const fileMetadata = {
+        contentType: format.contentType,
+        metadata: {
+          uploadedAt: timestamp,
+          recordCount: records.length,
+          dataType: metadata.dataType || 'unknown',
+          processingId: metadata.processingId || 'unknown',
+          format: format.metadataFormat,
+          ...metadata
+        }
+      };
+
+      const result = await this.putObject(fileName, content, fileMetadata);
+
+      logger.info(`📤 Archivo ${format.sourceFormat} subido (${this.backend.name}): ${fileName} (${result.fileSize} bytes${result.resumable ? ', resumable' : ''})`);
 
+      return result;
+
+    } catch (error) {
+      logger.error(`❌ Error subiendo archivo ${format.sourceFormat}: ${fileName}`, error.message);
+      return {
+        success: false,
+        error: error.message,
+        fileName
+      };
+    }
+  }
+
+  /**
+   * Resultado de subida de un archivo que un intento anterior ya subió con el mismo contenido
+   * (metadata.contentHash igual), o null si hay que subirlo. Si existe con otro contenido se sobrescribe
+   * @param {string} fileName - Nombre final del archivo
+   * @param {string} contentHash - Hash del contenido (sin hash no se verifica)
+   * @returns {Object|null} Resultado con alreadyExists o null
+   */
+  async findExistingUpload(fileName, contentHash) {
+    if (!contentHash) {
+      return null;
+    }
+
+    const existing = await this.fileExists(fileName);
+
+    if (existing.exists && existing.metadata?.contentHash === contentHash) {
+      logger.info(`♻️ Archivo ya existente con el mismo contenido, se omite la subida: ${fileName}`);
       return {
         success: true,
         fileName,
         bucketName: this.bucketName,
-        fileSize,
-        uploadedAt: timestamp,
-        metadata: metadata.metadata,
-        gcsPath: `gs://${this.bucketName}/${fileName}`,
-        gcsUri: `gs://${this.bucketName}/${fileName}`,
-        localPath: filePath,
-        simulated: true
+        fileSize: existing.size,
+        metadata: existing.metadata,
+        alreadyExists: true,
+        gcsPath: existing.gcsPath,
+        gcsUri: existing.gcsPath
       };
+    }
 
-    } catch (error) {
-      logger.error(`❌ Error en upload JSON Lines simulado: ${fileName}`, error.message);
-      throw error;
+    if (existing.exists) {
+      logger.warn(`⚠️ ${fileName} ya existe con otro contenido, se sobrescribe`);
     }
+    return null;
+  }
+
+  /**
+   * Divide las líneas de un lote en partes acotadas por GCS_MAX_RECORDS_PER_FILE y GCS_MAX_FILE_BYTES
+   * (bytes sin comprimir). Una línea que por sí sola supera el límite de bytes queda en su propia parte
+   * @param {Array<string>} lines - Registros serializados, uno por línea
+   * @returns {Array} Rangos [{ start, end, bytes }] sobre lines (end exclusivo)
+   */
+  splitJSONLines(lines) {
+    const { maxRecords, maxBytes } = this.fileLimits;
+    const parts = [];
+    let current = { start: 0, end: 0, bytes: 0 };
+
+    lines.forEach((line, index) => {
+      // +1 por el salto de línea
+      const lineBytes = Buffer.byteLength(line, 'utf8') + 1;
+      const count = current.end - current.start;
+
+      if (count > 0 && ((maxRecords && count >= maxRecords) || (maxBytes && current.bytes + lineBytes > maxBytes))) {
+        parts.push(current);
+        current = { start: index, end: index, bytes: 0 };
+      }
+
+      current.end = index + 1;
+      current.bytes += lineBytes;
+    });
+
+    if (current.end > current.start) {
+      parts.push(current);
+    }
+
+    return parts;
+  }
+
+  /**
+   * Sube un archivo al backend (resumable si supera GCS_RESUMABLE_THRESHOLD_BYTES) y arma el resultado
+   * @param {string} fileName - Nombre final del archivo
+   * @param {Buffer|string} content - Contenido a subir
+   * @param {Object} fileMetadata - contentType, contentEncoding y metadata
+   * @returns {Object} Resultado de la subida
+   */
+  async putObject(fileName, content, fileMetadata) {
+    const resumable = Buffer.byteLength(content) > this.resumableThresholdBytes;
+    const stored = await this.backend.upload(fileName, content, { ...fileMetadata, resumable });
+    const uri = this.backend.uri(fileName);
+
+    return {
+      success: true,
+      fileName,
+      bucketName: this.bucketName,
+      fileSize: stored.size,
+      uploadedAt: fileMetadata.metadata.uploadedAt,
+      metadata: fileMetadata.metadata,
+      resumable,
+      gcsPath: uri,
+      gcsUri: uri,
+      ...(stored.localPath && { localPath: stored.localPath }),
+      ...(this.simulationMode && { simulated: true })
+    };
   }
 
   /**
@@ -210,35 +346,14 @@ export class GCSAdapter {
         }
       };
 
-      if (this.simulationMode) {
-        return await this.uploadJSONSimulated(jsonContent, fileName, fileMetadata);
-      }
-
-      // Upload real a GCS
-      const file = this.bucket.file(fileName);
+      const result = await this.putObject(fileName, jsonContent, fileMetadata);
       
-      await file.save(jsonContent, {
-        metadata: fileMetadata,
-        resumable: false
-      });
+      logger.info(`📤 Archivo subido (${this.backend.name}): ${fileName} (${result.fileSize} bytes)`);
 
-      const fileSize = Buffer.byteLength(jsonContent, 'utf8');
-      
-      logger.info(`📤 Archivo subido a GCS: ${fileName} (${fileSize} bytes)`);
-
-      return {
-        success: true,
-        fileName,
-        bucketName: this.bucketName,
-        fileSize,
-        uploadedAt: timestamp,
-        metadata: fileMetadata.metadata,
-        gcsPath: `gs://${this.bucketName}/${fileName}`,
-        gcsUri: `gs://${this.bucketName}/${fileName}`
-      };
+      return result;
 
     } catch (error) {
-      logger.error(`❌ Error subiendo archivo a GCS: ${fileName}`, error.message);
+      logger.error(`❌ Error subiendo archivo: ${fileName}`, error.message);
       return {
         success: false,
         error: error.message,
@@ -248,175 +363,86 @@ export class GCSAdapter {
   }
 
   /**
-   * Simula upload de archivo JSON localmente
-   */
-  async uploadJSONSimulated(jsonContent, fileName, metadata) {
-    try {
-      const filePath = path.join(this.localStoragePath, fileName);
-      const metadataPath = path.join(this.localStoragePath, `${fileName}.metadata.json`);
-      
-      // Crear directorio si no existe
-      const fileDir = path.dirname(filePath);
-      await fs.mkdir(fileDir, { recursive: true });
-      
-      // Guardar archivo de datos
-      await fs.writeFile(filePath, jsonContent, 'utf8');
-      
-      // Guardar metadata
-      await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2), 'utf8');
-      
-      const fileSize = Buffer.byteLength(jsonContent, 'utf8');
-      const timestamp = new Date().toISOString();
-      
-      logger.info(`📤 Archivo simulado guardado: ${fileName} (${fileSize} bytes)`);
-
-      return {
-        success: true,
-        fileName,
-        bucketName: this.bucketName,
-        fileSize,
-        uploadedAt: timestamp,
-        metadata: metadata.metadata,
-        gcsPath: `gs://${this.bucketName}/${fileName}`,
-        gcsUri: `gs://${this.bucketName}/${fileName}`,
-        localPath: filePath,
-        simulated: true
-      };
-
-    } catch (error) {
-      logger.error(`❌ Error en upload simulado: ${fileName}`, error.message);
-      throw error;
-    }
-  }
-
-  /**
-   * Lista archivos en GCS con filtros opcionales
-   * @param {Object} options - Opciones de filtrado
+   * Lista archivos en GCS con filtros opcionales.
+   * Con dataType y date (YYYY-MM-DD, opcionalmente hour) sin prefix, el listado se acota a la
+   * partición según la plantilla de nombres. Cada archivo trae su partición (date/hour)
+   * @param {Object} options - Opciones de filtrado (prefix, maxResults, dataType, date, hour)
    * @returns {Array} Lista de archivos
    */
   async listFiles(options = {}) {
     try {
       await this.initialize();
 
+      if (options.prefix === undefined && options.dataType && options.date) {
+        options = { ...options, prefix: this.getListPrefix(options.dataType, options) };
+      }
+
       const {
         prefix = '',
         maxResults = 100,
         dataType = null
       } = options;
 
-      if (this.simulationMode) {
-        return await this.listFilesSimulated(options);
-      }
-
-      // Listar archivos reales de GCS
-      const [files] = await this.bucket.getFiles({
-        prefix,
-        maxResults
-      });
-
+      const objects = await this.backend.list({ prefix, maxResults });
       const fileList = [];
 
-      for (const file of files) {
-        try {
-          const [metadata] = await file.getMetadata();
-          
-          // Filtrar por tipo de datos si se especifica
-          if (dataType && metadata.metadata?.dataType !== dataType) {
-            continue;
-          }
-
-          fileList.push({
-            name: file.name,
-            size: parseInt(metadata.size),
-            created: metadata.timeCreated,
-            updated: metadata.updated,
-            contentType: metadata.contentType,
-            metadata: metadata.metadata || {},
-            gcsPath: `gs://${this.bucketName}/${file.name}`
-          });
-
-        } catch (metadataError) {
-          logger.warn(`⚠️ Error obteniendo metadata de ${file.name}:`, metadataError.message);
+      for (const object of objects) {
+        // Filtrar por tipo de datos si se especifica
+        if (dataType && object.metadata?.dataType !== dataType) {
+          continue;
         }
+
+        const partition = this.getFilePartition(object.name, object.created);
+        if (!this.matchesPartition(partition, options)) {
+          continue;
+        }
+
+        fileList.push({
+          name: object.name,
+          size: object.size,
+          created: object.created,
+          updated: object.updated,
+          contentType: object.contentType,
+          contentEncoding: object.contentEncoding,
+          metadata: object.metadata,
+          partition,
+          gcsPath: this.backend.uri(object.name),
+          ...(object.localPath && { localPath: object.localPath }),
+          ...(this.simulationMode && { simulated: true })
+        });
       }
 
-      logger.info(`📋 Listados ${fileList.length} archivos de GCS`);
+      logger.info(`📋 Listados ${fileList.length} archivos (${this.backend.name})`);
 
       return fileList;
 
     } catch (error) {
-      logger.error('❌ Error listando archivos de GCS:', error.message);
+      logger.error('❌ Error listando archivos:', error.message);
       throw error;
     }
   }
 
   /**
-   * Simula listado de archivos localmente
+   * Lista archivos anteriores a una fecha de corte en las carpetas de todos los tipos registrados.
+   * Los archivos con partición en el nombre se comparan por la fecha de la partición; el resto, por su fecha de creación
+   * @param {Date} cutoffDate - Fecha de corte
+   * @param {number} limit - Máximo de archivos por tipo
+   * @returns {Array} Archivos antiguos
    */
-  async listFilesSimulated(options = {}) {
-    try {
-      const { prefix = '', dataType = null } = options;
-      
-      // Verificar si el directorio existe
-      const exists = await FileUtils.pathExists(this.localStoragePath);
-      if (!exists) {
-        return [];
-      }
-      
-      const files = await fs.readdir(this.localStoragePath);
-      const dataFiles = files.filter(file => 
-        !file.endsWith('.metadata.json') && 
-        file.startsWith(prefix)
-      );
-
-      const fileList = [];
-
-      for (const fileName of dataFiles) {
-        try {
-          const filePath = path.join(this.localStoragePath, fileName);
-          const metadataPath = path.join(this.localStoragePath, `${fileName}.metadata.json`);
-          
-          const stats = await fs.stat(filePath);
-          let metadata = {};
-          
-          try {
-            const metadataContent = await fs.readFile(metadataPath, 'utf8');
-            const metadataObj = JSON.parse(metadataContent);
-            metadata = metadataObj.metadata || {};
-          } catch (metadataError) {
-            logger.warn(`⚠️ No se pudo leer metadata de ${fileName}`);
-          }
-
-          // Filtrar por tipo de datos si se especifica
-          if (dataType && metadata.dataType !== dataType) {
-            continue;
-          }
-
-          fileList.push({
-            name: fileName,
-            size: stats.size,
-            created: stats.birthtime.toISOString(),
-            updated: stats.mtime.toISOString(),
-            contentType: 'application/json',
-            metadata,
-            gcsPath: `gs://${this.bucketName}/${fileName}`,
-            localPath: filePath,
-            simulated: true
-          });
-
-        } catch (fileError) {
-          logger.warn(`⚠️ Error procesando archivo ${fileName}:`, fileError.message);
-        }
-      }
-
-      logger.info(`📋 Listados ${fileList.length} archivos simulados`);
+  async listOldFiles(cutoffDate, limit = 100) {
+    const cutoff = this.getPartitionParts(cutoffDate);
+    const oldFiles = [];
 
-      return fileList;
+    for (const definition of dataTypeRegistry.list()) {
+      // Con la fecha al inicio del nombre, GCS lista primero las particiones más antiguas
+      const files = await this.listFiles({ prefix: this.getListPrefix(definition.name), maxResults: limit });
 
-    } catch (error) {
-      logger.error('❌ Error listando archivos simulados:', error.message);
-      throw error;
+      oldFiles.push(...files.filter(file => (file.partition.source === 'name'
+        ? file.partition.date < cutoff.date
+        : new Date(file.created) < cutoffDate)));
     }
+
+    return oldFiles;
   }
 
   /**
@@ -428,34 +454,25 @@ export class GCSAdapter {
     try {
       await this.initialize();
 
-      if (this.simulationMode) {
-        return await this.downloadFileSimulated(fileName);
-      }
-
-      // Descarga real desde GCS
-      const file = this.bucket.file(fileName);
-      
-      const [exists] = await file.exists();
-      if (!exists) {
+      const object = await this.backend.download(fileName);
+      if (!object) {
         throw new Error(`Archivo no encontrado: ${fileName}`);
       }
 
-      const [content] = await file.download();
-      const [metadata] = await file.getMetadata();
-
-      logger.info(`📥 Archivo descargado de GCS: ${fileName}`);
+      logger.info(`📥 Archivo descargado (${this.backend.name}): ${fileName}`);
 
       return {
         success: true,
         fileName,
-        content: content.toString('utf8'),
-        metadata: metadata.metadata || {},
-        size: parseInt(metadata.size),
-        contentType: metadata.contentType
+        content: await this.decodeContent(object.content, fileName),
+        metadata: object.metadata,
+        size: object.size,
+        contentType: object.contentType,
+        ...(this.simulationMode && { simulated: true })
       };
 
     } catch (error) {
-      logger.error(`❌ Error descargando archivo de GCS: ${fileName}`, error.message);
+      logger.error(`❌ Error descargando archivo: ${fileName}`, error.message);
       return {
         success: false,
         error: error.message,
@@ -465,50 +482,25 @@ export class GCSAdapter {
   }
 
   /**
-   * Simula descarga de archivo localmente
+   * Convierte el contenido descargado a texto, descomprimiendo si viene en gzip.
+   * GCS normalmente descomprime al descargar objetos con Content-Encoding: gzip, por eso se
+   * detecta por los bytes mágicos en lugar de la metadata. Los archivos .avro y .parquet se
+   * decodifican a JSON Lines
+   * @param {Buffer} content - Contenido descargado
+   * @param {string} fileName - Nombre del archivo (su extensión indica el formato)
+   * @returns {string} Contenido en texto
    */
-  async downloadFileSimulated(fileName) {
-    try {
-      const filePath = path.join(this.localStoragePath, fileName);
-      const metadataPath = path.join(this.localStoragePath, `${fileName}.metadata.json`);
-      
-      const exists = await FileUtils.pathExists(filePath);
-      if (!exists) {
-        throw new Error(`Archivo no encontrado: ${fileName}`);
-      }
-
-      const content = await fs.readFile(filePath, 'utf8');
-      const stats = await fs.stat(filePath);
-      
-      let metadata = {};
-      try {
-        const metadataContent = await fs.readFile(metadataPath, 'utf8');
-        const metadataObj = JSON.parse(metadataContent);
-        metadata = metadataObj.metadata || {};
-      } catch (metadataError) {
-        logger.warn(`⚠️ No se pudo leer metadata de ${fileName}`);
-      }
-
-      logger.info(`📥 Archivo descargado (simulado): ${fileName}`);
-
-      return {
-        success: true,
-        fileName,
-        content,
-        metadata,
-        size: stats.size,
-        contentType: 'application/json',
-        simulated: true
-      };
+  async decodeContent(content, fileName = '') {
+    const format = stagingFileFormats.fromFileName(fileName);
+    if (format.name !== 'jsonl') {
+      const records = await stagingFileFormats.decode(format.name, content);
+      return records.map(record => JSON.stringify(record)).join('\n');
+    }
 
-    } catch (error) {
-      logger.error(`❌ Error descargando archivo simulado: ${fileName}`, error.message);
-      return {
-        success: false,
-        error: error.message,
-        fileName
-      };
+    if (content.length >= 2 && content[0] === 0x1f && content[1] === 0x8b) {
+      return (await gunzip(content)).toString('utf8');
     }
+    return content.toString('utf8');
   }
 
   /**
@@ -520,132 +512,62 @@ export class GCSAdapter {
     try {
       await this.initialize();
 
-      if (this.simulationMode) {
-        return await this.fileExistsSimulated(fileName);
-      }
-
-      // Verificación real en GCS
-      const file = this.bucket.file(fileName);
-      const [exists] = await file.exists();
-
-      if (exists) {
-        const [metadata] = await file.getMetadata();
-        return {
-          exists: true,
-          fileName,
-          size: parseInt(metadata.size),
-          created: metadata.timeCreated,
-          updated: metadata.updated,
-          metadata: metadata.metadata || {},
-          gcsPath: `gs://${this.bucketName}/${fileName}`
-        };
-      }
-
-      return {
-        exists: false,
-        fileName
-      };
-
-    } catch (error) {
-      logger.error(`❌ Error verificando existencia de archivo en GCS: ${fileName}`, error.message);
-      return {
-        exists: false,
-        fileName,
-        error: error.message
-      };
-    }
-  }
-
-  /**
-   * Simula verificación de existencia de archivo localmente
-   */
-  async fileExistsSimulated(fileName) {
-    try {
-      const filePath = path.join(this.localStoragePath, fileName);
-      const metadataPath = path.join(this.localStoragePath, `${fileName}.metadata.json`);
-      
-      const exists = await FileUtils.pathExists(filePath);
-      
-      if (exists) {
-        const stats = await fs.stat(filePath);
-        
-        let metadata = {};
-        try {
-          const metadataContent = await fs.readFile(metadataPath, 'utf8');
-          const metadataObj = JSON.parse(metadataContent);
-          metadata = metadataObj.metadata || {};
-        } catch (metadataError) {
-          // Ignorar error si no existe metadata
-        }
+      const object = await this.backend.exists(fileName);
 
+      if (object) {
         return {
           exists: true,
           fileName,
-          size: stats.size,
-          created: stats.birthtime.toISOString(),
-          updated: stats.mtime.toISOString(),
-          metadata,
-          gcsPath: `gs://${this.bucketName}/${fileName}`,
-          localPath: filePath,
-          simulated: true
+          size: object.size,
+          created: object.created,
+          updated: object.updated,
+          metadata: object.metadata,
+          gcsPath: this.backend.uri(fileName),
+          ...(object.localPath && { localPath: object.localPath }),
+          ...(this.simulationMode && { simulated: true })
         };
       }
 
       return {
         exists: false,
         fileName,
-        simulated: true
+        ...(this.simulationMode && { simulated: true })
       };
 
     } catch (error) {
-      logger.error(`❌ Error verificando existencia de archivo simulado: ${fileName}`, error.message);
+      logger.error(`❌ Error verificando existencia de archivo: ${fileName}`, error.message);
       return {
         exists: false,
         fileName,
-        error: error.message,
-        simulated: true
+        error: error.message
       };
     }
   }
 
   /**
-   * Elimina un archivo de GCS
+   * Agrega claves a la metadata de un archivo existente
    * @param {string} fileName - Nombre del archivo
+   * @param {Object} metadata - Metadata a agregar
    * @returns {Object} Resultado de la operación
    */
-  async deleteFile(fileName) {
+  async updateFileMetadata(fileName, metadata) {
     try {
       await this.initialize();
 
-      if (this.simulationMode) {
-        return await this.deleteFileSimulated(fileName);
-      }
-
-      // Eliminación real de GCS
-      const file = this.bucket.file(fileName);
-      
-      const [exists] = await file.exists();
-      if (!exists) {
-        logger.warn(`⚠️ Archivo no encontrado para eliminar: ${fileName}`);
-        return {
-          success: true,
-          fileName,
-          message: 'File not found, considered deleted'
-        };
+      const updated = await this.backend.updateMetadata(fileName, metadata);
+      if (!updated) {
+        throw new Error(`Archivo no encontrado: ${fileName}`);
       }
 
-      await file.delete();
-      
-      logger.info(`🗑️ Archivo eliminado de GCS: ${fileName}`);
+      logger.debug(`📝 Metadata actualizada (${this.backend.name}): ${fileName}`);
 
       return {
         success: true,
-        fileName,
-        deletedAt: new Date().toISOString()
+        fileName
       };
 
     } catch (error) {
-      logger.error(`❌ Error eliminando archivo de GCS: ${fileName}`, error.message);
+      logger.error(`❌ Error actualizando metadata de ${fileName}:`, error.message);
       return {
         success: false,
         error: error.message,
@@ -655,45 +577,36 @@ export class GCSAdapter {
   }
 
   /**
-   * Simula eliminación de archivo localmente
+   * Elimina un archivo de GCS
+   * @param {string} fileName - Nombre del archivo
+   * @returns {Object} Resultado de la operación
    */
-  async deleteFileSimulated(fileName) {
+  async deleteFile(fileName) {
     try {
-      const filePath = path.join(this.localStoragePath, fileName);
-      const metadataPath = path.join(this.localStoragePath, `${fileName}.metadata.json`);
-      
-      const exists = await FileUtils.pathExists(filePath);
-      if (!exists) {
-        logger.warn(`⚠️ Archivo simulado no encontrado para eliminar: ${fileName}`);
+      await this.initialize();
+
+      const deleted = await this.backend.delete(fileName);
+      if (!deleted) {
+        logger.warn(`⚠️ Archivo no encontrado para eliminar: ${fileName}`);
         return {
           success: true,
           fileName,
           message: 'File not found, considered deleted',
-          simulated: true
+          ...(this.simulationMode && { simulated: true })
         };
       }
-
-      // Eliminar archivo de datos
-      await fs.unlink(filePath);
       
-      // Eliminar metadata si existe
-      try {
-        await fs.unlink(metadataPath);
-      } catch (metadataError) {
-        // Ignorar error si no existe metadata
-      }
-
-      logger.info(`🗑️ Archivo simulado eliminado: ${fileName}`);
+      logger.info(`🗑️ Archivo eliminado (${this.backend.name}): ${fileName}`);
 
       return {
         success: true,
         fileName,
         deletedAt: new Date().toISOString(),
-        simulated: true
+        ...(this.simulationMode && { simulated: true })
       };
 
     } catch (error) {
-      logger.error(`❌ Error eliminando archivo simulado: ${fileName}`, error.message);
+      logger.error(`❌ Error eliminando archivo: ${fileName}`, error.message);
       return {
         success: false,
         error: error.message,
@@ -704,147 +617,156 @@ export class GCSAdapter {
 
   /**
    * Obtiene el prefijo de carpeta para un tipo de datos
-   * @param {string} dataType - Tipo de datos (gps, mobile)
+   * @param {string} dataType - Tipo de datos registrado (gps, mobile, ...)
    * @returns {string} Prefijo de carpeta
    */
   getDataTypePrefix(dataType) {
-    const prefixes = {
-      gps: process.env.GCS_GPS_PREFIX || 'gps-data/',
-      mobile: process.env.GCS_MOBILE_PREFIX || 'mobile-data/'
-    };
-    
-    return prefixes[dataType] || `${dataType}/`;
+    return dataTypeRegistry.get(dataType)?.gcsPrefix || `${dataType}/`;
   }
 
   /**
-   * Genera nombre de archivo único para upload
+   * Genera nombre de archivo único para upload según la plantilla GCS_OBJECT_NAME_TEMPLATE,
+   * con la extensión del formato de staging (GCS_OUTPUT_FORMAT)
    * @param {string} dataType - Tipo de datos (gps, mobile)
    * @param {string} processingId - ID de procesamiento
+   * @param {Object} context - eventTime (fecha/hora de la partición), runId, chunk y part
+   *   (número de parte cuando el lote se divide en varios archivos)
    * @returns {string} Nombre de archivo único
    */
-  generateFileName(dataType, processingId) {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    
-    // Usar prefijos configurados en .env
-    const prefix = this.getDataTypePrefix(dataType);
-    return `${prefix}${timestamp}_${processingId}.json`;
+  generateFileName(dataType, processingId, context = {}) {
+    const eventTime = new Date(context.eventTime ?? Date.now());
+    const { date, hour } = this.getPartitionParts(Number.isNaN(eventTime.getTime()) ? new Date() : eventTime);
+
+    const values = {
+      // Usar prefijos configurados en .env
+      prefix: this.getDataTypePrefix(dataType),
+      dataType,
+      date,
+      hour,
+      timestamp: new Date().toISOString().replace(/[:.]/g, '-'),
+      runId: context.runId || 'manual',
+      chunk: String(context.chunk ?? 0).padStart(4, '0'),
+      processingId
+    };
+
+    const baseName = this.objectNameTemplate.replace(/\{(\w+)\}/g, (match, token) => values[token] ?? match);
+    const partSuffix = context.part ? `_part${String(context.part).padStart(3, '0')}` : '';
+    return `${baseName}${partSuffix}${this.outputFormat.extension}`;
   }
 
   /**
-   * Genera nombre de archivo determinístico basado en contenido
-   * @param {string} dataType - Tipo de datos (gps, mobile)
-   * @param {string} processingId - ID de procesamiento
-   * @param {string} contentHash - Hash del contenido (opcional)
-   * @returns {string} Nombre de archivo determinístico
+   * Prefijo de listado de un tipo: la parte fija de la plantilla hasta la última carpeta resuelta.
+   * Sin fecha devuelve la carpeta del tipo, que incluye también los archivos del layout plano anterior
+   * @param {string} dataType - Tipo de datos registrado
+   * @param {Object} partition - date (YYYY-MM-DD) y hour (HH) opcionales
+   * @returns {string} Prefijo
    */
-  generateDeterministicFileName(dataType, processingId, contentHash = null) {
-    const baseId = contentHash || processingId;
-    const timestamp = new Date().toISOString().split('T')[0]; // Solo fecha YYYY-MM-DD
-    return `${dataType}/${timestamp}_${baseId}.json`;
+  getListPrefix(dataType, partition = {}) {
+    const values = { prefix: this.getDataTypePrefix(dataType), dataType, date: partition.date, hour: partition.hour };
+    const resolved = this.objectNameTemplate.split(/(\{\w+\})/).map(part => {
+      const token = part.match(/^\{(\w+)\}$/)?.[1];
+      return token ? values[token] ?? null : part;
+    });
+
+    const unresolved = resolved.indexOf(null);
+    const fixed = (unresolved === -1 ? resolved : resolved.slice(0, unresolved)).join('');
+    return fixed.slice(0, fixed.lastIndexOf('/') + 1);
   }
 
   /**
-   * Obtiene estadísticas del bucket
-   * @returns {Object} Estadísticas del bucket
+   * Fecha (YYYY-MM-DD) y hora (HH) de un instante en la zona horaria de particionado
    */
-  async getBucketStats() {
-    try {
-      await this.initialize();
+  getPartitionParts(date) {
+    const parts = Object.fromEntries(
+      this.partitionFormatter.formatToParts(date).map(part => [part.type, part.value])
+    );
+    return { date: `${parts.year}-${parts.month}-${parts.day}`, hour: parts.hour };
+  }
 
-      if (this.simulationMode) {
-        return await this.getBucketStatsSimulated();
-      }
+  /**
+   * Expresión que reconoce {date} y {hour} en los nombres generados con la plantilla (o con
+   * generateDeterministicFileName: solo se compara hasta el último token de partición)
+   */
+  compileObjectNamePattern(template) {
+    const parts = template.split(/(\{\w+\})/);
+    const lastPartitionToken = Math.max(parts.lastIndexOf('{date}'), parts.lastIndexOf('{hour}'));
+
+    const source = parts.slice(0, lastPartitionToken + 1).map(part => {
+      if (part === '{date}') return '(?<date>\\d{4}-\\d{2}-\\d{2})';
+      if (part === '{hour}') return '(?<hour>\\d{2})';
+      if (/^\{\w+\}$/.test(part)) return '.*?';
+      return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }).join('');
+
+    return new RegExp(`^${source}`);
+  }
 
-      // Estadísticas reales del bucket
-      const [files] = await this.bucket.getFiles();
-      
-      let totalSize = 0;
-      let filesByType = {};
-      
-      for (const file of files) {
-        try {
-          const [metadata] = await file.getMetadata();
-          totalSize += parseInt(metadata.size || 0);
-          
-          const dataType = metadata.metadata?.dataType || 'unknown';
-          filesByType[dataType] = (filesByType[dataType] || 0) + 1;
-          
-        } catch (metadataError) {
-          logger.warn(`⚠️ Error obteniendo metadata de ${file.name}`);
-        }
-      }
+  /**
+   * Partición de un archivo: la del nombre si sigue la plantilla, o la de su fecha de creación
+   * @returns {Object} { date, hour, source: 'name' | 'created' }
+   */
+  getFilePartition(fileName, created) {
+    const groups = this.objectNamePattern.exec(fileName)?.groups;
+    if (groups?.date) {
+      return { date: groups.date, hour: groups.hour ?? null, source: 'name' };
+    }
 
-      return {
-        bucketName: this.bucketName,
-        totalFiles: files.length,
-        totalSize,
-        filesByType,
-        simulated: false
-      };
+    const createdAt = new Date(created);
+    return Number.isNaN(createdAt.getTime())
+      ? { date: null, hour: null, source: 'created' }
+      : { ...this.getPartitionParts(createdAt), source: 'created' };
+  }
 
-    } catch (error) {
-      logger.error('❌ Error obteniendo estadísticas del bucket:', error.message);
-      throw error;
-    }
+  /**
+   * Verifica si una partición coincide con los filtros date/hour de listFiles
+   */
+  matchesPartition(partition, options = {}) {
+    return (!options.date || partition.date === options.date) &&
+      (!options.hour || partition.hour === null || partition.hour === options.hour);
+  }
+
+  /**
+   * Genera nombre de archivo determinístico basado en contenido: la carpeta del tipo con las
+   * particiones de la plantilla (fecha/hora del evento) y el hash como nombre. Un reintento del
+   * mismo contenido produce el mismo nombre
+   * @param {string} dataType - Tipo de datos (gps, mobile)
+   * @param {string} processingId - ID de procesamiento (si no hay hash)
+   * @param {string} contentHash - Hash del contenido (opcional)
+   * @param {Object} context - eventTime (fecha/hora de la partición)
+   * @returns {string} Nombre de archivo determinístico
+   */
+  generateDeterministicFileName(dataType, processingId, contentHash = null, context = {}) {
+    const baseId = contentHash ? contentHash.slice(0, 32) : processingId;
+    const eventTime = new Date(context.eventTime ?? Date.now());
+    const partition = this.getPartitionParts(Number.isNaN(eventTime.getTime()) ? new Date() : eventTime);
+    return `${this.getListPrefix(dataType, partition)}${baseId}${this.outputFormat.extension}`;
   }
 
   /**
-   * Obtiene estadísticas simuladas
+   * Hash SHA-256 (hex) del contenido JSON Lines sin comprimir
+   * @param {string} jsonLines - Contenido
+   * @returns {string} Hash
    */
-  async getBucketStatsSimulated() {
+  computeContentHash(jsonLines) {
+    return crypto.createHash('sha256').update(jsonLines, 'utf8').digest('hex');
+  }
+
+  /**
+   * Obtiene estadísticas del bucket
+   * @returns {Object} Estadísticas del bucket
+   */
+  async getBucketStats() {
     try {
-      // Verificar si el directorio existe
-      const exists = await FileUtils.pathExists(this.localStoragePath);
-      if (!exists) {
-        return {
-          bucketName: this.bucketName,
-          totalFiles: 0,
-          totalSize: 0,
-          filesByType: {},
-          simulated: true
-        };
-      }
-      
-      const files = await fs.readdir(this.localStoragePath);
-      const dataFiles = files.filter(file => !file.endsWith('.metadata.json'));
-      
-      let totalSize = 0;
-      let filesByType = {};
-      
-      for (const fileName of dataFiles) {
-        try {
-          const filePath = path.join(this.localStoragePath, fileName);
-          const metadataPath = path.join(this.localStoragePath, `${fileName}.metadata.json`);
-          
-          const stats = await fs.stat(filePath);
-          totalSize += stats.size;
-          
-          let dataType = 'unknown';
-          try {
-            const metadataContent = await fs.readFile(metadataPath, 'utf8');
-            const metadata = JSON.parse(metadataContent);
-            dataType = metadata.metadata?.dataType || 'unknown';
-          } catch (metadataError) {
-            // Usar unknown si no hay metadata
-          }
-          
-          filesByType[dataType] = (filesByType[dataType] || 0) + 1;
-          
-        } catch (fileError) {
-          logger.warn(`⚠️ Error procesando archivo ${fileName}`);
-        }
-      }
+      await this.initialize();
 
       return {
         bucketName: this.bucketName,
-        totalFiles: dataFiles.length,
-        totalSize,
-        filesByType,
-        simulated: true
+        ...(await this.backend.stats()),
+        simulated: this.simulationMode
       };
 
     } catch (error) {
-      logger.error('❌ Error obteniendo estadísticas simuladas:', error.message);
+      logger.error('❌ Error obteniendo estadísticas del bucket:', error.message);
       throw error;
     }
   }
@@ -855,33 +777,19 @@ export class GCSAdapter {
    */
   async getStatus() {
     try {
-      const status = {
+      const backend = this.getBackend();
+
+      return {
         initialized: this.isInitialized,
         simulationMode: this.simulationMode,
+        backend: backend.name,
         bucketName: this.bucketName,
-        projectId: this.projectId
+        projectId: this.projectId,
+        outputFormat: this.outputFormat.name,
+        compression: this.compression.enabled && this.outputFormat.name === 'jsonl' ? `gzip (nivel ${this.compression.level})` : 'none',
+        ...(await backend.getStatus())
       };
 
-      if (this.simulationMode) {
-        status.localStoragePath = this.localStoragePath;
-        status.localStorageExists = await FileUtils.pathExists(this.localStoragePath);
-      } else {
-        status.keyFilename = this.keyFilename;
-        status.credentialsExist = await FileUtils.pathExists(this.keyFilename);
-        
-        if (this.isInitialized && this.bucket) {
-          try {
-            const [exists] = await this.bucket.exists();
-            status.bucketExists = exists;
-          } catch (bucketError) {
-            status.bucketExists = false;
-            status.bucketError = bucketError.message;
-          }
-        }
-      }
-
-      return status;
-
     } catch (error) {
       logger.error('❌ Error obteniendo estado del GCS Adapter:', error.message);
       return {
@@ -898,8 +806,8 @@ export class GCSAdapter {
     try {
       logger.info('🧹 Limpiando recursos del GCS Adapter...');
       
-      this.storage = null;
-      this.bucket = null;
+      await this.backend?.cleanup();
+      this.backend = null;
       this.isInitialized = false;
       
       logger.info('✅ Recursos del GCS Adapter limpiados');
@@ -907,4 +815,4 @@ export class GCSAdapter {
       logger.error('❌ Error limpiando recursos del GCS Adapter:', error.message);
     }
   }
-}
\ No newline at end of file
+}
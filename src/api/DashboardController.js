@@ -3,7 +3,10 @@ import { MetricsCollector } from '../utils/MetricsCollector.js';
 import { CostMonitor } from '../utils/CostMonitor.js';
 import { AlertManager } from '../utils/AlertManager.js';
 import { AutoCleanup } from '../utils/AutoCleanup.js';
+import { GCSAdapter } from '../adapters/GCSAdapter.js';
 import { gcpConfig } from '../config/gcpConfig.js';
+import { dataTypeRegistry } from '../config/dataTypes.js';
+import { ValidationReportService } from '../services/ValidationReportService.js';
 
 /**
  * Controlador para dashboard de métricas GCS/BigQuery
@@ -11,9 +14,11 @@ import { gcpConfig } from '../config/gcpConfig.js';
 export class DashboardController {
   constructor() {
     this.metricsCollector = MetricsCollector.getInstance();
-    this.costMonitor = new CostMonitor();
+    this.gcsAdapter = new GCSAdapter();
+    this.costMonitor = new CostMonitor(this.gcsAdapter);
     this.alertManager = new AlertManager();
-    this.autoCleanup = new AutoCleanup();
+    this.autoCleanup = new AutoCleanup(this.gcsAdapter);
+    this.validationReportService = new ValidationReportService();
     
     // Configuración del dashboard
     this.refreshInterval = parseInt(process.env.DASHBOARD_REFRESH_INTERVAL) || 30; // segundos
@@ -32,7 +37,8 @@ export class DashboardController {
         costReport,
         gcpStatus,
         alertStatus,
-        cleanupStats
+        cleanupStats,
+        validationTrend
       ] = await Promise.allSettled([
         this.metricsCollector.getMetrics(),
         this.metricsCollector.getGCSMetrics(),
@@ -40,7 +46,11 @@ export class DashboardController {
         this.costMonitor.getCostReport(),
         gcpConfig.getStatus(),
         this.alertManager.getStatus(),
-        this.autoCleanup.getStats()
+        this.autoCleanup.getStats(),
+        this.validationReportService.getTrend({
+          since: new Date(Date.now() - this.historyHours * 60 * 60 * 1000).toISOString(),
+          limit: 50
+        })
       ]);
 
       return {
@@ -53,6 +63,7 @@ export class DashboardController {
         system: this.buildSystemSection(metrics.value, gcpStatus.value),
         alerts: this.buildAlertsSection(alertStatus.value),
         cleanup: this.buildCleanupSection(cleanupStats.value),
+        validation: this.buildValidationSection(validationTrend.value),
         health: await this.getHealthStatus()
       };
 
@@ -393,6 +404,31 @@ export class DashboardController {
     };
   }
 
+  /**
+   * Construye sección de validación: tasa de la última ejecución y tendencia por tipo
+   */
+  buildValidationSection(trend) {
+    if (!trend) return { error: 'Reportes de validación no disponibles' };
+
+    const cards = dataTypeRegistry.list().map(definition => {
+      const points = trend[definition.name] || [];
+      const last = points[points.length - 1];
+
+      return {
+        title: `Validación ${definition.label}`,
+        value: last ? `${last.validationRate}%` : 'N/A',
+        subtitle: last ? `${this.formatNumber(last.total)} registros, ${this.formatTimeAgo(last.createdAt)}` : 'Sin ejecuciones',
+        color: !last ? 'gray' : last.validationRate >= 95 ? 'green' : last.validationRate >= 80 ? 'orange' : 'red'
+      };
+    });
+
+    return {
+      title: 'Validación',
+      cards,
+      trend
+    };
+  }
+
   /**
    * Obtiene estado de salud general
    */
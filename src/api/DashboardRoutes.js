@@ -655,6 +655,7 @@ export class DashboardRoutes {
             const dashboard = document.getElementById('dashboard');
             dashboard.innerHTML = \`
                 \${renderSection('📊 Resumen General', data.overview)}
+                \${renderValidationSection(data.validation)}
                 \${renderSection('☁️ Google Cloud Storage', data.gcs)}
                 \${renderSection('📈 BigQuery', data.bigQuery)}
                 \${renderSection('💰 Costos GCP', data.costs)}
@@ -666,7 +667,7 @@ export class DashboardRoutes {
             \`;
         }
         
-        function renderSection(title, section) {
+        function renderSection(title, section, extra = '') {
             if (!section || section.error) {
                 return \`
                     <div class="section">
@@ -690,10 +691,43 @@ export class DashboardRoutes {
                     <div class="cards-grid">
                         \${cards}
                     </div>
+                    \${extra}
                 </div>
             \`;
         }
         
+        function renderValidationSection(section) {
+            if (!section || section.error) {
+                return renderSection('✅ Validación', section);
+            }
+            
+            const colors = ['#1a73e8', '#34a853', '#ff9800', '#9c27b0'];
+            const series = Object.entries(section.trend || {}).filter(([, points]) => points.length > 0);
+            const lines = series.map(([dataType, points], position) => {
+                const step = points.length > 1 ? 600 / (points.length - 1) : 0;
+                const coordinates = points
+                    .map((point, index) => \`\${Math.round(index * step)},\${Math.round(100 - point.validationRate)}\`)
+                    .join(' ');
+                return \`<polyline fill="none" stroke="\${colors[position % colors.length]}" stroke-width="2" points="\${coordinates}"><title>\${dataType}</title></polyline>\`;
+            }).join('');
+            const legend = series.map(([dataType], position) =>
+                \`<span style="color: \${colors[position % colors.length]}; margin-right: 1rem;">● \${dataType}</span>\`
+            ).join('');
+            
+            const chart = series.length > 0 ? \`
+                <div class="details">
+                    <div class="details-title">Tasa de validación por ejecución (línea punteada: 95%)</div>
+                    <svg viewBox="0 -5 600 110" preserveAspectRatio="none" style="width: 100%; height: 120px;">
+                        <line x1="0" y1="5" x2="600" y2="5" stroke="#ddd" stroke-dasharray="4" />
+                        \${lines}
+                    </svg>
+                    <div class="card-subtitle">\${legend}</div>
+                </div>
+            \` : '';
+            
+            return renderSection('✅ Validación', section, chart);
+        }
+        
         function renderHealthSection(health) {
             if (!health) return '';
             
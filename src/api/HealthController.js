@@ -17,7 +17,7 @@ export class HealthController {
     this.backupManager = new BackupManager();
     this.gcsAdapter = new GCSAdapter();
     this.bigQueryProcessor = new BigQueryBatchProcessor();
-    this.gcsRecoveryManager = new GCSRecoveryManager();
+    this.gcsRecoveryManager = new GCSRecoveryManager(this.gcsAdapter, this.bigQueryProcessor);
   }
 
   /**
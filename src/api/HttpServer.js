@@ -6,6 +6,10 @@ import { DashboardRoutes } from './DashboardRoutes.js';
 import { AlertManager } from '../utils/AlertManager.js';
 import { CostMonitor } from '../utils/CostMonitor.js';
 import { AutoCleanup } from '../utils/AutoCleanup.js';
+import { IngestionService } from '../services/IngestionService.js';
+import { DeadLetterService } from '../services/DeadLetterService.js';
+import { PrivacyService } from '../services/PrivacyService.js';
+import { ValidationReportService } from '../services/ValidationReportService.js';
 import { config } from '../config/env.js';
 
 /**
@@ -17,8 +21,12 @@ export class HttpServer {
     this.healthController = new HealthController();
     this.dashboardRoutes = new DashboardRoutes();
     this.alertManager = new AlertManager();
-    this.costMonitor = new CostMonitor();
-    this.autoCleanup = new AutoCleanup();
+    this.costMonitor = new CostMonitor(this.healthController.gcsAdapter);
+    this.autoCleanup = new AutoCleanup(this.healthController.gcsAdapter);
+    this.ingestionService = new IngestionService();
+    this.deadLetterService = new DeadLetterService();
+    this.privacyService = new PrivacyService();
+    this.validationReportService = new ValidationReportService();
     this.port = config.server.port;
     this.isRunning = false;
     
@@ -108,8 +116,8 @@ export class HttpServer {
 
     // Configurar CORS y headers
     res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-Admin-Token');
     res.setHeader('Content-Type', 'application/json');
     res.setHeader('X-API-Version', this.apiConfig.version);
     res.setHeader('X-Response-Time', `${Date.now() - startTime}ms`);
@@ -134,6 +142,30 @@ export class HttpServer {
         return;
       }
 
+      // Ingesta HTTP: /api/v3/ingest/:dataType
+      if (path.startsWith(`${this.apiConfig.basePath}/ingest/`)) {
+        await this.handleIngest(req, res, path, method);
+        return;
+      }
+
+      // Dead-letter: /api/v3/dead-letter[/:batchId[/replay]]
+      if (path === `${this.apiConfig.basePath}/dead-letter` || path.startsWith(`${this.apiConfig.basePath}/dead-letter/`)) {
+        await this.handleDeadLetter(req, res, path, method, parsedUrl.query);
+        return;
+      }
+
+      // Reportes de validación: /api/v3/validation/reports[/:runId]
+      if (path === `${this.apiConfig.basePath}/validation/reports` || path.startsWith(`${this.apiConfig.basePath}/validation/reports/`)) {
+        await this.handleValidationReports(req, res, path, method, parsedUrl.query);
+        return;
+      }
+
+      // Tabla de seudónimos (privilegiado): /api/v3/privacy/mappings/:dataType/:field/:pseudonym
+      if (path.startsWith(`${this.apiConfig.basePath}/privacy/`)) {
+        await this.handlePrivacyMapping(req, res, path, method);
+        return;
+      }
+
       // Rutas disponibles con prefijo /api/v3/
       switch (path) {
         // Health endpoints
@@ -470,6 +502,23 @@ export class HttpServer {
         hybridComparisons: `${basePath}/hybrid/comparisons - Comparaciones entre flujos`,
         migrationPhase: `GET/POST ${basePath}/migration/phase - Gestión de fase de migración`,
         
+        // Ingestion
+        ingestGPS: `POST ${basePath}/ingest/gps - Ingesta de puntos GPS (objeto, arreglo JSON o NDJSON)`,
+        ingestMobile: `POST ${basePath}/ingest/mobile - Ingesta de puntos mobile (objeto, arreglo JSON o NDJSON)`,
+
+        // Dead-letter
+        deadLetter: `GET ${basePath}/dead-letter - Lotes de registros rechazados (filtros: dataType, runId, identifier, since, until)`,
+        deadLetterBatch: `GET/DELETE ${basePath}/dead-letter/:batchId - Inspeccionar o eliminar un lote`,
+        deadLetterReplay: `POST ${basePath}/dead-letter/:batchId/replay - Corregir y reinyectar registros`,
+        deadLetterPurge: `POST ${basePath}/dead-letter/purge - Purgar lotes por tipo o antigüedad`,
+
+        // Validation reports
+        validationReports: `GET ${basePath}/validation/reports - Reportes de validación por ejecución y tipo (filtros: dataType, runId, since, until, limit)`,
+        validationReport: `GET ${basePath}/validation/reports/:runId - Reporte completo de una ejecución (filtro: dataType)`,
+
+        // Privacy
+        privacyMapping: `GET ${basePath}/privacy/mappings/:dataType/:field/:pseudonym - Resolver un seudónimo (token de administrador)`,
+        
         // Production Dashboard (mantiene rutas originales)
         dashboard: '/dashboard - Dashboard web de métricas y monitoreo',
         dashboardData: '/api/dashboard/data - Datos completos del dashboard',
@@ -493,7 +542,11 @@ export class HttpServer {
         productionDashboard: 'Dashboard web para monitoreo en tiempo real',
         alertSystem: 'Sistema de alertas para fallos de GCS y BigQuery',
         costMonitoring: 'Monitoreo de costos y uso de recursos GCP',
-        autoCleanup: 'Limpieza automática de archivos antiguos'
+        autoCleanup: 'Limpieza automática de archivos antiguos',
+        httpIngestion: 'Ingesta HTTP de puntos validados hacia las listas Redis',
+        deadLetter: 'Dead-letter de registros rechazados con corrección y replay',
+        validationReports: 'Reportes de validación por ejecución con códigos de error, identificadores y muestras',
+        privacy: 'Seudonimización, truncado y cifrado de datos personales antes de escribir en disco o GCS'
       },
       configuration: {
         environment: config.server.environment,
@@ -649,6 +702,328 @@ export class HttpServer {
     }
   }
 
+  /**
+   * Maneja la ingesta HTTP de puntos: POST /api/v3/ingest/:dataType
+   */
+  async handleIngest(req, res, path, method) {
+    const dataType = path.slice(`${this.apiConfig.basePath}/ingest/`.length);
+
+    if (!this.ingestionService.isEnabled()) {
+      this.sendError(res, 404, 'HTTP ingestion not enabled');
+      return;
+    }
+
+    if (method !== 'POST') {
+      this.sendError(res, 405, 'Method not allowed');
+      return;
+    }
+
+    if (!this.ingestionService.isAuthorized(req.headers)) {
+      this.sendError(res, 401, 'Invalid or missing API key');
+      return;
+    }
+
+    try {
+      const body = await this.readBody(req, this.ingestionService.config.maxBodyBytes);
+
+      if (body === null) {
+        this.sendError(res, 413, 'Payload too large', `Máximo ${this.ingestionService.config.maxBodyBytes} bytes`);
+        return;
+      }
+
+      const result = await this.ingestionService.ingest(dataType, body, req.headers['content-type']);
+
+      if (result.error) {
+        this.sendError(res, result.statusCode, result.error, result.rejected ? { rejected: result.rejected } : null);
+        return;
+      }
+
+      const { statusCode, ...response } = result;
+      res.writeHead(statusCode);
+      res.end(JSON.stringify(response, null, 2));
+    } catch (error) {
+      logger.error(`❌ Error en ingesta HTTP ${dataType}:`, error.message);
+      this.sendError(res, 500, 'Ingestion error', error.message);
+    }
+  }
+
+  /**
+   * Maneja el dead-letter de registros rechazados:
+   * GET /dead-letter, GET|DELETE /dead-letter/:batchId, POST /dead-letter/:batchId/replay, POST /dead-letter/purge
+   */
+  async handleDeadLetter(req, res, path, method, query = {}) {
+    const [batchId, action, ...rest] = path
+      .slice(`${this.apiConfig.basePath}/dead-letter`.length)
+      .split('/')
+      .filter(Boolean);
+
+    if (!this.deadLetterService.isEnabled()) {
+      this.sendError(res, 404, 'Dead-letter not enabled');
+      return;
+    }
+
+    // Los lotes contienen payloads originales y el replay escribe en Redis: solo con token de administrador
+    if (!this.deadLetterService.config.adminToken) {
+      this.sendError(res, 403, 'Dead-letter admin token not configured');
+      return;
+    }
+
+    if (!this.deadLetterService.isPrivileged(req.headers)) {
+      logger.warn(`🔐 Acceso denegado al dead-letter: ${method} ${path}`);
+      this.sendError(res, 401, 'Invalid or missing admin token');
+      return;
+    }
+
+    if ((action && action !== 'replay') || rest.length > 0) {
+      this.sendError(res, 404, 'Endpoint not found');
+      return;
+    }
+
+    if (batchId && !/^[\w.-]+$/.test(batchId)) {
+      this.sendError(res, 400, 'Invalid dead-letter batch id');
+      return;
+    }
+
+    try {
+      let result;
+
+      if (!batchId && method === 'GET') {
+        const batches = await this.deadLetterService.list({
+          dataType: query.dataType,
+          runId: query.runId,
+          identifier: query.identifier,
+          since: query.since,
+          until: query.until,
+          limit: query.limit ? parseInt(query.limit) : undefined
+        });
+        result = { statusCode: 200, total: batches.length, batches, stats: await this.deadLetterService.getStats() };
+      } else if (batchId === 'purge' && !action && method === 'POST') {
+        const body = await this.readJSONBody(req, res);
+        if (body === undefined) return;
+        result = await this.deadLetterService.purge({
+          dataType: body.dataType,
+          olderThanDays: body.olderThanDays
+        });
+      } else if (batchId && !action && method === 'GET') {
+        const batch = await this.deadLetterService.get(batchId);
+        result = batch
+          ? { statusCode: 200, ...batch }
+          : { statusCode: 404, error: `Dead-letter batch not found: ${batchId}` };
+      } else if (batchId && !action && method === 'DELETE') {
+        result = await this.deadLetterService.purge({ batchId });
+        if (result.success && result.purged === 0) {
+          result = { statusCode: 404, error: `Dead-letter batch not found: ${batchId}` };
+        }
+      } else if (batchId && action === 'replay' && method === 'POST') {
+        const body = await this.readJSONBody(req, res);
+        if (body === undefined) return;
+        result = await this.deadLetterService.replay(batchId, {
+          fixes: body.records,
+          entryIds: body.entryIds
+        });
+      } else {
+        this.sendError(res, 405, 'Method not allowed');
+        return;
+      }
+
+      if (result.error) {
+        this.sendError(res, result.statusCode || 500, result.error);
+        return;
+      }
+
+      const { statusCode, success, ...response } = result;
+      res.writeHead(statusCode || 200);
+      res.end(JSON.stringify({ success: true, ...response }, null, 2));
+    } catch (error) {
+      logger.error('❌ Error en dead-letter:', error.message);
+      this.sendError(res, 500, 'Dead-letter error', error.message);
+    }
+  }
+
+  /**
+   * Maneja los reportes de validación: GET /validation/reports, GET /validation/reports/:runId
+   */
+  async handleValidationReports(req, res, path, method, query = {}) {
+    const [runId, ...rest] = path
+      .slice(`${this.apiConfig.basePath}/validation/reports`.length)
+      .split('/')
+      .filter(Boolean);
+
+    if (!this.validationReportService.isEnabled()) {
+      this.sendError(res, 404, 'Validation reports not enabled');
+      return;
+    }
+
+    // Las muestras contienen payloads rechazados: solo con token de administrador
+    if (!this.validationReportService.config.adminToken) {
+      this.sendError(res, 403, 'Validation reports admin token not configured');
+      return;
+    }
+
+    if (!this.validationReportService.isPrivileged(req.headers)) {
+      logger.warn(`🔐 Acceso denegado a los reportes de validación: ${method} ${path}`);
+      this.sendError(res, 401, 'Invalid or missing admin token');
+      return;
+    }
+
+    if (rest.length > 0) {
+      this.sendError(res, 404, 'Endpoint not found');
+      return;
+    }
+
+    if (method !== 'GET') {
+      this.sendError(res, 405, 'Method not allowed');
+      return;
+    }
+
+    if (runId && !/^[\w.-]+$/.test(runId)) {
+      this.sendError(res, 400, 'Invalid run id');
+      return;
+    }
+
+    const invalidDate = ['since', 'until'].find(name => query[name] && isNaN(Date.parse(query[name])));
+    if (invalidDate) {
+      this.sendError(res, 400, `Invalid ${invalidDate} date`);
+      return;
+    }
+
+    try {
+      let response;
+
+      if (runId) {
+        const run = await this.validationReportService.get(runId, { dataType: query.dataType });
+        if (!run) {
+          this.sendError(res, 404, `Validation report not found: ${runId}`);
+          return;
+        }
+        response = run;
+      } else {
+        const reports = await this.validationReportService.list({
+          dataType: query.dataType,
+          runId: query.runId,
+          since: query.since,
+          until: query.until,
+          limit: query.limit ? parseInt(query.limit) : undefined
+        });
+        response = { total: reports.length, reports };
+      }
+
+      res.writeHead(200);
+      res.end(JSON.stringify({ success: true, ...response }, null, 2));
+    } catch (error) {
+      logger.error('❌ Error en reportes de validación:', error.message);
+      this.sendError(res, 500, 'Validation reports error', error.message);
+    }
+  }
+
+  /**
+   * Resuelve un seudónimo a su valor original: GET /privacy/mappings/:dataType/:field/:pseudonym.
+   * Exige PRIVACY_ADMIN_TOKEN; el token de ingesta no da acceso
+   */
+  async handlePrivacyMapping(req, res, path, method) {
+    const [resource, dataType, field, pseudonym, ...rest] = path
+      .slice(`${this.apiConfig.basePath}/privacy`.length)
+      .split('/')
+      .filter(Boolean);
+
+    if (resource !== 'mappings' || !pseudonym || rest.length > 0) {
+      this.sendError(res, 404, 'Endpoint not found');
+      return;
+    }
+
+    if (method !== 'GET') {
+      this.sendError(res, 405, 'Method not allowed');
+      return;
+    }
+
+    if (!this.privacyService.config.adminToken) {
+      this.sendError(res, 403, 'Privacy admin token not configured');
+      return;
+    }
+
+    if (!this.privacyService.isPrivileged(req.headers)) {
+      logger.warn(`🔐 Acceso denegado a la tabla de seudónimos ${dataType}.${field}`);
+      this.sendError(res, 401, 'Invalid or missing admin token');
+      return;
+    }
+
+    if (![dataType, field, pseudonym].every(part => /^[\w.-]+$/.test(part))) {
+      this.sendError(res, 400, 'Invalid pseudonym path');
+      return;
+    }
+
+    const { statusCode, success, error, ...response } = await this.privacyService.resolvePseudonym(dataType, field, pseudonym);
+
+    if (!success) {
+      this.sendError(res, statusCode, error);
+      return;
+    }
+
+    res.writeHead(statusCode);
+    res.end(JSON.stringify({ success: true, ...response }, null, 2));
+  }
+
+  /**
+   * Lee un cuerpo JSON opcional (vacío → {}). Responde 400/413 y devuelve undefined si no es válido
+   */
+  async readJSONBody(req, res) {
+    const body = await this.readBody(req, this.ingestionService.config.maxBodyBytes);
+
+    if (body === null) {
+      this.sendError(res, 413, 'Payload too large', `Máximo ${this.ingestionService.config.maxBodyBytes} bytes`);
+      return undefined;
+    }
+
+    if (body.trim() === '') {
+      return {};
+    }
+
+    try {
+      const parsed = JSON.parse(body);
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('Se esperaba un objeto JSON');
+      }
+      return parsed;
+    } catch (parseError) {
+      this.sendError(res, 400, 'Invalid JSON body', parseError.message);
+      return undefined;
+    }
+  }
+
+  /**
+   * Lee el cuerpo de la petición respetando un tamaño máximo
+   * @param {http.IncomingMessage} req - Petición
+   * @param {number} maxBytes - Tamaño máximo en bytes
+   * @returns {Promise<string|null>} Cuerpo o null si excede el máximo
+   */
+  readBody(req, maxBytes) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      let exceeded = false;
+
+      req.on('data', chunk => {
+        if (exceeded) {
+          return;
+        }
+
+        size += chunk.length;
+        if (size > maxBytes) {
+          exceeded = true;
+          chunks.length = 0;
+          return;
+        }
+        chunks.push(chunk);
+      });
+
+      req.on('end', () => {
+        resolve(exceeded ? null : Buffer.concat(chunks).toString('utf8'));
+      });
+
+      req.on('error', reject);
+    });
+  }
+
   /**
    * Inicializa monitoreo de producción
    */
@@ -0,0 +1,260 @@
+import { config } from './env.js';
+import { gcpConfig } from './gcpConfig.js';
+import { GPSPointSchema, MobilePointSchema, timestampPolicy } from '../types/GPSTypes.js';
+
+/**
+ * Registro de tipos de datos del pipeline Redis → GCS → BigQuery.
+ *
+ * Cada tipo declara:
+ * - name / label / icon: identificador interno y nombres para logs
+ * - redisKey / streamKey: fuentes en Redis (lista principal y stream)
+ * - redisKeys / redisKeyPattern: listas particionadas (keys fijas y/o patrón SCAN), por defecto [redisKey]
+ * - getStats: (redisRepo) => estadísticas de la lista (por defecto getListStats(redisKey))
+ * - validation: esquema de validación (schema, ver types/GPSTypes.js) o campos con reglas
+ *   predefinidas (fields: [{ name, rule }], ver FieldRules); lo compila SchemaValidator.
+ *   attributes: { field, keys } agrupa campos no declarados en una columna JSON;
+ *   coordinates: { latitude, longitude, referenceRegion } corrige lat/lng invertidas
+ * - gcsPrefix: carpeta del bucket donde se suben sus archivos
+ * - bigQuery: tabla destino y esquema (las columnas NULLABLE nuevas se agregan a tablas existentes)
+ * - metricsBucket: clave bajo la cual se agregan sus métricas
+ * - csvColumns: columnas de las líneas CSV del tipo, en orden (vacío = CSV no aceptado)
+ * - identityField: campo que identifica al dispositivo o usuario (trayectorias y deduplicación; null = sin identidad)
+ *
+ * Para agregar un tipo nuevo (por ejemplo telemetría de buses) basta con registrarlo aquí.
+ */
+export class DataTypeRegistry {
+  constructor() {
+    this.types = new Map();
+  }
+
+  /**
+   * Registra (o reemplaza) un tipo de datos
+   * @param {Object} definition - Definición del tipo
+   * @returns {Object} Definición normalizada
+   */
+  register(definition) {
+    const required = ['name', 'redisKey', 'gcsPrefix'];
+    const missing = required.filter(field => !definition[field]);
+
+    if (missing.length > 0) {
+      throw new Error(`Definición de tipo de datos incompleta, faltan: ${missing.join(', ')}`);
+    }
+
+    if (!definition.bigQuery?.tableId || !Array.isArray(definition.bigQuery?.schema)) {
+      throw new Error(`El tipo de datos ${definition.name} debe declarar bigQuery.tableId y bigQuery.schema`);
+    }
+
+    const normalized = {
+      label: definition.name.toUpperCase(),
+      icon: '📦',
+      streamKey: null,
+      redisKeys: [definition.redisKey],
+      redisKeyPattern: null,
+      metricsBucket: definition.name,
+      identityField: null,
+      csvColumns: [],
+      getStats: redisRepo => redisRepo.getListStats(definition.redisKey, definition.label || definition.name),
+      ...definition,
+      validation: {
+        errorLabel: definition.label || definition.name,
+        fields: [],
+        ...definition.validation
+      }
+    };
+
+    this.types.set(normalized.name, normalized);
+    return normalized;
+  }
+
+  /**
+   * Elimina un tipo del registro
+   * @param {string} name - Nombre del tipo
+   * @returns {boolean} True si existía
+   */
+  unregister(name) {
+    return this.types.delete(name);
+  }
+
+  /**
+   * Obtiene la definición de un tipo
+   * @param {string} name - Nombre del tipo
+   * @returns {Object|null} Definición o null si no está registrado
+   */
+  get(name) {
+    return this.types.get(name) || null;
+  }
+
+  /**
+   * Obtiene la definición de un tipo o lanza error si no está registrado
+   * @param {string} name - Nombre del tipo
+   * @returns {Object} Definición
+   */
+  require(name) {
+    const definition = this.get(name);
+    if (!definition) {
+      throw new Error(`Tipo de datos no registrado: ${name}`);
+    }
+    return definition;
+  }
+
+  /**
+   * Verifica si un tipo está registrado
+   */
+  has(name) {
+    return this.types.has(name);
+  }
+
+  /**
+   * Lista las definiciones registradas en orden de registro
+   */
+  list() {
+    return [...this.types.values()];
+  }
+
+  /**
+   * Lista los nombres de los tipos registrados
+   */
+  names() {
+    return [...this.types.keys()];
+  }
+
+  /**
+   * Mapa nombre → tabla BigQuery
+   */
+  getTableMap() {
+    return Object.fromEntries(this.list().map(definition => [definition.name, definition.bigQuery.tableId]));
+  }
+
+  /**
+   * Busca el tipo al que pertenece un archivo de GCS según su prefijo
+   * @param {string} fileName - Nombre del archivo en el bucket
+   * @returns {Object|null} Definición o null
+   */
+  findByGCSFileName(fileName) {
+    return this.list().find(definition => fileName.startsWith(definition.gcsPrefix)) ||
+      this.list().find(definition => fileName.includes(definition.gcsPrefix)) ||
+      null;
+  }
+
+  /**
+   * Busca el tipo que carga en una tabla BigQuery
+   * @param {string} tableId - ID de la tabla
+   * @returns {Object|null} Definición o null
+   */
+  findByTable(tableId) {
+    return this.list().find(definition => definition.bigQuery.tableId === tableId) || null;
+  }
+
+  /**
+   * Describe los tipos aceptados para mensajes de error: "gps" o "mobile"
+   */
+  describeNames() {
+    const quoted = this.names().map(name => `"${name}"`);
+    return quoted.length > 1
+      ? `${quoted.slice(0, -1).join(', ')} o ${quoted[quoted.length - 1]}`
+      : quoted.join('');
+  }
+}
+
+const gcp = gcpConfig.getConfig();
+
+// Modo de validación de timestamps; las fechas sin offset se interpretan en la zona del scheduler
+const timestampRules = timestampPolicy({
+  ...config.timestampValidation,
+  timezone: config.scheduler.timezone
+});
+
+/**
+ * Aplica la política de timestamps configurada al esquema de un tipo
+ */
+const withTimestampPolicy = schema => ({
+  ...schema,
+  timestamp: { ...schema.timestamp, ...timestampRules }
+});
+
+export const dataTypeRegistry = new DataTypeRegistry();
+
+dataTypeRegistry.register({
+  name: 'gps',
+  label: 'GPS',
+  icon: '📍',
+  redisKey: config.gps.listKey,
+  redisKeys: config.gps.listKeys,
+  redisKeyPattern: config.gps.listKeyPattern,
+  getStats: redisRepo => redisRepo.getGPSStats(),
+  streamKey: config.streams.gpsKey,
+  gcsPrefix: gcp.gcs.prefixes.gps,
+  metricsBucket: 'gps',
+  identityField: 'deviceId',
+  csvColumns: config.gps.csvColumns,
+  validation: {
+    errorLabel: 'GPS',
+    schema: withTimestampPolicy(GPSPointSchema),
+    attributes: { field: 'attributes', keys: config.gps.extraAttributes },
+    coordinates: { latitude: 'lat', longitude: 'lng', referenceRegion: config.coordinates.referenceRegion }
+  },
+  bigQuery: {
+    tableId: gcp.bigQuery.tables.gps,
+    schema: [
+      { name: 'deviceId', type: 'STRING', mode: 'REQUIRED' },
+      { name: 'lat', type: 'FLOAT', mode: 'REQUIRED' },
+      { name: 'lng', type: 'FLOAT', mode: 'REQUIRED' },
+      { name: 'timestamp', type: 'TIMESTAMP', mode: 'REQUIRED' },
+      { name: 'timestamp_correction', type: 'STRING', mode: 'NULLABLE' },
+      { name: 'coordinate_normalization', type: 'STRING', mode: 'NULLABLE' },
+      { name: 'vehicleClass', type: 'STRING', mode: 'NULLABLE' },
+      { name: 'speed', type: 'FLOAT', mode: 'NULLABLE' },
+      { name: 'heading', type: 'FLOAT', mode: 'NULLABLE' },
+      { name: 'altitude', type: 'FLOAT', mode: 'NULLABLE' },
+      { name: 'accuracy', type: 'FLOAT', mode: 'NULLABLE' },
+      { name: 'quality_flag', type: 'STRING', mode: 'NULLABLE' },
+      { name: 'implied_speed_kmh', type: 'FLOAT', mode: 'NULLABLE' },
+      { name: 'geofence_tags', type: 'STRING', mode: 'REPEATED' },
+      { name: 'in_service_area', type: 'BOOLEAN', mode: 'NULLABLE' },
+      { name: 'attributes', type: 'JSON', mode: 'NULLABLE' },
+      { name: 'processed_at', type: 'TIMESTAMP', mode: 'NULLABLE' },
+      { name: 'processing_id', type: 'STRING', mode: 'NULLABLE' }
+    ]
+  }
+});
+
+dataTypeRegistry.register({
+  name: 'mobile',
+  label: 'Mobile',
+  icon: '📱',
+  redisKey: config.mobile.listKey,
+  redisKeys: config.mobile.listKeys,
+  redisKeyPattern: config.mobile.listKeyPattern,
+  getStats: redisRepo => redisRepo.getMobileStats(),
+  streamKey: config.streams.mobileKey,
+  gcsPrefix: gcp.gcs.prefixes.mobile,
+  metricsBucket: 'mobile',
+  identityField: 'userId',
+  csvColumns: config.mobile.csvColumns,
+  validation: {
+    errorLabel: 'mobile',
+    schema: withTimestampPolicy(MobilePointSchema),
+    attributes: { field: 'attributes', keys: config.mobile.extraAttributes },
+    coordinates: { latitude: 'lat', longitude: 'lng', referenceRegion: config.coordinates.referenceRegion }
+  },
+  bigQuery: {
+    tableId: gcp.bigQuery.tables.mobile,
+    schema: [
+      { name: 'userId', type: 'STRING', mode: 'REQUIRED' },
+      { name: 'lat', type: 'FLOAT', mode: 'REQUIRED' },
+      { name: 'lng', type: 'FLOAT', mode: 'REQUIRED' },
+      { name: 'timestamp', type: 'TIMESTAMP', mode: 'REQUIRED' },
+      { name: 'name', type: 'STRING', mode: 'REQUIRED' },
+      { name: 'email', type: 'STRING', mode: 'REQUIRED' },
+      { name: 'timestamp_correction', type: 'STRING', mode: 'NULLABLE' },
+      { name: 'coordinate_normalization', type: 'STRING', mode: 'NULLABLE' },
+      { name: 'quality_flag', type: 'STRING', mode: 'NULLABLE' },
+      { name: 'implied_speed_kmh', type: 'FLOAT', mode: 'NULLABLE' },
+      { name: 'geofence_tags', type: 'STRING', mode: 'REPEATED' },
+      { name: 'in_service_area', type: 'BOOLEAN', mode: 'NULLABLE' },
+      { name: 'attributes', type: 'JSON', mode: 'NULLABLE' },
+      { name: 'processed_at', type: 'TIMESTAMP', mode: 'NULLABLE' },
+      { name: 'processing_id', type: 'STRING', mode: 'NULLABLE' }
+    ]
+  }
+});
@@ -1,11 +1,57 @@
 import dotenv from 'dotenv';
 import path from 'path';
+import os from 'os';
 import { gcpConfig, validateGCPConfig } from './gcpConfig.js';
 import { logger } from '../utils/logger.js';
 
 // Cargar variables de entorno
 dotenv.config();
 
+/**
+ * Convierte una lista separada por comas en un arreglo (sin vacíos ni duplicados)
+ */
+const parseKeyList = (value, fallback = null) => {
+  const keys = (value || '').split(',').map(key => key.trim()).filter(Boolean);
+  if (keys.length > 0) {
+    return [...new Set(keys)];
+  }
+  return fallback ? [fallback] : [];
+};
+
+/**
+ * Convierte una lista "clave:número" separada por comas en un objeto (bus:90,car:160 → { bus: 90, car: 160 })
+ */
+const parseNumberMap = (value) => Object.fromEntries(
+  parseKeyList(value)
+    .map(entry => entry.split(':').map(part => part.trim()))
+    .filter(([key, number]) => key && number !== undefined && !isNaN(parseFloat(number)))
+    .map(([key, number]) => [key.toLowerCase(), parseFloat(number)])
+);
+
+/**
+ * Convierte un bbox "minLng,minLat,maxLng,maxLat" (orden GeoJSON) en una región; null si no se define
+ */
+const parseBoundingBox = (value) => {
+  if (!value) {
+    return null;
+  }
+  const [minLng, minLat, maxLng, maxLat] = value.split(',').map(part => parseFloat(part));
+  return { minLat, maxLat, minLng, maxLng };
+};
+
+/**
+ * Convierte una lista "tipo.campo:acción" en reglas por tipo
+ * (mobile.email:hmac,mobile.name:truncate → { mobile: { email: 'hmac', name: 'truncate' } })
+ */
+const parseFieldRules = (value) => parseKeyList(value)
+  .map(entry => entry.split(':').map(part => part.trim()))
+  .filter(([target, action]) => target && target.includes('.') && action)
+  .reduce((rules, [target, action]) => {
+    const [dataType, field] = target.split('.');
+    rules[dataType] = { ...rules[dataType], [field]: action.toLowerCase() };
+    return rules;
+  }, {});
+
 /**
  * Configuración centralizada del microservicio
  */
@@ -26,24 +72,67 @@ export const config = {
     keyPrefix: process.env.REDIS_KEY_PREFIX || 'gps:',
     retryDelayOnFailover: 100,
     maxRetriesPerRequest: 3,
-    lazyConnect: true
+    lazyConnect: true,
+    // Modo de conexión: standalone, sentinel o cluster
+    mode: process.env.REDIS_MODE || 'standalone',
+    username: process.env.REDIS_USERNAME || null,
+    // Archivo JSON opcional que sobrescribe esta sección (mismas claves)
+    configFile: process.env.REDIS_CONFIG_FILE || null,
+    sentinel: {
+      // host:port separados por comas
+      nodes: parseKeyList(process.env.REDIS_SENTINELS),
+      masterName: process.env.REDIS_SENTINEL_MASTER_NAME || 'mymaster',
+      password: process.env.REDIS_SENTINEL_PASSWORD || null,
+      tls: process.env.REDIS_SENTINEL_TLS === 'true'
+    },
+    cluster: {
+      // host:port separados por comas
+      nodes: parseKeyList(process.env.REDIS_CLUSTER_NODES),
+      scaleReads: process.env.REDIS_CLUSTER_SCALE_READS || 'master',
+      // Necesario en clusters administrados con TLS que anuncian IPs privadas (ej: ElastiCache)
+      dnsLookupPassthrough: process.env.REDIS_CLUSTER_DNS_LOOKUP_PASSTHROUGH === 'true'
+    },
+    tls: {
+      enabled: process.env.REDIS_TLS_ENABLED === 'true',
+      caFile: process.env.REDIS_TLS_CA_FILE || null,
+      certFile: process.env.REDIS_TLS_CERT_FILE || null,
+      keyFile: process.env.REDIS_TLS_KEY_FILE || null,
+      servername: process.env.REDIS_TLS_SERVERNAME || null,
+      rejectUnauthorized: process.env.REDIS_TLS_REJECT_UNAUTHORIZED !== 'false'
+    }
   },
 
   // Configuración GPS
   gps: {
     listKey: process.env.GPS_LIST_KEY || 'gps:history:global',
+    // Keys fijas (separadas por comas) y/o patrón SCAN para listas particionadas (ej: gps:history:*)
+    listKeys: parseKeyList(process.env.GPS_LIST_KEYS, process.env.GPS_LIST_KEY || 'gps:history:global'),
+    listKeyPattern: process.env.GPS_LIST_KEY_PATTERN || null,
     batchSize: parseInt(process.env.GPS_BATCH_SIZE) || 1000,
     outputFilePath: process.env.GPS_OUTPUT_FILE || 'tmp/gps_data.txt',
     backupEnabled: process.env.GPS_BACKUP_ENABLED === 'true',
     backupPath: process.env.GPS_BACKUP_PATH || 'tmp/backup/',
     backupMaxFiles: parseInt(process.env.GPS_BACKUP_MAX_FILES) || 3,
-    backupOnlyOnSuccess: process.env.GPS_BACKUP_ONLY_ON_SUCCESS !== 'false'
+    backupOnlyOnSuccess: process.env.GPS_BACKUP_ONLY_ON_SUCCESS !== 'false',
+    // Campos extra (separados por comas, * = todos) que se cargan en la columna JSON attributes
+    extraAttributes: parseKeyList(process.env.GPS_EXTRA_ATTRIBUTES),
+    // Columnas de las líneas CSV, en orden (ej: deviceId,lat,lng,timestamp,speed)
+    csvColumns: parseKeyList(process.env.GPS_CSV_COLUMNS)
   },
 
   // Configuración de Mobile data
   mobile: {
     listKey: process.env.MOBILE_LIST_KEY || 'mobile:history:global',
-    batchSize: parseInt(process.env.MOBILE_BATCH_SIZE) || 1000
+    listKeys: parseKeyList(process.env.MOBILE_LIST_KEYS, process.env.MOBILE_LIST_KEY || 'mobile:history:global'),
+    listKeyPattern: process.env.MOBILE_LIST_KEY_PATTERN || null,
+    batchSize: parseInt(process.env.MOBILE_BATCH_SIZE) || 1000,
+    extraAttributes: parseKeyList(process.env.MOBILE_EXTRA_ATTRIBUTES),
+    csvColumns: parseKeyList(process.env.MOBILE_CSV_COLUMNS)
+  },
+
+  // Parsers de payloads que no son JSON (NMEA, GeoJSON, CSV)
+  parsers: {
+    csvDelimiter: process.env.CSV_DELIMITER || ','
   },
 
   // Configuración de Backup Local (para procesamiento atómico)
@@ -56,12 +145,144 @@ export const config = {
     atomicProcessingTimeoutMs: parseInt(process.env.ATOMIC_PROCESSING_TIMEOUT_MS) || 30000
   },
 
+  // Configuración de extracción por chunks (listas muy grandes)
+  extraction: {
+    chunkedEnabled: process.env.CHUNKED_EXTRACTION_ENABLED === 'true',
+    chunkSize: parseInt(process.env.EXTRACTION_CHUNK_SIZE) || 5000,
+    maxChunksPerRun: parseInt(process.env.EXTRACTION_MAX_CHUNKS_PER_RUN) || 0, // 0 = sin límite
+    maxBytesPerRun: parseInt(process.env.EXTRACTION_MAX_BYTES_PER_RUN) || 0 // 0 = sin límite
+  },
+
+  // Configuración de Redis Streams como fuente de datos (alternativa a las listas)
+  streams: {
+    enabled: process.env.REDIS_SOURCE_MODE === 'stream',
+    gpsKey: process.env.REDIS_GPS_STREAM_KEY || 'gps:stream:global',
+    mobileKey: process.env.REDIS_MOBILE_STREAM_KEY || 'mobile:stream:global',
+    group: process.env.REDIS_STREAM_GROUP || 'gps-bigquery-service',
+    consumer: process.env.REDIS_STREAM_CONSUMER || `${os.hostname()}-${process.pid}`,
+    batchSize: parseInt(process.env.REDIS_STREAM_BATCH_SIZE) || 1000,
+    maxBatchesPerRun: parseInt(process.env.REDIS_STREAM_MAX_BATCHES_PER_RUN) || 0, // 0 = sin límite
+    claimIdleMs: parseInt(process.env.REDIS_STREAM_CLAIM_IDLE_MS) || 300000
+  },
+
+  // Validación de timestamps de los puntos
+  // lenient: timestamps ausentes o inválidos se reemplazan por la hora actual (comportamiento histórico)
+  // flag: igual que lenient, pero los timestamps fuera de la ventana se conservan marcados
+  // strict: se rechazan timestamps ausentes, inválidos o fuera de la ventana
+  timestampValidation: {
+    mode: process.env.TIMESTAMP_VALIDATION_MODE || 'lenient',
+    maxFutureSeconds: parseInt(process.env.TIMESTAMP_MAX_FUTURE_SECONDS) || 300,
+    maxAgeHours: parseInt(process.env.TIMESTAMP_MAX_AGE_HOURS) || 72
+  },
+
+  // Normalización de coordenadas: los decimales con coma y los grados-minutos-segundos se convierten siempre;
+  // con una región de referencia además se corrigen lat/lng invertidas que caen fuera de ella
+  coordinates: {
+    // minLng,minLat,maxLng,maxLat, ej: Lima -77.4,-12.6,-76.6,-11.5
+    referenceRegion: parseBoundingBox(process.env.COORDINATE_REFERENCE_BBOX)
+  },
+
+  // Plausibilidad de trayectorias por dispositivo: velocidad implícita entre puntos consecutivos
+  trajectory: {
+    enabled: process.env.TRAJECTORY_CHECK_ENABLED === 'true',
+    // flag: conserva el punto con quality_flag; drop: lo descarta hacia el dead-letter
+    action: process.env.TRAJECTORY_ACTION || 'flag',
+    defaultMaxSpeedKmh: parseFloat(process.env.TRAJECTORY_DEFAULT_MAX_SPEED_KMH) || 200,
+    // Velocidad máxima por clase de vehículo (campo vehicleClass del punto), ej: bus:90,car:160
+    maxSpeedByClass: parseNumberMap(process.env.TRAJECTORY_MAX_SPEED_BY_CLASS),
+    // Saltos menores a esta distancia no se evalúan (ruido del receptor)
+    minDistanceMeters: parseInt(process.env.TRAJECTORY_MIN_DISTANCE_METERS) || 50,
+    // Hash Redis por tipo con el último punto conocido de cada dispositivo
+    lastPointKeyPrefix: process.env.TRAJECTORY_LAST_POINT_KEY_PREFIX || 'trajectory:last:',
+    lastPointMaxAgeHours: parseInt(process.env.TRAJECTORY_LAST_POINT_MAX_AGE_HOURS) || 24
+  },
+
+  // Protección de datos personales antes de escribir en disco, GCS o BigQuery
+  privacy: {
+    enabled: process.env.PRIVACY_ENABLED === 'true',
+    // Acción por campo: hmac | redact | truncate | encrypt
+    rules: parseFieldRules(process.env.PRIVACY_RULES || 'mobile.email:hmac,mobile.userId:hmac,mobile.name:truncate'),
+    hmacKey: process.env.PRIVACY_HMAC_KEY || null,
+    // Clave AES-256-GCM (32 bytes en base64 o hex), directa o desde un archivo local
+    encryptionKey: process.env.PRIVACY_ENCRYPTION_KEY || null,
+    encryptionKeyFile: process.env.PRIVACY_ENCRYPTION_KEY_FILE || null,
+    truncateLength: parseInt(process.env.PRIVACY_TRUNCATE_LENGTH) || 1,
+    redactedValue: process.env.PRIVACY_REDACTED_VALUE || '[REDACTED]',
+    // Tabla seudónimo → valor original cifrado, consultable solo con PRIVACY_ADMIN_TOKEN
+    mappingEnabled: process.env.PRIVACY_MAPPING_ENABLED === 'true',
+    mappingKeyPrefix: process.env.PRIVACY_MAPPING_KEY_PREFIX || 'privacy:map:',
+    adminToken: process.env.PRIVACY_ADMIN_TOKEN || null
+  },
+
+  // Geocercas GeoJSON (área de servicio, distritos, depósitos) para etiquetar los puntos
+  geofence: {
+    enabled: process.env.GEOFENCE_ENABLED === 'true',
+    // FeatureCollection de Polygon/MultiPolygon con properties.name y properties.kind
+    file: process.env.GEOFENCE_FILE || 'examples/geofences.lima.geojson',
+    // Kind de las geocercas que forman el área de servicio
+    serviceAreaKind: process.env.GEOFENCE_SERVICE_AREA_KIND || 'service_area',
+    // flag: conserva el punto con in_service_area = false; drop: lo descarta hacia el dead-letter
+    outsideAction: process.env.GEOFENCE_OUTSIDE_ACTION || 'flag'
+  },
+
+  // Supresión de duplicados por huella (identidad + timestamp + coordenadas redondeadas)
+  deduplication: {
+    enabled: process.env.DEDUP_ENABLED === 'true',
+    // Ventana en la que una huella ya cargada se considera duplicada en ejecuciones posteriores
+    ttlHours: parseInt(process.env.DEDUP_TTL_HOURS) || 48,
+    // Decimales de lat/lng en la huella (5 ≈ 1 metro)
+    coordinatePrecision: parseInt(process.env.DEDUP_COORDINATE_PRECISION) || 5,
+    keyPrefix: process.env.DEDUP_KEY_PREFIX || 'dedup:'
+  },
+
+  // Dead-letter de registros rechazados por validación
+  deadLetter: {
+    enabled: process.env.DEAD_LETTER_ENABLED !== 'false',
+    storagePath: process.env.DEAD_LETTER_STORAGE_PATH || 'tmp/dead-letter/',
+    // Prefijo GCS opcional donde se replica cada lote (ej: dead-letter/)
+    gcsPrefix: process.env.DEAD_LETTER_GCS_PREFIX || null,
+    retentionDays: parseInt(process.env.DEAD_LETTER_RETENTION_DAYS) || 30,
+    // Token de la API de dead-letter (payloads originales y replay a Redis); sin token la API responde 403
+    adminToken: process.env.DEAD_LETTER_ADMIN_TOKEN || null
+  },
+
+  // Reportes de validación por ejecución y tipo (GET /api/v3/validation/reports)
+  validationReports: {
+    enabled: process.env.VALIDATION_REPORTS_ENABLED !== 'false',
+    storagePath: process.env.VALIDATION_REPORTS_STORAGE_PATH || 'tmp/validation-reports/',
+    // Payloads rechazados de muestra por reporte
+    sampleSize: parseInt(process.env.VALIDATION_REPORTS_SAMPLE_SIZE) || 5,
+    // Identificadores (deviceId / userId) con más rechazos incluidos en el reporte
+    topOffenders: parseInt(process.env.VALIDATION_REPORTS_TOP_OFFENDERS) || 10,
+    retentionDays: parseInt(process.env.VALIDATION_REPORTS_RETENTION_DAYS) || 30,
+    // Token de la API de reportes (las muestras son payloads rechazados); sin token la API responde 403
+    adminToken: process.env.VALIDATION_REPORTS_ADMIN_TOKEN || null
+  },
+
+  // Configuración de ingesta HTTP (POST /api/v3/ingest/:tipo)
+  ingestion: {
+    // Escritura en Redis desde la red: deshabilitada por defecto y con token obligatorio
+    enabled: process.env.INGEST_ENABLED === 'true',
+    maxBodyBytes: parseInt(process.env.INGEST_MAX_BODY_BYTES) || 5 * 1024 * 1024,
+    maxRecordsPerRequest: parseInt(process.env.INGEST_MAX_RECORDS_PER_REQUEST) || 10000,
+    // Token requerido en Authorization: Bearer <token> o X-API-Key
+    apiKey: process.env.INGEST_API_KEY || process.env.API_KEY || null
+  },
+
   // Configuración del scheduler
   scheduler: {
     intervalMinutes: parseInt(process.env.SCHEDULER_INTERVAL_MINUTES) || 5,
     enabled: process.env.SCHEDULER_ENABLED !== 'false',
     timezone: process.env.SCHEDULER_TIMEZONE || 'America/Lima',
-    maxConcurrentJobs: parseInt(process.env.SCHEDULER_MAX_CONCURRENT) || 1
+    maxConcurrentJobs: parseInt(process.env.SCHEDULER_MAX_CONCURRENT) || 1,
+    // Ejecución anticipada cuando el backlog de las listas Redis supera un umbral
+    backlogTrigger: {
+      enabled: process.env.SCHEDULER_BACKLOG_TRIGGER_ENABLED === 'true',
+      checkIntervalSeconds: parseInt(process.env.SCHEDULER_BACKLOG_CHECK_INTERVAL_SECONDS) || 15,
+      recordThreshold: parseInt(process.env.SCHEDULER_BACKLOG_RECORD_THRESHOLD) || 0,
+      bytesThreshold: parseInt(process.env.SCHEDULER_BACKLOG_BYTES_THRESHOLD) || 0,
+      minGapSeconds: parseInt(process.env.SCHEDULER_BACKLOG_MIN_GAP_SECONDS) || 60
+    }
   },
 
   // Configuración de BigQuery
@@ -86,7 +307,47 @@ export const config = {
   gcs: {
     projectId: process.env.GCS_PROJECT_ID || process.env.BIGQUERY_PROJECT_ID || '',
     bucketName: process.env.GCS_BUCKET_NAME || 'gps-data-bucket',
-    keyFilename: process.env.GCS_KEY_FILE || process.env.GOOGLE_APPLICATION_CREDENTIALS || 'service-account.json'
+    keyFilename: process.env.GCS_KEY_FILE || process.env.GOOGLE_APPLICATION_CREDENTIALS || 'service-account.json',
+    // Plantilla del nombre de objeto (sin extensión). Tokens: {prefix} {dataType} {date} {hour}
+    // {timestamp} {runId} {chunk} {processingId}; fecha y hora del evento en partitionTimezone
+    objectNameTemplate: process.env.GCS_OBJECT_NAME_TEMPLATE || '{prefix}{timestamp}_{processingId}',
+    partitionTimezone: process.env.GCS_PARTITION_TIMEZONE || 'America/Lima',
+    // Nombres por hash del contenido (idempotentes en reintentos) en lugar de la plantilla
+    contentAddressedNames: process.env.GCS_CONTENT_ADDRESSED_NAMES !== 'false',
+    // Tamaño máximo de cada archivo JSON Lines (sin comprimir); lotes mayores se dividen en partes
+    fileLimits: {
+      maxRecords: parseInt(process.env.GCS_MAX_RECORDS_PER_FILE) || 0, // 0 = sin límite
+      maxBytes: parseInt(process.env.GCS_MAX_FILE_BYTES ?? 100 * 1024 * 1024) || 0 // 0 = sin límite
+    },
+    // Archivos más grandes que este umbral se suben con upload resumable
+    resumableThresholdBytes: parseInt(process.env.GCS_RESUMABLE_THRESHOLD_BYTES) || 8 * 1024 * 1024,
+    // Formato de los archivos de staging: jsonl (NEWLINE_DELIMITED_JSON), avro o parquet
+    outputFormat: (process.env.GCS_OUTPUT_FORMAT || 'jsonl').toLowerCase(),
+    // Compresión gzip de los archivos JSON Lines (BigQuery carga .json.gz directamente)
+    compression: {
+      enabled: process.env.GCS_GZIP_ENABLED === 'true',
+      level: parseInt(process.env.GCS_GZIP_LEVEL) || 6
+    }
+  },
+
+  // Backend de almacenamiento de los archivos de staging: gcs, s3 (compatible, ej. MinIO) o local.
+  // GCS_SIMULATION_MODE=true equivale a STORAGE_BACKEND=local (y pasa por las mismas validaciones)
+  storage: {
+    backend: process.env.GCS_SIMULATION_MODE === 'true'
+      ? 'local'
+      : (process.env.STORAGE_BACKEND || 'gcs').toLowerCase(),
+    local: {
+      rootPath: process.env.LOCAL_STORAGE_PATH || process.env.GCS_LOCAL_SIMULATION_PATH || 'tmp/gcs-simulation/'
+    },
+    s3: {
+      endpoint: process.env.S3_ENDPOINT || '',
+      region: process.env.S3_REGION || 'us-east-1',
+      bucketName: process.env.S3_BUCKET_NAME || '',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID || '',
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || '',
+      // MinIO y la mayoría de servicios compatibles requieren URLs con el bucket en la ruta
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false'
+    }
   },
 
   // Configuración de logging
@@ -121,12 +382,15 @@ export const config = {
 
 /**
  * Valida la configuración requerida
+ * @param {Array} dataTypes - Tipos registrados (dataTypeRegistry.list()), para las reglas que dependen del tipo
  */
-export function validateConfig() {
-  const required = [
-    'REDIS_HOST',
-    'GPS_LIST_KEY'
-  ];
+export function validateConfig(dataTypes = []) {
+  const required = ['GPS_LIST_KEY'];
+
+  // En modo sentinel/cluster (o con archivo de configuración) los nodos se validan al crear el cliente
+  if (config.redis.mode === 'standalone' && !config.redis.configFile) {
+    required.unshift('REDIS_HOST');
+  }
 
   const missing = required.filter(key => !process.env[key]);
   
@@ -137,6 +401,9 @@ export function validateConfig() {
   // Validar configuración de backup local
   validateBackupConfig();
 
+  // Validar configuración de extracción por chunks
+  validateExtractionConfig(dataTypes);
+
   // Validar configuración GCP
   try {
     validateGCPConfig();
@@ -185,6 +452,128 @@ function validateBackupConfig() {
   }
 }
 
+/**
+ * Valida la configuración de extracción por chunks, por streams, del disparo por backlog y de ingesta HTTP
+ * @param {Array} dataTypes - Tipos registrados ({ name, identityField })
+ */
+function validateExtractionConfig(dataTypes = []) {
+  const extractionConfig = config.extraction;
+
+  if (extractionConfig.chunkSize <= 0) {
+    throw new Error('EXTRACTION_CHUNK_SIZE debe ser un número mayor a 0');
+  }
+
+  if (extractionConfig.maxChunksPerRun < 0) {
+    throw new Error('EXTRACTION_MAX_CHUNKS_PER_RUN debe ser un número mayor o igual a 0');
+  }
+
+  if (extractionConfig.maxBytesPerRun < 0) {
+    throw new Error('EXTRACTION_MAX_BYTES_PER_RUN debe ser un número mayor o igual a 0');
+  }
+
+  if (config.streams.batchSize <= 0) {
+    throw new Error('REDIS_STREAM_BATCH_SIZE debe ser un número mayor a 0');
+  }
+
+  if (config.streams.claimIdleMs <= 0) {
+    throw new Error('REDIS_STREAM_CLAIM_IDLE_MS debe ser un número mayor a 0');
+  }
+
+  const backlogTrigger = config.scheduler.backlogTrigger;
+  if (backlogTrigger.enabled && backlogTrigger.recordThreshold <= 0 && backlogTrigger.bytesThreshold <= 0) {
+    throw new Error('SCHEDULER_BACKLOG_RECORD_THRESHOLD o SCHEDULER_BACKLOG_BYTES_THRESHOLD es requerido cuando SCHEDULER_BACKLOG_TRIGGER_ENABLED=true');
+  }
+
+  if (config.ingestion.enabled && !config.ingestion.apiKey) {
+    throw new Error('INGEST_API_KEY (o API_KEY) es requerido cuando INGEST_ENABLED=true');
+  }
+
+  if (config.ingestion.maxBodyBytes <= 0 || config.ingestion.maxRecordsPerRequest <= 0) {
+    throw new Error('INGEST_MAX_BODY_BYTES e INGEST_MAX_RECORDS_PER_REQUEST deben ser mayores a 0');
+  }
+
+  const templateTokens = [...config.gcs.objectNameTemplate.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+  const knownTokens = ['prefix', 'dataType', 'date', 'hour', 'timestamp', 'runId', 'chunk', 'processingId'];
+  if (!templateTokens.includes('processingId') || templateTokens.some(token => !knownTokens.includes(token))) {
+    throw new Error(`GCS_OBJECT_NAME_TEMPLATE debe incluir {processingId} y solo admite los tokens ${knownTokens.map(token => `{${token}}`).join(', ')}`);
+  }
+
+  if (config.gcs.fileLimits.maxRecords < 0 || config.gcs.fileLimits.maxBytes < 0) {
+    throw new Error('GCS_MAX_RECORDS_PER_FILE y GCS_MAX_FILE_BYTES no pueden ser negativos');
+  }
+
+  const requestedBackend = (process.env.STORAGE_BACKEND || 'local').toLowerCase();
+  if (process.env.GCS_SIMULATION_MODE === 'true' && requestedBackend !== 'local') {
+    throw new Error(`GCS_SIMULATION_MODE=true usa el backend local y no se puede combinar con STORAGE_BACKEND=${requestedBackend}`);
+  }
+
+  if (!['gcs', 's3', 'local'].includes(config.storage.backend)) {
+    throw new Error('STORAGE_BACKEND debe ser "gcs", "s3" o "local"');
+  }
+
+  if (config.storage.backend === 's3' && !config.storage.s3.bucketName) {
+    throw new Error('S3_BUCKET_NAME es requerido cuando STORAGE_BACKEND=s3');
+  }
+
+  // BigQuery solo carga desde GCS: con s3 o local cada job de carga fallaría
+  if (config.storage.backend !== 'gcs' && process.env.BIGQUERY_SIMULATION_MODE !== 'true') {
+    throw new Error(`STORAGE_BACKEND=${config.storage.backend} requiere BIGQUERY_SIMULATION_MODE=true (BigQuery solo carga desde GCS)`);
+  }
+
+  if (!['jsonl', 'avro', 'parquet'].includes(config.gcs.outputFormat)) {
+    throw new Error('GCS_OUTPUT_FORMAT debe ser "jsonl", "avro" o "parquet"');
+  }
+
+  if (config.gcs.compression.level < 1 || config.gcs.compression.level > 9) {
+    throw new Error('GCS_GZIP_LEVEL debe estar entre 1 y 9');
+  }
+
+  if (!['lenient', 'flag', 'strict'].includes(config.timestampValidation.mode)) {
+    throw new Error('TIMESTAMP_VALIDATION_MODE debe ser "lenient", "flag" o "strict"');
+  }
+
+  const region = config.coordinates.referenceRegion;
+  if (region && (Object.values(region).some(value => !Number.isFinite(value)) ||
+    region.minLat >= region.maxLat || region.minLng >= region.maxLng)) {
+    throw new Error('COORDINATE_REFERENCE_BBOX debe tener el formato minLng,minLat,maxLng,maxLat');
+  }
+
+  if (!['flag', 'drop'].includes(config.trajectory.action)) {
+    throw new Error('TRAJECTORY_ACTION debe ser "flag" o "drop"');
+  }
+
+  if (!['flag', 'drop'].includes(config.geofence.outsideAction)) {
+    throw new Error('GEOFENCE_OUTSIDE_ACTION debe ser "flag" o "drop"');
+  }
+
+  if (config.privacy.enabled) {
+    const actions = Object.values(config.privacy.rules).flatMap(fields => Object.values(fields));
+    const hasEncryptionKey = Boolean(config.privacy.encryptionKey || config.privacy.encryptionKeyFile);
+
+    if (actions.some(action => !['hmac', 'redact', 'truncate', 'encrypt'].includes(action))) {
+      throw new Error('PRIVACY_RULES solo admite las acciones hmac, redact, truncate o encrypt');
+    }
+    if (actions.includes('hmac') && !config.privacy.hmacKey) {
+      throw new Error('PRIVACY_HMAC_KEY es requerido cuando PRIVACY_RULES usa hmac');
+    }
+    if ((actions.includes('encrypt') || config.privacy.mappingEnabled) && !hasEncryptionKey) {
+      throw new Error('PRIVACY_ENCRYPTION_KEY o PRIVACY_ENCRYPTION_KEY_FILE es requerido para encrypt y PRIVACY_MAPPING_ENABLED');
+    }
+    if (config.privacy.mappingEnabled && !config.privacy.adminToken) {
+      throw new Error('PRIVACY_ADMIN_TOKEN es requerido cuando PRIVACY_MAPPING_ENABLED=true');
+    }
+
+    // Deduplicación y trayectorias agrupan por el campo de identidad ya protegido: solo hmac es estable y
+    // distingue identidades (encrypt usa un IV aleatorio; truncate y redact mezclan dispositivos o usuarios)
+    for (const { name, identityField } of dataTypes) {
+      const action = identityField && config.privacy.rules[name]?.[identityField];
+      if (action && action !== 'hmac') {
+        throw new Error(`PRIVACY_RULES: ${name}.${identityField} es el campo de identidad del tipo y solo admite hmac (recibido ${action})`);
+      }
+    }
+  }
+}
+
 /**
  * Obtiene configuración específica por ambiente
  */
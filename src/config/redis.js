@@ -1,8 +1,245 @@
 import Redis from 'ioredis';
+import fs from 'fs';
 import { config } from './env.js';
 import { logger } from '../utils/logger.js';
 
 let redisClient = null;
+let resolvedRedisConfig = null;
+
+const REDIS_MODES = ['standalone', 'sentinel', 'cluster'];
+
+/**
+ * Resuelve la configuración de Redis: variables de entorno (config.redis) sobrescritas
+ * por el archivo JSON de REDIS_CONFIG_FILE si está configurado
+ * @param {Object} baseConfig - Configuración base (por defecto config.redis)
+ * @returns {Object} Configuración efectiva
+ */
+export function resolveRedisConfig(baseConfig = config.redis) {
+  if (!baseConfig.configFile) {
+    return baseConfig;
+  }
+
+  const fileConfig = JSON.parse(fs.readFileSync(baseConfig.configFile, 'utf8'));
+
+  return {
+    ...baseConfig,
+    ...fileConfig,
+    sentinel: { ...baseConfig.sentinel, ...fileConfig.sentinel },
+    cluster: { ...baseConfig.cluster, ...fileConfig.cluster },
+    tls: { ...baseConfig.tls, ...fileConfig.tls }
+  };
+}
+
+/**
+ * Obtiene la configuración efectiva de Redis (cacheada)
+ */
+export function getRedisConfig() {
+  if (!resolvedRedisConfig) {
+    resolvedRedisConfig = resolveRedisConfig();
+  }
+  return resolvedRedisConfig;
+}
+
+/**
+ * Convierte una lista de nodos ("host:port" u objetos { host, port }) al formato de ioredis
+ * @param {Array} nodes - Nodos configurados
+ * @param {number} defaultPort - Puerto por defecto
+ * @returns {Array} Nodos { host, port }
+ */
+export function parseRedisNodes(nodes = [], defaultPort = 6379) {
+  return nodes.map(node => {
+    if (typeof node === 'object') {
+      return { host: node.host, port: parseInt(node.port) || defaultPort };
+    }
+
+    const separatorIndex = node.lastIndexOf(':');
+    if (separatorIndex === -1) {
+      return { host: node, port: defaultPort };
+    }
+
+    return {
+      host: node.slice(0, separatorIndex),
+      port: parseInt(node.slice(separatorIndex + 1)) || defaultPort
+    };
+  });
+}
+
+/**
+ * Construye las opciones TLS (CA y certificado de cliente) a partir de la configuración
+ * @param {Object} tlsConfig - Sección tls de la configuración
+ * @returns {Object|null} Opciones TLS para ioredis o null si TLS está deshabilitado
+ */
+export function buildTLSOptions(tlsConfig = {}) {
+  if (!tlsConfig.enabled) {
+    return null;
+  }
+
+  const tls = {
+    rejectUnauthorized: tlsConfig.rejectUnauthorized !== false
+  };
+
+  if (tlsConfig.caFile) {
+    tls.ca = fs.readFileSync(tlsConfig.caFile);
+  }
+
+  if (tlsConfig.certFile) {
+    tls.cert = fs.readFileSync(tlsConfig.certFile);
+  }
+
+  if (tlsConfig.keyFile) {
+    tls.key = fs.readFileSync(tlsConfig.keyFile);
+  }
+
+  if (tlsConfig.servername) {
+    tls.servername = tlsConfig.servername;
+  }
+
+  return tls;
+}
+
+/**
+ * Construye las opciones de conexión según el modo (standalone, sentinel o cluster)
+ * @param {Object} redisConfig - Configuración efectiva de Redis
+ * @returns {Object} { mode, nodes, options } listo para crear el cliente
+ */
+export function buildRedisOptions(redisConfig) {
+  const mode = redisConfig.mode || 'standalone';
+
+  if (!REDIS_MODES.includes(mode)) {
+    throw new Error(`REDIS_MODE inválido: ${mode}. Valores permitidos: ${REDIS_MODES.join(', ')}`);
+  }
+
+  // Redis Cloud requiere TLS aunque no esté habilitado explícitamente
+  const host = redisConfig.host || '';
+  const isRedisCloud = host.includes('redislabs.com') || host.includes('redis.cloud');
+  const tls = buildTLSOptions({
+    ...redisConfig.tls,
+    enabled: Boolean(redisConfig.tls?.enabled) || (mode === 'standalone' && isRedisCloud)
+  });
+
+  const authOptions = {
+    ...(redisConfig.username && { username: redisConfig.username }),
+    ...(redisConfig.password && { password: redisConfig.password }),
+    ...(tls && { tls })
+  };
+
+  const commonOptions = {
+    retryDelayOnFailover: redisConfig.retryDelayOnFailover,
+    maxRetriesPerRequest: redisConfig.maxRetriesPerRequest,
+    lazyConnect: redisConfig.lazyConnect
+    // keyPrefix removido porque las claves ya incluyen el prefijo
+  };
+
+  if (mode === 'sentinel') {
+    const sentinels = parseRedisNodes(redisConfig.sentinel?.nodes, 26379);
+    if (sentinels.length === 0) {
+      throw new Error('REDIS_SENTINELS es requerido en modo sentinel');
+    }
+
+    const sentinelTLS = redisConfig.sentinel.tls && tls;
+
+    return {
+      mode,
+      nodes: sentinels,
+      options: {
+        sentinels,
+        name: redisConfig.sentinel.masterName,
+        db: redisConfig.db,
+        ...(redisConfig.sentinel.password && { sentinelPassword: redisConfig.sentinel.password }),
+        ...(sentinelTLS && { enableTLSForSentinelMode: true, sentinelTLS: tls }),
+        ...authOptions,
+        ...commonOptions
+      }
+    };
+  }
+
+  if (mode === 'cluster') {
+    const nodes = parseRedisNodes(redisConfig.cluster?.nodes);
+    if (nodes.length === 0) {
+      throw new Error('REDIS_CLUSTER_NODES es requerido en modo cluster');
+    }
+
+    return {
+      mode,
+      nodes,
+      options: {
+        lazyConnect: redisConfig.lazyConnect,
+        scaleReads: redisConfig.cluster.scaleReads,
+        // Cluster no soporta db distinta de 0
+        redisOptions: {
+          ...authOptions,
+          maxRetriesPerRequest: redisConfig.maxRetriesPerRequest
+        },
+        ...(redisConfig.cluster.dnsLookupPassthrough && {
+          dnsLookup: (address, callback) => callback(null, address)
+        })
+      }
+    };
+  }
+
+  return {
+    mode,
+    nodes: [{ host: redisConfig.host, port: redisConfig.port }],
+    options: {
+      host: redisConfig.host,
+      port: redisConfig.port,
+      db: redisConfig.db,
+      ...authOptions,
+      ...commonOptions
+    }
+  };
+}
+
+/**
+ * Indica si el cliente opera contra Redis Cluster
+ */
+export function isClusterMode() {
+  return getRedisConfig().mode === 'cluster';
+}
+
+/**
+ * Agrupa una key bajo un hash tag en modo cluster para que sus keys derivadas
+ * (staging, inflight) caigan en el mismo slot y los scripts Lua/RENAME sigan siendo válidos.
+ * Una key sin hash tag tiene el mismo slot que "{key}", por lo que la key original no cambia de slot.
+ * @param {string} key - Key base
+ * @param {boolean} clusterMode - Forzar modo (por defecto según configuración)
+ * @returns {string} Key con hash tag si corresponde
+ */
+export function hashTagKey(key, clusterMode = isClusterMode()) {
+  if (!clusterMode || /\{[^}]+\}/.test(key)) {
+    return key;
+  }
+  return `{${key}}`;
+}
+
+/**
+ * Quita el hash tag agregado por hashTagKey
+ * @param {string} key - Key con o sin hash tag envolvente
+ * @returns {string} Key original
+ */
+export function untagKey(key) {
+  return key.startsWith('{') && key.endsWith('}') && key.indexOf('}') === key.length - 1
+    ? key.slice(1, -1)
+    : key;
+}
+
+/**
+ * Describe el destino de conexión para logs
+ */
+export function describeRedisTarget() {
+  const redisConfig = getRedisConfig();
+  const tls = redisConfig.tls?.enabled ? ' (TLS)' : '';
+
+  if (redisConfig.mode === 'sentinel') {
+    return `sentinel ${redisConfig.sentinel.masterName}@${redisConfig.sentinel.nodes.join(',')}${tls}`;
+  }
+
+  if (redisConfig.mode === 'cluster') {
+    return `cluster ${redisConfig.cluster.nodes.join(',')}${tls}`;
+  }
+
+  return `${redisConfig.host}:${redisConfig.port}/${redisConfig.db}${tls}`;
+}
 
 /**
  * Crea y configura el cliente Redis
@@ -13,27 +250,13 @@ export function createRedisClient() {
   }
 
   try {
-    const redisConfig = {
-      host: config.redis.host,
-      port: config.redis.port,
-      db: config.redis.db,
-      retryDelayOnFailover: config.redis.retryDelayOnFailover,
-      maxRetriesPerRequest: config.redis.maxRetriesPerRequest,
-      lazyConnect: config.redis.lazyConnect
-      // keyPrefix removido porque las claves ya incluyen el prefijo
-    };
+    const { mode, nodes, options } = buildRedisOptions(getRedisConfig());
 
-    // Configuración para Redis Cloud con SSL (opcional)
-    if (config.redis.tls || config.redis.host.includes('redislabs.com') || config.redis.host.includes('redis.cloud')) {
-      redisConfig.tls = {};
-    }
+    redisClient = mode === 'cluster'
+      ? new Redis.Cluster(nodes, options)
+      : new Redis(options);
 
-    // Agregar password si está configurado
-    if (config.redis.password) {
-      redisConfig.password = config.redis.password;
-    }
-
-    redisClient = new Redis(redisConfig);
+    logger.info(`🔧 Cliente Redis en modo ${mode}: ${describeRedisTarget()}`);
 
     // Configurar eventos
     redisClient.on('connect', () => {
@@ -56,6 +279,12 @@ export function createRedisClient() {
       logger.info(`🔄 Reconectando a Redis en ${delay}ms...`);
     });
 
+    if (mode === 'cluster') {
+      redisClient.on('node error', (error, address) => {
+        logger.error(`❌ Error en nodo Redis Cluster ${address}:`, error.message);
+      });
+    }
+
     return redisClient;
 
   } catch (error) {
@@ -102,4 +331,4 @@ export async function pingRedis() {
     logger.error('❌ Error en ping Redis:', error.message);
     return false;
   }
-}
\ No newline at end of file
+}
@@ -1,4 +1,6 @@
 import { config, validateConfig } from './config/env.js';
+import { describeRedisTarget } from './config/redis.js';
+import { dataTypeRegistry } from './config/dataTypes.js';
 import { logger } from './utils/logger.js';
 import { GPSProcessorService } from './services/GPSProcessorService.js';
 import { HybridGPSProcessor } from './services/HybridGPSProcessor.js';
@@ -30,7 +32,7 @@ class GPSBigQueryService {
       logger.info('🚀 Inicializando GPS BigQuery Service...');
 
       // Validar configuración
-      validateConfig();
+      validateConfig(dataTypeRegistry.list());
 
       // Inicializar logger con configuración
       logger.initialize(config);
@@ -223,7 +225,7 @@ class GPSBigQueryService {
    */
   logConfiguration() {
     logger.info('⚙️ Configuración del servicio:');
-    logger.info(`   📊 Redis: ${config.redis.host}:${config.redis.port}/${config.redis.db}`);
+    logger.info(`   📊 Redis: ${describeRedisTarget()}`);
     logger.info(`   📍 GPS Key: ${config.gps.listKey}`);
     logger.info(`   📁 Archivo salida: ${config.gps.outputFilePath}`);
     logger.info(`   ⏰ Intervalo: ${config.scheduler.intervalMinutes} minutos`);
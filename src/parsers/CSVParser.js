@@ -0,0 +1,93 @@
+import { config } from '../config/env.js';
+
+/**
+ * Parser de líneas CSV según el layout de columnas del tipo (csvColumns en el registro de tipos).
+ * Una línea se reconoce si tiene exactamente tantas columnas como el layout; una línea igual a los
+ * nombres de columna se considera encabezado y no produce registros.
+ */
+export class CSVParser {
+  constructor(csvConfig = config.parsers) {
+    this.name = 'csv';
+    this.label = 'CSV';
+    this.delimiter = csvConfig.csvDelimiter;
+  }
+
+  /**
+   * Detecta una línea con el número de columnas del layout del tipo
+   * @param {*} value - Valor crudo
+   * @param {Object} context - { csvColumns }
+   */
+  detect(value, context = {}) {
+    const columns = context.csvColumns || [];
+
+    if (typeof value !== 'string' || columns.length < 2 || /^\s*[{[]/.test(value)) {
+      return false;
+    }
+
+    try {
+      return this.split(value).length === columns.length;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Convierte una línea en un registro con los nombres de columna del layout
+   * @param {string} value - Línea CSV
+   * @param {Object} context - { csvColumns }
+   * @returns {Array} [registro] o [] si es el encabezado
+   */
+  parse(value, context = {}) {
+    const columns = context.csvColumns;
+    const values = this.split(value);
+
+    if (values.every((cell, index) => cell === columns[index])) {
+      return [];
+    }
+
+    return [Object.fromEntries(
+      columns
+        .map((column, index) => [column, values[index]])
+        .filter(([, cell]) => cell !== '')
+    )];
+  }
+
+  /**
+   * Separa una línea respetando comillas dobles ("a,b" y "" como comilla escapada)
+   */
+  split(line) {
+    const cells = [];
+    let current = '';
+    let quoted = false;
+    const text = line.trim();
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          current += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          current += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === this.delimiter) {
+        cells.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+
+    if (quoted) {
+      throw new Error('Comillas sin cerrar en la línea CSV');
+    }
+
+    cells.push(current.trim());
+    return cells;
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * Parser de GeoJSON: Feature con geometría Point o FeatureCollection de ellas.
+ * Las properties pasan al registro y las coordenadas [lng, lat, altitud?] a lat/lng/altitude
+ */
+export class GeoJSONParser {
+  constructor() {
+    this.name = 'geojson';
+    this.label = 'GeoJSON';
+  }
+
+  /**
+   * Detecta un Feature o FeatureCollection (objeto o JSON string)
+   */
+  detect(value) {
+    if (typeof value === 'string') {
+      return /^\s*\{/.test(value) && /"type"\s*:\s*"Feature(Collection)?"/.test(value);
+    }
+    return Boolean(value) && typeof value === 'object' && ['Feature', 'FeatureCollection'].includes(value.type);
+  }
+
+  /**
+   * Convierte un Feature o FeatureCollection en registros canónicos
+   * @param {Object|string} value - GeoJSON
+   * @returns {Array} Registros (uno por Feature)
+   */
+  parse(value) {
+    const geojson = typeof value === 'string' ? JSON.parse(value) : value;
+
+    if (geojson.type === 'FeatureCollection') {
+      if (!Array.isArray(geojson.features)) {
+        throw new Error('FeatureCollection sin arreglo features');
+      }
+      return geojson.features.map((feature, index) => this.parseFeature(feature, index));
+    }
+
+    return [this.parseFeature(geojson)];
+  }
+
+  /**
+   * Convierte un Feature Point en un registro
+   */
+  parseFeature(feature, index = null) {
+    const where = index === null ? 'Feature' : `Feature ${index}`;
+
+    if (feature?.type !== 'Feature' || feature.geometry?.type !== 'Point') {
+      throw new Error(`${where} debe tener geometría Point`);
+    }
+
+    const [lng, lat, altitude] = feature.geometry.coordinates || [];
+    if (typeof lng !== 'number' || typeof lat !== 'number') {
+      throw new Error(`${where} con coordenadas inválidas`);
+    }
+
+    const record = { ...feature.properties, lat, lng };
+    if (typeof altitude === 'number' && record.altitude === undefined) {
+      record.altitude = altitude;
+    }
+
+    return record;
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * Parser de sentencias NMEA 0183 de trackers legacy: $GPRMC y $GPGGA (también $GN.. / $GL..).
+ *
+ * La sentencia puede venir precedida por el identificador del dispositivo
+ * ("dev-1,$GPRMC,..." o "dev-1|$GPRMC,..."), que se asigna al campo de identidad del tipo.
+ * Si trae checksum (*hh) se verifica.
+ */
+export class NMEAParser {
+  constructor() {
+    this.name = 'nmea';
+    this.label = 'NMEA';
+  }
+
+  /**
+   * Detecta una sentencia NMEA (con o sin prefijo de dispositivo)
+   */
+  detect(value) {
+    return typeof value === 'string' && /^\s*(?:[^$\s]+\s*[,;|\s]\s*)?\$[A-Z]{2}(?:RMC|GGA),/.test(value);
+  }
+
+  /**
+   * Convierte una sentencia en un registro canónico
+   * @param {string} value - Sentencia NMEA
+   * @param {Object} context - { identityField }
+   * @returns {Array} [registro]
+   */
+  parse(value, context = {}) {
+    const text = value.trim();
+    const start = text.indexOf('$');
+    const deviceId = text.slice(0, start).replace(/[,;|\s]+$/, '');
+    const sentence = text.slice(start);
+
+    this.verifyChecksum(sentence);
+
+    const fields = sentence.split('*')[0].split(',');
+    const kind = fields[0].slice(3);
+    const record = kind === 'RMC' ? this.parseRMC(fields) : this.parseGGA(fields);
+
+    if (deviceId && context.identityField) {
+      record[context.identityField] = deviceId;
+    }
+
+    return [record];
+  }
+
+  /**
+   * $GPRMC,hhmmss.ss,A,llll.ll,a,yyyyy.yy,a,nudos,rumbo,ddmmyy,...
+   */
+  parseRMC(fields) {
+    const [, time, status, lat, ns, lng, ew, knots, course, date] = fields;
+
+    if (status !== 'A') {
+      throw new Error('RMC sin posición válida (estado V)');
+    }
+    if (!/^\d{6}$/.test(date || '')) {
+      throw new Error(`RMC con fecha inválida: ${date}`);
+    }
+
+    const record = {
+      lat: this.parseCoordinate(lat, ns, 2),
+      lng: this.parseCoordinate(lng, ew, 3),
+      timestamp: this.buildTimestamp(time, `20${date.slice(4, 6)}-${date.slice(2, 4)}-${date.slice(0, 2)}`)
+    };
+
+    if (knots !== '' && !isNaN(parseFloat(knots))) {
+      record.speed = Math.round(parseFloat(knots) * 1.852 * 100) / 100;
+    }
+    if (course !== '' && !isNaN(parseFloat(course))) {
+      record.heading = parseFloat(course);
+    }
+
+    return record;
+  }
+
+  /**
+   * $GPGGA,hhmmss.ss,llll.ll,a,yyyyy.yy,a,calidad,satélites,hdop,altitud,M,...
+   * GGA no trae fecha: se usa la fecha UTC actual (el día anterior si la hora quedaría en el futuro)
+   */
+  parseGGA(fields) {
+    const [, time, lat, ns, lng, ew, quality, , , altitude] = fields;
+
+    if (!quality || quality === '0') {
+      throw new Error('GGA sin fix (calidad 0)');
+    }
+
+    const now = new Date();
+    let timestamp = this.buildTimestamp(time, now.toISOString().slice(0, 10));
+    if (Date.parse(timestamp) - now.getTime() > 60 * 60 * 1000) {
+      const yesterday = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+      timestamp = this.buildTimestamp(time, yesterday.toISOString().slice(0, 10));
+    }
+
+    const record = {
+      lat: this.parseCoordinate(lat, ns, 2),
+      lng: this.parseCoordinate(lng, ew, 3),
+      timestamp
+    };
+
+    if (altitude !== '' && !isNaN(parseFloat(altitude))) {
+      record.altitude = parseFloat(altitude);
+    }
+
+    return record;
+  }
+
+  /**
+   * Convierte (d)ddmm.mmmm + hemisferio a grados decimales
+   */
+  parseCoordinate(value, hemisphere, degreeDigits) {
+    if (!/^\d+(\.\d+)?$/.test(value || '') || !['N', 'S', 'E', 'W'].includes(hemisphere)) {
+      throw new Error(`Coordenada NMEA inválida: ${value}${hemisphere || ''}`);
+    }
+
+    const degrees = parseInt(value.slice(0, degreeDigits), 10);
+    const minutes = parseFloat(value.slice(degreeDigits));
+    const decimal = Math.round((degrees + minutes / 60) * 1e7) / 1e7;
+
+    return hemisphere === 'S' || hemisphere === 'W' ? -decimal : decimal;
+  }
+
+  /**
+   * Combina la hora NMEA (hhmmss.ss, UTC) con una fecha YYYY-MM-DD
+   */
+  buildTimestamp(time, date) {
+    if (!/^\d{6}(\.\d+)?$/.test(time || '')) {
+      throw new Error(`Hora NMEA inválida: ${time}`);
+    }
+
+    const milliseconds = time.includes('.') ? Math.round(parseFloat(`0${time.slice(6)}`) * 1000) : 0;
+    const timestamp = `${date}T${time.slice(0, 2)}:${time.slice(2, 4)}:${time.slice(4, 6)}.${String(milliseconds).padStart(3, '0')}Z`;
+
+    if (isNaN(Date.parse(timestamp))) {
+      throw new Error(`Fecha NMEA inválida: ${date} ${time}`);
+    }
+    return timestamp;
+  }
+
+  /**
+   * Verifica el checksum XOR entre $ y * si la sentencia lo trae
+   */
+  verifyChecksum(sentence) {
+    const [body, checksum] = sentence.slice(1).split('*');
+    if (checksum === undefined) {
+      return;
+    }
+
+    let computed = 0;
+    for (const char of body) {
+      computed ^= char.charCodeAt(0);
+    }
+
+    if (computed !== parseInt(checksum.trim().slice(0, 2), 16)) {
+      throw new Error(`Checksum NMEA inválido: *${checksum.trim()}`);
+    }
+  }
+}
@@ -0,0 +1,128 @@
+import { dataTypeRegistry } from '../config/dataTypes.js';
+import { NMEAParser } from './NMEAParser.js';
+import { GeoJSONParser } from './GeoJSONParser.js';
+import { CSVParser } from './CSVParser.js';
+
+/**
+ * JSON: formato por defecto. Los objetos ya parseados por el repositorio pasan tal cual
+ */
+const jsonParser = {
+  name: 'json',
+  label: 'JSON',
+  detect: () => true,
+  parse: value => [typeof value === 'string' ? JSON.parse(value) : value]
+};
+
+/**
+ * Registro de parsers de payloads crudos de Redis.
+ *
+ * Cada parser declara:
+ * - name / label: clave en las estadísticas y nombre para mensajes de error
+ * - detect(value, context): true si reconoce el valor
+ * - parse(value, context): registros canónicos (uno o varios); lanza error si el valor está mal formado
+ *
+ * context trae el tipo de datos, su identityField y sus csvColumns. Los parsers se prueban en orden
+ * de registro; si ninguno reconoce el valor se interpreta como JSON.
+ */
+export class PayloadParserRegistry {
+  constructor() {
+    this.parsers = [];
+  }
+
+  /**
+   * Registra (o reemplaza) un parser
+   * @param {Object} parser - { name, label, detect, parse }
+   * @returns {Object} Parser registrado
+   */
+  register(parser) {
+    if (!parser?.name || typeof parser.detect !== 'function' || typeof parser.parse !== 'function') {
+      throw new Error('Un parser debe declarar name, detect y parse');
+    }
+
+    this.unregister(parser.name);
+    this.parsers.push(parser);
+    return parser;
+  }
+
+  /**
+   * Elimina un parser del registro
+   * @returns {boolean} True si existía
+   */
+  unregister(name) {
+    const index = this.parsers.findIndex(parser => parser.name === name);
+    if (index === -1) {
+      return false;
+    }
+    this.parsers.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Nombres de los formatos reconocidos, incluido JSON
+   */
+  names() {
+    return [...this.parsers.map(parser => parser.name), jsonParser.name];
+  }
+
+  /**
+   * Contexto de parseo de un tipo de datos
+   */
+  getContext(dataType) {
+    const definition = dataTypeRegistry.get(dataType);
+    return {
+      dataType,
+      identityField: definition?.identityField || null,
+      csvColumns: definition?.csvColumns || []
+    };
+  }
+
+  /**
+   * Parser que reconoce un valor (JSON si ninguno lo reconoce)
+   */
+  detect(value, context) {
+    return this.parsers.find(parser => parser.detect(value, context)) || jsonParser;
+  }
+
+  /**
+   * Indica si un valor que no es JSON lo reconoce algún parser registrado
+   */
+  recognizes(value, dataType) {
+    return this.detect(value, this.getContext(dataType)) !== jsonParser;
+  }
+
+  /**
+   * Convierte un lote de valores crudos en registros canónicos
+   * @param {Array} values - Valores de Redis (strings u objetos)
+   * @param {string} dataType - Tipo de datos registrado
+   * @returns {Object} { records: [{ index, record, format }], failures: [{ index, record, format, error }],
+   *   stats: { formato: { parsed, failed } } }
+   */
+  parseBatch(values, dataType) {
+    const context = this.getContext(dataType);
+    const records = [];
+    const failures = [];
+    const stats = {};
+
+    values.forEach((value, index) => {
+      const parser = this.detect(value, context);
+      const formatStats = stats[parser.name] || (stats[parser.name] = { parsed: 0, failed: 0 });
+
+      try {
+        const parsed = parser.parse(value, context);
+        parsed.forEach(record => records.push({ index, record, format: parser.name }));
+        formatStats.parsed++;
+      } catch (error) {
+        failures.push({ index, record: value, format: parser.name, error: `${parser.label} parse error: ${error.message}` });
+        formatStats.failed++;
+      }
+    });
+
+    return { records, failures, stats };
+  }
+}
+
+export const payloadParsers = new PayloadParserRegistry();
+
+payloadParsers.register(new GeoJSONParser());
+payloadParsers.register(new NMEAParser());
+payloadParsers.register(new CSVParser());
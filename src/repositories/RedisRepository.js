@@ -1,4 +1,4 @@
-import { createRedisClient } from '../config/redis.js';
+import { createRedisClient, hashTagKey, untagKey } from '../config/redis.js';
 import { logger } from '../utils/logger.js';
 import { config } from '../config/env.js';
 
@@ -183,34 +183,25 @@ export class RedisRepository {
    * Obtiene estadísticas de los datos GPS
    */
   async getGPSStats() {
-    try {
-      await this.connect();
-      
-      const key = config.gps.listKey;
-      const length = await this.client.llen(key);
-      const memoryUsage = await this.client.memory('usage', key).catch(() => 0);
-      
-      return {
-        totalRecords: length,
-        memoryUsage: memoryUsage,
-        key: key,
-        timestamp: new Date().toISOString()
-      };
-
-    } catch (error) {
-      logger.error('❌ Error obteniendo estadísticas GPS:', error.message);
-      throw error;
-    }
+    return await this.getListStats(config.gps.listKey, 'GPS');
   }
 
   /**
    * Obtiene estadísticas de los datos Mobile
    */
   async getMobileStats() {
+    return await this.getListStats(config.mobile.listKey, 'Mobile');
+  }
+
+  /**
+   * Obtiene estadísticas de una lista de Redis
+   * @param {string} key - Key de la lista
+   * @param {string} label - Nombre para logs (opcional)
+   */
+  async getListStats(key, label = key) {
     try {
       await this.connect();
       
-      const key = 'mobile:history:global';
       const length = await this.client.llen(key);
       const memoryUsage = await this.client.memory('usage', key).catch(() => 0);
       
@@ -222,7 +213,7 @@ export class RedisRepository {
       };
 
     } catch (error) {
-      logger.error('❌ Error obteniendo estadísticas Mobile:', error.message);
+      logger.error(`❌ Error obteniendo estadísticas ${label}:`, error.message);
       throw error;
     }
   }
@@ -296,6 +287,356 @@ export class RedisRepository {
     }
   }
 
+  /**
+   * Mueve atómicamente una lista a una key de staging (RENAME dentro de un script Lua).
+   * Los elementos que lleguen después del movimiento van a una lista nueva en la key original.
+   * @param {string} key - Clave de la lista en Redis
+   * @param {string} stagingKey - Clave de staging destino
+   * @returns {number} Número de elementos movidos (0 si la lista no existía)
+   */
+  async moveListToStaging(key, stagingKey) {
+    try {
+      await this.connect();
+
+      const script = `
+        if redis.call("exists", KEYS[1]) == 0 then
+          return 0
+        end
+        redis.call("rename", KEYS[1], KEYS[2])
+        return redis.call("llen", KEYS[2])
+      `;
+
+      const movedCount = await this.client.eval(script, 2, key, stagingKey);
+
+      logger.info(`📦 Lista ${key} movida a staging ${stagingKey} (${movedCount} elementos)`);
+      return movedCount;
+
+    } catch (error) {
+      logger.error(`❌ Error moviendo lista ${key} a staging:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca keys de staging existentes para una lista (ejecuciones interrumpidas)
+   * @param {string} key - Clave de la lista en Redis
+   * @returns {Array} Keys de staging ordenadas de la más antigua a la más reciente
+   */
+  async findStagingKeys(key) {
+    try {
+      return await this.scanKeys(`${hashTagKey(key)}:staging:*`);
+    } catch (error) {
+      logger.error(`❌ Error buscando keys de staging de ${key}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca keys que coinciden con un patrón usando SCAN (no bloquea Redis como KEYS).
+   * En Redis Cluster recorre todos los nodos master, ya que SCAN es por nodo.
+   * @param {string} pattern - Patrón MATCH (ej: gps:history:*)
+   * @param {string} type - Tipo de key a filtrar (opcional, ej: 'list')
+   * @returns {Array} Keys encontradas ordenadas
+   */
+  async scanKeys(pattern, type = null) {
+    try {
+      await this.connect();
+
+      const found = [];
+      const typeArgs = type ? ['TYPE', type] : [];
+      const nodes = this.client.isCluster ? this.client.nodes('master') : [this.client];
+
+      for (const node of nodes) {
+        let cursor = '0';
+        do {
+          const [nextCursor, keys] = await node.scan(cursor, 'MATCH', pattern, 'COUNT', 100, ...typeArgs);
+          cursor = nextCursor;
+          found.push(...keys);
+        } while (cursor !== '0');
+      }
+
+      return [...new Set(found)].sort();
+
+    } catch (error) {
+      logger.error(`❌ Error buscando keys con patrón ${pattern}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Resuelve las listas fuente de un tipo de datos: keys fijas más las que coinciden con el patrón.
+   * Las keys de staging/inflight que coinciden con el patrón se mapean a su lista de origen, así
+   * una partición drenada por una ejecución interrumpida se sigue reanudando aunque ya no exista.
+   * @param {Array} keys - Keys fijas
+   * @param {string} pattern - Patrón SCAN (opcional)
+   * @returns {Array} Keys de listas fuente sin duplicados
+   */
+  async resolveListKeys(keys = [], pattern = null) {
+    const resolved = new Set(keys);
+
+    if (pattern) {
+      // En cluster las keys de staging llevan hash tag ({key}:staging:*) y no coinciden con el patrón original
+      const taggedPattern = hashTagKey(pattern);
+      const patterns = taggedPattern === pattern ? [pattern] : [pattern, `${taggedPattern}:staging:*`];
+
+      for (const currentPattern of patterns) {
+        for (const key of await this.scanKeys(currentPattern, 'list')) {
+          const stagingIndex = key.indexOf(':staging:');
+          resolved.add(stagingIndex === -1 ? key : untagKey(key.slice(0, stagingIndex)));
+        }
+      }
+    }
+
+    return [...resolved];
+  }
+
+  /**
+   * Extrae (LPOP count) un chunk del inicio de una lista y lo copia atómicamente a una key
+   * "inflight", que se conserva hasta que el chunk quede asegurado.
+   * @param {string} key - Clave de la lista en Redis
+   * @param {number} count - Tamaño máximo del chunk
+   * @param {string} inflightKey - Key donde se retiene el chunk mientras se procesa
+   * @returns {Object} { data, bytes } con los elementos parseados y su tamaño en bytes
+   */
+  async popListChunk(key, count, inflightKey) {
+    try {
+      await this.connect();
+
+      // RPUSH en bloques para no exceder el límite de argumentos de unpack() en Lua
+      const script = `
+        local items = redis.call("lpop", KEYS[1], ARGV[1])
+        if not items then
+          return {}
+        end
+        for i = 1, #items, 1000 do
+          redis.call("rpush", KEYS[2], unpack(items, i, math.min(i + 999, #items)))
+        end
+        return items
+      `;
+
+      const rawItems = await this.client.eval(script, 2, key, inflightKey, count);
+      const bytes = rawItems.reduce((total, item) => total + Buffer.byteLength(item), 0);
+
+      const data = rawItems.map(item => {
+        try {
+          return JSON.parse(item);
+        } catch (parseError) {
+          logger.warn(`⚠️ Error parseando elemento de ${key}:`, parseError.message);
+          return item;
+        }
+      });
+
+      logger.debug(`📦 Chunk de ${data.length} elementos (${bytes} bytes) extraído de ${key}`);
+      return { data, bytes };
+
+    } catch (error) {
+      logger.error(`❌ Error extrayendo chunk de ${key}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Crea el consumer group de un stream si no existe (MKSTREAM crea el stream vacío)
+   * @param {string} streamKey - Clave del stream en Redis
+   * @param {string} group - Nombre del consumer group
+   * @returns {boolean} True si el grupo fue creado, false si ya existía
+   */
+  async ensureConsumerGroup(streamKey, group) {
+    try {
+      await this.connect();
+      await this.client.xgroup('CREATE', streamKey, group, '0', 'MKSTREAM');
+      logger.info(`✅ Consumer group ${group} creado en stream ${streamKey}`);
+      return true;
+    } catch (error) {
+      if (error.message.includes('BUSYGROUP')) {
+        return false;
+      }
+      logger.error(`❌ Error creando consumer group ${group} en ${streamKey}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Lee entradas nuevas de un stream bajo un consumer group (XREADGROUP)
+   * @param {string} streamKey - Clave del stream en Redis
+   * @param {string} group - Nombre del consumer group
+   * @param {string} consumer - Nombre del consumidor
+   * @param {number} count - Número máximo de entradas
+   * @returns {Array} Entradas { id, data }
+   */
+  async readStreamGroup(streamKey, group, consumer, count) {
+    try {
+      await this.connect();
+
+      const response = await this.client.xreadgroup(
+        'GROUP', group, consumer,
+        'COUNT', count,
+        'STREAMS', streamKey, '>'
+      );
+
+      if (!response || response.length === 0) {
+        return [];
+      }
+
+      const [, entries] = response[0];
+      return entries.map(entry => this.parseStreamEntry(streamKey, entry));
+
+    } catch (error) {
+      logger.error(`❌ Error leyendo stream ${streamKey}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Reclama entradas pendientes (nunca confirmadas) inactivas por más de minIdleMs (XAUTOCLAIM)
+   * @param {string} streamKey - Clave del stream en Redis
+   * @param {string} group - Nombre del consumer group
+   * @param {string} consumer - Consumidor que toma las entradas
+   * @param {number} minIdleMs - Inactividad mínima en milisegundos
+   * @param {number} count - Número máximo de entradas
+   * @param {string} startId - ID desde el cual buscar
+   * @returns {Object} { nextId, entries }
+   */
+  async claimPendingEntries(streamKey, group, consumer, minIdleMs, count, startId = '0-0') {
+    try {
+      await this.connect();
+
+      const [nextId, entries] = await this.client.xautoclaim(
+        streamKey, group, consumer, minIdleMs, startId, 'COUNT', count
+      );
+
+      return {
+        nextId,
+        // Entradas eliminadas del stream mientras estaban pendientes llegan como null
+        entries: entries
+          .filter(entry => entry && entry[1])
+          .map(entry => this.parseStreamEntry(streamKey, entry))
+      };
+
+    } catch (error) {
+      logger.error(`❌ Error reclamando entradas pendientes de ${streamKey}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Confirma entradas procesadas de un stream (XACK)
+   * @param {string} streamKey - Clave del stream en Redis
+   * @param {string} group - Nombre del consumer group
+   * @param {Array} ids - IDs de las entradas
+   * @returns {number} Número de entradas confirmadas
+   */
+  async ackStreamEntries(streamKey, group, ids) {
+    try {
+      if (ids.length === 0) {
+        return 0;
+      }
+
+      await this.connect();
+      const acked = await this.client.xack(streamKey, group, ...ids);
+
+      logger.debug(`✅ ${acked} entradas confirmadas en ${streamKey}`);
+      return acked;
+
+    } catch (error) {
+      logger.error(`❌ Error confirmando entradas de ${streamKey}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Agrega registros a un stream (XADD), cada uno como JSON en el campo `data` (ver parseStreamEntry).
+   * Las entradas se agregan en un script Lua: todas o ninguna
+   * @param {string} streamKey - Clave del stream en Redis
+   * @param {Array} values - Registros a agregar
+   * @returns {number} Longitud del stream después de las inserciones
+   */
+  async addMultipleToStream(streamKey, values) {
+    try {
+      await this.connect();
+
+      if (!Array.isArray(values) || values.length === 0) {
+        return await this.client.xlen(streamKey);
+      }
+
+      const script = `
+        for i = 1, #ARGV do
+          redis.call("xadd", KEYS[1], "*", "data", ARGV[i])
+        end
+        return redis.call("xlen", KEYS[1])
+      `;
+      const stringValues = values.map(value => typeof value === 'string' ? value : JSON.stringify(value));
+      const newLength = await this.client.eval(script, 1, streamKey, ...stringValues);
+
+      logger.info(`📝 Agregadas ${values.length} entradas a ${streamKey}, nueva longitud: ${newLength}`);
+      return newLength;
+
+    } catch (error) {
+      logger.error(`❌ Error agregando entradas a ${streamKey}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene estadísticas de un stream y su consumer group
+   * @param {string} streamKey - Clave del stream en Redis
+   * @param {string} group - Nombre del consumer group
+   * @returns {Object} Longitud del stream y entradas pendientes
+   */
+  async getStreamStats(streamKey, group) {
+    try {
+      await this.connect();
+
+      const length = await this.client.xlen(streamKey);
+      let pending = 0;
+
+      try {
+        const [pendingCount] = await this.client.xpending(streamKey, group);
+        pending = pendingCount;
+      } catch (pendingError) {
+        // El grupo aún no existe
+      }
+
+      return {
+        key: streamKey,
+        group,
+        length,
+        pending
+      };
+
+    } catch (error) {
+      logger.error(`❌ Error obteniendo estadísticas de ${streamKey}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Convierte una entrada cruda de stream en { id, data }.
+   * Si la entrada tiene un campo `data` o `payload` se parsea como JSON;
+   * en otro caso los campos de la entrada forman el registro.
+   * @param {string} streamKey - Clave del stream (para logs)
+   * @param {Array} entry - [id, [campo, valor, ...]]
+   * @returns {Object} Entrada parseada
+   */
+  parseStreamEntry(streamKey, [id, fields]) {
+    const record = {};
+    for (let i = 0; i < fields.length; i += 2) {
+      record[fields[i]] = fields[i + 1];
+    }
+
+    const payload = record.data ?? record.payload;
+    if (payload !== undefined) {
+      try {
+        return { id, data: JSON.parse(payload) };
+      } catch (parseError) {
+        logger.warn(`⚠️ Error parseando entrada ${id} de ${streamKey}:`, parseError.message);
+        return { id, data: payload };
+      }
+    }
+
+    return { id, data: record };
+  }
+
   /**
    * Agrega un elemento a una lista de Redis
    * @param {string} key - Clave de la lista en Redis
@@ -352,6 +693,115 @@ export class RedisRepository {
     }
   }
 
+  /**
+   * Obtiene varios campos de un hash (valores JSON parseados)
+   * @param {string} key - Clave del hash
+   * @param {Array} fields - Campos a leer
+   * @returns {Object} Campo → valor (los campos inexistentes se omiten)
+   */
+  async getHashValues(key, fields) {
+    try {
+      await this.connect();
+
+      if (!Array.isArray(fields) || fields.length === 0) {
+        return {};
+      }
+
+      const values = await this.client.hmget(key, ...fields);
+      const result = {};
+
+      fields.forEach((field, index) => {
+        if (values[index] !== null) {
+          try {
+            result[field] = JSON.parse(values[index]);
+          } catch {
+            result[field] = values[index];
+          }
+        }
+      });
+
+      return result;
+    } catch (error) {
+      logger.error(`❌ Error leyendo hash ${key}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Escribe varios campos de un hash (los objetos se guardan como JSON)
+   * @param {string} key - Clave del hash
+   * @param {Object} values - Campo → valor
+   * @returns {number} Campos nuevos creados
+   */
+  async setHashValues(key, values) {
+    try {
+      await this.connect();
+
+      const entries = Object.entries(values || {});
+      if (entries.length === 0) {
+        return 0;
+      }
+
+      const args = entries.flatMap(([field, value]) => [
+        field,
+        typeof value === 'string' ? value : JSON.stringify(value)
+      ]);
+
+      return await this.client.hset(key, ...args);
+    } catch (error) {
+      logger.error(`❌ Error escribiendo hash ${key}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Indica qué miembros ya existen en un set (SMISMEMBER, Redis >= 6.2)
+   * @param {string} key - Clave del set
+   * @param {Array} members - Miembros a consultar
+   * @returns {Array<boolean>} true por cada miembro existente, en el mismo orden
+   */
+  async getSetMembership(key, members) {
+    try {
+      await this.connect();
+
+      if (!Array.isArray(members) || members.length === 0) {
+        return [];
+      }
+
+      const flags = await this.client.smismember(key, ...members);
+      return flags.map(flag => flag === 1);
+    } catch (error) {
+      logger.error(`❌ Error consultando set ${key}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Agrega miembros a un set y renueva su expiración
+   * @param {string} key - Clave del set
+   * @param {Array} members - Miembros a agregar
+   * @param {number} ttlSeconds - Expiración del set en segundos
+   * @returns {number} Miembros nuevos agregados
+   */
+  async addSetMembers(key, members, ttlSeconds) {
+    try {
+      await this.connect();
+
+      if (!Array.isArray(members) || members.length === 0) {
+        return 0;
+      }
+
+      const added = await this.client.sadd(key, ...members);
+      if (ttlSeconds > 0) {
+        await this.client.expire(key, ttlSeconds);
+      }
+      return added;
+    } catch (error) {
+      logger.error(`❌ Error agregando miembros al set ${key}:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Obtiene información del servidor Redis
    */
@@ -1,22 +1,31 @@
 import { RedisRepository } from '../repositories/RedisRepository.js';
 import { logger } from '../utils/logger.js';
 import { config } from '../config/env.js';
+import { dataTypeRegistry } from '../config/dataTypes.js';
+import { hashTagKey } from '../config/redis.js';
 
 /**
  * Procesador atómico de Redis que extrae todos los datos y limpia inmediatamente
  * para evitar pérdida de datos durante el procesamiento.
  * 
  * Flujo atómico:
- * 1. Extraer TODOS los datos de Redis
- * 2. Limpiar Redis inmediatamente 
- * 3. Procesar datos extraídos
- * 4. Nuevos datos van a Redis limpio
+ * 1. Mover TODOS los datos de Redis a una key de staging (RENAME atómico)
+ * 2. Nuevos datos van a Redis limpio
+ * 3. Procesar datos extraídos desde staging
+ * 4. Eliminar la key de staging solo cuando los datos quedaron asegurados
+ *    (si el proceso muere antes, la siguiente ejecución reanuda el staging)
  */
 export class AtomicRedisProcessor {
   constructor() {
     this.redisRepo = new RedisRepository();
     this.isInitialized = false;
     this.atomicProcessingEnabled = config.backup.atomicProcessingEnabled;
+    this.chunkedExtraction = {
+      enabled: config.extraction.chunkedEnabled,
+      chunkSize: config.extraction.chunkSize,
+      maxChunksPerRun: config.extraction.maxChunksPerRun,
+      maxBytesPerRun: config.extraction.maxBytesPerRun
+    };
   }
 
   /**
@@ -88,13 +97,147 @@ export class AtomicRedisProcessor {
   }
 
   /**
-   * Extrae todos los datos GPS de forma atómica y limpia la key inmediatamente
+   * Verifica si la extracción por chunks está habilitada
+   * @returns {boolean} True si está habilitada
+   */
+  isChunkedExtractionEnabled() {
+    return this.chunkedExtraction.enabled;
+  }
+
+  /**
+   * Extrae todos los datos GPS de forma atómica moviéndolos a una key de staging
+   * @param {string} runId - ID de la ejecución (opcional)
+   * @returns {Object} Resultado con datos extraídos y estadísticas
+   */
+  async extractAndClearGPSData(runId = this.generateRunId()) {
+    return await this.extractAndClearData('gps', runId);
+  }
+
+  /**
+   * Extrae todos los datos Mobile de forma atómica moviéndolos a una key de staging
+   * @param {string} runId - ID de la ejecución (opcional)
+   * @returns {Object} Resultado con datos extraídos y estadísticas
+   */
+  async extractAndClearMobileData(runId = this.generateRunId()) {
+    return await this.extractAndClearData('mobile', runId);
+  }
+
+  /**
+   * Extrae todos los datos de un tipo registrado de forma atómica moviendo cada una de sus
+   * listas (keys fijas y particiones encontradas por patrón) a una key de staging
+   * @param {string} dataType - Tipo de datos registrado
+   * @param {string} runId - ID de la ejecución (opcional)
+   * @returns {Object} Resultado combinado con conteo por key (keyCounts)
+   */
+  async extractAndClearData(dataType, runId = this.generateRunId()) {
+    const definition = dataTypeRegistry.require(dataType);
+    const keyResults = [];
+
+    try {
+      const keys = await this.resolveSourceKeys(definition);
+
+      for (const key of keys) {
+        const result = await this.extractKeyToStaging({
+          key,
+          label: definition.label,
+          icon: definition.icon,
+          getStats: () => this.getKeyStats(definition, key),
+          runId
+        });
+        keyResults.push(result);
+
+        // Las keys ya movidas quedan en staging y se reanudan en la próxima ejecución
+        if (!result.success) {
+          break;
+        }
+      }
+    } catch (error) {
+      logger.error(`❌ Error resolviendo keys ${definition.label}:`, error.message);
+      return {
+        success: false,
+        error: error.message,
+        data: [],
+        recordCount: 0,
+        cleared: false,
+        stagingKeys: [],
+        keyCounts: {}
+      };
+    }
+
+    return this.combineKeyResults(keyResults, runId);
+  }
+
+  /**
+   * Resuelve las listas fuente de un tipo: keys fijas y, si hay patrón, las particiones encontradas con SCAN
+   * @param {Object} definition - Definición del tipo (config/dataTypes.js)
+   * @returns {Array} Keys de listas a drenar
+   */
+  async resolveSourceKeys(definition) {
+    if (!definition.redisKeyPattern) {
+      return [...new Set(definition.redisKeys)];
+    }
+
+    return await this.redisRepo.resolveListKeys(definition.redisKeys, definition.redisKeyPattern);
+  }
+
+  /**
+   * Obtiene estadísticas de una lista fuente de un tipo
+   * @param {Object} definition - Definición del tipo
+   * @param {string} key - Key de la lista
+   */
+  async getKeyStats(definition, key) {
+    return key === definition.redisKey
+      ? await definition.getStats(this.redisRepo)
+      : await this.redisRepo.getListStats(key, definition.label);
+  }
+
+  /**
+   * Combina los resultados de extracción de cada key de un tipo en un único resultado
+   * @param {Array} keyResults - Resultados de extractKeyToStaging por key
+   * @param {string} runId - ID de la ejecución
+   * @returns {Object} Resultado combinado con keys y keyCounts
+   */
+  combineKeyResults(keyResults, runId) {
+    const keyCounts = Object.fromEntries(keyResults.map(result => [result.key, result.recordCount]));
+    const keys = Object.keys(keyCounts);
+
+    if (keyResults.length === 1) {
+      return { ...keyResults[0], keys, keyCounts };
+    }
+
+    const failed = keyResults.find(result => !result.success);
+    const sum = (field) => keyResults.reduce((total, result) => total + (result[field] || 0), 0);
+
+    return {
+      success: !failed,
+      ...(failed && { error: failed.error }),
+      data: keyResults.flatMap(result => result.data),
+      recordCount: sum('recordCount'),
+      extractionTime: sum('extractionTime'),
+      clearTime: sum('clearTime'),
+      totalTime: sum('totalTime'),
+      keys,
+      keyCounts,
+      cleared: keyResults.some(result => result.cleared),
+      runId,
+      stagingKeys: keyResults.flatMap(result => result.stagingKeys || []),
+      resumedStagingKeys: keyResults.flatMap(result => result.resumedStagingKeys || []),
+      initialRecords: sum('initialRecords'),
+      finalRecords: sum('finalRecords')
+    };
+  }
+
+  /**
+   * Extrae una lista de Redis sin ventana de pérdida de datos:
+   * 1. Reanuda keys de staging que quedaron de ejecuciones interrumpidas
+   * 2. Mueve la lista viva a una key de staging propia de esta ejecución (RENAME atómico)
+   * 3. Lee los datos desde staging; las keys de staging solo se eliminan con releaseStagingKeys()
+   * @param {Object} options - key, label, icon, getStats y runId
    * @returns {Object} Resultado con datos extraídos y estadísticas
    */
-  async extractAndClearGPSData() {
+  async extractKeyToStaging({ key, label, icon, getStats, runId }) {
     const startTime = Date.now();
-    const gpsKey = config.gps.listKey; // 'gps:history:global'
-    
+
     try {
       if (!this.atomicProcessingEnabled) {
         const error = 'Procesamiento atómico deshabilitado por feature flag ATOMIC_PROCESSING_ENABLED=false';
@@ -106,68 +249,80 @@ export class AtomicRedisProcessor {
           recordCount: 0,
           extractionTime: 0,
           totalTime: Date.now() - startTime,
-          key: gpsKey,
+          key,
           cleared: false,
+          stagingKeys: [],
           featureFlagDisabled: true
         };
       }
 
-      logger.info(`🔄 Iniciando extracción atómica de datos GPS desde ${gpsKey}...`, {
+      logger.info(`🔄 Iniciando extracción atómica de datos ${label} desde ${key}...`, {
         mode: 'atomic',
-        featureFlag: 'enabled'
+        featureFlag: 'enabled',
+        runId
       });
-      
+
       if (!this.isInitialized) {
         await this.initialize();
       }
 
-      // Paso 1: Obtener estadísticas iniciales para logging
-      const initialStats = await this.redisRepo.getGPSStats();
-      logger.info(`📊 Estadísticas GPS iniciales: ${initialStats.totalRecords} registros, ${initialStats.memoryUsage} bytes`);
+      // Paso 1: Obtener estadísticas iniciales y keys de staging pendientes
+      const initialStats = await getStats();
+      logger.info(`📊 Estadísticas ${label} iniciales: ${initialStats.totalRecords} registros, ${initialStats.memoryUsage} bytes`);
+
+      const resumedStagingKeys = await this.redisRepo.findStagingKeys(key);
+      if (resumedStagingKeys.length > 0) {
+        logger.warn(`♻️ Reanudando ${resumedStagingKeys.length} keys de staging ${label} de ejecuciones interrumpidas`, {
+          stagingKeys: resumedStagingKeys
+        });
+      }
 
-      if (initialStats.totalRecords === 0) {
-        logger.info('📍 No hay datos GPS para extraer');
+      if (initialStats.totalRecords === 0 && resumedStagingKeys.length === 0) {
+        logger.info(`${icon} No hay datos ${label} para extraer`);
         return {
           success: true,
           data: [],
           recordCount: 0,
           extractionTime: Date.now() - startTime,
-          key: gpsKey,
-          cleared: false
+          key,
+          cleared: false,
+          stagingKeys: []
         };
       }
 
-      // Paso 2: Extracción atómica - obtener TODOS los datos
-      logger.info(`📥 Extrayendo TODOS los ${initialStats.totalRecords} registros GPS...`);
-      const extractedData = await this.redisRepo.getListData(gpsKey);
-      
-      const extractionTime = Date.now() - startTime;
-      logger.info(`✅ Extracción GPS completada: ${extractedData.length} registros en ${extractionTime}ms`);
-
-      // Paso 3: Limpieza inmediata de Redis
-      logger.info(`🗑️ Limpiando key GPS ${gpsKey} inmediatamente...`);
+      // Paso 2: Mover la lista viva a staging (los nuevos datos van a una lista limpia)
+      const stagingKeys = [...resumedStagingKeys];
+      const stagingKey = this.buildStagingKey(key, runId);
       const clearStartTime = Date.now();
-      
-      const cleared = await this.redisRepo.clearListData(gpsKey);
+
+      const movedRecords = initialStats.totalRecords > 0
+        ? await this.redisRepo.moveListToStaging(key, stagingKey)
+        : 0;
       const clearTime = Date.now() - clearStartTime;
-      
+      const cleared = movedRecords > 0;
+
       if (cleared) {
-        logger.info(`✅ Key GPS ${gpsKey} limpiada exitosamente en ${clearTime}ms`);
-        logger.info(`🔄 Redis GPS ahora disponible para nuevos datos`);
-      } else {
-        logger.warn(`⚠️ No se pudo limpiar key GPS ${gpsKey} (posiblemente ya estaba vacía)`);
+        stagingKeys.push(stagingKey);
+        logger.info(`✅ Key ${label} ${key} movida a ${stagingKey} en ${clearTime}ms`);
+        logger.info(`🔄 Redis ${label} ahora disponible para nuevos datos`);
       }
 
-      // Paso 4: Verificar que Redis está limpio
-      const finalStats = await this.redisRepo.getGPSStats();
-      logger.info(`📊 Estadísticas GPS finales: ${finalStats.totalRecords} registros (debe ser 0)`);
-
-      if (finalStats.totalRecords > 0) {
-        logger.warn(`⚠️ ADVERTENCIA: Aún quedan ${finalStats.totalRecords} registros GPS en Redis después de la limpieza`);
+      // Paso 3: Leer todos los datos desde staging
+      const extractedData = [];
+      for (const currentKey of stagingKeys) {
+        const keyData = await this.redisRepo.getListData(currentKey);
+        extractedData.push(...keyData);
       }
 
+      const extractionTime = Date.now() - startTime;
+      logger.info(`✅ Extracción ${label} completada: ${extractedData.length} registros en ${extractionTime}ms`);
+
+      // Paso 4: Verificar el estado de la key original
+      const finalStats = await getStats();
+      logger.info(`📊 Estadísticas ${label} finales: ${finalStats.totalRecords} registros (nuevos desde el movimiento a staging)`);
+
       const totalTime = Date.now() - startTime;
-      logger.info(`✅ Extracción atómica GPS completada: ${extractedData.length} registros procesados en ${totalTime}ms total`);
+      logger.info(`✅ Extracción atómica ${label} completada: ${extractedData.length} registros procesados en ${totalTime}ms total`);
 
       return {
         success: true,
@@ -176,22 +331,26 @@ export class AtomicRedisProcessor {
         extractionTime: extractionTime,
         clearTime: clearTime,
         totalTime: totalTime,
-        key: gpsKey,
+        key,
         cleared: cleared,
+        runId,
+        stagingKey: cleared ? stagingKey : null,
+        stagingKeys,
+        resumedStagingKeys,
         initialRecords: initialStats.totalRecords,
         finalRecords: finalStats.totalRecords
       };
 
     } catch (error) {
       const totalTime = Date.now() - startTime;
-      logger.error(`❌ Error en extracción atómica GPS (${totalTime}ms):`, error.message);
-      
+      logger.error(`❌ Error en extracción atómica ${label} (${totalTime}ms):`, error.message);
+
       // Intentar obtener estadísticas para debugging
       try {
-        const errorStats = await this.redisRepo.getGPSStats();
-        logger.error(`📊 Estadísticas GPS en error: ${errorStats.totalRecords} registros`);
+        const errorStats = await getStats();
+        logger.error(`📊 Estadísticas ${label} en error: ${errorStats.totalRecords} registros`);
       } catch (statsError) {
-        logger.error('❌ No se pudieron obtener estadísticas GPS en error:', statsError.message);
+        logger.error(`❌ No se pudieron obtener estadísticas ${label} en error:`, statsError.message);
       }
 
       return {
@@ -201,20 +360,31 @@ export class AtomicRedisProcessor {
         recordCount: 0,
         extractionTime: 0,
         totalTime: totalTime,
-        key: gpsKey,
-        cleared: false
+        key,
+        cleared: false,
+        stagingKeys: []
       };
     }
   }
 
   /**
-   * Extrae todos los datos Mobile de forma atómica y limpia la key inmediatamente
-   * @returns {Object} Resultado con datos extraídos y estadísticas
+   * Extracción por chunks acotada en memoria para listas muy grandes.
+   * Cada chunk se extrae con LPOP count desde staging y se entrega a onChunk, que lo
+   * procesa completo (validación → GCS → BigQuery). Solo hay un chunk en memoria a la vez.
+   * Al alcanzar el límite de chunks/bytes por ejecución el resto queda en staging para la siguiente.
+   * @param {Function} onChunk - async (dataType, data, chunkInfo) => resultado con `secured`
+   * @returns {Object} Resumen de la extracción por tipo
    */
-  async extractAndClearMobileData() {
+  async extractAllDataInChunks(onChunk) {
     const startTime = Date.now();
-    const mobileKey = 'mobile:history:global';
-    
+    const runId = this.generateRunId();
+    const budget = {
+      chunks: 0,
+      bytes: 0,
+      maxChunks: this.chunkedExtraction.maxChunksPerRun,
+      maxBytes: this.chunkedExtraction.maxBytesPerRun
+    };
+
     try {
       if (!this.atomicProcessingEnabled) {
         const error = 'Procesamiento atómico deshabilitado por feature flag ATOMIC_PROCESSING_ENABLED=false';
@@ -222,118 +392,344 @@ export class AtomicRedisProcessor {
         return {
           success: false,
           error: error,
-          data: [],
-          recordCount: 0,
+          totalRecords: 0,
           extractionTime: 0,
-          totalTime: Date.now() - startTime,
-          key: mobileKey,
-          cleared: false,
           featureFlagDisabled: true
         };
       }
 
-      logger.info(`🔄 Iniciando extracción atómica de datos Mobile desde ${mobileKey}...`, {
-        mode: 'atomic',
-        featureFlag: 'enabled'
+      logger.info(`🔄 Iniciando extracción por chunks (tamaño: ${this.chunkedExtraction.chunkSize})...`, {
+        runId,
+        maxChunksPerRun: budget.maxChunks || 'sin límite',
+        maxBytesPerRun: budget.maxBytes || 'sin límite'
       });
-      
+
       if (!this.isInitialized) {
         await this.initialize();
       }
 
-      // Paso 1: Obtener estadísticas iniciales para logging
-      const initialStats = await this.redisRepo.getMobileStats();
-      logger.info(`📊 Estadísticas Mobile iniciales: ${initialStats.totalRecords} registros, ${initialStats.memoryUsage} bytes`);
-
-      if (initialStats.totalRecords === 0) {
-        logger.info('📱 No hay datos Mobile para extraer');
-        return {
-          success: true,
-          data: [],
-          recordCount: 0,
-          extractionTime: Date.now() - startTime,
-          key: mobileKey,
-          cleared: false
-        };
+      const results = {};
+      for (const definition of dataTypeRegistry.list()) {
+        results[definition.name] = await this.extractTypeInChunks(definition, runId, budget, onChunk);
       }
 
-      // Paso 2: Extracción atómica - obtener TODOS los datos
-      logger.info(`📥 Extrayendo TODOS los ${initialStats.totalRecords} registros Mobile...`);
-      const extractedData = await this.redisRepo.getListData(mobileKey);
-      
-      const extractionTime = Date.now() - startTime;
-      logger.info(`✅ Extracción Mobile completada: ${extractedData.length} registros en ${extractionTime}ms`);
+      const totalTime = Date.now() - startTime;
+      const summaries = Object.values(results);
+      const capReached = summaries.some(result => result.capReached);
 
-      // Paso 3: Limpieza inmediata de Redis
-      logger.info(`🗑️ Limpiando key Mobile ${mobileKey} inmediatamente...`);
-      const clearStartTime = Date.now();
-      
-      const cleared = await this.redisRepo.clearListData(mobileKey);
-      const clearTime = Date.now() - clearStartTime;
-      
-      if (cleared) {
-        logger.info(`✅ Key Mobile ${mobileKey} limpiada exitosamente en ${clearTime}ms`);
-        logger.info(`🔄 Redis Mobile ahora disponible para nuevos datos`);
-      } else {
-        logger.warn(`⚠️ No se pudo limpiar key Mobile ${mobileKey} (posiblemente ya estaba vacía)`);
+      logger.info(`✅ Extracción por chunks completada en ${totalTime}ms:`);
+      for (const definition of dataTypeRegistry.list()) {
+        const result = results[definition.name];
+        logger.info(`   📊 ${definition.label}: ${result.recordCount} registros en ${result.chunks} chunks`);
       }
-
-      // Paso 4: Verificar que Redis está limpio
-      const finalStats = await this.redisRepo.getMobileStats();
-      logger.info(`📊 Estadísticas Mobile finales: ${finalStats.totalRecords} registros (debe ser 0)`);
-
-      if (finalStats.totalRecords > 0) {
-        logger.warn(`⚠️ ADVERTENCIA: Aún quedan ${finalStats.totalRecords} registros Mobile en Redis después de la limpieza`);
+      if (capReached) {
+        logger.warn(`   ⚠️ Límite por ejecución alcanzado (${budget.chunks} chunks, ${budget.bytes} bytes), el resto queda en staging`);
       }
 
-      const totalTime = Date.now() - startTime;
-      logger.info(`✅ Extracción atómica Mobile completada: ${extractedData.length} registros procesados en ${totalTime}ms total`);
-
       return {
-        success: true,
-        data: extractedData,
-        recordCount: extractedData.length,
-        extractionTime: extractionTime,
-        clearTime: clearTime,
-        totalTime: totalTime,
-        key: mobileKey,
-        cleared: cleared,
-        initialRecords: initialStats.totalRecords,
-        finalRecords: finalStats.totalRecords
+        success: summaries.every(result => result.success),
+        runId,
+        ...results,
+        totalRecords: summaries.reduce((sum, result) => sum + result.recordCount, 0),
+        totalChunks: budget.chunks,
+        totalBytes: budget.bytes,
+        capReached,
+        extractionTime: totalTime
       };
 
     } catch (error) {
       const totalTime = Date.now() - startTime;
-      logger.error(`❌ Error en extracción atómica Mobile (${totalTime}ms):`, error.message);
-      
-      // Intentar obtener estadísticas para debugging
-      try {
-        const errorStats = await this.redisRepo.getMobileStats();
-        logger.error(`📊 Estadísticas Mobile en error: ${errorStats.totalRecords} registros`);
-      } catch (statsError) {
-        logger.error('❌ No se pudieron obtener estadísticas Mobile en error:', statsError.message);
-      }
+      logger.error(`❌ Error en extracción por chunks (${totalTime}ms):`, error.message);
 
       return {
         success: false,
         error: error.message,
-        data: [],
-        recordCount: 0,
-        extractionTime: 0,
-        totalTime: totalTime,
-        key: mobileKey,
-        cleared: false
+        runId,
+        totalRecords: 0,
+        totalChunks: budget.chunks,
+        totalBytes: budget.bytes,
+        extractionTime: totalTime
       };
     }
   }
 
   /**
-   * Coordina la extracción atómica de ambos tipos de datos (GPS y Mobile)
-   * Extrae ambos tipos y limpia Redis inmediatamente para cada uno
-   * @returns {Object} Resultado combinado con datos de ambos tipos
+   * Extrae por chunks una lista: mueve la lista viva a staging y consume las keys de staging
+   * (incluidas las pendientes de ejecuciones anteriores) chunk por chunk
+   * @param {Object} options - dataType, key, getStats, runId, budget y onChunk
+   * @returns {Object} Resumen de la extracción del tipo
+   */
+  async extractKeyInChunks({ dataType, key, getStats, runId, budget, onChunk }) {
+    const summary = {
+      dataType,
+      key,
+      success: true,
+      chunks: 0,
+      recordCount: 0,
+      recordsProcessed: 0,
+      bytes: 0,
+      capReached: false,
+      cleared: false,
+      errors: []
+    };
+
+    const stagingKeys = await this.redisRepo.findStagingKeys(key);
+    const initialStats = await getStats();
+
+    if (initialStats.totalRecords > 0) {
+      const stagingKey = this.buildStagingKey(key, runId);
+      const movedRecords = await this.redisRepo.moveListToStaging(key, stagingKey);
+      if (movedRecords > 0) {
+        stagingKeys.push(stagingKey);
+        summary.cleared = true;
+      }
+    }
+
+    // Los chunks inflight de ejecuciones interrumpidas se recuperan antes que cualquier staging key:
+    // el siguiente chunk de su staging key se agregaría a la misma key inflight y se liberarían juntos
+    stagingKeys.sort((a, b) => Number(b.endsWith(':inflight')) - Number(a.endsWith(':inflight')));
+
+    for (const [index, stagingKey] of stagingKeys.entries()) {
+      const hasMoreKeys = index < stagingKeys.length - 1;
+
+      // Un chunk "inflight" de una ejecución interrumpida ya está acotado: se procesa completo
+      if (stagingKey.endsWith(':inflight')) {
+        if (this.isBudgetExhausted(budget)) {
+          summary.capReached = true;
+          break;
+        }
+
+        const data = await this.redisRepo.getListData(stagingKey);
+        const bytes = Buffer.byteLength(JSON.stringify(data));
+        const secured = await this.processChunk(summary, budget, stagingKey, data, bytes, onChunk);
+        if (!secured) {
+          break;
+        }
+        continue;
+      }
+
+      const inflightKey = `${stagingKey}:inflight`;
+
+      while (!this.isBudgetExhausted(budget)) {
+        const chunk = await this.redisRepo.popListChunk(stagingKey, this.chunkedExtraction.chunkSize, inflightKey);
+        if (chunk.data.length === 0) {
+          break;
+        }
+
+        const secured = await this.processChunk(summary, budget, inflightKey, chunk.data, chunk.bytes, onChunk);
+        if (!secured) {
+          break;
+        }
+      }
+
+      if (!summary.success) {
+        break;
+      }
+
+      if (this.isBudgetExhausted(budget)) {
+        const remaining = await this.redisRepo.getListLength(stagingKey);
+        summary.capReached = remaining > 0 || hasMoreKeys;
+        break;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Extrae por chunks todas las listas fuente de un tipo y combina sus resúmenes
+   * @param {Object} definition - Definición del tipo
+   * @param {string} runId - ID de la ejecución
+   * @param {Object} budget - Presupuesto compartido de chunks/bytes
+   * @param {Function} onChunk - Callback de procesamiento
+   * @returns {Object} Resumen del tipo con conteo por key (keyCounts)
+   */
+  async extractTypeInChunks(definition, runId, budget, onChunk) {
+    const keys = await this.resolveSourceKeys(definition);
+    const summaries = [];
+
+    for (const key of keys) {
+      if (this.isBudgetExhausted(budget)) {
+        summaries.push({ key, success: true, chunks: 0, recordCount: 0, recordsProcessed: 0, bytes: 0, capReached: true, cleared: false, errors: [] });
+        continue;
+      }
+
+      const summary = await this.extractKeyInChunks({
+        dataType: definition.name,
+        key,
+        getStats: () => this.getKeyStats(definition, key),
+        runId,
+        budget,
+        onChunk
+      });
+      summaries.push(summary);
+
+      if (!summary.success) {
+        break;
+      }
+    }
+
+    const sum = (field) => summaries.reduce((total, summary) => total + summary[field], 0);
+
+    return {
+      dataType: definition.name,
+      keys,
+      keyCounts: Object.fromEntries(summaries.map(summary => [summary.key, summary.recordCount])),
+      success: summaries.every(summary => summary.success),
+      chunks: sum('chunks'),
+      recordCount: sum('recordCount'),
+      recordsProcessed: sum('recordsProcessed'),
+      bytes: sum('bytes'),
+      capReached: summaries.some(summary => summary.capReached),
+      cleared: summaries.some(summary => summary.cleared),
+      errors: summaries.flatMap(summary => summary.errors)
+    };
+  }
+
+  /**
+   * Entrega un chunk al callback y libera su key inflight si quedó asegurado.
+   * Si no quedó asegurado se detiene la extracción del tipo y el chunk se reintenta en la próxima ejecución.
+   * @returns {boolean} True si el chunk quedó asegurado
+   */
+  async processChunk(summary, budget, inflightKey, data, bytes, onChunk) {
+    budget.chunks++;
+    budget.bytes += bytes;
+    summary.chunks++;
+    summary.bytes += bytes;
+    summary.recordCount += data.length;
+
+    const result = await onChunk(summary.dataType, data, {
+      chunkIndex: summary.chunks,
+      chunkKey: inflightKey,
+      sourceKey: summary.key,
+      bytes
+    });
+
+    summary.recordsProcessed += result.recordsProcessed || 0;
+
+    if (!result.secured) {
+      summary.success = false;
+      summary.errors.push(result.error || 'Chunk no asegurado');
+      logger.warn(`⚠️ Chunk ${summary.chunks} ${summary.dataType} no asegurado, se conserva en ${inflightKey} para reintento`);
+      return false;
+    }
+
+    await this.releaseStagingKeys([inflightKey]);
+    return true;
+  }
+
+  /**
+   * Verifica si se alcanzó el límite de chunks o bytes de la ejecución
+   * @param {Object} budget - Contadores y límites de la ejecución (0 = sin límite)
+   * @returns {boolean} True si no se deben extraer más chunks
+   */
+  isBudgetExhausted(budget) {
+    return (budget.maxChunks > 0 && budget.chunks >= budget.maxChunks) ||
+      (budget.maxBytes > 0 && budget.bytes >= budget.maxBytes);
+  }
+
+  /**
+   * Elimina las keys de staging una vez que sus datos quedaron asegurados
+   * (cargados en BigQuery o respaldados en backup local / recovery)
+   * @param {Array} stagingKeys - Keys de staging a eliminar
+   * @returns {number} Número de keys eliminadas
+   */
+  async releaseStagingKeys(stagingKeys = []) {
+    let released = 0;
+
+    for (const stagingKey of stagingKeys) {
+      try {
+        if (await this.redisRepo.clearListData(stagingKey)) {
+          released++;
+        }
+      } catch (error) {
+        logger.error(`❌ Error eliminando key de staging ${stagingKey}, se reanudará en la próxima ejecución:`, error.message);
+      }
+    }
+
+    if (released > 0) {
+      logger.info(`🗑️ ${released} keys de staging eliminadas`);
+    }
+
+    return released;
+  }
+
+  /**
+   * Construye la key de staging de una lista para una ejecución
+   * @param {string} key - Clave de la lista en Redis
+   * @param {string} runId - ID de la ejecución
+   * @returns {string} Key de staging (en cluster comparte hash slot con la lista)
+   */
+  buildStagingKey(key, runId) {
+    return `${hashTagKey(key)}:staging:${runId}`;
+  }
+
+  /**
+   * Genera un ID de ejecución ordenable por tiempo
+   */
+  generateRunId() {
+    const timestamp = new Date().toISOString().replace(/[-:.TZ]/g, '');
+    const random = Math.random().toString(36).slice(2, 8);
+    return `run_${timestamp}_${random}`;
+  }
+
+  /**
+   * Resultados vacíos por tipo registrado, para respuestas sin extracción
+   * @param {boolean} success - Valor de success de cada tipo
+   * @returns {Object} Resultado vacío por tipo
+   */
+  buildEmptyResults(success) {
+    return Object.fromEntries(dataTypeRegistry.names().map(name => [
+      name, { data: [], recordCount: 0, success }
+    ]));
+  }
+
+  /**
+   * Obtiene estadísticas de Redis de un tipo sumando todas sus listas fuente
+   * @param {Object} definition - Definición del tipo
+   * @returns {Object} Estadísticas del tipo con registros por key (keys)
+   */
+  async getTypeStats(definition) {
+    const keys = await this.resolveSourceKeys(definition);
+
+    if (keys.length === 1 && keys[0] === definition.redisKey) {
+      const stats = await definition.getStats(this.redisRepo);
+      return { ...stats, keys: { [definition.redisKey]: stats.totalRecords } };
+    }
+
+    const keyStats = await Promise.all(keys.map(key => this.getKeyStats(definition, key)));
+
+    return {
+      totalRecords: keyStats.reduce((sum, stats) => sum + stats.totalRecords, 0),
+      memoryUsage: keyStats.reduce((sum, stats) => sum + (stats.memoryUsage || 0), 0),
+      keys: Object.fromEntries(keys.map((key, index) => [key, keyStats[index].totalRecords])),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Obtiene estadísticas de Redis de todos los tipos registrados
+   * @returns {Object} Estadísticas por tipo
+   */
+  async getAllTypeStats() {
+    const definitions = dataTypeRegistry.list();
+    const stats = await Promise.all(definitions.map(definition => this.getTypeStats(definition)));
+    return Object.fromEntries(definitions.map((definition, index) => [definition.name, stats[index]]));
+  }
+
+  /**
+   * Coordina la extracción atómica de todos los tipos de datos registrados (GPS, Mobile, ...)
+   * Extrae cada tipo en orden de registro y limpia Redis inmediatamente para cada uno
+   * @returns {Object} Resultado combinado con datos de todos los tipos
    */
   async extractAllData() {
     const startTime = Date.now();
+    const definitions = dataTypeRegistry.list();
+    const labels = definitions.map(definition => definition.label).join(' + ');
+    const sumRecords = (stats) => Object.values(stats).reduce((sum, typeStats) => sum + typeStats.totalRecords, 0);
+    const describeStats = (stats) => definitions
+      .map(definition => `${stats[definition.name].totalRecords} ${definition.label}`)
+      .join(' + ');
     
     try {
       if (!this.atomicProcessingEnabled) {
@@ -342,15 +738,14 @@ export class AtomicRedisProcessor {
         return {
           success: false,
           error: error,
-          gps: { data: [], recordCount: 0, success: false },
-          mobile: { data: [], recordCount: 0, success: false },
+          ...this.buildEmptyResults(false),
           totalRecords: 0,
           extractionTime: Date.now() - startTime,
           featureFlagDisabled: true
         };
       }
 
-      logger.info('🚀 Iniciando extracción atómica coordinada de TODOS los datos (GPS + Mobile)...', {
+      logger.info(`🚀 Iniciando extracción atómica coordinada de TODOS los datos (${labels})...`, {
         mode: 'atomic',
         featureFlag: 'enabled'
       });
@@ -360,116 +755,110 @@ export class AtomicRedisProcessor {
       }
 
       // Obtener estadísticas iniciales combinadas
-      const [initialGpsStats, initialMobileStats] = await Promise.all([
-        this.redisRepo.getGPSStats(),
-        this.redisRepo.getMobileStats()
-      ]);
-
-      const totalInitialRecords = initialGpsStats.totalRecords + initialMobileStats.totalRecords;
-      logger.info(`📊 Estadísticas iniciales combinadas: ${initialGpsStats.totalRecords} GPS + ${initialMobileStats.totalRecords} Mobile = ${totalInitialRecords} total`);
-
-      if (totalInitialRecords === 0) {
-        logger.info('📍 No hay datos para extraer (GPS y Mobile vacíos)');
+      const initialStats = await this.getAllTypeStats();
+      const totalInitialRecords = sumRecords(initialStats);
+      logger.info(`📊 Estadísticas iniciales combinadas: ${describeStats(initialStats)} = ${totalInitialRecords} total`);
+
+      // Keys de staging pendientes de ejecuciones interrumpidas también deben procesarse
+      const pendingStaging = await Promise.all(definitions.map(async definition => {
+        const sourceKeys = await this.resolveSourceKeys(definition);
+        const stagingKeys = await Promise.all(sourceKeys.map(key => this.redisRepo.findStagingKeys(key)));
+        return stagingKeys.flat();
+      }));
+      const pendingStagingCount = pendingStaging.reduce((sum, keys) => sum + keys.length, 0);
+
+      if (totalInitialRecords === 0 && pendingStagingCount === 0) {
+        logger.info(`📍 No hay datos para extraer (${labels} vacíos)`);
         return {
           success: true,
-          gps: {
-            data: [],
-            recordCount: 0,
-            success: true
-          },
-          mobile: {
-            data: [],
-            recordCount: 0,
-            success: true
-          },
+          ...this.buildEmptyResults(true),
           totalRecords: 0,
           extractionTime: Date.now() - startTime,
           allCleared: true
         };
       }
 
-      // Paso 1: Extraer GPS atómicamente
-      logger.info('🔄 Paso 1/2: Extracción atómica GPS...');
-      const gpsResult = await this.extractAndClearGPSData();
-      
-      if (!gpsResult.success) {
-        logger.error('❌ Fallo en extracción GPS, abortando extracción coordinada');
-        return {
-          success: false,
-          error: `GPS extraction failed: ${gpsResult.error}`,
-          gps: gpsResult,
-          mobile: { data: [], recordCount: 0, success: false },
-          totalRecords: 0,
-          extractionTime: Date.now() - startTime
-        };
-      }
+      // Todos los tipos comparten el ID de ejecución para sus keys de staging
+      const runId = this.generateRunId();
+      const results = {};
+
+      for (const [index, definition] of definitions.entries()) {
+        logger.info(`🔄 Paso ${index + 1}/${definitions.length}: Extracción atómica ${definition.label}...`);
+        const result = await this.extractAndClearData(definition.name, runId);
+
+        if (!result.success && index === 0) {
+          logger.error(`❌ Fallo en extracción ${definition.label}, abortando extracción coordinada`);
+          return {
+            success: false,
+            error: `${definition.label} extraction failed: ${result.error}`,
+            ...this.buildEmptyResults(false),
+            [definition.name]: result,
+            totalRecords: 0,
+            extractionTime: Date.now() - startTime
+          };
+        }
 
-      // Paso 2: Extraer Mobile atómicamente
-      logger.info('🔄 Paso 2/2: Extracción atómica Mobile...');
-      const mobileResult = await this.extractAndClearMobileData();
-      
-      if (!mobileResult.success) {
-        logger.error('❌ Fallo en extracción Mobile, pero GPS ya fue extraído exitosamente');
-        // GPS ya fue extraído exitosamente, no fallar toda la operación
-      }
+        if (!result.success) {
+          // Los tipos anteriores ya fueron extraídos exitosamente, no fallar toda la operación
+          logger.error(`❌ Fallo en extracción ${definition.label}, pero los tipos anteriores ya fueron extraídos exitosamente`);
+        }
 
-      // Paso 3: Verificar limpieza completa
-      const [finalGpsStats, finalMobileStats] = await Promise.all([
-        this.redisRepo.getGPSStats(),
-        this.redisRepo.getMobileStats()
-      ]);
+        results[definition.name] = result;
+      }
 
-      const totalFinalRecords = finalGpsStats.totalRecords + finalMobileStats.totalRecords;
+      // Verificar limpieza completa
+      const finalStats = await this.getAllTypeStats();
+      const totalFinalRecords = sumRecords(finalStats);
       const allCleared = totalFinalRecords === 0;
 
       if (allCleared) {
-        logger.info('✅ Redis completamente limpio: 0 registros GPS + 0 registros Mobile');
+        logger.info(`✅ Redis completamente limpio: ${describeStats(finalStats)}`);
       } else {
-        logger.warn(`⚠️ Redis no completamente limpio: ${finalGpsStats.totalRecords} GPS + ${finalMobileStats.totalRecords} Mobile = ${totalFinalRecords} restantes`);
+        logger.warn(`⚠️ Redis no completamente limpio: ${describeStats(finalStats)} = ${totalFinalRecords} restantes`);
       }
 
       // Calcular estadísticas finales
-      const totalExtractedRecords = gpsResult.recordCount + mobileResult.recordCount;
+      const summaries = Object.values(results);
+      const totalExtractedRecords = summaries.reduce((sum, result) => sum + result.recordCount, 0);
       const totalTime = Date.now() - startTime;
-      const overallSuccess = gpsResult.success && mobileResult.success;
+      const overallSuccess = summaries.every(result => result.success);
 
       logger.info(`✅ Extracción atómica coordinada completada:`);
-      logger.info(`   📊 GPS: ${gpsResult.recordCount} registros extraídos`);
-      logger.info(`   📊 Mobile: ${mobileResult.recordCount} registros extraídos`);
+      for (const definition of definitions) {
+        logger.info(`   📊 ${definition.label}: ${results[definition.name].recordCount} registros extraídos`);
+      }
       logger.info(`   📊 Total: ${totalExtractedRecords} registros en ${totalTime}ms`);
       logger.info(`   🔄 Redis limpio: ${allCleared ? 'SÍ' : 'NO'}`);
 
+      const typeResults = Object.fromEntries(definitions.map(definition => {
+        const result = results[definition.name];
+        return [definition.name, {
+          data: result.data,
+          recordCount: result.recordCount,
+          success: result.success,
+          extractionTime: result.extractionTime,
+          clearTime: result.clearTime,
+          cleared: result.cleared,
+          stagingKeys: result.stagingKeys || [],
+          keys: result.keys || [],
+          keyCounts: result.keyCounts || {}
+        }];
+      }));
+
+      const countsByType = (stats, total) => ({
+        ...Object.fromEntries(definitions.map(definition => [definition.name, stats[definition.name].totalRecords])),
+        total
+      });
+
       return {
         success: overallSuccess,
-        gps: {
-          data: gpsResult.data,
-          recordCount: gpsResult.recordCount,
-          success: gpsResult.success,
-          extractionTime: gpsResult.extractionTime,
-          clearTime: gpsResult.clearTime,
-          cleared: gpsResult.cleared
-        },
-        mobile: {
-          data: mobileResult.data,
-          recordCount: mobileResult.recordCount,
-          success: mobileResult.success,
-          extractionTime: mobileResult.extractionTime,
-          clearTime: mobileResult.clearTime,
-          cleared: mobileResult.cleared
-        },
+        ...typeResults,
         totalRecords: totalExtractedRecords,
         extractionTime: totalTime,
         allCleared: allCleared,
-        initialStats: {
-          gps: initialGpsStats.totalRecords,
-          mobile: initialMobileStats.totalRecords,
-          total: totalInitialRecords
-        },
-        finalStats: {
-          gps: finalGpsStats.totalRecords,
-          mobile: finalMobileStats.totalRecords,
-          total: totalFinalRecords
-        }
+        runId,
+        initialStats: countsByType(initialStats, totalInitialRecords),
+        finalStats: countsByType(finalStats, totalFinalRecords)
       };
 
     } catch (error) {
@@ -479,8 +868,7 @@ export class AtomicRedisProcessor {
       return {
         success: false,
         error: error.message,
-        gps: { data: [], recordCount: 0, success: false },
-        mobile: { data: [], recordCount: 0, success: false },
+        ...this.buildEmptyResults(false),
         totalRecords: 0,
         extractionTime: totalTime
       };
@@ -500,24 +888,21 @@ export class AtomicRedisProcessor {
         };
       }
 
-      const [gpsStats, mobileStats] = await Promise.all([
-        this.redisRepo.getGPSStats(),
-        this.redisRepo.getMobileStats()
-      ]);
+      const typeStats = await this.getAllTypeStats();
 
       return {
         initialized: this.isInitialized,
         atomicProcessingEnabled: this.atomicProcessingEnabled,
         processingMode: this.getProcessingMode(),
         redis: {
-          gps: gpsStats,
-          mobile: mobileStats,
-          total: gpsStats.totalRecords + mobileStats.totalRecords
-        },
-        keys: {
-          gps: config.gps.listKey,
-          mobile: 'mobile:history:global'
+          ...typeStats,
+          total: Object.values(typeStats).reduce((sum, stats) => sum + stats.totalRecords, 0)
         },
+        keys: Object.fromEntries(dataTypeRegistry.list().map(definition => [definition.name, definition.redisKey])),
+        sources: Object.fromEntries(dataTypeRegistry.list().map(definition => [definition.name, {
+          lists: definition.redisKeys,
+          pattern: definition.redisKeyPattern
+        }])),
         featureFlags: {
           atomicProcessingEnabled: this.atomicProcessingEnabled,
           configValue: config.backup.atomicProcessingEnabled
@@ -2,6 +2,8 @@ import { BigQuery } from '@google-cloud/bigquery';
 import { logger } from '../utils/logger.js';
 import { config } from '../config/env.js';
 import { FileUtils } from '../utils/FileUtils.js';
+import { dataTypeRegistry } from '../config/dataTypes.js';
+import { stagingFileFormats } from '../utils/StagingFileFormats.js';
 
 /**
  * Procesador de lotes para BigQuery
@@ -17,7 +19,7 @@ export class BigQueryBatchProcessor {
     this.datasetId = config.bigquery.datasetId;
     this.location = config.bigquery.location;
     this.keyFilename = config.bigquery.keyFilename;
-    this.tables = config.bigquery.tables;
+    this.tables = dataTypeRegistry.getTableMap();
     this.jobConfig = config.bigquery.jobConfig;
   }
 
@@ -84,37 +86,13 @@ export class BigQueryBatchProcessor {
   }
 
   /**
-   * Asegura que las tablas GPS y Mobile existan
+   * Asegura que existan las tablas de todos los tipos registrados
    */
   async ensureTablesExist() {
     try {
-      // Esquema para tabla GPS
-      const gpsSchema = [
-        { name: 'deviceId', type: 'STRING', mode: 'REQUIRED' },
-        { name: 'lat', type: 'FLOAT', mode: 'REQUIRED' },
-        { name: 'lng', type: 'FLOAT', mode: 'REQUIRED' },
-        { name: 'timestamp', type: 'TIMESTAMP', mode: 'REQUIRED' },
-        { name: 'processed_at', type: 'TIMESTAMP', mode: 'NULLABLE' },
-        { name: 'processing_id', type: 'STRING', mode: 'NULLABLE' }
-      ];
-
-      // Esquema para tabla Mobile
-      const mobileSchema = [
-        { name: 'userId', type: 'STRING', mode: 'REQUIRED' },
-        { name: 'lat', type: 'FLOAT', mode: 'REQUIRED' },
-        { name: 'lng', type: 'FLOAT', mode: 'REQUIRED' },
-        { name: 'timestamp', type: 'TIMESTAMP', mode: 'REQUIRED' },
-        { name: 'name', type: 'STRING', mode: 'REQUIRED' },
-        { name: 'email', type: 'STRING', mode: 'REQUIRED' },
-        { name: 'processed_at', type: 'TIMESTAMP', mode: 'NULLABLE' },
-        { name: 'processing_id', type: 'STRING', mode: 'NULLABLE' }
-      ];
-
-      // Crear tabla GPS si no existe
-      await this.ensureTableExists(this.tables.gps, gpsSchema, 'GPS');
-      
-      // Crear tabla Mobile si no existe
-      await this.ensureTableExists(this.tables.mobile, mobileSchema, 'Mobile');
+      for (const definition of dataTypeRegistry.list()) {
+        await this.ensureTableExists(definition.bigQuery.tableId, definition.bigQuery.schema, definition.label);
+      }
 
     } catch (error) {
       logger.error('❌ Error asegurando que las tablas existan:', error.message);
@@ -123,7 +101,7 @@ export class BigQueryBatchProcessor {
   }
 
   /**
-   * Asegura que una tabla específica exista
+   * Asegura que una tabla específica exista y tenga las columnas del esquema declarado
    */
   async ensureTableExists(tableName, schema, description) {
     try {
@@ -143,6 +121,7 @@ export class BigQueryBatchProcessor {
         logger.info(`✅ Tabla ${tableName} creada exitosamente`);
       } else {
         logger.info(`📋 Tabla ${tableName} ya existe`);
+        await this.upgradeTableSchema(table, tableName, schema);
       }
 
     } catch (error) {
@@ -151,10 +130,47 @@ export class BigQueryBatchProcessor {
     }
   }
 
+  /**
+   * Agrega a una tabla existente las columnas del esquema declarado que le falten.
+   * Solo se agregan columnas NULLABLE o REPEATED (BigQuery no permite agregar REQUIRED);
+   * nunca se modifican ni eliminan columnas existentes
+   * @param {Table} table - Tabla BigQuery
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Array} schema - Esquema declarado
+   * @returns {Array} Nombres de las columnas agregadas
+   */
+  async upgradeTableSchema(table, tableName, schema) {
+    const [metadata] = await table.getMetadata();
+    const currentFields = metadata.schema?.fields || [];
+    const currentNames = new Set(currentFields.map(field => field.name));
+    const missingFields = schema.filter(field => !currentNames.has(field.name));
+
+    if (missingFields.length === 0) {
+      return [];
+    }
+
+    const requiredFields = missingFields.filter(field => field.mode === 'REQUIRED');
+    if (requiredFields.length > 0) {
+      logger.warn(`⚠️ Columnas REQUIRED no se pueden agregar a ${tableName}: ${requiredFields.map(field => field.name).join(', ')}`);
+    }
+
+    const addableFields = missingFields.filter(field => field.mode !== 'REQUIRED');
+    if (addableFields.length === 0) {
+      return [];
+    }
+
+    await table.setMetadata({
+      schema: { fields: [...currentFields, ...addableFields] }
+    });
+
+    logger.info(`🧩 Esquema de ${tableName} actualizado, columnas agregadas: ${addableFields.map(field => field.name).join(', ')}`);
+    return addableFields.map(field => field.name);
+  }
+
   /**
    * Procesa un archivo GCS hacia BigQuery
-   * @param {string} gcsUri - URI del archivo en GCS (gs://bucket/path/file.json)
-   * @param {string} dataType - Tipo de datos ('gps' o 'mobile')
+   * @param {string} gcsUri - URI del archivo en GCS (gs://bucket/path/file.json, .json.gz, .avro o .parquet)
+   * @param {string} dataType - Tipo de datos registrado ('gps', 'mobile', ...)
    * @param {Object} metadata - Metadata del archivo
    * @returns {Object} Resultado del procesamiento
    */
@@ -171,6 +187,16 @@ export class BigQueryBatchProcessor {
       // Debug: verificar estado de inicialización
       logger.debug(`🔍 BigQuery state: initialized=${this.isInitialized}, client=${!!this.bigQuery}, dataset=${!!this.dataset}`);
 
+      // BigQuery solo carga desde GCS (los backends s3 y local requieren BigQuery en simulación)
+      if (!gcsUri.startsWith('gs://')) {
+        return {
+          success: false,
+          error: `BigQuery solo carga archivos de GCS: ${gcsUri}`,
+          gcsUri,
+          dataType
+        };
+      }
+
       // Determinar tabla destino
       const tableName = this.tables[dataType];
       if (!tableName) {
@@ -184,9 +210,15 @@ export class BigQueryBatchProcessor {
 
       const table = this.dataset.table(tableName);
 
-      // Configurar job de carga para JSON con optimizaciones de rendimiento
+      // Configurar job de carga con optimizaciones de rendimiento. El formato sale de la extensión
+      // del archivo (.json, .avro o .parquet), no de la configuración actual: el recovery puede cargar
+      // archivos subidos antes de cambiar GCS_OUTPUT_FORMAT.
+      // Los archivos .json.gz se cargan igual: BigQuery descomprime gzip en el job (sin lectura paralela)
+      const format = stagingFileFormats.fromFileName(gcsUri);
       const jobConfig = {
-        sourceFormat: 'NEWLINE_DELIMITED_JSON',
+        sourceFormat: format.sourceFormat,
+        // Avro: timestamp-micros se carga como TIMESTAMP (sin esto quedaría como INTEGER)
+        ...(format.name === 'avro' && { useAvroLogicalTypes: true }),
         writeDisposition: this.jobConfig.writeDisposition,
         createDisposition: this.jobConfig.createDisposition,
         maxBadRecords: parseInt(process.env.BIGQUERY_MAX_BAD_RECORDS) || this.jobConfig.maxBadRecords,
@@ -258,6 +290,7 @@ export class BigQueryBatchProcessor {
           gcsUri,
           dataType,
           tableName,
+          sourceFormat: format.sourceFormat,
           completedAt: new Date().toISOString(),
           statistics: stats
         };
@@ -313,6 +346,7 @@ export class BigQueryBatchProcessor {
         gcsUri,
         dataType,
         tableName,
+        sourceFormat: stagingFileFormats.fromFileName(gcsUri).sourceFormat,
         completedAt: new Date().toISOString(),
         simulated: true
       };
@@ -544,34 +578,20 @@ export class BigQueryBatchProcessor {
 
       const stats = {};
 
-      // Estadísticas tabla GPS
-      try {
-        const gpsTable = this.dataset.table(this.tables.gps);
-        const [gpsMetadata] = await gpsTable.getMetadata();
-        stats.gps = {
-          tableName: this.tables.gps,
-          numRows: parseInt(gpsMetadata.numRows || 0),
-          numBytes: parseInt(gpsMetadata.numBytes || 0),
-          lastModified: gpsMetadata.lastModifiedTime,
-          schema: gpsMetadata.schema.fields
-        };
-      } catch (error) {
-        stats.gps = { error: error.message };
-      }
-
-      // Estadísticas tabla Mobile
-      try {
-        const mobileTable = this.dataset.table(this.tables.mobile);
-        const [mobileMetadata] = await mobileTable.getMetadata();
-        stats.mobile = {
-          tableName: this.tables.mobile,
-          numRows: parseInt(mobileMetadata.numRows || 0),
-          numBytes: parseInt(mobileMetadata.numBytes || 0),
-          lastModified: mobileMetadata.lastModifiedTime,
-          schema: mobileMetadata.schema.fields
-        };
-      } catch (error) {
-        stats.mobile = { error: error.message };
+      for (const definition of dataTypeRegistry.list()) {
+        try {
+          const table = this.dataset.table(definition.bigQuery.tableId);
+          const [metadata] = await table.getMetadata();
+          stats[definition.name] = {
+            tableName: definition.bigQuery.tableId,
+            numRows: parseInt(metadata.numRows || 0),
+            numBytes: parseInt(metadata.numBytes || 0),
+            lastModified: metadata.lastModifiedTime,
+            schema: metadata.schema.fields
+          };
+        } catch (error) {
+          stats[definition.name] = { error: error.message };
+        }
       }
 
       return stats;
@@ -586,22 +606,13 @@ export class BigQueryBatchProcessor {
    * Obtiene estadísticas simuladas de las tablas
    */
   getTableStatsSimulated() {
-    return {
-      gps: {
-        tableName: this.tables.gps,
-        numRows: Math.floor(Math.random() * 100000) + 10000,
-        numBytes: Math.floor(Math.random() * 10000000) + 1000000,
-        lastModified: new Date().toISOString(),
-        simulated: true
-      },
-      mobile: {
-        tableName: this.tables.mobile,
-        numRows: Math.floor(Math.random() * 50000) + 5000,
-        numBytes: Math.floor(Math.random() * 5000000) + 500000,
-        lastModified: new Date().toISOString(),
-        simulated: true
-      }
-    };
+    return Object.fromEntries(dataTypeRegistry.list().map(definition => [definition.name, {
+      tableName: definition.bigQuery.tableId,
+      numRows: Math.floor(Math.random() * 100000) + 10000,
+      numBytes: Math.floor(Math.random() * 10000000) + 1000000,
+      lastModified: new Date().toISOString(),
+      simulated: true
+    }]));
   }
 
   /**
@@ -658,11 +669,10 @@ export class BigQueryBatchProcessor {
     try {
       await this.initialize();
 
-      // Determinar tipo de datos basado en el nombre de la tabla
-      let dataType = 'gps';
-      if (tableId.toLowerCase().includes('mobile')) {
-        dataType = 'mobile';
-      }
+      // Determinar tipo de datos basado en la tabla registrada
+      const dataType = dataTypeRegistry.findByTable(tableId)?.name ||
+        dataTypeRegistry.list().find(definition => tableId.toLowerCase().includes(definition.name))?.name ||
+        'gps';
 
       const metadata = {
         processingId: `manual_${Date.now()}`,
@@ -1,17 +1,23 @@
 import { logger } from '../utils/logger.js';
-import { GPSValidator } from '../validators/GPSValidator.js';
+import { SchemaValidator } from '../validators/SchemaValidator.js';
 import { RedisRepository } from '../repositories/RedisRepository.js';
+import { dataTypeRegistry } from '../config/dataTypes.js';
+import { payloadParsers } from '../parsers/PayloadParserRegistry.js';
+import { VALIDATION_ERROR_CODES } from '../types/GPSTypes.js';
 
 /**
  * Servicio para separar y procesar datos GPS y Mobile desde Redis
- * Implementa la separación por tipo de datos según los requerimientos 1.1 y 1.2
+ * Implementa la separación por tipo de datos según los requerimientos 1.1 y 1.2.
+ * Las reglas de validación de cada tipo se declaran en el registro de tipos (config/dataTypes.js)
  */
 export class DataSeparator {
   constructor() {
-    this.gpsValidator = new GPSValidator();
-    this.gpsKey = 'gps:history:global';
-    this.mobileKey = 'mobile:history:global';
+    this.gpsKey = dataTypeRegistry.require('gps').redisKey;
+    this.mobileKey = dataTypeRegistry.require('mobile').redisKey;
     this.redisRepo = new RedisRepository();
+
+    // Validadores compilados por definición de tipo (se recompilan si el tipo se vuelve a registrar)
+    this.schemaValidators = new WeakMap();
   }
 
   /**
@@ -21,53 +27,49 @@ export class DataSeparator {
    * @returns {Object} Datos separados por tipo
    */
   separateDataByType(gpsHistoryData = [], mobileHistoryData = []) {
+    return this.separateData({
+      gps: gpsHistoryData,
+      mobile: mobileHistoryData
+    });
+  }
+
+  /**
+   * Separa datos de todos los tipos registrados
+   * @param {Object} dataByType - Datos crudos por nombre de tipo
+   * @returns {Object} Datos separados por tipo
+   */
+  separateData(dataByType = {}) {
     try {
-      logger.info('🔄 Iniciando separación de datos GPS y Mobile...');
+      logger.info(`🔄 Iniciando separación de datos ${dataTypeRegistry.list().map(definition => definition.label).join(', ')}...`);
 
-      const separatedData = {
-        gps: {
-          data: [],
-          metadata: {
-            type: 'gps',
-            timestamp: new Date().toISOString(),
-            recordCount: 0,
-            source: 'redis:gps:history:global',
-            processingId: this.generateProcessingId('gps')
+      const separatedData = {};
+
+      for (const definition of dataTypeRegistry.list()) {
+        const data = [];
+
+        (dataByType[definition.name] || []).forEach((item) => {
+          const parsedData = this.parseRedisValue(item, definition.name);
+          if (parsedData) {
+            data.push(parsedData);
           }
-        },
-        mobile: {
-          data: [],
+        });
+
+        separatedData[definition.name] = {
+          data,
           metadata: {
-            type: 'mobile',
+            type: definition.name,
             timestamp: new Date().toISOString(),
-            recordCount: 0,
-            source: 'redis:mobile:history:global',
-            processingId: this.generateProcessingId('mobile')
+            recordCount: data.length,
+            source: `redis:${definition.redisKey}`,
+            processingId: this.generateProcessingId(definition.name)
           }
-        }
-      };
-
-      // Procesar datos GPS
-      gpsHistoryData.forEach((item) => {
-        const parsedData = this.parseRedisValue(item);
-        if (parsedData) {
-          separatedData.gps.data.push(parsedData);
-        }
-      });
-
-      // Procesar datos Mobile
-      mobileHistoryData.forEach((item) => {
-        const parsedData = this.parseRedisValue(item);
-        if (parsedData) {
-          separatedData.mobile.data.push(parsedData);
-        }
-      });
-
-      // Actualizar contadores
-      separatedData.gps.metadata.recordCount = separatedData.gps.data.length;
-      separatedData.mobile.metadata.recordCount = separatedData.mobile.data.length;
+        };
+      }
 
-      logger.info(`✅ Separación completada: ${separatedData.gps.metadata.recordCount} GPS, ${separatedData.mobile.metadata.recordCount} Mobile`);
+      const summary = Object.values(separatedData)
+        .map(({ metadata }) => `${metadata.recordCount} ${dataTypeRegistry.get(metadata.type).label}`)
+        .join(', ');
+      logger.info(`✅ Separación completada: ${summary}`);
 
       return separatedData;
 
@@ -83,49 +85,7 @@ export class DataSeparator {
    * @returns {Object} Resultado de validación
    */
   validateGPSData(gpsData) {
-    try {
-      logger.info(`🔍 Validando ${gpsData.length} registros GPS...`);
-
-      const validData = [];
-      const invalidData = [];
-      const errors = [];
-
-      gpsData.forEach((record, index) => {
-        const validation = this.validateGPSRecord(record);
-
-        if (validation.isValid) {
-          validData.push(validation.cleanedData);
-        } else {
-          invalidData.push({
-            index,
-            record,
-            errors: validation.errors
-          });
-          errors.push(...validation.errors.map(err => `GPS Record ${index}: ${err}`));
-        }
-      });
-
-      const stats = {
-        total: gpsData.length,
-        valid: validData.length,
-        invalid: invalidData.length,
-        validationRate: gpsData.length > 0 ? ((validData.length / gpsData.length) * 100).toFixed(2) : 0
-      };
-
-      logger.info(`✅ Validación GPS completada: ${stats.valid}/${stats.total} registros válidos (${stats.validationRate}%)`);
-
-      return {
-        isValid: validData.length > 0,
-        validData,
-        invalidData,
-        errors,
-        stats
-      };
-
-    } catch (error) {
-      logger.error('❌ Error validando datos GPS:', error.message);
-      throw error;
-    }
+    return this.validateData(gpsData, 'gps');
   }
 
   /**
@@ -134,15 +94,40 @@ export class DataSeparator {
    * @returns {Object} Resultado de validación
    */
   validateMobileData(mobileData) {
+    return this.validateData(mobileData, 'mobile');
+  }
+
+  /**
+   * Valida un lote de registros con las reglas del tipo registrado.
+   * Antes de validar, los payloads NMEA, GeoJSON y CSV se convierten en registros canónicos
+   * (ver parsers/PayloadParserRegistry.js); los que no se pueden parsear quedan como inválidos
+   * @param {Array} records - Registros a validar
+   * @param {string} dataType - Nombre del tipo en el registro
+   * @returns {Object} Resultado de validación (stats.parsing: { formato: { parsed, failed } })
+   */
+  validateData(records, dataType) {
+    const definition = dataTypeRegistry.require(dataType);
+
     try {
-      logger.info(`🔍 Validando ${mobileData.length} registros Mobile...`);
+      logger.info(`🔍 Validando ${records.length} registros ${definition.label}...`);
 
       const validData = [];
       const invalidData = [];
       const errors = [];
+      const parsing = payloadParsers.parseBatch(records, dataType);
+
+      parsing.failures.forEach(({ index, record, error }) => {
+        invalidData.push({
+          index,
+          record,
+          errors: [error],
+          issues: [{ field: null, code: VALIDATION_ERROR_CODES.PARSE_ERROR, message: error }]
+        });
+        errors.push(`${definition.label} Record ${index}: ${error}`);
+      });
 
-      mobileData.forEach((record, index) => {
-        const validation = this.validateMobileRecord(record);
+      parsing.records.forEach(({ index, record }) => {
+        const validation = this.validateRecord(record, dataType);
 
         if (validation.isValid) {
           validData.push(validation.cleanedData);
@@ -150,20 +135,23 @@ export class DataSeparator {
           invalidData.push({
             index,
             record,
-            errors: validation.errors
+            errors: validation.errors,
+            issues: validation.issues
           });
-          errors.push(...validation.errors.map(err => `Mobile Record ${index}: ${err}`));
+          errors.push(...validation.errors.map(err => `${definition.label} Record ${index}: ${err}`));
         }
       });
 
+      const total = validData.length + invalidData.length;
       const stats = {
-        total: mobileData.length,
+        total,
         valid: validData.length,
         invalid: invalidData.length,
-        validationRate: mobileData.length > 0 ? ((validData.length / mobileData.length) * 100).toFixed(2) : 0
+        validationRate: total > 0 ? ((validData.length / total) * 100).toFixed(2) : 0,
+        parsing: parsing.stats
       };
 
-      logger.info(`✅ Validación Mobile completada: ${stats.valid}/${stats.total} registros válidos (${stats.validationRate}%)`);
+      logger.info(`✅ Validación ${definition.label} completada: ${stats.valid}/${stats.total} registros válidos (${stats.validationRate}%)`);
 
       return {
         isValid: validData.length > 0,
@@ -174,7 +162,7 @@ export class DataSeparator {
       };
 
     } catch (error) {
-      logger.error('❌ Error validando datos Mobile:', error.message);
+      logger.error(`❌ Error validando datos ${definition.label}:`, error.message);
       throw error;
     }
   }
@@ -182,7 +170,7 @@ export class DataSeparator {
   /**
    * Formatea datos para estructura GCS compatible
    * @param {Array} data - Datos validados
-   * @param {string} type - Tipo de datos ('gps' o 'mobile')
+   * @param {string} type - Tipo de datos registrado ('gps', 'mobile', ...)
    * @returns {Object} Estructura compatible con GCS
    */
   formatForGCS(data, type) {
@@ -194,7 +182,7 @@ export class DataSeparator {
           type: type,
           timestamp: new Date().toISOString(),
           recordCount: data.length,
-          source: `redis:${type}:history:global`,
+          source: `redis:${dataTypeRegistry.get(type)?.redisKey || `${type}:history:global`}`,
           processingId: this.generateProcessingId(type),
           formatVersion: '1.0'
         },
@@ -217,62 +205,7 @@ export class DataSeparator {
    * @returns {Object} Resultado de validación
    */
   validateGPSRecord(record) {
-    const errors = [];
-    let cleanedData = {};
-
-    try {
-      // Convertir string a objeto si es necesario
-      let gpsData = typeof record === 'string' ? JSON.parse(record) : record;
-
-      // Validar que sea un objeto
-      if (!gpsData || typeof gpsData !== 'object') {
-        return {
-          isValid: false,
-          errors: ['Record is not a valid object'],
-          cleanedData: null
-        };
-      }
-
-      // Validar deviceId (requerido)
-      const deviceIdValidation = this.validateDeviceId(gpsData);
-      if (!deviceIdValidation.isValid) {
-        errors.push(...deviceIdValidation.errors);
-      } else {
-        cleanedData.deviceId = deviceIdValidation.value;
-      }
-
-      // Validar coordenadas (requeridas)
-      const latitudeValidation = this.gpsValidator.validateLatitude(gpsData);
-      if (!latitudeValidation.isValid) {
-        errors.push(...latitudeValidation.errors);
-      } else {
-        cleanedData.lat = latitudeValidation.value;
-      }
-
-      const longitudeValidation = this.gpsValidator.validateLongitude(gpsData);
-      if (!longitudeValidation.isValid) {
-        errors.push(...longitudeValidation.errors);
-      } else {
-        cleanedData.lng = longitudeValidation.value;
-      }
-
-      // Validar timestamp (requerido)
-      const timestampValidation = this.gpsValidator.validateTimestamp(gpsData);
-      cleanedData.timestamp = timestampValidation.value;
-
-      return {
-        isValid: errors.length === 0,
-        errors,
-        cleanedData: errors.length === 0 ? cleanedData : null
-      };
-
-    } catch (parseError) {
-      return {
-        isValid: false,
-        errors: [`JSON parse error: ${parseError.message}`],
-        cleanedData: null
-      };
-    }
+    return this.validateRecord(record, 'gps');
   }
 
   /**
@@ -281,186 +214,52 @@ export class DataSeparator {
    * @returns {Object} Resultado de validación
    */
   validateMobileRecord(record) {
-    const errors = [];
-    let cleanedData = {};
-
-    try {
-      // Convertir string a objeto si es necesario
-      let mobileData = typeof record === 'string' ? JSON.parse(record) : record;
-
-      // Validar que sea un objeto
-      if (!mobileData || typeof mobileData !== 'object') {
-        return {
-          isValid: false,
-          errors: ['Record is not a valid object'],
-          cleanedData: null
-        };
-      }
-
-      // Validar userId (requerido)
-      const userIdValidation = this.validateUserId(mobileData);
-      if (!userIdValidation.isValid) {
-        errors.push(...userIdValidation.errors);
-      } else {
-        cleanedData.userId = userIdValidation.value;
-      }
-
-      // Validar coordenadas (requeridas)
-      const latitudeValidation = this.gpsValidator.validateLatitude(mobileData);
-      if (!latitudeValidation.isValid) {
-        errors.push(...latitudeValidation.errors);
-      } else {
-        cleanedData.lat = latitudeValidation.value;
-      }
-
-      const longitudeValidation = this.gpsValidator.validateLongitude(mobileData);
-      if (!longitudeValidation.isValid) {
-        errors.push(...longitudeValidation.errors);
-      } else {
-        cleanedData.lng = longitudeValidation.value;
-      }
-
-      // Validar timestamp (requerido)
-      const timestampValidation = this.gpsValidator.validateTimestamp(mobileData);
-      cleanedData.timestamp = timestampValidation.value;
-
-      // Validar name (requerido)
-      const nameValidation = this.validateName(mobileData);
-      if (!nameValidation.isValid) {
-        errors.push(...nameValidation.errors);
-      } else {
-        cleanedData.name = nameValidation.value;
-      }
-
-      // Validar email (requerido)
-      const emailValidation = this.validateEmail(mobileData);
-      if (!emailValidation.isValid) {
-        errors.push(...emailValidation.errors);
-      } else {
-        cleanedData.email = emailValidation.value;
-      }
-
-      return {
-        isValid: errors.length === 0,
-        errors,
-        cleanedData: errors.length === 0 ? cleanedData : null
-      };
-
-    } catch (parseError) {
-      return {
-        isValid: false,
-        errors: [`JSON parse error: ${parseError.message}`],
-        cleanedData: null
-      };
-    }
+    return this.validateRecord(record, 'mobile');
   }
 
   /**
-   * Valida deviceId para datos GPS
+   * Valida un registro individual con el esquema del tipo registrado
+   * @param {Object|string} record - Registro a validar
+   * @param {string} dataType - Nombre del tipo en el registro
+   * @returns {Object} Resultado de validación ({ isValid, errors, issues, cleanedData })
    */
-  validateDeviceId(data) {
-    const deviceId = data.deviceId || data.device_id;
-
-    if (!deviceId) {
-      return { isValid: false, errors: ['deviceId is required for GPS data'], value: null };
-    }
-
-    const strDeviceId = String(deviceId).trim();
-
-    if (strDeviceId.length === 0) {
-      return { isValid: false, errors: ['deviceId cannot be empty'], value: null };
-    }
-
-    // Limpiar caracteres especiales peligrosos
-    const cleanDeviceId = strDeviceId.replace(/[<>\"'&]/g, '');
-
-    return { isValid: true, errors: [], value: cleanDeviceId };
+  validateRecord(record, dataType) {
+    return this.getSchemaValidator(dataType).validate(record);
   }
 
   /**
-   * Valida userId para datos Mobile
+   * Obtiene el validador compilado de un tipo: validation.schema (ver types/GPSTypes.js)
+   * o validation.fields con reglas predefinidas
+   * @param {string} dataType - Nombre del tipo en el registro
+   * @returns {SchemaValidator} Validador del tipo
    */
-  validateUserId(data) {
-    const userId = data.userId || data.user_id;
-
-    if (!userId) {
-      return { isValid: false, errors: ['userId is required for mobile data'], value: null };
-    }
-
-    const strUserId = String(userId).trim();
-
-    if (strUserId.length === 0) {
-      return { isValid: false, errors: ['userId cannot be empty'], value: null };
-    }
-
-    // Limpiar caracteres especiales peligrosos
-    const cleanUserId = strUserId.replace(/[<>\"'&]/g, '');
-
-    return { isValid: true, errors: [], value: cleanUserId };
-  }
-
-  /**
-   * Valida name para datos Mobile
-   */
-  validateName(data) {
-    const name = data.name;
-
-    if (!name) {
-      return { isValid: false, errors: ['name is required for mobile data'], value: null };
-    }
-
-    const strName = String(name).trim();
-
-    if (strName.length === 0) {
-      return { isValid: false, errors: ['name cannot be empty'], value: null };
-    }
-
-    if (strName.length > 100) {
-      return { isValid: false, errors: ['name cannot exceed 100 characters'], value: null };
-    }
-
-    // Limpiar caracteres especiales peligrosos
-    const cleanName = strName.replace(/[<>\"'&]/g, '');
-
-    return { isValid: true, errors: [], value: cleanName };
-  }
-
-  /**
-   * Valida email para datos Mobile
-   */
-  validateEmail(data) {
-    const email = data.email;
-
-    if (!email) {
-      return { isValid: false, errors: ['email is required for mobile data'], value: null };
-    }
-
-    const strEmail = String(email).trim().toLowerCase();
-
-    if (strEmail.length === 0) {
-      return { isValid: false, errors: ['email cannot be empty'], value: null };
-    }
-
-    // Validación básica de formato de email
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(strEmail)) {
-      return { isValid: false, errors: ['email format is invalid'], value: null };
-    }
-
-    if (strEmail.length > 254) {
-      return { isValid: false, errors: ['email cannot exceed 254 characters'], value: null };
+  getSchemaValidator(dataType) {
+    const definition = dataTypeRegistry.require(dataType);
+    let validator = this.schemaValidators.get(definition);
+
+    if (!validator) {
+      const schema = definition.validation.schema || SchemaValidator.fromFields(definition.validation.fields);
+      validator = new SchemaValidator(schema, {
+        subject: definition.validation.errorLabel,
+        attributes: definition.validation.attributes,
+        coordinates: definition.validation.coordinates
+      });
+      this.schemaValidators.set(definition, validator);
     }
 
-    return { isValid: true, errors: [], value: strEmail };
+    return validator;
   }
 
   /**
-   * Parsea valor de Redis
+   * Parsea valor de Redis. Los formatos que reconoce un parser (NMEA, CSV) se conservan como
+   * texto y se convierten al validar
+   * @param {*} value - Valor de Redis
+   * @param {string} dataType - Tipo de datos registrado (para el layout CSV)
    */
-  parseRedisValue(value) {
+  parseRedisValue(value, dataType = null) {
     try {
       if (typeof value === 'string') {
-        return JSON.parse(value);
+        return payloadParsers.recognizes(value, dataType) ? value : JSON.parse(value);
       }
       return value;
     } catch (error) {
@@ -496,18 +295,20 @@ export class DataSeparator {
     try {
       logger.info('🔄 Obteniendo datos desde Redis...');
 
-      // Obtener datos GPS desde Redis
-      const gpsHistoryData = await this.redisRepo.getListData(this.gpsKey);
-      logger.info(`📍 Obtenidos ${gpsHistoryData.length} registros GPS desde ${this.gpsKey}`);
+      const dataByType = {};
 
-      // Obtener datos Mobile desde Redis
-      const mobileHistoryData = await this.redisRepo.getListData(this.mobileKey);
-      logger.info(`📱 Obtenidos ${mobileHistoryData.length} registros Mobile desde ${this.mobileKey}`);
+      for (const definition of dataTypeRegistry.list()) {
+        dataByType[definition.name] = [];
 
-      // Separar los datos
-      const separatedData = this.separateDataByType(gpsHistoryData, mobileHistoryData);
+        for (const key of await this.redisRepo.resolveListKeys(definition.redisKeys, definition.redisKeyPattern)) {
+          const keyData = await this.redisRepo.getListData(key);
+          dataByType[definition.name].push(...keyData);
+          logger.info(`${definition.icon} Obtenidos ${keyData.length} registros ${definition.label} desde ${key}`);
+        }
+      }
 
-      return separatedData;
+      // Separar los datos
+      return this.separateData(dataByType);
 
     } catch (error) {
       logger.error('❌ Error obteniendo datos desde Redis:', error.message);
@@ -523,16 +324,17 @@ export class DataSeparator {
     try {
       logger.info('🗑️ Limpiando datos procesados de Redis...');
 
-      const gpsCleared = await this.redisRepo.clearListData(this.gpsKey);
-      const mobileCleared = await this.redisRepo.clearListData(this.mobileKey);
+      const result = { success: true };
 
-      logger.info(`✅ Limpieza completada - GPS: ${gpsCleared}, Mobile: ${mobileCleared}`);
+      for (const definition of dataTypeRegistry.list()) {
+        const keys = await this.redisRepo.resolveListKeys(definition.redisKeys, definition.redisKeyPattern);
+        const cleared = await Promise.all(keys.map(key => this.redisRepo.clearListData(key)));
+        result[`${definition.name}Cleared`] = cleared.every(Boolean);
+      }
 
-      return {
-        success: true,
-        gpsCleared,
-        mobileCleared
-      };
+      logger.info('✅ Limpieza completada', result);
+
+      return result;
 
     } catch (error) {
       logger.error('❌ Error limpiando datos de Redis:', error.message);
@@ -547,33 +349,21 @@ export class DataSeparator {
    * Obtiene estadísticas del separador
    */
   getStats() {
+    const redisKeys = {};
+    const validators = {};
+
+    for (const definition of dataTypeRegistry.list()) {
+      redisKeys[definition.name] = definition.redisKey;
+      const validator = this.getSchemaValidator(definition.name);
+      validators[definition.name] = {
+        requiredFields: validator.getRequiredFields(),
+        validationRules: validator.describe()
+      };
+    }
+
     return {
-      redisKeys: {
-        gps: this.gpsKey,
-        mobile: this.mobileKey
-      },
-      validators: {
-        gps: {
-          requiredFields: ['deviceId', 'lat', 'lng', 'timestamp'],
-          validationRules: {
-            deviceId: 'Required, non-empty string identifier',
-            lat: 'Required, number between -90 and 90',
-            lng: 'Required, number between -180 and 180',
-            timestamp: 'Required, valid date string or current time'
-          }
-        },
-        mobile: {
-          requiredFields: ['userId', 'lat', 'lng', 'timestamp', 'name', 'email'],
-          validationRules: {
-            userId: 'Required, non-empty string identifier',
-            lat: 'Required, number between -90 and 90',
-            lng: 'Required, number between -180 and 180',
-            timestamp: 'Required, valid date string or current time',
-            name: 'Required, non-empty string, max 100 characters',
-            email: 'Required, valid email format, max 254 characters'
-          }
-        }
-      }
+      redisKeys,
+      validators
     };
   }
 
@@ -0,0 +1,461 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+import { FileUtils } from '../utils/FileUtils.js';
+import { RequestAuth } from '../utils/RequestAuth.js';
+import { config } from '../config/env.js';
+import { dataTypeRegistry } from '../config/dataTypes.js';
+import { RedisRepository } from '../repositories/RedisRepository.js';
+import { DataSeparator } from './DataSeparator.js';
+import { PrivacyService } from './PrivacyService.js';
+import { RedisStreamSource } from './RedisStreamSource.js';
+import { GCSAdapter } from '../adapters/GCSAdapter.js';
+
+/**
+ * Dead-letter de registros rechazados por validación.
+ *
+ * Cada validación con registros inválidos genera un lote (un archivo JSON por tipo y ejecución)
+ * en el directorio local, replicado opcionalmente en GCS bajo DEAD_LETTER_GCS_PREFIX. Cada entrada
+ * conserva el payload original (protegido por la privacidad, con el original cifrado para el replay),
+ * los errores y códigos de validación, el run id y la fecha.
+ * Los registros corregidos se reinyectan (replay) en la lista Redis del tipo, o en su stream
+ * con REDIS_SOURCE_MODE=stream, por lo que vuelven a pasar por el pipeline completo.
+ */
+export class DeadLetterService {
+  constructor(
+    redisRepo = new RedisRepository(),
+    dataSeparator = new DataSeparator(),
+    gcsAdapter = new GCSAdapter(),
+    deadLetterConfig = config.deadLetter,
+    privacyService = new PrivacyService(redisRepo),
+    streamSource = new RedisStreamSource(redisRepo)
+  ) {
+    this.redisRepo = redisRepo;
+    this.dataSeparator = dataSeparator;
+    this.gcsAdapter = gcsAdapter;
+    this.config = deadLetterConfig;
+    this.privacyService = privacyService;
+    this.streamSource = streamSource;
+    this.storagePath = deadLetterConfig.storagePath;
+  }
+
+  /**
+   * Verifica si el dead-letter está habilitado
+   */
+  isEnabled() {
+    return this.config.enabled;
+  }
+
+  /**
+   * Verifica si una petición trae el token de administrador del dead-letter
+   * @param {Object} headers - Headers HTTP (Authorization: Bearer o X-Admin-Token)
+   */
+  isPrivileged(headers = {}) {
+    return RequestAuth.hasToken(headers, this.config.adminToken);
+  }
+
+  /**
+   * Guarda los registros rechazados de una validación
+   * @param {string} dataType - Tipo de datos registrado
+   * @param {Array} invalidData - invalidData de DataSeparator.validateData ({ index, record, errors, issues })
+   * @param {Object} context - runId y source de la ejecución
+   * @returns {Object} Resultado con el id del lote
+   */
+  async save(dataType, invalidData, context = {}) {
+    if (!this.isEnabled() || !Array.isArray(invalidData) || invalidData.length === 0) {
+      return { success: true, saved: 0 };
+    }
+
+    try {
+      const createdAt = new Date().toISOString();
+      const runId = context.runId || 'manual';
+      const batchId = `dl_${dataType}_${runId}_${Math.random().toString(36).slice(2, 8)}`;
+
+      const batch = {
+        id: batchId,
+        dataType,
+        runId,
+        source: context.source || null,
+        createdAt,
+        updatedAt: createdAt,
+        gcsFile: null,
+        entries: invalidData.map((item, position) => ({
+          id: `e${position}`,
+          index: item.index,
+          identifier: this.getIdentifier(item.record),
+          record: item.record,
+          ...(item.protected && { protected: true, sealedRecord: item.sealedRecord }),
+          errors: item.errors || [],
+          codes: (item.issues || []).map(issue => issue.code),
+          rejectedAt: createdAt
+        }))
+      };
+
+      await this.writeBatch(batch);
+
+      logger.warn(`☠️ ${batch.entries.length} registros ${dataType} rechazados guardados en dead-letter: ${batchId}`);
+
+      return {
+        success: true,
+        saved: batch.entries.length,
+        batchId,
+        gcsFile: batch.gcsFile
+      };
+
+    } catch (error) {
+      logger.error(`❌ Error guardando dead-letter ${dataType}:`, error.message);
+      return {
+        success: false,
+        saved: 0,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Lista los lotes del dead-letter (sin las entradas)
+   * @param {Object} filters - dataType, runId, identifier, since, until, limit
+   * @returns {Array} Resúmenes ordenados del más reciente al más antiguo
+   */
+  async list(filters = {}) {
+    const batches = await this.readAllBatches();
+    const since = filters.since ? new Date(filters.since).getTime() : null;
+    const until = filters.until ? new Date(filters.until).getTime() : null;
+
+    const summaries = batches
+      .filter(batch => !filters.dataType || batch.dataType === filters.dataType)
+      .filter(batch => !filters.runId || batch.runId === filters.runId)
+      .filter(batch => !since || new Date(batch.createdAt).getTime() >= since)
+      .filter(batch => !until || new Date(batch.createdAt).getTime() <= until)
+      .map(batch => {
+        const entries = filters.identifier
+          ? batch.entries.filter(entry => entry.identifier === filters.identifier)
+          : batch.entries;
+        return { batch, entries };
+      })
+      .filter(({ entries }) => entries.length > 0)
+      .map(({ batch, entries }) => this.summarize(batch, entries))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    return filters.limit ? summaries.slice(0, filters.limit) : summaries;
+  }
+
+  /**
+   * Obtiene un lote completo con sus entradas
+   * @param {string} batchId - ID del lote
+   * @returns {Object|null} Lote o null si no existe
+   */
+  async get(batchId) {
+    const filePath = this.getBatchPath(batchId);
+
+    if (!(await FileUtils.pathExists(filePath))) {
+      return null;
+    }
+
+    return await FileUtils.readJsonFile(filePath);
+  }
+
+  /**
+   * Reinyecta entradas de un lote en la lista Redis del tipo (o su stream en modo stream), opcionalmente corregidas.
+   * Cada registro se vuelve a validar: los válidos salen del dead-letter y los que siguen
+   * inválidos quedan con sus nuevos errores.
+   * @param {string} batchId - ID del lote
+   * @param {Object} options - fixes: [{ entryId, record }] con payloads corregidos;
+   *                           entryIds: entradas a reinyectar sin cambios (por defecto todas si no hay fixes)
+   * @returns {Object} Resultado del replay
+   */
+  async replay(batchId, options = {}) {
+    const batch = await this.get(batchId);
+
+    if (!batch) {
+      return { success: false, statusCode: 404, error: `Lote de dead-letter no encontrado: ${batchId}` };
+    }
+
+    const definition = dataTypeRegistry.get(batch.dataType);
+    if (!definition) {
+      return { success: false, statusCode: 409, error: `Tipo de datos no registrado: ${batch.dataType}` };
+    }
+
+    const fixes = new Map((options.fixes || []).map(fix => [fix.entryId, fix.record]));
+    const entryIds = options.entryIds || (fixes.size > 0 ? [...fixes.keys()] : batch.entries.map(entry => entry.id));
+
+    const unknownIds = entryIds.filter(entryId => !batch.entries.some(entry => entry.id === entryId));
+    if (unknownIds.length > 0) {
+      return { success: false, statusCode: 400, error: `Entradas no encontradas en ${batchId}: ${unknownIds.join(', ')}` };
+    }
+
+    const replayed = [];
+    const stillInvalid = [];
+    const recordsToEnqueue = [];
+
+    for (const entry of batch.entries.filter(item => entryIds.includes(item.id))) {
+      const record = fixes.has(entry.id) ? fixes.get(entry.id) : this.getReplayRecord(entry);
+
+      if (record === null) {
+        const errors = ['Protected record has no recoverable original: send the corrected record as a fix'];
+        stillInvalid.push({ entryId: entry.id, errors, codes: entry.codes });
+        continue;
+      }
+
+      const validation = this.dataSeparator.validateRecord(record, batch.dataType);
+
+      if (validation.isValid) {
+        recordsToEnqueue.push(record);
+        replayed.push(entry.id);
+      } else {
+        // Un payload corregido se guarda protegido, como al rechazarse en el pipeline
+        const [stored] = this.privacyService.sealRejected(
+          batch.dataType,
+          await this.privacyService.protectRejected(batch.dataType, [{ record }])
+        );
+        delete entry.protected;
+        delete entry.sealedRecord;
+        Object.assign(entry, stored);
+        entry.errors = validation.errors;
+        entry.codes = validation.issues.map(issue => issue.code);
+        stillInvalid.push({ entryId: entry.id, errors: validation.errors, codes: entry.codes });
+      }
+    }
+
+    let key = definition.redisKey;
+
+    try {
+      if (recordsToEnqueue.length > 0 && this.streamSource.isEnabled()) {
+        ({ key } = await this.streamSource.append(batch.dataType, recordsToEnqueue));
+      } else if (recordsToEnqueue.length > 0) {
+        await this.redisRepo.addMultipleToList(key, recordsToEnqueue);
+      }
+    } catch (error) {
+      logger.error(`❌ Error reinyectando dead-letter ${batchId}:`, error.message);
+      return { success: false, statusCode: 503, error: `No se pudieron reinyectar los registros: ${error.message}` };
+    }
+
+    batch.entries = batch.entries.filter(entry => !replayed.includes(entry.id));
+    batch.updatedAt = new Date().toISOString();
+    batch.replays = [
+      ...(batch.replays || []),
+      { at: batch.updatedAt, replayed: replayed.length, stillInvalid: stillInvalid.length }
+    ];
+
+    if (batch.entries.length === 0) {
+      await this.deleteBatch(batch);
+    } else {
+      await this.writeBatch(batch);
+    }
+
+    logger.info(`♻️ Dead-letter ${batchId}: ${replayed.length} registros reinyectados en ${key}, ${stillInvalid.length} siguen inválidos`);
+
+    return {
+      success: true,
+      statusCode: 200,
+      batchId,
+      key,
+      replayed: replayed.length,
+      replayedEntries: replayed,
+      stillInvalid,
+      remaining: batch.entries.length
+    };
+  }
+
+  /**
+   * Registro a reinyectar de una entrada sin corrección: el original descifrado si la entrada
+   * se guardó protegida, o null si no tiene copia recuperable
+   */
+  getReplayRecord(entry) {
+    if (!entry.protected) {
+      return entry.record;
+    }
+
+    if (!entry.sealedRecord) {
+      return null;
+    }
+
+    try {
+      return this.privacyService.unseal(entry.sealedRecord);
+    } catch (error) {
+      logger.error(`❌ No se pudo descifrar la entrada ${entry.id} del dead-letter:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Elimina lotes del dead-letter
+   * @param {Object} filters - batchId, dataType u olderThanDays (al menos uno)
+   * @returns {Object} Lotes eliminados
+   */
+  async purge(filters = {}) {
+    if (!filters.batchId && !filters.dataType && !filters.olderThanDays) {
+      return { success: false, statusCode: 400, error: 'Se requiere batchId, dataType u olderThanDays para purgar', purged: 0 };
+    }
+
+    const cutoff = filters.olderThanDays
+      ? Date.now() - filters.olderThanDays * 24 * 60 * 60 * 1000
+      : null;
+
+    const batches = filters.batchId
+      ? [await this.get(filters.batchId)].filter(Boolean)
+      : await this.readAllBatches();
+
+    const toPurge = batches
+      .filter(batch => !filters.dataType || batch.dataType === filters.dataType)
+      .filter(batch => !cutoff || new Date(batch.createdAt).getTime() < cutoff);
+
+    for (const batch of toPurge) {
+      await this.deleteBatch(batch);
+    }
+
+    if (toPurge.length > 0) {
+      logger.info(`🗑️ Dead-letter purgado: ${toPurge.length} lotes eliminados`);
+    }
+
+    return {
+      success: true,
+      statusCode: 200,
+      purged: toPurge.length,
+      batchIds: toPurge.map(batch => batch.id)
+    };
+  }
+
+  /**
+   * Elimina los lotes con más antigüedad que la retención configurada
+   */
+  async purgeExpired() {
+    return await this.purge({ olderThanDays: this.config.retentionDays });
+  }
+
+  /**
+   * Estadísticas del dead-letter por tipo y código de error
+   */
+  async getStats() {
+    const batches = await this.readAllBatches();
+    const byDataType = {};
+    const byCode = {};
+
+    for (const batch of batches) {
+      byDataType[batch.dataType] = (byDataType[batch.dataType] || 0) + batch.entries.length;
+      for (const entry of batch.entries) {
+        for (const code of entry.codes || []) {
+          byCode[code] = (byCode[code] || 0) + 1;
+        }
+      }
+    }
+
+    return {
+      enabled: this.isEnabled(),
+      storagePath: this.storagePath,
+      gcsPrefix: this.config.gcsPrefix,
+      batches: batches.length,
+      records: Object.values(byDataType).reduce((sum, count) => sum + count, 0),
+      byDataType,
+      byCode
+    };
+  }
+
+  /**
+   * Resume un lote para listados
+   */
+  summarize(batch, entries = batch.entries) {
+    const codes = {};
+    for (const entry of entries) {
+      for (const code of entry.codes || []) {
+        codes[code] = (codes[code] || 0) + 1;
+      }
+    }
+
+    return {
+      id: batch.id,
+      dataType: batch.dataType,
+      runId: batch.runId,
+      source: batch.source,
+      createdAt: batch.createdAt,
+      updatedAt: batch.updatedAt,
+      entryCount: entries.length,
+      identifiers: [...new Set(entries.map(entry => entry.identifier).filter(Boolean))],
+      codes,
+      gcsFile: batch.gcsFile
+    };
+  }
+
+  /**
+   * Obtiene el identificador (dispositivo o usuario) de un registro para filtrar por él
+   */
+  getIdentifier(record) {
+    if (!record || typeof record !== 'object') {
+      return null;
+    }
+    const identifier = record.deviceId ?? record.device_id ?? record.userId ?? record.user_id ?? null;
+    return identifier === null ? null : String(identifier);
+  }
+
+  /**
+   * Ruta local de un lote; rechaza ids con caracteres de ruta
+   */
+  getBatchPath(batchId) {
+    if (!/^[\w.-]+$/.test(batchId)) {
+      throw new Error(`ID de lote inválido: ${batchId}`);
+    }
+    return path.join(this.storagePath, `${batchId}.json`);
+  }
+
+  /**
+   * Escribe un lote localmente y lo replica en GCS si hay prefijo configurado
+   */
+  async writeBatch(batch) {
+    if (this.config.gcsPrefix) {
+      const gcsFile = `${this.config.gcsPrefix}${batch.dataType}/${batch.id}.jsonl`;
+      const jsonLines = batch.entries
+        .map(entry => JSON.stringify({ batchId: batch.id, runId: batch.runId, dataType: batch.dataType, ...entry }))
+        .join('\n');
+
+      const uploadResult = await this.gcsAdapter.uploadJSONLines(jsonLines, gcsFile, {
+        dataType: batch.dataType,
+        processingId: batch.runId,
+        deadLetter: 'true'
+      });
+
+      if (uploadResult.success) {
+        batch.gcsFile = uploadResult.fileName;
+      } else {
+        logger.warn(`⚠️ No se pudo replicar dead-letter ${batch.id} en GCS: ${uploadResult.error}`);
+      }
+    }
+
+    await FileUtils.writeJsonFile(this.getBatchPath(batch.id), batch);
+  }
+
+  /**
+   * Elimina un lote local y su réplica en GCS
+   */
+  async deleteBatch(batch) {
+    if (batch.gcsFile) {
+      try {
+        await this.gcsAdapter.deleteFile(batch.gcsFile);
+      } catch (error) {
+        logger.warn(`⚠️ Error eliminando réplica GCS del dead-letter ${batch.id}:`, error.message);
+      }
+    }
+
+    await FileUtils.deleteFile(this.getBatchPath(batch.id));
+  }
+
+  /**
+   * Lee todos los lotes locales
+   */
+  async readAllBatches() {
+    await FileUtils.ensureDirectoryExists(this.storagePath);
+
+    const files = (await fs.readdir(this.storagePath))
+      .filter(file => file.startsWith('dl_') && file.endsWith('.json'));
+
+    const batches = [];
+    for (const file of files) {
+      try {
+        batches.push(await FileUtils.readJsonFile(path.join(this.storagePath, file)));
+      } catch (error) {
+        logger.warn(`⚠️ Error leyendo lote de dead-letter ${file}:`, error.message);
+      }
+    }
+
+    return batches;
+  }
+}
@@ -0,0 +1,195 @@
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/env.js';
+import { dataTypeRegistry } from '../config/dataTypes.js';
+import { RedisRepository } from '../repositories/RedisRepository.js';
+
+/**
+ * Supresión de registros duplicados dentro de un lote y entre ejecuciones.
+ *
+ * La huella de un registro es identidad (identityField del tipo) + timestamp + lat/lng redondeadas.
+ * Las huellas ya cargadas se guardan en sets Redis por tipo y hora del timestamp del punto
+ * (dedup:gps:2025011510), con expiración DEDUP_TTL_HOURS: un duplicado siempre cae en el set
+ * de su original, por lo que cada consulta toca solo las horas presentes en el lote.
+ */
+export class DeduplicationService {
+  constructor(redisRepo = new RedisRepository(), deduplicationConfig = config.deduplication) {
+    this.redisRepo = redisRepo;
+    this.config = deduplicationConfig;
+  }
+
+  /**
+   * Verifica si la deduplicación está habilitada
+   */
+  isEnabled() {
+    return this.config.enabled;
+  }
+
+  /**
+   * Elimina los duplicados de un lote de registros validados
+   * @param {string} dataType - Tipo de datos registrado
+   * @param {Array} records - Registros validados (cleanedData)
+   * @returns {Object} { records, duplicates: { total, inBatch, crossRun }, pending }
+   *   pending: huellas nuevas por set (pendingFor() las limita a los registros que llegan a cargarse)
+   */
+  async check(dataType, records) {
+    const identityField = dataTypeRegistry.get(dataType)?.identityField;
+    const duplicates = { total: 0, inBatch: 0, crossRun: 0 };
+
+    if (!this.isEnabled() || !identityField || records.length === 0) {
+      return { records, duplicates, pending: {} };
+    }
+
+    // Primera aparición de cada huella dentro del lote
+    const seen = new Set();
+    const candidates = [];
+    const unkeyed = new Set();
+
+    records.forEach((record, position) => {
+      const fingerprint = this.fingerprint(record, identityField);
+
+      if (!fingerprint) {
+        unkeyed.add(position);
+        return;
+      }
+
+      if (seen.has(fingerprint)) {
+        duplicates.inBatch++;
+        return;
+      }
+
+      seen.add(fingerprint);
+      candidates.push({ position, fingerprint, key: this.getBucketKey(dataType, record.timestamp) });
+    });
+
+    // Huellas ya cargadas en ejecuciones anteriores
+    const byKey = new Map();
+    for (const candidate of candidates) {
+      if (!byKey.has(candidate.key)) {
+        byKey.set(candidate.key, []);
+      }
+      byKey.get(candidate.key).push(candidate);
+    }
+
+    const loaded = new Set();
+    try {
+      for (const [key, group] of byKey) {
+        const membership = await this.redisRepo.getSetMembership(key, group.map(candidate => candidate.fingerprint));
+        group.forEach((candidate, index) => {
+          if (membership[index]) {
+            loaded.add(candidate.position);
+          }
+        });
+      }
+    } catch (error) {
+      loaded.clear();
+      logger.warn(`⚠️ Huellas ${dataType} no disponibles en Redis, se deduplica solo dentro del lote:`, error.message);
+    }
+
+    duplicates.crossRun = loaded.size;
+    duplicates.total = duplicates.inBatch + duplicates.crossRun;
+
+    const kept = new Set(unkeyed);
+    const pending = {};
+    for (const candidate of candidates) {
+      if (!loaded.has(candidate.position)) {
+        kept.add(candidate.position);
+        (pending[candidate.key] = pending[candidate.key] || []).push(candidate.fingerprint);
+      }
+    }
+
+    if (duplicates.total > 0) {
+      logger.info(`♊ ${duplicates.total} registros ${dataType} duplicados suprimidos (${duplicates.inBatch} en el lote, ${duplicates.crossRun} de ejecuciones anteriores)`);
+    }
+
+    return {
+      records: records.filter((record, position) => kept.has(position)),
+      duplicates,
+      pending
+    };
+  }
+
+  /**
+   * Huellas por set de registros ya deduplicados, para confirmar con commit() solo los que
+   * quedaron cargados en BigQuery (sin los descartados después de check ni los de partes fallidas)
+   * @param {string} dataType - Tipo de datos registrado
+   * @param {Array} records - Registros cargados (subconjunto de los devueltos por check)
+   * @returns {Object} Huellas por set
+   */
+  pendingFor(dataType, records) {
+    const identityField = dataTypeRegistry.get(dataType)?.identityField;
+    const pending = {};
+
+    if (!this.isEnabled() || !identityField) {
+      return pending;
+    }
+
+    for (const record of records) {
+      const fingerprint = this.fingerprint(record, identityField);
+      if (fingerprint) {
+        const key = this.getBucketKey(dataType, record.timestamp);
+        (pending[key] = pending[key] || []).push(fingerprint);
+      }
+    }
+
+    return pending;
+  }
+
+  /**
+   * Registra como cargadas las huellas de un lote ya cargado en BigQuery.
+   * Si se registraran antes, un lote cuya carga falla y se reentrega se descartaría como duplicado
+   * @param {string} dataType - Tipo de datos registrado
+   * @param {Object} pending - Huellas por set (de check o pendingFor)
+   */
+  async commit(dataType, pending) {
+    const entries = Object.entries(pending || {});
+    if (entries.length === 0) {
+      return { success: true, committed: 0 };
+    }
+
+    const ttlSeconds = this.config.ttlHours * 3600;
+    let committed = 0;
+
+    try {
+      for (const [key, fingerprints] of entries) {
+        await this.redisRepo.addSetMembers(key, fingerprints, ttlSeconds);
+        committed += fingerprints.length;
+      }
+      return { success: true, committed };
+    } catch (error) {
+      logger.warn(`⚠️ Error registrando huellas ${dataType}:`, error.message);
+      return { success: false, committed, error: error.message };
+    }
+  }
+
+  /**
+   * Huella estable de un registro, o null si no tiene identidad o timestamp
+   * @param {Object} record - Registro validado
+   * @param {string} identityField - Campo de identidad del tipo
+   * @returns {string|null} Hash hexadecimal de 16 caracteres
+   */
+  fingerprint(record, identityField) {
+    const identity = record[identityField];
+    if (identity === undefined || identity === null || isNaN(Date.parse(record.timestamp))) {
+      return null;
+    }
+
+    const precision = this.config.coordinatePrecision;
+    const source = [
+      identity,
+      record.timestamp,
+      Number(record.lat).toFixed(precision),
+      Number(record.lng).toFixed(precision)
+    ].join('|');
+
+    return crypto.createHash('sha1').update(source).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Set Redis de la hora (UTC) del timestamp del registro: dedup:gps:2025011510
+   */
+  getBucketKey(dataType, timestamp) {
+    const hour = new Date(timestamp).toISOString().slice(0, 13).replace(/[-T]/g, '');
+    return `${this.config.keyPrefix}${dataType}:${hour}`;
+  }
+}
@@ -2,6 +2,7 @@ import { BackupManager } from '../utils/BackupManager.js';
 import { logger } from '../utils/logger.js';
 import { FileUtils } from '../utils/FileUtils.js';
 import { config } from '../config/env.js';
+import { dataTypeRegistry } from '../config/dataTypes.js';
 import fs from 'fs/promises';
 import path from 'path';
 
@@ -17,6 +18,8 @@ export class GCSRecoveryManager extends BackupManager {
     this.gcsRecoveryPath = path.join(this.backupPath, 'gcs-recovery');
     this.maxRetryAttempts = parseInt(process.env.GCS_MAX_RETRY_ATTEMPTS) || 3;
     this.cleanupProcessedFiles = process.env.GCS_CLEANUP_PROCESSED_FILES !== 'false';
+    // Días que se conservan las marcas de contenido ya cargado en BigQuery
+    this.loadedMarkerRetentionDays = parseInt(process.env.GCS_LOADED_MARKER_RETENTION_DAYS) || 7;
   }
 
   /**
@@ -195,20 +198,23 @@ export class GCSRecoveryManager extends BackupManager {
     try {
       logger.debug('🔍 Buscando archivos huérfanos en GCS...');
 
-      // Obtener archivos GPS y Mobile de GCS
-      const [gpsFiles, mobileFiles] = await Promise.all([
-        this.gcsAdapter.listFiles({ prefix: 'gps-data/' }),
-        this.gcsAdapter.listFiles({ prefix: 'mobile-data/' })
-      ]);
+      // Obtener archivos de cada tipo registrado en GCS (carpeta del tipo, incluidas sus particiones)
+      const filesByType = await Promise.all(dataTypeRegistry.list().map(async definition => {
+        const files = await this.gcsAdapter.listFiles({ prefix: this.gcsAdapter.getListPrefix(definition.name) });
+        return files.map(file => ({ ...file, dataType: definition.name }));
+      }));
 
-      const allFiles = [...gpsFiles, ...mobileFiles];
+      const allFiles = filesByType.flat();
 
       if (allFiles.length === 0) {
         logger.debug('📋 No hay archivos en GCS para verificar');
         return [];
       }
 
-      logger.debug(`📁 Encontrados ${allFiles.length} archivos en GCS (${gpsFiles.length} GPS + ${mobileFiles.length} Mobile)`);
+      const breakdown = dataTypeRegistry.list()
+        .map((definition, index) => `${filesByType[index].length} ${definition.label}`)
+        .join(' + ');
+      logger.debug(`📁 Encontrados ${allFiles.length} archivos en GCS (${breakdown})`);
 
       // Obtener archivos de recovery existentes para evitar duplicados
       const existingRecoveryFiles = await this.getGCSPendingFiles();
@@ -225,7 +231,8 @@ export class GCSRecoveryManager extends BackupManager {
         size: file.size,
         created: file.created,
         metadata: file.metadata || {},
-        dataType: file.name.includes('gps-data/') ? 'gps' : 'mobile',
+        partition: file.partition || null,
+        dataType: file.dataType,
         isOrphan: true
       }));
 
@@ -255,6 +262,21 @@ export class GCSRecoveryManager extends BackupManager {
           // Marcar como procesando
           await this.markGCSAsProcessing(pendingFile.id, pendingFile.filePath);
 
+          // El mismo contenido ya fue cargado (por la ejecución original, un replay o un huérfano)
+          const loadedMarker = await this.getLoadedMarker(pendingFile.metadata.dataType, pendingFile.metadata.contentHash);
+          if (loadedMarker) {
+            await this.markGCSAsCompleted(pendingFile.id, pendingFile.filePath, { alreadyLoaded: true, jobId: loadedMarker.jobId });
+            await this.deleteLoadedFile(pendingFile.gcsFileName);
+            processedCount++;
+            results.push({
+              backupId: pendingFile.id,
+              success: true,
+              method: 'already_loaded',
+              recordsProcessed: 0
+            });
+            continue;
+          }
+
           // Verificar que el archivo existe en GCS
           const gcsFiles = await this.gcsAdapter.listFiles({ prefix: pendingFile.gcsFileName });
           const fileExists = gcsFiles.some(file => file.name === pendingFile.gcsFileName);
@@ -292,6 +314,7 @@ export class GCSRecoveryManager extends BackupManager {
 
           if (result.success) {
             await this.markGCSAsCompleted(pendingFile.id, pendingFile.filePath, result);
+            await this.markAsLoaded(dataType, pendingFile.metadata.contentHash, pendingFile.gcsFileName, result);
 
             // Limpiar archivo GCS si está configurado
             if (this.cleanupProcessedFiles) {
@@ -383,6 +406,21 @@ export class GCSRecoveryManager extends BackupManager {
         try {
           logger.info(`📄 Procesando archivo huérfano: ${orphanFile.name}`);
 
+          // Un huérfano cuyo contenido ya fue cargado solo se elimina
+          const loadedMarker = await this.getLoadedMarker(orphanFile.dataType, orphanFile.metadata?.contentHash);
+          if (loadedMarker) {
+            await this.deleteLoadedFile(orphanFile.name);
+            processedCount++;
+            results.push({
+              fileName: orphanFile.name,
+              success: true,
+              method: 'already_loaded',
+              recordsProcessed: 0,
+              dataType: orphanFile.dataType
+            });
+            continue;
+          }
+
           // Procesar archivo directamente desde GCS hacia BigQuery
           const result = await this.bigQueryProcessor.processGCSFile(
             orphanFile.gcsPath,
@@ -398,6 +436,8 @@ export class GCSRecoveryManager extends BackupManager {
           );
 
           if (result.success) {
+            await this.markAsLoaded(orphanFile.dataType, orphanFile.metadata?.contentHash, orphanFile.name, result);
+
             // Limpiar archivo GCS si está configurado
             if (this.cleanupProcessedFiles) {
               try {
@@ -487,8 +527,8 @@ export class GCSRecoveryManager extends BackupManager {
 
       logger.info(`🔄 Intentando recovery desde datos originales para ${pendingFile.id}`);
 
-      // Re-subir datos a GCS
-      const uploadResult = await this.gcsAdapter.uploadJSON(
+      // Re-subir datos a GCS en el formato de staging del nombre (JSON Lines, gzip, Avro o Parquet)
+      const uploadResult = await this.gcsAdapter.uploadRecords(
         pendingFile.originalData,
         pendingFile.gcsFileName,
         pendingFile.metadata
@@ -508,6 +548,8 @@ export class GCSRecoveryManager extends BackupManager {
       const bigQueryResult = await this.bigQueryProcessor.processGCSFile(gcsUri, dataType, pendingFile.metadata);
 
       if (bigQueryResult.success) {
+        await this.markAsLoaded(dataType, pendingFile.metadata.contentHash, pendingFile.gcsFileName, bigQueryResult);
+
         // Limpiar archivo GCS si está configurado
         if (this.cleanupProcessedFiles) {
           try {
@@ -616,6 +658,100 @@ export class GCSRecoveryManager extends BackupManager {
     }
   }
 
+  /**
+   * Registra que un contenido (hash del JSON Lines) ya fue cargado en BigQuery, para que los
+   * replays de backups, el recovery y los huérfanos con el mismo contenido no lo carguen de nuevo
+   * @param {string} dataType - Tipo de datos
+   * @param {string} contentHash - Hash del contenido (sin hash no se registra)
+   * @param {string} gcsFileName - Archivo cargado
+   * @param {Object} result - Resultado del job de carga
+   */
+  async markAsLoaded(dataType, contentHash, gcsFileName, result = {}) {
+    if (!contentHash) {
+      return;
+    }
+
+    try {
+      await FileUtils.writeJsonFile(this.getLoadedMarkerPath(dataType, contentHash), {
+        type: 'gcs_loaded',
+        dataType,
+        contentHash,
+        gcsFileName,
+        jobId: result.jobId || null,
+        recordsProcessed: result.recordsProcessed || 0,
+        loadedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.warn(`⚠️ Error registrando carga de ${gcsFileName}:`, error.message);
+    }
+  }
+
+  /**
+   * Obtiene la marca de carga de un contenido
+   * @returns {Object|null} Marca o null si el contenido no fue cargado
+   */
+  async getLoadedMarker(dataType, contentHash) {
+    if (!contentHash) {
+      return null;
+    }
+
+    const markerPath = this.getLoadedMarkerPath(dataType, contentHash);
+    return (await FileUtils.pathExists(markerPath)) ? await FileUtils.readJsonFile(markerPath) : null;
+  }
+
+  /**
+   * Ruta de la marca de carga de un contenido
+   */
+  getLoadedMarkerPath(dataType, contentHash) {
+    if (!/^[\w-]+$/.test(dataType) || !/^[a-f0-9]+$/i.test(contentHash)) {
+      throw new Error(`Marca de carga inválida: ${dataType}/${contentHash}`);
+    }
+    return path.join(this.gcsRecoveryPath, `gcs_loaded_${dataType}_${contentHash}.json`);
+  }
+
+  /**
+   * Elimina un archivo GCS cuyo contenido ya fue cargado, si la limpieza está habilitada
+   */
+  async deleteLoadedFile(gcsFileName) {
+    if (!this.cleanupProcessedFiles) {
+      return;
+    }
+
+    try {
+      await this.gcsAdapter.deleteFile(gcsFileName);
+      logger.info(`🗑️ Archivo GCS ya cargado eliminado: ${gcsFileName}`);
+    } catch (error) {
+      logger.warn(`⚠️ Error eliminando archivo GCS ya cargado ${gcsFileName}:`, error.message);
+    }
+  }
+
+  /**
+   * Elimina las marcas de carga más antiguas que la retención configurada
+   * @returns {number} Marcas eliminadas
+   */
+  async purgeLoadedMarkers() {
+    const cutoff = Date.now() - this.loadedMarkerRetentionDays * 24 * 60 * 60 * 1000;
+    const markers = (await fs.readdir(this.gcsRecoveryPath))
+      .filter(file => file.startsWith('gcs_loaded_') && file.endsWith('.json'));
+
+    let purged = 0;
+    for (const file of markers) {
+      try {
+        const markerPath = path.join(this.gcsRecoveryPath, file);
+        const marker = await FileUtils.readJsonFile(markerPath);
+
+        if (new Date(marker.loadedAt).getTime() < cutoff) {
+          await fs.unlink(markerPath);
+          purged++;
+        }
+      } catch (error) {
+        logger.warn(`⚠️ Error limpiando marca de carga ${file}:`, error.message);
+      }
+    }
+
+    return purged;
+  }
+
   /**
    * Limpia archivos GCS procesados exitosamente
    */
@@ -654,9 +790,15 @@ export class GCSRecoveryManager extends BackupManager {
         logger.info(`🧹 ${cleanedCount} archivos GCS recovery completados eliminados`);
       }
 
+      const markersPurged = await this.purgeLoadedMarkers();
+      if (markersPurged > 0) {
+        logger.info(`🧹 ${markersPurged} marcas de carga expiradas eliminadas`);
+      }
+
       return {
         success: true,
-        cleaned: cleanedCount
+        cleaned: cleanedCount,
+        markersPurged
       };
 
     } catch (error) {
@@ -695,10 +837,9 @@ export class GCSRecoveryManager extends BackupManager {
         completed: 0,
         failed: 0,
         totalRecords: 0,
-        byDataType: {
-          gps: { total: 0, pending: 0, completed: 0, failed: 0 },
-          mobile: { total: 0, pending: 0, completed: 0, failed: 0 }
-        },
+        byDataType: Object.fromEntries(dataTypeRegistry.names().map(name => [
+          name, { total: 0, pending: 0, completed: 0, failed: 0 }
+        ])),
         oldestPending: null,
         newestCompleted: null
       };
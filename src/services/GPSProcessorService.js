@@ -4,13 +4,19 @@ import { GCSAdapter } from '../adapters/GCSAdapter.js';
 import { BigQueryBatchProcessor } from '../services/BigQueryBatchProcessor.js';
 import { GCSRecoveryManager } from '../services/GCSRecoveryManager.js';
 import { AtomicRedisProcessor } from '../services/AtomicRedisProcessor.js';
+import { RedisStreamSource } from '../services/RedisStreamSource.js';
+import { DeadLetterService } from '../services/DeadLetterService.js';
+import { TrajectoryService } from '../services/TrajectoryService.js';
+import { DeduplicationService } from '../services/DeduplicationService.js';
+import { ValidationReportService } from '../services/ValidationReportService.js';
+import { GeofenceService } from '../services/GeofenceService.js';
+import { PrivacyService } from '../services/PrivacyService.js';
+import { dataTypeRegistry } from '../config/dataTypes.js';
 import { BackupManager } from '../utils/BackupManager.js';
 import { logger } from '../utils/logger.js';
 import { config } from '../config/env.js';
 import { GPSValidator } from '../validators/GPSValidator.js';
 import { metrics } from '../utils/metrics.js';
-import fs from 'fs/promises';
-import path from 'path';
 
 /**
  * Servicio principal para procesamiento de datos GPS
@@ -24,6 +30,13 @@ export class GPSProcessorService {
     this.bigQueryProcessor = new BigQueryBatchProcessor();
     this.recoveryManager = new GCSRecoveryManager(this.gcsAdapter, this.bigQueryProcessor);
     this.atomicProcessor = new AtomicRedisProcessor();
+    this.streamSource = new RedisStreamSource(this.redisRepo);
+    this.privacyService = new PrivacyService(this.redisRepo);
+    this.deadLetterService = new DeadLetterService(this.redisRepo, this.dataSeparator, this.gcsAdapter, config.deadLetter, this.privacyService, this.streamSource);
+    this.trajectoryService = new TrajectoryService(this.redisRepo);
+    this.deduplicationService = new DeduplicationService(this.redisRepo);
+    this.geofenceService = new GeofenceService();
+    this.validationReportService = new ValidationReportService();
     this.backupManager = new BackupManager();
     this.validator = new GPSValidator();
     this.metrics = metrics;
@@ -42,7 +55,8 @@ export class GPSProcessorService {
         this.gcsAdapter.initialize(),
         this.bigQueryProcessor.initialize(),
         this.recoveryManager.initialize(),
-        this.atomicProcessor.initialize()
+        this.atomicProcessor.initialize(),
+        this.streamSource.isEnabled() ? this.streamSource.initialize() : Promise.resolve()
       ]);
 
       logger.info('✅ GPS Processor Service inicializado exitosamente');
@@ -54,7 +68,7 @@ export class GPSProcessorService {
 
   /**
    * Procesa todos los datos GPS y Mobile disponibles usando extracción atómica
-   * Flujo: Extracción atómica → Limpieza inmediata → Procesamiento → Backup local si falla GCS
+   * Flujo: Extracción atómica a staging → Procesamiento → Backup local si falla GCS → Liberación del staging
    */
   async processGPSData() {
     if (this.isProcessing) {
@@ -63,6 +77,7 @@ export class GPSProcessorService {
     }
 
     this.isProcessing = true;
+    this.currentRunId = this.atomicProcessor.generateRunId();
     const startTime = Date.now();
 
     try {
@@ -74,6 +89,16 @@ export class GPSProcessorService {
       // Paso 2: Procesar archivos pendientes de recovery de GCS
       await this.processRecoveryFiles();
 
+      // Paso 3: Con Redis Streams como fuente los datos se consumen por consumer group
+      if (this.streamSource.isEnabled()) {
+        return await this.processStreamSource(startTime);
+      }
+
+      // Paso 3: Listas muy grandes se extraen y procesan chunk por chunk
+      if (this.atomicProcessor.isAtomicProcessingEnabled() && this.atomicProcessor.isChunkedExtractionEnabled()) {
+        return await this.processChunkedExtraction(startTime);
+      }
+
       // Paso 3: Extracción de datos (atómica o legacy según feature flag)
       let extractionResult;
 
@@ -107,47 +132,46 @@ export class GPSProcessorService {
 
       logger.info(`✅ Extracción atómica completada: ${extractionResult.totalRecords} registros extraídos y Redis limpiado`);
 
-      // Paso 4: Procesar GPS y Mobile en paralelo para máximo rendimiento
-      logger.info('🚀 Iniciando procesamiento paralelo GPS y Mobile...');
+      // Paso 4: Procesar todos los tipos registrados en paralelo para máximo rendimiento
+      const definitions = dataTypeRegistry.list();
+      logger.info(`🚀 Iniciando procesamiento paralelo ${definitions.map(definition => definition.label).join(' y ')}...`);
 
-      const [gpsResult, mobileResult] = await Promise.all([
-        // Procesar datos GPS extraídos
-        extractionResult.gps.recordCount > 0
-          ? this.processExtractedDataType('gps', extractionResult.gps.data)
-          : Promise.resolve({ success: true, recordsProcessed: 0, message: 'No GPS data' }),
+      const typeResults = await Promise.all(definitions.map(definition => {
+        const extracted = extractionResult[definition.name];
+        return extracted?.recordCount > 0
+          ? this.processExtractedDataType(definition.name, extracted.data, {
+            source: `${extractionResult.legacyMode ? 'legacy_extraction' : 'atomic_extraction'}:${extracted.keys.join(',')}`
+          })
+          : Promise.resolve({ success: true, recordsProcessed: 0, message: `No ${definition.label} data` });
+      }));
 
-        // Procesar datos Mobile extraídos
-        extractionResult.mobile.recordCount > 0
-          ? this.processExtractedDataType('mobile', extractionResult.mobile.data)
-          : Promise.resolve({ success: true, recordsProcessed: 0, message: 'No Mobile data' })
-      ]);
-
-      const results = {
-        gps: gpsResult,
-        mobile: mobileResult
-      };
+      const results = Object.fromEntries(definitions.map((definition, index) => [definition.name, typeResults[index]]));
 
-      logger.info(`✅ Procesamiento paralelo completado: GPS(${gpsResult.recordsProcessed}) + Mobile(${mobileResult.recordsProcessed})`)
+      logger.info(`✅ Procesamiento paralelo completado: ${definitions.map(definition => `${definition.label}(${results[definition.name].recordsProcessed})`).join(' + ')}`);
 
       // Determinar éxito general (para métricas)
-      const overallSuccess = results.gps.success && results.mobile.success;
+      const overallSuccess = typeResults.every(result => result.success);
 
       // En modo legacy, limpiar Redis DESPUÉS del procesamiento (con riesgo de pérdida)
       if (extractionResult.legacyMode) {
         await this.legacyClearRedisAfterProcessing();
+      } else {
+        // En modo atómico, liberar staging solo de los tipos cuyos datos quedaron asegurados
+        await this.releaseSecuredStagingKeys(extractionResult, results);
       }
 
       // Recopilar métricas
       const processingTime = Date.now() - startTime;
-      const totalRecordsProcessed = results.gps.recordsProcessed + results.mobile.recordsProcessed;
+      const totalRecordsProcessed = typeResults.reduce((sum, result) => sum + result.recordsProcessed, 0);
       const isAtomicMode = this.atomicProcessor.isAtomicProcessingEnabled();
 
       await this.metrics.recordProcessing({
         recordsProcessed: totalRecordsProcessed,
         processingTime,
         success: overallSuccess,
-        gpsRecords: results.gps.recordsProcessed,
-        mobileRecords: results.mobile.recordsProcessed,
+        gpsRecords: results.gps?.recordsProcessed || 0,
+        mobileRecords: results.mobile?.recordsProcessed || 0,
+        recordsByKey: this.collectKeyCounts(extractionResult),
         atomicExtraction: isAtomicMode,
         extractionMode: isAtomicMode ? 'atomic' : 'legacy',
         extractionTime: extractionResult.extractionTime,
@@ -156,8 +180,9 @@ export class GPSProcessorService {
 
       const mode = isAtomicMode ? 'atómico' : 'legacy';
       logger.info(`✅ Procesamiento ${mode} completado: ${totalRecordsProcessed} registros en ${processingTime}ms`);
-      logger.info(`   📊 GPS: ${results.gps.recordsProcessed} registros`);
-      logger.info(`   📊 Mobile: ${results.mobile.recordsProcessed} registros`);
+      for (const definition of definitions) {
+        logger.info(`   📊 ${definition.label}: ${results[definition.name].recordsProcessed} registros`);
+      }
       logger.info(`   ⚡ Extracción ${mode}: ${extractionResult.extractionTime}ms`);
 
       if (!isAtomicMode) {
@@ -172,16 +197,14 @@ export class GPSProcessorService {
         extractionMode: isAtomicMode ? 'atomic' : 'legacy',
         atomicProcessingEnabled: isAtomicMode,
         riskOfDataLoss: extractionResult.riskOfDataLoss || false,
-        results: {
-          gps: results.gps,
-          mobile: results.mobile
-        },
+        results,
         extraction: {
           mode: isAtomicMode ? 'atomic' : 'legacy',
           totalExtracted: extractionResult.totalRecords,
           redisCleared: extractionResult.allCleared,
-          gpsExtracted: extractionResult.gps.recordCount,
-          mobileExtracted: extractionResult.mobile.recordCount,
+          gpsExtracted: extractionResult.gps?.recordCount || 0,
+          mobileExtracted: extractionResult.mobile?.recordCount || 0,
+          recordsByKey: this.collectKeyCounts(extractionResult),
           clearedImmediately: isAtomicMode
         }
       };
@@ -211,6 +234,199 @@ export class GPSProcessorService {
     }
   }
 
+  /**
+   * Consume los Redis Streams configurados: cada lote pasa por validación → GCS → BigQuery
+   * y sus entradas se confirman (XACK) solo después de una carga exitosa en BigQuery
+   * @param {number} startTime - Inicio del procesamiento
+   * @returns {Object} Resultado del procesamiento
+   */
+  async processStreamSource(startTime) {
+    logger.info('🔄 Usando Redis Streams como fuente (REDIS_SOURCE_MODE=stream)');
+
+    // Sin backups locales ni recovery: las entradas no confirmadas se reclaman desde el stream
+    const consumeResult = await this.streamSource.consumeAll((dataType, data, batchInfo) =>
+      this.processExtractedDataType(dataType, data, { createBackups: false, source: `stream:${batchInfo.streamKey}` })
+    );
+
+    const processingTime = Date.now() - startTime;
+
+    const streamResults = this.pickTypeResults(consumeResult);
+
+    if (Object.keys(streamResults).length === 0) {
+      logger.error('❌ Error consumiendo Redis Streams:', consumeResult.error);
+      return {
+        success: false,
+        error: consumeResult.error,
+        recordsProcessed: 0,
+        extractionMode: 'stream'
+      };
+    }
+
+    const streamSummaries = Object.values(streamResults);
+    const gpsRecords = streamResults.gps?.recordsProcessed || 0;
+    const mobileRecords = streamResults.mobile?.recordsProcessed || 0;
+    const totalRecordsProcessed = streamSummaries.reduce((sum, result) => sum + result.recordsProcessed, 0);
+
+    await this.metrics.recordProcessing({
+      recordsProcessed: totalRecordsProcessed,
+      processingTime,
+      success: consumeResult.success,
+      gpsRecords,
+      mobileRecords,
+      atomicExtraction: false,
+      extractionMode: 'stream',
+      extractionTime: consumeResult.extractionTime,
+      riskOfDataLoss: false
+    });
+
+    logger.info(`✅ Procesamiento desde streams completado: ${totalRecordsProcessed} registros en ${processingTime}ms`);
+
+    return {
+      success: consumeResult.success,
+      recordsProcessed: totalRecordsProcessed,
+      processingTime,
+      extractionTime: consumeResult.extractionTime,
+      extractionMode: 'stream',
+      riskOfDataLoss: false,
+      results: streamResults,
+      extraction: {
+        mode: 'stream',
+        totalExtracted: consumeResult.totalRecords,
+        gpsExtracted: streamResults.gps?.recordCount || 0,
+        mobileExtracted: streamResults.mobile?.recordCount || 0,
+        gpsAcked: streamResults.gps?.acked || 0,
+        mobileAcked: streamResults.mobile?.acked || 0,
+        reclaimed: streamSummaries.reduce((sum, result) => sum + result.reclaimed, 0)
+      }
+    };
+  }
+
+  /**
+   * Procesa los datos en chunks acotados en memoria: cada chunk pasa por
+   * validación → GCS → BigQuery por separado antes de extraer el siguiente
+   * @param {number} startTime - Inicio del procesamiento
+   * @returns {Object} Resultado del procesamiento
+   */
+  async processChunkedExtraction(startTime) {
+    logger.info('🔄 Usando extracción por chunks (CHUNKED_EXTRACTION_ENABLED=true)');
+
+    const extractionResult = await this.atomicProcessor.extractAllDataInChunks(async (dataType, data, chunkInfo) => {
+      logger.info(`📦 Procesando chunk ${chunkInfo.chunkIndex} ${dataType.toUpperCase()}: ${data.length} registros (${chunkInfo.bytes} bytes)`);
+      const result = await this.processExtractedDataType(dataType, data, {
+        chunk: chunkInfo.chunkIndex,
+        source: `chunked_extraction:${chunkInfo.sourceKey}`
+      });
+      return { ...result, secured: this.isResultSecured(result) };
+    });
+
+    const processingTime = Date.now() - startTime;
+
+    const chunkResults = this.pickTypeResults(extractionResult);
+
+    if (extractionResult.featureFlagDisabled || (!extractionResult.success && Object.keys(chunkResults).length === 0)) {
+      logger.error('❌ Error en extracción por chunks:', extractionResult.error);
+      return {
+        success: false,
+        error: extractionResult.error,
+        recordsProcessed: 0,
+        extractionMode: 'chunked'
+      };
+    }
+
+    const gpsRecords = chunkResults.gps?.recordsProcessed || 0;
+    const mobileRecords = chunkResults.mobile?.recordsProcessed || 0;
+    const totalRecordsProcessed = Object.values(chunkResults).reduce((sum, result) => sum + result.recordsProcessed, 0);
+
+    await this.metrics.recordProcessing({
+      recordsProcessed: totalRecordsProcessed,
+      processingTime,
+      success: extractionResult.success,
+      gpsRecords,
+      mobileRecords,
+      recordsByKey: this.collectKeyCounts(extractionResult),
+      atomicExtraction: true,
+      extractionMode: 'chunked',
+      extractionTime: extractionResult.extractionTime,
+      riskOfDataLoss: false
+    });
+
+    logger.info(`✅ Procesamiento por chunks completado: ${totalRecordsProcessed} registros en ${extractionResult.totalChunks} chunks (${processingTime}ms)`);
+
+    return {
+      success: extractionResult.success,
+      recordsProcessed: totalRecordsProcessed,
+      processingTime,
+      extractionTime: extractionResult.extractionTime,
+      extractionMode: 'chunked',
+      atomicProcessingEnabled: true,
+      riskOfDataLoss: false,
+      results: chunkResults,
+      extraction: {
+        mode: 'chunked',
+        totalExtracted: extractionResult.totalRecords,
+        totalChunks: extractionResult.totalChunks,
+        totalBytes: extractionResult.totalBytes,
+        capReached: extractionResult.capReached,
+        gpsExtracted: chunkResults.gps?.recordCount || 0,
+        mobileExtracted: chunkResults.mobile?.recordCount || 0,
+        recordsByKey: this.collectKeyCounts(extractionResult)
+      }
+    };
+  }
+
+  /**
+   * Extrae de un resultado combinado las entradas de los tipos registrados
+   * @param {Object} combinedResult - Resultado con una entrada por tipo (extracción o consumo)
+   * @returns {Object} Resultados por tipo presentes en el resultado
+   */
+  pickTypeResults(combinedResult) {
+    return Object.fromEntries(dataTypeRegistry.names()
+      .filter(name => combinedResult[name])
+      .map(name => [name, combinedResult[name]]));
+  }
+
+  /**
+   * Reúne los registros extraídos por key de Redis de todos los tipos
+   * @param {Object} extractionResult - Resultado de extracción con keyCounts por tipo
+   * @returns {Object} Mapa key → registros extraídos
+   */
+  collectKeyCounts(extractionResult) {
+    return Object.assign({}, ...dataTypeRegistry.names().map(name => extractionResult[name]?.keyCounts || {}));
+  }
+
+  /**
+   * Indica si los datos de un resultado quedaron asegurados: cargados en BigQuery,
+   * en backup local o con metadata de recovery en GCS
+   * @param {Object} result - Resultado de processExtractedDataType
+   * @returns {boolean} True si los datos ya no dependen de Redis
+   */
+  isResultSecured(result) {
+    return Boolean(result.success || result.backupCreated || result.recoveryCreated);
+  }
+
+  /**
+   * Elimina las keys de staging de cada tipo cuyos datos ya están asegurados (ver isResultSecured).
+   * Si no están asegurados, el staging se conserva y se reanuda en la próxima ejecución.
+   * @param {Object} extractionResult - Resultado de extractAllData
+   * @param {Object} results - Resultados de procesamiento por tipo
+   */
+  async releaseSecuredStagingKeys(extractionResult, results) {
+    for (const dataType of dataTypeRegistry.names()) {
+      const stagingKeys = extractionResult[dataType]?.stagingKeys || [];
+      if (stagingKeys.length === 0) {
+        continue;
+      }
+
+      if (this.isResultSecured(results[dataType])) {
+        await this.atomicProcessor.releaseStagingKeys(stagingKeys);
+      } else {
+        logger.warn(`⚠️ Datos ${dataType} no asegurados, se conservan ${stagingKeys.length} keys de staging para reintento`, {
+          stagingKeys
+        });
+      }
+    }
+  }
+
   /**
    * Extracción legacy (sin limpieza inmediata) - SOLO cuando atomic processing está deshabilitado
    * ⚠️ ADVERTENCIA: Este método tiene riesgo de pérdida de datos
@@ -224,7 +440,7 @@ export class GPSProcessorService {
 
       // Obtener datos sin limpiar inmediatamente (método legacy)
       const gpsData = await this.redisRepo.getListData(config.gps.listKey);
-      const mobileData = await this.redisRepo.getListData('mobile:history:global');
+      const mobileData = await this.redisRepo.getListData(config.mobile.listKey);
 
       const extractionTime = Date.now() - startTime;
 
@@ -239,6 +455,7 @@ export class GPSProcessorService {
         gps: {
           data: gpsData,
           recordCount: gpsData.length,
+          keys: [config.gps.listKey],
           success: true,
           extractionTime: extractionTime,
           cleared: false // No se limpia en legacy
@@ -246,6 +463,7 @@ export class GPSProcessorService {
         mobile: {
           data: mobileData,
           recordCount: mobileData.length,
+          keys: [config.mobile.listKey],
           success: true,
           extractionTime: extractionTime,
           cleared: false // No se limpia en legacy
@@ -284,7 +502,7 @@ export class GPSProcessorService {
 
       const [gpsCleared, mobileCleared] = await Promise.all([
         this.redisRepo.clearListData(config.gps.listKey),
-        this.redisRepo.clearListData('mobile:history:global')
+        this.redisRepo.clearListData(config.mobile.listKey)
       ]);
 
       if (gpsCleared && mobileCleared) {
@@ -326,7 +544,8 @@ export class GPSProcessorService {
           const uploadFunction = async (data, type) => {
             return await this.uploadDataToGCS(data, type, {
               source: 'local_backup',
-              originalBackupId: backup.id
+              originalBackupId: backup.id,
+              prepared: backup.metadata?.prepared === true
             });
           };
 
@@ -392,173 +611,399 @@ export class GPSProcessorService {
   /**
    * Sube datos a GCS con manejo de errores y backup local
    * @param {Array} data - Datos a subir
-   * @param {string} type - Tipo de datos ('gps' o 'mobile')
-   * @param {Object} metadata - Metadata adicional
-   * @returns {Object} Resultado de la subida
+   * @param {string} type - Tipo de datos registrado ('gps', 'mobile', ...)
+   * @param {Object} metadata - Metadata adicional (prepared: registros de un backup ya validados y protegidos)
+   * @returns {Object} Resultado de la subida (protectedRecords: registros válidos ya protegidos, para el backup local;
+   *   lastPoints: últimos puntos por dispositivo, a guardar cuando el lote quede cargado)
    */
   async uploadDataToGCS(data, type, metadata = {}) {
+    let protectedRecords = null;
+    let protectedRejected = [];
+
     try {
       // Validar datos
-      const validationResult = await this.validateDataByType(type, data);
-      if (!validationResult.isValid || validationResult.validData.length === 0) {
+      const validationResult = metadata.prepared
+        ? this.buildPreparedValidation(data)
+        : await this.validateDataByType(type, data);
+
+      // Privacidad: protege los campos personales antes de cualquier escritura en disco, GCS o BigQuery
+      if (!metadata.prepared && this.privacyService.appliesTo(type)) {
+        validationResult.validData = (await this.privacyService.protect(type, validationResult.validData)).records;
+        validationResult.invalidData = await this.privacyService.protectRejected(type, validationResult.invalidData);
+        protectedRecords = validationResult.validData;
+        protectedRejected = validationResult.invalidData;
+      }
+
+      // Reporte de validación de la ejecución (después de la privacidad: las muestras no exponen datos personales)
+      if (!metadata.prepared) {
+        await this.validationReportService.record(type, validationResult, {
+          runId: metadata.runId || this.currentRunId,
+          source: metadata.source
+        });
+      }
+
+      // Duplicados por huella, dentro del lote y contra lotes ya subidos
+      const deduplication = await this.deduplicationService.check(type, validationResult.validData);
+      validationResult.stats.duplicates = deduplication.duplicates;
+
+      // Geocercas: etiqueta los puntos y marca o descarta los que caen fuera del área de servicio
+      const geofence = await this.geofenceService.tag(type, deduplication.records);
+      const geofenceStats = { outside: geofence.outside, dropped: geofence.dropped.length };
+
+      // Plausibilidad de trayectorias: marca o descarta saltos con velocidad imposible
+      const trajectory = await this.trajectoryService.check(type, geofence.records);
+      const rejectedRecords = [...validationResult.invalidData, ...geofence.dropped, ...trajectory.dropped];
+      const trajectoryStats = { flagged: trajectory.flagged.length, dropped: trajectory.dropped.length };
+
+      if (!validationResult.isValid || trajectory.records.length === 0) {
         logger.warn(`⚠️ No hay datos ${type} válidos para subir a GCS`);
+        const deadLetter = await this.saveRejectedRecords(type, rejectedRecords, metadata);
+        await this.recordDeduplication(type, validationResult.validData.length, deduplication.duplicates);
         return {
           success: true,
           recordsProcessed: 0,
           message: `No valid ${type} data`,
-          validationStats: validationResult.stats
+          validationStats: validationResult.stats,
+          geofenceStats,
+          trajectoryStats,
+          deadLetterBatchId: deadLetter.batchId || null
         };
       }
 
       // Formatear datos para GCS
-      const formattedData = this.dataSeparator.formatForGCS(validationResult.validData, type);
+      const formattedData = this.dataSeparator.formatForGCS(trajectory.records, type);
       if (!formattedData || !formattedData.data) {
         throw new Error('Invalid format result');
       }
 
-      // Generar nombre de archivo y metadata
+      // Serializar a JSON Lines (base del hash de contenido y de la división en partes acotadas en
+      // registros y bytes); cada parte se sube en el formato de staging configurado (GCS_OUTPUT_FORMAT)
       const processingId = this.dataSeparator.generateProcessingId(type);
-      const fileName = this.gcsAdapter.generateFileName(type, processingId);
-      const gcsMetadata = {
+      const lines = formattedData.data.map(record => JSON.stringify(record));
+      const ranges = this.gcsAdapter.splitJSONLines(lines);
+      const parts = await this.uploadParts(type, processingId, formattedData.data, lines, ranges, {
         dataType: type,
-        recordCount: formattedData.data.length,
         source: metadata.source || `redis:${type}:history:global`,
         processingId,
         originalSize: JSON.stringify(data).length,
         validationStats: validationResult.stats,
         ...metadata
-      };
+      });
 
-      // Convertir array a NEWLINE_DELIMITED_JSON para BigQuery
-      const jsonLines = formattedData.data.map(record => JSON.stringify(record)).join('\n');
+      logger.info(`✅ Datos ${type} subidos a GCS: ${parts.map(part => part.fileName).join(', ')}`);
 
-      // Subir a GCS
-      const gcsResult = await this.gcsAdapter.uploadJSONLines(jsonLines, fileName, gcsMetadata);
-
-      if (!gcsResult.success) {
-        throw new Error(gcsResult.error);
-      }
-
-      logger.info(`✅ Datos ${type} subidos a GCS: ${gcsResult.fileName}`);
+      // Las huellas y los últimos puntos se confirman después de la carga en BigQuery (commitLoadedParts)
+      const deadLetter = await this.saveRejectedRecords(type, rejectedRecords, metadata);
+      await this.recordDeduplication(type, validationResult.validData.length, deduplication.duplicates);
 
       return {
         success: true,
-        fileName: gcsResult.fileName,
-        gcsFile: gcsResult.fileName,
+        fileName: parts[0].fileName,
+        gcsFile: parts[0].fileName,
+        gcsPath: parts[0].gcsPath,
+        parts,
+        processingId,
         recordsProcessed: formattedData.data.length,
-        gcsPath: gcsResult.gcsPath || gcsResult.gcsUri,
-        validationStats: validationResult.stats
+        validationStats: validationResult.stats,
+        geofenceStats,
+        trajectoryStats,
+        deadLetterBatchId: deadLetter.batchId || null,
+        lastPoints: trajectory.lastPoints,
+        protectedRecords
       };
 
     } catch (error) {
       logger.error(`❌ Error subiendo ${type} a GCS:`, error.message);
+
+      // El backup guardará solo los registros válidos ya protegidos: los rechazados no
+      // vuelven en el reintento y se guardan ahora
+      if (protectedRecords) {
+        await this.saveRejectedRecords(type, protectedRejected, metadata);
+      }
+
       return {
         success: false,
         error: error.message,
-        recordsProcessed: 0
+        recordsProcessed: 0,
+        protectedRecords
       };
     }
   }
 
+  /**
+   * Sube las partes de un lote a GCS, cada una como un archivo (JSON Lines, Avro o Parquet) nombrado por el hash de su
+   * contenido (o por la plantilla con GCS_CONTENT_ADDRESSED_NAMES=false). Las partes cuyo contenido ya
+   * fue cargado en BigQuery no se suben, y las que ya existen en GCS con el mismo hash no se re-suben.
+   * Si una parte falla se eliminan las subidas en esta llamada y se lanza el error: el lote completo
+   * pasa al backup local, sin dejar partes huérfanas que se cargarían dos veces
+   * @param {string} type - Tipo de datos registrado
+   * @param {string} processingId - ID de procesamiento del lote
+   * @param {Array} records - Registros formateados
+   * @param {Array<string>} lines - Registros serializados
+   * @param {Array} ranges - Rangos de GCSAdapter.splitJSONLines
+   * @param {Object} gcsMetadata - Metadata común de los archivos
+   * @returns {Array} Partes subidas [{ part, partCount, fileName, gcsPath, contentHash, alreadyLoaded, recordCount, fileSize, records }]
+   */
+  async uploadParts(type, processingId, records, lines, ranges, gcsMetadata) {
+    const partCount = ranges.length;
+    const eventTime = this.getEarliestEventTime(records);
+    const parts = [];
+
+    for (const [index, range] of ranges.entries()) {
+      const part = index + 1;
+      const jsonLines = lines.slice(range.start, range.end).join('\n');
+      const contentHash = this.gcsAdapter.computeContentHash(jsonLines);
+      const partInfo = {
+        part,
+        partCount,
+        contentHash,
+        recordCount: range.end - range.start,
+        records: records.slice(range.start, range.end)
+      };
+
+      const loadedMarker = await this.recoveryManager.getLoadedMarker(type, contentHash);
+      if (loadedMarker) {
+        logger.info(`♻️ Contenido ${type} ya cargado en BigQuery (${loadedMarker.gcsFileName}), se omite la parte ${part}/${partCount}`);
+        parts.push({ ...partInfo, fileName: loadedMarker.gcsFileName, alreadyLoaded: true });
+        continue;
+      }
+
+      const fileName = this.gcsAdapter.contentAddressedNames
+        ? this.gcsAdapter.generateDeterministicFileName(type, processingId, contentHash, { eventTime })
+        : this.gcsAdapter.generateFileName(type, processingId, {
+          eventTime,
+          runId: gcsMetadata.runId || this.currentRunId,
+          chunk: gcsMetadata.chunk,
+          part: partCount > 1 ? part : undefined
+        });
+
+      const gcsResult = await this.gcsAdapter.uploadRecords(partInfo.records, fileName, {
+        ...gcsMetadata,
+        recordCount: partInfo.recordCount,
+        contentHash,
+        ...(partCount > 1 && { part, partCount })
+      }, jsonLines);
+
+      if (!gcsResult.success) {
+        for (const uploaded of parts.filter(uploaded => uploaded.uploaded)) {
+          await this.gcsAdapter.deleteFile(uploaded.fileName);
+        }
+        throw new Error(partCount > 1 ? `Parte ${part}/${partCount}: ${gcsResult.error}` : gcsResult.error);
+      }
+
+      parts.push({
+        ...partInfo,
+        fileName: gcsResult.fileName,
+        gcsPath: gcsResult.gcsPath || gcsResult.gcsUri,
+        fileSize: gcsResult.fileSize,
+        // Solo las partes subidas en esta llamada se eliminan si otra parte falla
+        uploaded: !gcsResult.alreadyExists
+      });
+    }
+
+    return parts;
+  }
+
+  /**
+   * Confirma las huellas de deduplicación y los últimos puntos de un lote después de cargarlo en BigQuery.
+   * Solo se registran las huellas de los registros de las partes cargadas: las de una parte fallida se
+   * descartarían como duplicados cuando la fuente reentrega el lote. Los últimos puntos se guardan
+   * solo si se cargaron todas las partes
+   * @param {string} type - Tipo de datos registrado
+   * @param {Object} gcsResult - Resultado de uploadDataToGCS
+   * @param {Array} partResults - Resultados de loadPartToBigQuery, en el orden de gcsResult.parts
+   */
+  async commitLoadedParts(type, gcsResult, partResults) {
+    const loadedRecords = gcsResult.parts
+      .filter((part, index) => partResults[index].success)
+      .flatMap(part => part.records);
+
+    await this.deduplicationService.commit(type, this.deduplicationService.pendingFor(type, loadedRecords));
+
+    if (partResults.every(result => result.success)) {
+      await this.trajectoryService.saveLastPoints(type, gcsResult.lastPoints);
+    }
+  }
+
+  /**
+   * Instante del evento más antiguo de un lote (define la partición date/hour del archivo en GCS)
+   * @param {Array} records - Registros a subir
+   * @returns {string|null} Timestamp ISO o null si ningún registro trae timestamp válido
+   */
+  getEarliestEventTime(records) {
+    const earliest = records.reduce((min, record) => {
+      const time = Date.parse(record.timestamp);
+      return Number.isFinite(time) && time < min ? time : min;
+    }, Infinity);
+
+    return Number.isFinite(earliest) ? new Date(earliest).toISOString() : null;
+  }
+
+  /**
+   * Resultado de validación para registros de un backup preparado (validados y protegidos al extraerse)
+   */
+  buildPreparedValidation(data) {
+    return {
+      isValid: data.length > 0,
+      validData: data,
+      invalidData: [],
+      errors: [],
+      stats: { total: data.length, valid: data.length, invalid: 0, validationRate: data.length > 0 ? '100.00' : 0 }
+    };
+  }
+
+  /**
+   * Registra en métricas los duplicados suprimidos de un lote terminado
+   * @param {string} type - Tipo de datos registrado
+   * @param {number} checked - Registros válidos revisados
+   * @param {Object} duplicates - { total, inBatch, crossRun } (de DeduplicationService.check)
+   */
+  async recordDeduplication(type, checked, duplicates) {
+    if (!this.deduplicationService.isEnabled()) {
+      return;
+    }
+
+    await this.metrics.recordDeduplication(type, {
+      checked,
+      inBatch: duplicates.inBatch,
+      crossRun: duplicates.crossRun
+    });
+  }
+
+  /**
+   * Guarda en el dead-letter los registros rechazados por la validación, las geocercas o la revisión de trayectorias.
+   * Se llama solo cuando la subida terminó: si falla, los datos se reintentan (backup local o
+   * reentrega del stream) y los rechazados se guardan en ese reintento, sin duplicarse.
+   * Con privacidad, cada entrada lleva además el original cifrado para el replay (PrivacyService.sealRejected)
+   * @param {string} type - Tipo de datos registrado
+   * @param {Array} invalidData - Registros rechazados ({ index, record, errors, issues })
+   * @param {Object} metadata - Metadata de la subida (source, runId)
+   * @returns {Object} Resultado de DeadLetterService.save
+   */
+  async saveRejectedRecords(type, invalidData, metadata = {}) {
+    return await this.deadLetterService.save(type, this.privacyService.sealRejected(type, invalidData), {
+      runId: metadata.runId || this.currentRunId,
+      source: metadata.source
+    });
+  }
+
   /**
    * Procesa un tipo específico de datos extraídos atómicamente
    * Flujo: Validar → GCS → BigQuery → Backup local si falla GCS
-   * @param {string} dataType - Tipo de datos ('gps' o 'mobile')
+   * @param {string} dataType - Tipo de datos registrado ('gps', 'mobile', ...)
    * @param {Array} data - Datos extraídos de Redis
+   * @param {Object} options - createBackups: false cuando la fuente reentrega los datos no cargados (streams);
+   *   chunk: número de chunk de la extracción (nombre del archivo en GCS);
+   *   source: origen de los datos (`<modo>:<keys o stream>`) para la metadata del upload, la carga, el backup y el recovery
    * @returns {Object} Resultado del procesamiento
    */
-  async processExtractedDataType(dataType, data) {
+  async processExtractedDataType(dataType, data, options = {}) {
+    const {
+      createBackups = true,
+      chunk,
+      source = `atomic_extraction:${dataTypeRegistry.require(dataType).redisKey}`
+    } = options;
+
     try {
       logger.info(`🔄 Procesando ${data.length} registros ${dataType.toUpperCase()} extraídos atómicamente...`);
 
       // Paso 1: Intentar subir a GCS
       const gcsResult = await this.uploadDataToGCS(data, dataType, {
-        source: `atomic_extraction:${dataType}:history:global`,
-        extractedAt: new Date().toISOString()
+        source,
+        extractedAt: new Date().toISOString(),
+        ...(chunk !== undefined && { chunk })
       });
 
+      if (gcsResult.success && !gcsResult.fileName) {
+        // Ningún registro válido: no hay archivo que cargar, los datos se consideran procesados
+        logger.warn(`⚠️ Ningún registro ${dataType} válido de ${data.length} extraídos, nada que cargar en BigQuery`);
+        return {
+          success: true,
+          recordsProcessed: 0,
+          validationStats: gcsResult.validationStats,
+          stage: 'no_valid_data',
+          source: 'atomic_extraction'
+        };
+      }
+
       if (gcsResult.success) {
-        // Paso 2: Procesar hacia BigQuery
-        const bigQueryResult = await this.bigQueryProcessor.processGCSFile(
-          gcsResult.gcsPath,
-          dataType,
-          {
-            dataType,
-            recordCount: gcsResult.recordsProcessed,
-            source: `atomic_extraction:${dataType}:history:global`,
-            processingId: gcsResult.fileName.split('_').pop().split('.')[0],
-            validationStats: gcsResult.validationStats
-          }
-        );
-
-        if (bigQueryResult.success) {
-          logger.info(`✅ Datos ${dataType} procesados exitosamente: GCS → BigQuery`);
-
-          // Limpiar archivo GCS si está configurado
-          if (process.env.GCS_CLEANUP_PROCESSED_FILES !== 'false') {
-            try {
-              await this.gcsAdapter.deleteFile(gcsResult.fileName);
-              logger.debug(`🗑️ Archivo GCS ${dataType} limpiado: ${gcsResult.fileName}`);
-            } catch (cleanupError) {
-              logger.warn(`⚠️ Error limpiando archivo GCS ${dataType}:`, cleanupError.message);
-            }
-          }
+        // Paso 2: Procesar hacia BigQuery, un job de carga por parte
+        const partResults = [];
+        for (const part of gcsResult.parts) {
+          partResults.push(await this.loadPartToBigQuery(dataType, part, gcsResult, { createBackups, source }));
+        }
+
+        const loaded = partResults.filter(result => result.success);
+        const failed = partResults.filter(result => !result.success);
+        await this.commitLoadedParts(dataType, gcsResult, partResults);
+        const recordsLoaded = loaded.reduce((sum, result) => sum + (result.recordsProcessed || 0), 0);
+
+        if (failed.length === 0) {
+          logger.info(`✅ Datos ${dataType} procesados exitosamente: GCS → BigQuery${partResults.length > 1 ? ` (${partResults.length} partes)` : ''}`);
+
+          const jobIds = loaded.map(result => result.jobId).filter(Boolean);
 
           return {
             success: true,
-            recordsProcessed: bigQueryResult.recordsProcessed,
-            jobId: bigQueryResult.jobId,
+            recordsProcessed: recordsLoaded,
+            jobId: jobIds[0] || null,
+            jobIds,
             gcsFile: gcsResult.fileName,
+            parts: partResults.length,
+            alreadyLoadedParts: loaded.filter(result => result.alreadyLoaded).length,
             validationStats: gcsResult.validationStats,
             stage: 'completed',
             source: 'atomic_extraction'
           };
-        } else {
-          logger.error(`❌ Error procesando ${dataType} en BigQuery:`, bigQueryResult.error);
-
-          // Crear archivo de recovery metadata para reintento posterior
-          logger.info(`📝 Creando metadata de recovery para ${dataType}: ${gcsResult.fileName}`);
-
-          const recoveryResult = await this.recoveryManager.createGCSBackup(
-            gcsResult.fileName,
-            {
-              dataType,
-              recordCount: gcsResult.recordsProcessed,
-              source: `atomic_extraction:${dataType}:history:global`,
-              processingId: gcsResult.fileName.split('_').pop().split('.')[0],
-              validationStats: gcsResult.validationStats,
-              bigQueryError: bigQueryResult.error,
-              gcsUri: gcsResult.gcsPath
-            },
-            data // Datos originales para fallback
-          );
-
-          if (recoveryResult.success) {
-            logger.info(`✅ Recovery metadata creado: ${recoveryResult.backupId}`);
-          } else {
-            logger.error(`❌ Error creando recovery metadata: ${recoveryResult.error}`);
-          }
+        }
+
+        const error = failed.map(result => result.error).join(' | ');
 
-          // El archivo queda en GCS para recovery posterior
+        if (!createBackups) {
+          // La fuente reentregará el lote completo
           return {
             success: false,
-            error: bigQueryResult.error,
-            recordsProcessed: 0,
+            error,
+            recordsProcessed: recordsLoaded,
             stage: 'bigquery_processing',
-            gcsFile: gcsResult.fileName,
-            source: 'atomic_extraction',
-            recoveryCreated: recoveryResult.success,
-            recoveryId: recoveryResult.backupId
+            source: 'atomic_extraction'
           };
         }
+
+        // Las partes fallidas quedan en GCS con su metadata de recovery; las cargadas no se reenvían
+        return {
+          success: false,
+          error,
+          recordsProcessed: recordsLoaded,
+          stage: 'bigquery_processing',
+          gcsFile: gcsResult.fileName,
+          source: 'atomic_extraction',
+          partsLoaded: loaded.length,
+          partsFailed: failed.length,
+          recoveryCreated: failed.every(result => result.recoveryCreated),
+          recoveryId: failed[0].recoveryId,
+          recoveryIds: failed.map(result => result.recoveryId).filter(Boolean)
+        };
+      } else if (!createBackups) {
+        logger.warn(`⚠️ Falla en subida a GCS para ${dataType}, los datos serán reentregados por la fuente`);
+
+        return {
+          success: false,
+          error: gcsResult.error,
+          recordsProcessed: 0,
+          stage: 'gcs_upload_failed',
+          source: 'atomic_extraction'
+        };
       } else {
         // Paso 3: Si falla GCS, crear backup local
         logger.warn(`⚠️ Falla en subida a GCS para ${dataType}, creando backup local...`);
 
-        const backupResult = await this.backupManager.saveToLocalBackup(data, dataType, {
+        // Con privacidad habilitada el backup guarda los registros ya validados y protegidos
+        const backupResult = await this.backupManager.saveToLocalBackup(gcsResult.protectedRecords || data, dataType, {
           extractedAt: new Date().toISOString(),
-          source: `atomic_extraction:${dataType}:history:global`,
-          gcsError: gcsResult.error
+          source,
+          gcsError: gcsResult.error,
+          prepared: Boolean(gcsResult.protectedRecords)
         });
 
         if (backupResult.success) {
@@ -600,19 +1045,112 @@ export class GPSProcessorService {
   }
 
 
+  /**
+   * Carga una parte subida a GCS en BigQuery. Si la carga falla, la parte queda en GCS con su propia
+   * metadata de recovery (o se elimina cuando la fuente reentrega los datos)
+   * @param {string} dataType - Tipo de datos registrado
+   * @param {Object} part - Parte de uploadDataToGCS
+   * @param {Object} gcsResult - Resultado de uploadDataToGCS
+   * @param {Object} options - createBackups, source (origen de los datos)
+   * @returns {Object} Resultado de la carga de la parte
+   */
+  async loadPartToBigQuery(dataType, part, gcsResult, { createBackups, source }) {
+    if (part.alreadyLoaded) {
+      return { success: true, recordsProcessed: 0, alreadyLoaded: true };
+    }
+
+    const partMetadata = {
+      contentHash: part.contentHash,
+      ...(part.partCount > 1 && { part: part.part, partCount: part.partCount })
+    };
+
+    const bigQueryResult = await this.bigQueryProcessor.processGCSFile(
+      part.gcsPath,
+      dataType,
+      {
+        dataType,
+        recordCount: part.recordCount,
+        source,
+        processingId: gcsResult.processingId,
+        validationStats: gcsResult.validationStats,
+        ...partMetadata
+      }
+    );
+
+    if (bigQueryResult.success) {
+      await this.recoveryManager.markAsLoaded(dataType, part.contentHash, part.fileName, bigQueryResult);
+
+      // Limpiar archivo GCS si está configurado
+      if (process.env.GCS_CLEANUP_PROCESSED_FILES !== 'false') {
+        try {
+          await this.gcsAdapter.deleteFile(part.fileName);
+          logger.debug(`🗑️ Archivo GCS ${dataType} limpiado: ${part.fileName}`);
+        } catch (cleanupError) {
+          logger.warn(`⚠️ Error limpiando archivo GCS ${dataType}:`, cleanupError.message);
+        }
+      }
+
+      return { success: true, recordsProcessed: bigQueryResult.recordsProcessed, jobId: bigQueryResult.jobId };
+    }
+
+    logger.error(`❌ Error procesando ${dataType} en BigQuery (${part.fileName}):`, bigQueryResult.error);
+
+    if (!createBackups) {
+      // La fuente reentregará los datos: eliminar el archivo para que no quede como huérfano
+      try {
+        await this.gcsAdapter.deleteFile(part.fileName);
+      } catch (cleanupError) {
+        logger.warn(`⚠️ Error limpiando archivo GCS ${dataType}:`, cleanupError.message);
+      }
+
+      return { success: false, error: bigQueryResult.error };
+    }
+
+    // Crear archivo de recovery metadata para reintento posterior
+    logger.info(`📝 Creando metadata de recovery para ${dataType}: ${part.fileName}`);
+
+    const recoveryResult = await this.recoveryManager.createGCSBackup(
+      part.fileName,
+      {
+        dataType,
+        recordCount: part.recordCount,
+        source,
+        processingId: gcsResult.processingId,
+        validationStats: gcsResult.validationStats,
+        bigQueryError: bigQueryResult.error,
+        gcsUri: part.gcsPath,
+        ...partMetadata
+      },
+      // Registros subidos en la parte (validados, deduplicados y etiquetados) para fallback: se re-suben
+      // con el mismo nombre y formato, y su hash coincide con contentHash
+      part.records
+    );
+
+    if (recoveryResult.success) {
+      logger.info(`✅ Recovery metadata creado: ${recoveryResult.backupId}`);
+    } else {
+      logger.error(`❌ Error creando recovery metadata: ${recoveryResult.error}`);
+    }
+
+    // El archivo queda en GCS para recovery posterior
+    return {
+      success: false,
+      error: bigQueryResult.error,
+      recoveryCreated: recoveryResult.success,
+      recoveryId: recoveryResult.backupId
+    };
+  }
 
   /**
    * Valida datos según su tipo
    */
   async validateDataByType(dataType, data) {
     try {
-      if (dataType === 'gps') {
-        return await this.dataSeparator.validateGPSData(data);
-      } else if (dataType === 'mobile') {
-        return await this.dataSeparator.validateMobileData(data);
-      } else {
-        throw new Error(`Tipo de datos no soportado: ${dataType}`);
+      const result = await this.dataSeparator.validateData(data, dataType);
+      if (result.stats?.parsing) {
+        await this.metrics.recordParsing(result.stats.parsing);
       }
+      return result;
     } catch (error) {
       logger.error(`❌ Error validando datos ${dataType}:`, error.message);
       return {
@@ -644,6 +1182,7 @@ export class GPSProcessorService {
       ]);
 
       const metrics = await this.metrics.getMetrics();
+      const streamStats = this.streamSource.isEnabled() ? await this.streamSource.getStats() : { enabled: false };
 
       return {
         redis: {
@@ -651,6 +1190,7 @@ export class GPSProcessorService {
           mobile: mobileStats,
           total: gpsStats.totalRecords + mobileStats.totalRecords
         },
+        streams: streamStats,
         gcs: gcsStatus,
         bigQuery: bigQueryStatus,
         recovery: {
@@ -769,49 +1309,9 @@ export class GPSProcessorService {
    * @param {Object} newMetadata - Nueva metadata a agregar
    */
   async updateFileMetadata(fileName, newMetadata) {
-    try {
-      if (this.gcsAdapter.simulationMode) {
-        // En modo simulación, actualizar el archivo de metadata local
-        const metadataPath = path.join(this.gcsAdapter.localStoragePath, `${fileName}.metadata.json`);
-
-        let existingMetadata = {};
-        try {
-          const content = await fs.readFile(metadataPath, 'utf8');
-          existingMetadata = JSON.parse(content);
-        } catch (readError) {
-          // Si no existe, crear nueva estructura
-          existingMetadata = { metadata: {} };
-        }
-
-        // Actualizar metadata
-        existingMetadata.metadata = {
-          ...existingMetadata.metadata,
-          ...newMetadata
-        };
-
-        await fs.writeFile(metadataPath, JSON.stringify(existingMetadata, null, 2), 'utf8');
-        logger.debug(`📝 Metadata simulada actualizada: ${fileName}`);
-
-      } else {
-        // En modo real, actualizar metadata en GCS
-        const file = this.gcsAdapter.bucket.file(fileName);
-        const [metadata] = await file.getMetadata();
-
-        const updatedMetadata = {
-          ...metadata,
-          metadata: {
-            ...metadata.metadata,
-            ...newMetadata
-          }
-        };
-
-        await file.setMetadata(updatedMetadata);
-        logger.debug(`📝 Metadata GCS actualizada: ${fileName}`);
-      }
-
-    } catch (error) {
-      logger.error(`❌ Error actualizando metadata de ${fileName}:`, error.message);
-      throw error;
+    const result = await this.gcsAdapter.updateFileMetadata(fileName, newMetadata);
+    if (!result.success) {
+      throw new Error(result.error);
     }
   }
 
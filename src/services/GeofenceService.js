@@ -0,0 +1,179 @@
+import { logger } from '../utils/logger.js';
+import { config } from '../config/env.js';
+import { FileUtils } from '../utils/FileUtils.js';
+import { VALIDATION_ERROR_CODES } from '../types/GPSTypes.js';
+
+/**
+ * Etiquetado de puntos con geocercas GeoJSON.
+ *
+ * Carga un FeatureCollection de Polygon/MultiPolygon (GEOFENCE_FILE); cada feature aporta su
+ * properties.name a geofence_tags de los puntos que contiene. Las features cuyo properties.kind es
+ * el del área de servicio (GEOFENCE_SERVICE_AREA_KIND) definen in_service_area; los puntos fuera de
+ * ella se conservan marcados o se descartan hacia el dead-letter según GEOFENCE_OUTSIDE_ACTION.
+ * Sin geocercas de área de servicio in_service_area queda en null y no se descarta nada.
+ */
+export class GeofenceService {
+  constructor(geofenceConfig = config.geofence) {
+    this.config = geofenceConfig;
+    this.features = null;
+  }
+
+  /**
+   * Verifica si el etiquetado de geocercas está habilitado
+   */
+  isEnabled() {
+    return this.config.enabled;
+  }
+
+  /**
+   * Carga (una vez) las geocercas del archivo configurado.
+   * Si el archivo no se puede leer se registra el error y los puntos pasan sin etiquetar
+   * @returns {Array} Geocercas compiladas
+   */
+  async load() {
+    if (this.features) {
+      return this.features;
+    }
+
+    try {
+      const geojson = await FileUtils.readJsonFile(this.config.file);
+      this.features = this.compile(geojson);
+      logger.info(`🗺️ ${this.features.length} geocercas cargadas desde ${this.config.file}`);
+    } catch (error) {
+      logger.error(`❌ Geocercas no disponibles (${this.config.file}), los puntos no se etiquetan:`, error.message);
+      this.features = [];
+    }
+
+    return this.features;
+  }
+
+  /**
+   * Compila un FeatureCollection GeoJSON en geocercas con bounding box
+   * @param {Object} geojson - FeatureCollection
+   * @returns {Array} [{ name, kind, polygons, bbox }]
+   */
+  compile(geojson) {
+    if (geojson?.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+      throw new Error('El archivo de geocercas debe ser un FeatureCollection GeoJSON');
+    }
+
+    return geojson.features.map((feature, index) => {
+      const name = feature.properties?.name;
+      const geometry = feature.geometry;
+
+      if (!name) {
+        throw new Error(`La geocerca ${index} no tiene properties.name`);
+      }
+
+      let polygons;
+      if (geometry?.type === 'Polygon') {
+        polygons = [geometry.coordinates];
+      } else if (geometry?.type === 'MultiPolygon') {
+        polygons = geometry.coordinates;
+      } else {
+        throw new Error(`La geocerca ${name} debe ser Polygon o MultiPolygon`);
+      }
+
+      const outerRings = polygons.map(polygon => polygon[0]).flat();
+      const lngs = outerRings.map(([lng]) => lng);
+      const lats = outerRings.map(([, lat]) => lat);
+
+      return {
+        name: String(name),
+        kind: feature.properties.kind || null,
+        polygons,
+        bbox: [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)]
+      };
+    });
+  }
+
+  /**
+   * Etiqueta los puntos de un lote con las geocercas que los contienen
+   * @param {string} dataType - Tipo de datos registrado
+   * @param {Array} records - Registros validados (cleanedData)
+   * @returns {Object} { records, outside, dropped }
+   */
+  async tag(dataType, records) {
+    if (!this.isEnabled() || records.length === 0) {
+      return { records, outside: 0, dropped: [] };
+    }
+
+    const features = await this.load();
+    if (features.length === 0) {
+      return { records, outside: 0, dropped: [] };
+    }
+
+    const hasServiceArea = features.some(feature => feature.kind === this.config.serviceAreaKind);
+    const kept = [];
+    const dropped = [];
+    let outside = 0;
+
+    records.forEach((record, position) => {
+      const matches = features.filter(feature => this.contains(feature, record.lng, record.lat));
+      const inServiceArea = hasServiceArea
+        ? matches.some(feature => feature.kind === this.config.serviceAreaKind)
+        : null;
+
+      if (inServiceArea === false) {
+        outside++;
+
+        if (this.config.outsideAction === 'drop') {
+          const message = `Point (${record.lat}, ${record.lng}) is outside the service area`;
+          dropped.push({
+            index: position,
+            record,
+            errors: [message],
+            issues: [{ field: 'lat', code: VALIDATION_ERROR_CODES.OUTSIDE_SERVICE_AREA, message }]
+          });
+          return;
+        }
+      }
+
+      kept.push({
+        ...record,
+        geofence_tags: matches.map(feature => feature.name),
+        in_service_area: inServiceArea
+      });
+    });
+
+    if (outside > 0) {
+      const action = this.config.outsideAction === 'drop' ? 'descartados' : 'marcados';
+      logger.warn(`🗺️ ${outside} puntos ${dataType} fuera del área de servicio ${action}`);
+    }
+
+    return { records: kept, outside, dropped };
+  }
+
+  /**
+   * Verifica si una geocerca contiene un punto (los huecos del polígono lo excluyen)
+   */
+  contains(feature, lng, lat) {
+    const [minLng, minLat, maxLng, maxLat] = feature.bbox;
+    if (lng < minLng || lng > maxLng || lat < minLat || lat > maxLat) {
+      return false;
+    }
+
+    return feature.polygons.some(([outer, ...holes]) =>
+      this.isInRing(outer, lng, lat) && !holes.some(hole => this.isInRing(hole, lng, lat))
+    );
+  }
+
+  /**
+   * Ray casting sobre un anillo [[lng, lat], ...]
+   */
+  isInRing(ring, lng, lat) {
+    let inside = false;
+
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [lngI, latI] = ring[i];
+      const [lngJ, latJ] = ring[j];
+
+      if ((latI > lat) !== (latJ > lat) &&
+        lng < (lngJ - lngI) * (lat - latI) / (latJ - latI) + lngI) {
+        inside = !inside;
+      }
+    }
+
+    return inside;
+  }
+}
@@ -0,0 +1,200 @@
+import { RedisRepository } from '../repositories/RedisRepository.js';
+import { DataSeparator } from './DataSeparator.js';
+import { RedisStreamSource } from './RedisStreamSource.js';
+import { dataTypeRegistry } from '../config/dataTypes.js';
+import { logger } from '../utils/logger.js';
+import { RequestAuth } from '../utils/RequestAuth.js';
+import { config } from '../config/env.js';
+import { VALIDATION_ERROR_CODES } from '../types/GPSTypes.js';
+
+/**
+ * Ingesta de puntos por HTTP para dispositivos e integraciones sin acceso directo a Redis.
+ *
+ * Acepta un punto (objeto JSON), un lote (arreglo JSON) o NDJSON (un punto por línea),
+ * valida cada punto con las mismas reglas de DataSeparator y encola los válidos en la
+ * lista de Redis configurada del tipo con addMultipleToList, o en su stream (XADD) con
+ * REDIS_SOURCE_MODE=stream. El procesamiento posterior es idéntico al de los puntos que
+ * llegan por LPUSH/RPUSH o XADD.
+ */
+export class IngestionService {
+  constructor(
+    redisRepo = new RedisRepository(),
+    dataSeparator = new DataSeparator(),
+    ingestionConfig = config.ingestion,
+    streamSource = new RedisStreamSource(redisRepo)
+  ) {
+    this.redisRepo = redisRepo;
+    this.dataSeparator = dataSeparator;
+    this.config = ingestionConfig;
+    this.streamSource = streamSource;
+  }
+
+  /**
+   * Verifica si la ingesta HTTP está habilitada
+   * @returns {boolean} True si está habilitada
+   */
+  isEnabled() {
+    return this.config.enabled;
+  }
+
+  /**
+   * Verifica el token de ingesta (Authorization: Bearer <token> o X-API-Key)
+   * @param {Object} headers - Headers de la petición
+   * @returns {boolean} True si el token coincide (sin token configurado se rechaza toda petición)
+   */
+  isAuthorized(headers = {}) {
+    return RequestAuth.hasToken(headers, this.config.apiKey, 'x-api-key');
+  }
+
+  /**
+   * Convierte el cuerpo de la petición en registros.
+   * Las líneas NDJSON que no son JSON válido se devuelven como rechazadas.
+   * @param {string} body - Cuerpo de la petición
+   * @param {string} contentType - Header Content-Type
+   * @returns {Object} { records: [{ index, record }], rejected: [{ index, line, errors, codes }] }
+   */
+  parseBody(body, contentType = '') {
+    const text = (body || '').trim();
+
+    if (text === '') {
+      throw new Error('El cuerpo de la petición está vacío');
+    }
+
+    const isNDJSON = /ndjson|jsonlines|json-seq/i.test(contentType);
+
+    if (!isNDJSON) {
+      try {
+        const parsed = JSON.parse(text);
+        const items = Array.isArray(parsed) ? parsed : [parsed];
+        return {
+          records: items.map((record, index) => ({ index, record })),
+          rejected: []
+        };
+      } catch (error) {
+        // Un cuerpo de varias líneas sin Content-Type NDJSON se intenta como NDJSON
+        if (!text.includes('\n')) {
+          throw new Error(`JSON inválido: ${error.message}`);
+        }
+      }
+    }
+
+    const records = [];
+    const rejected = [];
+
+    text.split('\n').forEach((line, lineIndex) => {
+      const trimmed = line.trim();
+      if (trimmed === '') {
+        return;
+      }
+
+      const index = records.length + rejected.length;
+      try {
+        records.push({ index, record: JSON.parse(trimmed) });
+      } catch (error) {
+        rejected.push({
+          index,
+          line: lineIndex + 1,
+          errors: [`JSON parse error: ${error.message}`],
+          codes: [VALIDATION_ERROR_CODES.PARSE_ERROR]
+        });
+      }
+    });
+
+    return { records, rejected };
+  }
+
+  /**
+   * Valida y encola un lote de puntos de un tipo registrado
+   * @param {string} dataType - Tipo de datos ('gps', 'mobile', ...)
+   * @param {string} body - Cuerpo de la petición
+   * @param {string} contentType - Header Content-Type
+   * @returns {Object} Resultado con aceptados y rechazados con sus motivos
+   */
+  async ingest(dataType, body, contentType = '') {
+    const definition = dataTypeRegistry.get(dataType);
+
+    if (!definition) {
+      return {
+        success: false,
+        statusCode: 404,
+        error: `Tipo de datos no registrado: ${dataType}`
+      };
+    }
+
+    let parsed;
+    try {
+      parsed = this.parseBody(body, contentType);
+    } catch (error) {
+      return {
+        success: false,
+        statusCode: 400,
+        error: error.message
+      };
+    }
+
+    const received = parsed.records.length + parsed.rejected.length;
+
+    if (received > this.config.maxRecordsPerRequest) {
+      return {
+        success: false,
+        statusCode: 413,
+        error: `El lote excede el máximo de ${this.config.maxRecordsPerRequest} registros por petición (${received} recibidos)`
+      };
+    }
+
+    const accepted = [];
+    const rejected = [...parsed.rejected];
+
+    for (const { index, record } of parsed.records) {
+      const validation = this.dataSeparator.validateRecord(record, dataType);
+
+      if (validation.isValid) {
+        accepted.push(record);
+      } else {
+        rejected.push({ index, record, errors: validation.errors, codes: validation.issues.map(issue => issue.code) });
+      }
+    }
+
+    rejected.sort((a, b) => a.index - b.index);
+
+    // En modo stream el pipeline solo consume los streams: la lista del tipo no se vaciaría
+    let key = definition.redisKey;
+
+    try {
+      let listLength = null;
+      if (accepted.length > 0 && this.streamSource.isEnabled()) {
+        ({ key, length: listLength } = await this.streamSource.append(dataType, accepted));
+      } else if (accepted.length > 0) {
+        listLength = await this.redisRepo.addMultipleToList(key, accepted);
+      }
+
+      logger.info(`${definition.icon} Ingesta ${definition.label}: ${accepted.length}/${received} puntos encolados en ${key}`, {
+        rejected: rejected.length
+      });
+
+      return {
+        success: accepted.length > 0 || received === 0,
+        statusCode: accepted.length === 0 && rejected.length > 0 ? 422 : 200,
+        dataType,
+        key,
+        received,
+        accepted: accepted.length,
+        rejectedCount: rejected.length,
+        rejected,
+        listLength
+      };
+
+    } catch (error) {
+      logger.error(`❌ Error encolando puntos ${definition.label} en ${key}:`, error.message);
+      return {
+        success: false,
+        statusCode: 503,
+        error: `No se pudieron encolar los puntos: ${error.message}`,
+        received,
+        accepted: 0,
+        rejectedCount: rejected.length,
+        rejected
+      };
+    }
+  }
+}
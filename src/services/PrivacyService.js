@@ -0,0 +1,282 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { logger } from '../utils/logger.js';
+import { RequestAuth } from '../utils/RequestAuth.js';
+import { config } from '../config/env.js';
+import { RedisRepository } from '../repositories/RedisRepository.js';
+
+const ENCRYPTED_PREFIX = 'enc:v1:';
+// Registro original de un registro protegido: las claves Symbol sobreviven a las copias con spread
+// (geocercas, trayectorias) y JSON.stringify las omite, así nunca llegan a disco, GCS ni BigQuery
+const ORIGINAL_RECORD = Symbol('originalRecord');
+
+/**
+ * Protección de datos personales de los registros validados.
+ *
+ * Aplica por tipo y campo (PRIVACY_RULES) una de estas acciones antes de que el registro se escriba
+ * en disco (backups, dead-letter), GCS o BigQuery:
+ * - hmac: seudónimo estable HMAC-SHA256 con PRIVACY_HMAC_KEY (las igualdades se conservan)
+ * - redact: reemplaza el valor por PRIVACY_REDACTED_VALUE
+ * - truncate: conserva los primeros PRIVACY_TRUNCATE_LENGTH caracteres
+ * - encrypt: AES-256-GCM con una clave local (enc:v1:<iv>:<tag>:<cifrado>, en base64)
+ *
+ * Con PRIVACY_MAPPING_ENABLED cada seudónimo guarda su valor original cifrado en un hash Redis
+ * (privacy:map:<tipo>:<campo>); solo se consulta con PRIVACY_ADMIN_TOKEN.
+ */
+export class PrivacyService {
+  constructor(redisRepo = new RedisRepository(), privacyConfig = config.privacy) {
+    this.redisRepo = redisRepo;
+    this.config = privacyConfig;
+    this.encryptionKey = null;
+  }
+
+  /**
+   * Verifica si la protección de datos personales está habilitada
+   */
+  isEnabled() {
+    return this.config.enabled;
+  }
+
+  /**
+   * Reglas campo → acción de un tipo
+   */
+  getRules(dataType) {
+    return this.config.rules[dataType] || {};
+  }
+
+  /**
+   * Verifica si un tipo tiene campos a proteger
+   */
+  appliesTo(dataType) {
+    return this.isEnabled() && Object.keys(this.getRules(dataType)).length > 0;
+  }
+
+  /**
+   * Protege los campos personales de un lote de registros
+   * @param {string} dataType - Tipo de datos registrado
+   * @param {Array} records - Registros (los que no son objetos se conservan tal cual)
+   * @returns {Object} { records, protectedFields }
+   */
+  async protect(dataType, records) {
+    if (!this.appliesTo(dataType) || records.length === 0) {
+      return { records, protectedFields: 0 };
+    }
+
+    const rules = Object.entries(this.getRules(dataType));
+    const mappings = {};
+    let protectedFields = 0;
+
+    const protectedRecords = records.map(record => {
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return record;
+      }
+
+      const result = { ...record, [ORIGINAL_RECORD]: record };
+
+      for (const [field, action] of rules) {
+        const value = record[field];
+        if (value === undefined || value === null || value === '') {
+          continue;
+        }
+
+        result[field] = this.applyAction(action, String(value));
+        protectedFields++;
+
+        if (action === 'hmac' && this.config.mappingEnabled) {
+          mappings[field] = mappings[field] || {};
+          mappings[field][result[field]] = String(value);
+        }
+      }
+
+      return result;
+    });
+
+    await this.saveMappings(dataType, mappings);
+
+    return { records: protectedRecords, protectedFields };
+  }
+
+  /**
+   * Protege los registros de las entradas rechazadas ({ index, record, errors, issues })
+   */
+  async protectRejected(dataType, invalidData) {
+    if (!this.appliesTo(dataType) || invalidData.length === 0) {
+      return invalidData;
+    }
+
+    const { records } = await this.protect(dataType, invalidData.map(entry => entry.record));
+    return invalidData.map((entry, index) => ({ ...entry, record: records[index] }));
+  }
+
+  /**
+   * Prepara para el dead-letter las entradas rechazadas de un tipo protegido. El registro guardado queda
+   * protegido (un replay sin corregir fallaría la validación o se protegería dos veces), así que cada
+   * entrada lleva el original cifrado con AES-256-GCM (sealedRecord) cuando hay clave de cifrado
+   * @param {string} dataType - Tipo de datos registrado
+   * @param {Array} invalidData - Entradas con registros ya protegidos ({ index, record, errors, issues })
+   * @returns {Array} Entradas con protected y sealedRecord (null si no hay clave o el original no está disponible)
+   */
+  sealRejected(dataType, invalidData) {
+    if (!this.appliesTo(dataType) || invalidData.length === 0) {
+      return invalidData;
+    }
+
+    const canSeal = Boolean(this.config.encryptionKey || this.config.encryptionKeyFile);
+
+    return invalidData.map(entry => {
+      if (!entry.record || typeof entry.record !== 'object' || Array.isArray(entry.record)) {
+        return entry;
+      }
+
+      const original = entry.record[ORIGINAL_RECORD];
+      return {
+        ...entry,
+        protected: true,
+        sealedRecord: canSeal && original ? this.encrypt(JSON.stringify(original)) : null
+      };
+    });
+  }
+
+  /**
+   * Recupera el registro original de una entrada sellada con sealRejected()
+   */
+  unseal(sealedRecord) {
+    return JSON.parse(this.decrypt(sealedRecord));
+  }
+
+  /**
+   * Aplica una acción de protección a un valor
+   */
+  applyAction(action, value) {
+    switch (action) {
+      case 'hmac':
+        return this.pseudonymize(value);
+      case 'redact':
+        return this.config.redactedValue;
+      case 'truncate':
+        return value.slice(0, this.config.truncateLength);
+      case 'encrypt':
+        return this.encrypt(value);
+      default:
+        throw new Error(`Acción de privacidad no soportada: ${action}`);
+    }
+  }
+
+  /**
+   * Seudónimo HMAC-SHA256 (hex) de un valor
+   */
+  pseudonymize(value) {
+    return crypto.createHmac('sha256', this.config.hmacKey).update(value).digest('hex');
+  }
+
+  /**
+   * Cifra un valor con AES-256-GCM
+   */
+  encrypt(value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+
+    return `${ENCRYPTED_PREFIX}${[iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':')}`;
+  }
+
+  /**
+   * Descifra un valor producido por encrypt()
+   */
+  decrypt(payload) {
+    if (typeof payload !== 'string' || !payload.startsWith(ENCRYPTED_PREFIX)) {
+      throw new Error('Valor cifrado inválido');
+    }
+
+    const [iv, tag, encrypted] = payload.slice(ENCRYPTED_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Clave AES de 32 bytes (hex o base64), desde la configuración o un archivo local
+   */
+  getEncryptionKey() {
+    if (this.encryptionKey) {
+      return this.encryptionKey;
+    }
+
+    const raw = (this.config.encryptionKey || (this.config.encryptionKeyFile
+      ? fs.readFileSync(this.config.encryptionKeyFile, 'utf8')
+      : '')).trim();
+    const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+
+    if (key.length !== 32) {
+      throw new Error('La clave de cifrado debe tener 32 bytes (hex o base64)');
+    }
+
+    this.encryptionKey = key;
+    return key;
+  }
+
+  /**
+   * Clave del hash Redis con la tabla seudónimo → valor original de un campo
+   */
+  getMappingKey(dataType, field) {
+    return `${this.config.mappingKeyPrefix}${dataType}:${field}`;
+  }
+
+  /**
+   * Guarda los valores originales cifrados de los seudónimos generados.
+   * Un error no detiene el lote: se registra y los seudónimos quedan sin tabla
+   */
+  async saveMappings(dataType, mappings) {
+    for (const [field, values] of Object.entries(mappings)) {
+      const encrypted = Object.fromEntries(
+        Object.entries(values).map(([pseudonym, original]) => [pseudonym, this.encrypt(original)])
+      );
+
+      try {
+        await this.redisRepo.setHashValues(this.getMappingKey(dataType, field), encrypted);
+      } catch (error) {
+        logger.error(`❌ Error guardando tabla de seudónimos ${dataType}.${field}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Verifica si una petición trae el token de administrador de privacidad
+   * @param {Object} headers - Headers HTTP
+   */
+  isPrivileged(headers = {}) {
+    return RequestAuth.hasToken(headers, this.config.adminToken);
+  }
+
+  /**
+   * Resuelve un seudónimo a su valor original (solo para llamadores privilegiados)
+   * @param {string} dataType - Tipo de datos registrado
+   * @param {string} field - Campo protegido con hmac
+   * @param {string} pseudonym - Seudónimo
+   * @returns {Object} { success, statusCode, value } o { success: false, statusCode, error }
+   */
+  async resolvePseudonym(dataType, field, pseudonym) {
+    if (!this.isEnabled() || !this.config.mappingEnabled) {
+      return { success: false, statusCode: 404, error: 'Pseudonym mapping not enabled' };
+    }
+
+    if (this.getRules(dataType)[field] !== 'hmac') {
+      return { success: false, statusCode: 400, error: `Field ${dataType}.${field} is not pseudonymized` };
+    }
+
+    try {
+      const stored = await this.redisRepo.getHashValues(this.getMappingKey(dataType, field), [pseudonym]);
+
+      if (!stored[pseudonym]) {
+        return { success: false, statusCode: 404, error: `Pseudonym not found: ${pseudonym}` };
+      }
+
+      logger.info(`🔐 Seudónimo ${dataType}.${field} resuelto por un llamador privilegiado`);
+      return { success: true, statusCode: 200, dataType, field, pseudonym, value: this.decrypt(stored[pseudonym]) };
+    } catch (error) {
+      logger.error(`❌ Error resolviendo seudónimo ${dataType}.${field}:`, error.message);
+      return { success: false, statusCode: 500, error: error.message };
+    }
+  }
+}
@@ -0,0 +1,232 @@
+import { RedisRepository } from '../repositories/RedisRepository.js';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/env.js';
+import { dataTypeRegistry } from '../config/dataTypes.js';
+
+/**
+ * Fuente de datos basada en Redis Streams con consumer groups.
+ *
+ * Entrega at-least-once:
+ * 1. Reclama entradas pendientes inactivas (XAUTOCLAIM) de consumidores caídos o lotes fallidos
+ * 2. Lee entradas nuevas (XREADGROUP) en lotes
+ * 3. Entrega cada lote al callback de procesamiento
+ * 4. Confirma (XACK) las entradas solo si la carga en BigQuery fue exitosa
+ *
+ * Las entradas no confirmadas quedan pendientes y se reclaman en ejecuciones posteriores.
+ */
+export class RedisStreamSource {
+  constructor(redisRepo = new RedisRepository(), streamConfig = config.streams) {
+    this.redisRepo = redisRepo;
+    this.config = streamConfig;
+    // Un stream por tipo registrado; `<tipo>Key` en la configuración tiene prioridad
+    this.streams = Object.fromEntries(dataTypeRegistry.list()
+      .map(definition => [definition.name, streamConfig[`${definition.name}Key`] || definition.streamKey])
+      .filter(([, streamKey]) => Boolean(streamKey)));
+    this.isInitialized = false;
+  }
+
+  /**
+   * Verifica si el modo stream está habilitado
+   * @returns {boolean} True si está habilitado
+   */
+  isEnabled() {
+    return this.config.enabled;
+  }
+
+  /**
+   * Encola registros en el stream de un tipo (ingesta HTTP y replay del dead-letter en modo stream)
+   * @param {string} dataType - Tipo de datos registrado
+   * @param {Array} records - Registros a encolar
+   * @returns {Object} { key, length }
+   */
+  async append(dataType, records) {
+    const streamKey = this.streams[dataType];
+    if (!streamKey) {
+      throw new Error(`El tipo ${dataType} no tiene stream configurado`);
+    }
+
+    return { key: streamKey, length: await this.redisRepo.addMultipleToStream(streamKey, records) };
+  }
+
+  /**
+   * Crea los consumer groups de los streams configurados
+   */
+  async initialize() {
+    try {
+      logger.info('🔧 Inicializando RedisStreamSource...', {
+        group: this.config.group,
+        consumer: this.config.consumer,
+        streams: this.streams
+      });
+
+      for (const streamKey of Object.values(this.streams)) {
+        await this.redisRepo.ensureConsumerGroup(streamKey, this.config.group);
+      }
+
+      this.isInitialized = true;
+      logger.info('✅ RedisStreamSource inicializado exitosamente');
+    } catch (error) {
+      logger.error('❌ Error inicializando RedisStreamSource:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Consume los streams de todos los tipos registrados
+   * @param {Function} onBatch - async (dataType, data, batchInfo) => resultado de processExtractedDataType
+   * @returns {Object} Resumen del consumo por tipo
+   */
+  async consumeAll(onBatch) {
+    const startTime = Date.now();
+
+    try {
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+
+      const results = {};
+      for (const dataType of Object.keys(this.streams)) {
+        results[dataType] = await this.consumeStream(dataType, onBatch);
+      }
+
+      const totalTime = Date.now() - startTime;
+      logger.info(`✅ Consumo de streams completado en ${totalTime}ms:`);
+      for (const [dataType, result] of Object.entries(results)) {
+        const label = dataTypeRegistry.get(dataType)?.label || dataType;
+        logger.info(`   📊 ${label}: ${result.acked}/${result.recordCount} entradas confirmadas (${result.reclaimed} reclamadas)`);
+      }
+
+      const summaries = Object.values(results);
+      return {
+        success: summaries.every(result => result.success),
+        ...results,
+        totalRecords: summaries.reduce((sum, result) => sum + result.recordCount, 0),
+        extractionTime: totalTime
+      };
+
+    } catch (error) {
+      logger.error('❌ Error consumiendo streams:', error.message);
+      return {
+        success: false,
+        error: error.message,
+        totalRecords: 0,
+        extractionTime: Date.now() - startTime
+      };
+    }
+  }
+
+  /**
+   * Consume un stream: primero entradas pendientes reclamadas y luego entradas nuevas.
+   * Se detiene ante el primer lote no cargado en BigQuery para no adelantarse a entradas pendientes.
+   * @param {string} dataType - Tipo de datos registrado
+   * @param {Function} onBatch - Callback de procesamiento
+   * @returns {Object} Resumen del consumo
+   */
+  async consumeStream(dataType, onBatch) {
+    const streamKey = this.streams[dataType];
+    const { group, consumer, batchSize, maxBatchesPerRun, claimIdleMs } = this.config;
+    const summary = {
+      dataType,
+      streamKey,
+      success: true,
+      batches: 0,
+      recordCount: 0,
+      recordsProcessed: 0,
+      reclaimed: 0,
+      acked: 0,
+      errors: []
+    };
+
+    const canReadMore = () => maxBatchesPerRun === 0 || summary.batches < maxBatchesPerRun;
+
+    // Paso 1: Reclamar entradas pendientes inactivas
+    let cursor = '0-0';
+    do {
+      const claimed = await this.redisRepo.claimPendingEntries(streamKey, group, consumer, claimIdleMs, batchSize, cursor);
+      cursor = claimed.nextId;
+
+      if (claimed.entries.length === 0) {
+        continue;
+      }
+
+      logger.warn(`♻️ Reclamadas ${claimed.entries.length} entradas pendientes de ${streamKey}`);
+      summary.reclaimed += claimed.entries.length;
+
+      if (!await this.processBatch(summary, claimed.entries, onBatch)) {
+        return summary;
+      }
+    } while (cursor !== '0-0' && canReadMore());
+
+    // Paso 2: Leer entradas nuevas
+    while (canReadMore()) {
+      const entries = await this.redisRepo.readStreamGroup(streamKey, group, consumer, batchSize);
+      if (entries.length === 0) {
+        break;
+      }
+
+      if (!await this.processBatch(summary, entries, onBatch)) {
+        break;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Procesa un lote de entradas y las confirma si la carga en BigQuery fue exitosa
+   * @returns {boolean} True si el lote fue confirmado
+   */
+  async processBatch(summary, entries, onBatch) {
+    summary.batches++;
+    summary.recordCount += entries.length;
+
+    const result = await onBatch(summary.dataType, entries.map(entry => entry.data), {
+      batchIndex: summary.batches,
+      streamKey: summary.streamKey,
+      firstId: entries[0].id,
+      lastId: entries[entries.length - 1].id
+    });
+
+    summary.recordsProcessed += result.recordsProcessed || 0;
+
+    if (!result.success) {
+      summary.success = false;
+      summary.errors.push(result.error || 'BigQuery load failed');
+      logger.warn(`⚠️ Lote ${summary.batches} de ${summary.streamKey} no cargado, ${entries.length} entradas quedan pendientes para reintento`);
+      return false;
+    }
+
+    summary.acked += await this.redisRepo.ackStreamEntries(
+      summary.streamKey,
+      this.config.group,
+      entries.map(entry => entry.id)
+    );
+    return true;
+  }
+
+  /**
+   * Obtiene estadísticas de los streams
+   * @returns {Object} Longitud y pendientes por tipo
+   */
+  async getStats() {
+    try {
+      const entries = await Promise.all(Object.entries(this.streams).map(async ([dataType, streamKey]) => [
+        dataType,
+        await this.redisRepo.getStreamStats(streamKey, this.config.group)
+      ]));
+
+      return {
+        enabled: this.isEnabled(),
+        group: this.config.group,
+        consumer: this.config.consumer,
+        ...Object.fromEntries(entries)
+      };
+    } catch (error) {
+      logger.error('❌ Error obteniendo estadísticas de streams:', error.message);
+      return {
+        enabled: this.isEnabled(),
+        error: error.message
+      };
+    }
+  }
+}
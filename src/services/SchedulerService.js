@@ -4,6 +4,7 @@ import { GPSProcessorService } from './GPSProcessorService.js';
 import { FileCleanup } from '../utils/FileCleanup.js';
 import { BackupManager } from '../utils/BackupManager.js';
 import { DistributedLock } from '../utils/DistributedLock.js';
+import { dataTypeRegistry } from '../config/dataTypes.js';
 
 /**
  * Servicio de programación para ejecutar procesamiento automático
@@ -23,6 +24,10 @@ export class SchedulerService {
     this.currentJobs = 0;
     this.executionCount = 0;
     this.backupCleanupIntervalMinutes = config.backup.cleanupIntervalMinutes;
+    this.backlogTrigger = config.scheduler.backlogTrigger;
+    this.backlogCheckIntervalId = null;
+    this.isCheckingBacklog = false;
+    this.lastJobFinishedAt = null;
     this.stats = {
       totalExecutions: 0,
       successfulExecutions: 0,
@@ -32,7 +37,9 @@ export class SchedulerService {
       startTime: null,
       backupsProcessed: 0,
       backupsFailed: 0,
-      lastBackupProcessing: null
+      lastBackupProcessing: null,
+      backlogTriggeredExecutions: 0,
+      lastBacklogTrigger: null
     };
   }
 
@@ -70,6 +77,15 @@ export class SchedulerService {
         this.executeBackupCleanup();
       }, backupCleanupMs);
 
+      // Disparo anticipado por backlog
+      if (this.backlogTrigger.enabled) {
+        this.backlogCheckIntervalId = setInterval(() => {
+          this.checkBacklog();
+        }, this.backlogTrigger.checkIntervalSeconds * 1000);
+
+        logger.info(`📈 Disparo por backlog habilitado: revisión cada ${this.backlogTrigger.checkIntervalSeconds}s, umbral ${this.describeBacklogThresholds()}, separación mínima ${this.backlogTrigger.minGapSeconds}s`);
+      }
+
       this.isRunning = true;
       this.stats.startTime = new Date().toISOString();
 
@@ -107,6 +123,11 @@ export class SchedulerService {
         this.backupCleanupIntervalId = null;
       }
 
+      if (this.backlogCheckIntervalId) {
+        clearInterval(this.backlogCheckIntervalId);
+        this.backlogCheckIntervalId = null;
+      }
+
       this.isRunning = false;
       
       logger.info('🛑 Scheduler detenido exitosamente');
@@ -158,6 +179,16 @@ export class SchedulerService {
       // También ejecutar limpieza de backups expirados
       await this.executeBackupCleanup();
 
+      // Lotes de dead-letter fuera de la retención
+      if (this.processor.deadLetterService?.isEnabled()) {
+        await this.processor.deadLetterService.purgeExpired();
+      }
+
+      // Reportes de validación fuera de la retención
+      if (this.processor.validationReportService?.isEnabled()) {
+        await this.processor.validationReportService.purgeExpired();
+      }
+
     } catch (error) {
       logger.error('❌ Error en limpieza automática:', error.message);
     }
@@ -197,7 +228,8 @@ export class SchedulerService {
               return await this.processor.uploadDataToGCS(data, type, {
                 source: 'backup_retry',
                 backupId: backupFile.id,
-                retryAttempt: backupFile.metadata.retryCount + 1
+                retryAttempt: backupFile.metadata.retryCount + 1,
+                prepared: backupFile.metadata.prepared === true
               });
             } catch (error) {
               return {
@@ -288,10 +320,114 @@ export class SchedulerService {
     }
   }
 
+  /**
+   * Describe los umbrales del disparo por backlog para logs
+   */
+  describeBacklogThresholds() {
+    const thresholds = [];
+    if (this.backlogTrigger.recordThreshold > 0) {
+      thresholds.push(`${this.backlogTrigger.recordThreshold} registros`);
+    }
+    if (this.backlogTrigger.bytesThreshold > 0) {
+      thresholds.push(`${this.backlogTrigger.bytesThreshold} bytes`);
+    }
+    return thresholds.join(' o ');
+  }
+
+  /**
+   * Mide el backlog pendiente en las listas Redis de todos los tipos registrados
+   * (incluye listas particionadas por patrón)
+   * @returns {Object} { records, bytes, byKey }
+   */
+  async getBacklog() {
+    const redisRepo = this.processor.redisRepo;
+    const backlog = { records: 0, bytes: 0, byKey: {} };
+
+    for (const definition of dataTypeRegistry.list()) {
+      const keys = definition.redisKeyPattern
+        ? await redisRepo.resolveListKeys(definition.redisKeys, definition.redisKeyPattern)
+        : [...new Set(definition.redisKeys)];
+
+      for (const key of keys) {
+        // MEMORY USAGE solo se consulta si hay umbral en bytes
+        const { totalRecords, memoryUsage } = this.backlogTrigger.bytesThreshold > 0
+          ? await redisRepo.getListStats(key)
+          : { totalRecords: await redisRepo.getListLength(key), memoryUsage: 0 };
+
+        backlog.records += totalRecords;
+        backlog.bytes += memoryUsage || 0;
+        backlog.byKey[key] = totalRecords;
+      }
+    }
+
+    return backlog;
+  }
+
+  /**
+   * Revisa el backlog y ejecuta el trabajo programado de forma anticipada si supera el umbral.
+   * Respeta la separación mínima entre ejecuciones; el lock distribuido lo sigue tomando executeScheduledJob.
+   * @returns {Object} Resultado de la revisión
+   */
+  async checkBacklog() {
+    if (this.isCheckingBacklog) {
+      return { triggered: false, reason: 'check_in_progress' };
+    }
+
+    if (config.streams.enabled) {
+      return { triggered: false, reason: 'stream_mode' };
+    }
+
+    if (this.currentJobs > 0) {
+      return { triggered: false, reason: 'job_running' };
+    }
+
+    const minGapMs = this.backlogTrigger.minGapSeconds * 1000;
+    if (this.lastJobFinishedAt && Date.now() - this.lastJobFinishedAt < minGapMs) {
+      return { triggered: false, reason: 'min_gap' };
+    }
+
+    this.isCheckingBacklog = true;
+
+    try {
+      const backlog = await this.getBacklog();
+      const { recordThreshold, bytesThreshold } = this.backlogTrigger;
+
+      const recordsExceeded = recordThreshold > 0 && backlog.records >= recordThreshold;
+      const bytesExceeded = bytesThreshold > 0 && backlog.bytes >= bytesThreshold;
+
+      if (!recordsExceeded && !bytesExceeded) {
+        logger.debug(`📈 Backlog bajo el umbral: ${backlog.records} registros, ${backlog.bytes} bytes`);
+        return { triggered: false, reason: 'below_threshold', backlog };
+      }
+
+      this.stats.backlogTriggeredExecutions++;
+      this.stats.lastBacklogTrigger = {
+        timestamp: new Date().toISOString(),
+        records: backlog.records,
+        bytes: backlog.bytes,
+        byKey: backlog.byKey,
+        reason: recordsExceeded ? 'records' : 'bytes'
+      };
+
+      logger.info(`📈 Backlog sobre el umbral (${backlog.records} registros, ${backlog.bytes} bytes), ejecutando trabajo anticipado...`);
+
+      await this.executeScheduledJob('backlog');
+
+      return { triggered: true, reason: this.stats.lastBacklogTrigger.reason, backlog };
+
+    } catch (error) {
+      logger.error('❌ Error revisando backlog de Redis:', error.message);
+      return { triggered: false, reason: 'error', error: error.message };
+    } finally {
+      this.isCheckingBacklog = false;
+    }
+  }
+
   /**
    * Ejecuta un trabajo programado
+   * @param {string} trigger - Origen de la ejecución: 'interval' o 'backlog'
    */
-  async executeScheduledJob() {
+  async executeScheduledJob(trigger = 'interval') {
     // Verificar límite de trabajos concurrentes
     if (this.currentJobs >= this.maxConcurrentJobs) {
       logger.warn(`⚠️ Límite de trabajos concurrentes alcanzado (${this.maxConcurrentJobs}), saltando ejecución`);
@@ -340,7 +476,7 @@ export class SchedulerService {
     }
     
     try {
-      logger.info('🔄 Ejecutando trabajo programado...');
+      logger.info(`🔄 Ejecutando trabajo programado${trigger === 'backlog' ? ' (disparado por backlog)' : ''}...`);
       
       // 1. PRIMERO: Procesar backups locales pendientes antes de nuevos datos
       const backupResult = await this.processLocalBackups();
@@ -363,6 +499,7 @@ export class SchedulerService {
         this.stats.lastExecution = {
           timestamp: new Date().toISOString(),
           success: true,
+          trigger,
           recordsProcessed: combinedResult.recordsProcessed,
           processingTime: combinedResult.processingTime,
           backupsProcessed: combinedResult.backupsProcessed,
@@ -398,6 +535,7 @@ export class SchedulerService {
 
     } finally {
       this.currentJobs--;
+      this.lastJobFinishedAt = Date.now();
       
       // Liberar lock distribuido
       if (lock && lockAcquired) {
@@ -454,6 +592,10 @@ export class SchedulerService {
           (this.stats.successfulExecutions / this.stats.totalExecutions * 100).toFixed(2) : 0
       },
       nextExecution: this.getNextExecutionTime(),
+      backlogTrigger: {
+        ...this.backlogTrigger,
+        active: Boolean(this.backlogCheckIntervalId)
+      },
       backups: {
         cleanupIntervalMinutes: this.backupCleanupIntervalMinutes,
         stats: backupStats || {
@@ -568,7 +710,8 @@ export class SchedulerService {
         intervalMinutes: this.intervalMinutes,
         enabled: this.enabled,
         maxConcurrentJobs: this.maxConcurrentJobs,
-        backupCleanupIntervalMinutes: this.backupCleanupIntervalMinutes
+        backupCleanupIntervalMinutes: this.backupCleanupIntervalMinutes,
+        backlogTrigger: this.backlogTrigger
       },
       performance: {
         averageExecutionTime: this.stats.totalExecutions > 0 ? 
@@ -0,0 +1,209 @@
+import { logger } from '../utils/logger.js';
+import { config } from '../config/env.js';
+import { dataTypeRegistry } from '../config/dataTypes.js';
+import { RedisRepository } from '../repositories/RedisRepository.js';
+import { GPSTypeUtils, VALIDATION_ERROR_CODES } from '../types/GPSTypes.js';
+
+export const QUALITY_FLAGS = {
+  IMPLAUSIBLE_SPEED: 'implausible_speed'
+};
+
+/**
+ * Plausibilidad de trayectorias por dispositivo.
+ *
+ * Ordena los puntos válidos de cada dispositivo por timestamp y compara cada uno con el anterior
+ * plausible (del mismo lote o el último punto conocido guardado en Redis). Si la velocidad implícita
+ * supera el máximo de la clase de vehículo, el punto se marca con quality_flag o se descarta según
+ * TRAJECTORY_ACTION. Un punto marcado no se usa como referencia del siguiente, de modo que un salto
+ * aislado no arrastra a los puntos correctos que le siguen.
+ *
+ * Aplica a los tipos que declaran identityField en el registro de tipos.
+ */
+export class TrajectoryService {
+  constructor(redisRepo = new RedisRepository(), trajectoryConfig = config.trajectory) {
+    this.redisRepo = redisRepo;
+    this.config = trajectoryConfig;
+  }
+
+  /**
+   * Verifica si la revisión de trayectorias está habilitada
+   */
+  isEnabled() {
+    return this.config.enabled;
+  }
+
+  /**
+   * Revisa la plausibilidad de los puntos válidos de un lote
+   * @param {string} dataType - Tipo de datos registrado
+   * @param {Array} records - Registros ya validados (cleanedData)
+   * @returns {Object} { records, flagged, dropped, lastPoints, checked }
+   */
+  async check(dataType, records) {
+    const deviceField = dataTypeRegistry.get(dataType)?.identityField;
+
+    if (!this.isEnabled() || !deviceField || records.length === 0) {
+      return { records, flagged: [], dropped: [], lastPoints: {}, checked: 0 };
+    }
+
+    const byDevice = new Map();
+    records.forEach((record, position) => {
+      const deviceId = record[deviceField];
+      const time = Date.parse(record.timestamp);
+      if (deviceId === undefined || isNaN(time)) {
+        return;
+      }
+      if (!byDevice.has(deviceId)) {
+        byDevice.set(deviceId, []);
+      }
+      byDevice.get(deviceId).push({ record, position, time });
+    });
+
+    const storedPoints = await this.getLastPoints(dataType, [...byDevice.keys()]);
+    const oldestReference = Date.now() - this.config.lastPointMaxAgeHours * 3600 * 1000;
+    const implausible = new Map();
+    const lastPoints = {};
+
+    for (const [deviceId, points] of byDevice) {
+      points.sort((a, b) => a.time - b.time);
+
+      const stored = storedPoints[deviceId];
+      let previous = stored && Date.parse(stored.timestamp) >= oldestReference
+        ? { lat: stored.lat, lng: stored.lng, time: Date.parse(stored.timestamp) }
+        : null;
+      let newest = null;
+
+      for (const point of points) {
+        // Un punto anterior a la referencia (llegada tardía) no se puede evaluar contra ella
+        if (previous && point.time >= previous.time) {
+          const speedKmh = this.getImpliedSpeed(previous, point);
+          const maxSpeedKmh = this.getMaxSpeed(point.record);
+
+          if (speedKmh !== null && speedKmh > maxSpeedKmh) {
+            implausible.set(point.position, { speedKmh, maxSpeedKmh });
+            continue;
+          }
+        }
+
+        if (!previous || point.time >= previous.time) {
+          previous = { lat: point.record.lat, lng: point.record.lng, time: point.time };
+          newest = point.record;
+        }
+      }
+
+      if (newest && (!stored || Date.parse(newest.timestamp) > Date.parse(stored.timestamp))) {
+        lastPoints[deviceId] = { lat: newest.lat, lng: newest.lng, timestamp: newest.timestamp };
+      }
+    }
+
+    const kept = [];
+    const flagged = [];
+    const dropped = [];
+
+    records.forEach((record, position) => {
+      const result = implausible.get(position);
+
+      if (!result) {
+        kept.push(record);
+        return;
+      }
+
+      const impliedSpeed = Math.round(result.speedKmh * 10) / 10;
+
+      if (this.config.action === 'drop') {
+        const message = `Implied speed ${impliedSpeed} km/h exceeds ${result.maxSpeedKmh} km/h`;
+        dropped.push({
+          index: position,
+          record,
+          errors: [message],
+          issues: [{ field: 'timestamp', code: VALIDATION_ERROR_CODES.IMPLAUSIBLE_SPEED, message }]
+        });
+        return;
+      }
+
+      const flaggedRecord = {
+        ...record,
+        quality_flag: QUALITY_FLAGS.IMPLAUSIBLE_SPEED,
+        implied_speed_kmh: impliedSpeed
+      };
+      kept.push(flaggedRecord);
+      flagged.push({ index: position, deviceId: record[deviceField], impliedSpeedKmh: impliedSpeed });
+    });
+
+    if (implausible.size > 0) {
+      const action = this.config.action === 'drop' ? 'descartados' : 'marcados';
+      logger.warn(`🛰️ ${implausible.size} puntos ${dataType} con velocidad implausible ${action} (${byDevice.size} dispositivos revisados)`);
+    }
+
+    return {
+      records: kept,
+      flagged,
+      dropped,
+      lastPoints,
+      checked: byDevice.size
+    };
+  }
+
+  /**
+   * Velocidad implícita en km/h entre dos puntos, o null si el salto es menor al ruido tolerado
+   */
+  getImpliedSpeed(from, to) {
+    const distanceMeters = GPSTypeUtils.calculateDistance(
+      { latitude: from.lat, longitude: from.lng },
+      { latitude: to.record.lat, longitude: to.record.lng }
+    );
+
+    if (distanceMeters < this.config.minDistanceMeters) {
+      return null;
+    }
+
+    const seconds = (to.time - from.time) / 1000;
+    return seconds > 0 ? (distanceMeters / seconds) * 3.6 : Infinity;
+  }
+
+  /**
+   * Velocidad máxima según la clase de vehículo del punto
+   */
+  getMaxSpeed(record) {
+    const vehicleClass = record.vehicleClass;
+    return (vehicleClass && this.config.maxSpeedByClass[vehicleClass]) || this.config.defaultMaxSpeedKmh;
+  }
+
+  /**
+   * Clave del hash Redis con los últimos puntos conocidos de un tipo
+   */
+  getLastPointKey(dataType) {
+    return `${this.config.lastPointKeyPrefix}${dataType}`;
+  }
+
+  /**
+   * Lee los últimos puntos conocidos; si Redis falla se revisa solo dentro del lote
+   */
+  async getLastPoints(dataType, deviceIds) {
+    try {
+      return await this.redisRepo.getHashValues(this.getLastPointKey(dataType), deviceIds.map(String));
+    } catch (error) {
+      logger.warn(`⚠️ Últimos puntos ${dataType} no disponibles, se revisa solo dentro del lote:`, error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Guarda los últimos puntos plausibles de cada dispositivo.
+   * Se llama cuando el lote quedó subido para no adelantar la referencia de datos que se reintentarán
+   * @param {string} dataType - Tipo de datos registrado
+   * @param {Object} lastPoints - deviceId → { lat, lng, timestamp } (de check)
+   */
+  async saveLastPoints(dataType, lastPoints) {
+    if (!lastPoints || Object.keys(lastPoints).length === 0) {
+      return { success: true, saved: 0 };
+    }
+
+    try {
+      await this.redisRepo.setHashValues(this.getLastPointKey(dataType), lastPoints);
+      return { success: true, saved: Object.keys(lastPoints).length };
+    } catch (error) {
+      logger.warn(`⚠️ Error guardando últimos puntos ${dataType}:`, error.message);
+      return { success: false, saved: 0, error: error.message };
+    }
+  }
+}
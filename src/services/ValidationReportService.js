@@ -0,0 +1,287 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+import { FileUtils } from '../utils/FileUtils.js';
+import { RequestAuth } from '../utils/RequestAuth.js';
+import { config } from '../config/env.js';
+import { dataTypeRegistry } from '../config/dataTypes.js';
+
+/**
+ * Reportes de validación por ejecución y tipo de datos.
+ *
+ * Cada validación de un lote se acumula en el reporte de su run id y tipo (un archivo JSON local):
+ * totales, histograma de códigos de error, identificadores con más rechazos y payloads rechazados
+ * de muestra. Una ejecución con varios chunks o lotes del stream produce un solo reporte por tipo.
+ */
+export class ValidationReportService {
+  constructor(reportConfig = config.validationReports) {
+    this.config = reportConfig;
+    this.storagePath = reportConfig.storagePath;
+    // Escrituras serializadas: GPS y mobile se validan en paralelo dentro de la misma ejecución
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Verifica si los reportes están habilitados
+   */
+  isEnabled() {
+    return this.config.enabled;
+  }
+
+  /**
+   * Verifica si una petición trae el token de administrador de los reportes
+   * @param {Object} headers - Headers HTTP (Authorization: Bearer o X-Admin-Token)
+   */
+  isPrivileged(headers = {}) {
+    return RequestAuth.hasToken(headers, this.config.adminToken);
+  }
+
+  /**
+   * Acumula el resultado de una validación en el reporte de la ejecución
+   * @param {string} dataType - Tipo de datos registrado
+   * @param {Object} validationResult - Resultado de DataSeparator.validateData
+   * @param {Object} context - runId y source de la ejecución
+   * @returns {Object} Resultado con el reporte actualizado
+   */
+  async record(dataType, validationResult, context = {}) {
+    if (!this.isEnabled() || !validationResult?.stats) {
+      return { success: true, recorded: false };
+    }
+
+    const task = this.writeQueue.then(() => this.mergeIntoReport(dataType, validationResult, context));
+    this.writeQueue = task.catch(() => {});
+
+    try {
+      const report = await task;
+      return { success: true, recorded: true, report: this.toPublic(report) };
+    } catch (error) {
+      logger.error(`❌ Error guardando reporte de validación ${dataType}:`, error.message);
+      return { success: false, recorded: false, error: error.message };
+    }
+  }
+
+  /**
+   * Lee (o crea) el reporte de la ejecución y le suma el resultado de la validación
+   */
+  async mergeIntoReport(dataType, validationResult, context) {
+    const runId = context.runId || 'manual';
+    const filePath = this.getReportPath(runId, dataType);
+    const now = new Date().toISOString();
+
+    const report = (await FileUtils.pathExists(filePath))
+      ? await FileUtils.readJsonFile(filePath)
+      : {
+        runId,
+        dataType,
+        source: context.source || null,
+        createdAt: now,
+        updatedAt: now,
+        validations: 0,
+        total: 0,
+        valid: 0,
+        invalid: 0,
+        validationRate: 0,
+        errorCodes: {},
+        parsing: {},
+        offenders: {},
+        samples: []
+      };
+
+    const { stats, invalidData = [] } = validationResult;
+
+    report.validations++;
+    report.updatedAt = now;
+    report.total += stats.total || 0;
+    report.valid += stats.valid || 0;
+    report.invalid += stats.invalid || 0;
+    report.validationRate = report.total > 0 ? Number(((report.valid / report.total) * 100).toFixed(2)) : 0;
+
+    for (const [format, formatStats] of Object.entries(stats.parsing || {})) {
+      const current = report.parsing[format] || { parsed: 0, failed: 0 };
+      report.parsing[format] = {
+        parsed: current.parsed + (formatStats.parsed || 0),
+        failed: current.failed + (formatStats.failed || 0)
+      };
+    }
+
+    // Histograma: registros rechazados por código (un registro cuenta una vez por código)
+    for (const item of invalidData) {
+      for (const code of new Set((item.issues || []).map(issue => issue.code))) {
+        report.errorCodes[code] = (report.errorCodes[code] || 0) + 1;
+      }
+
+      const identifier = this.getIdentifier(item.record, dataType);
+      if (identifier !== null) {
+        report.offenders[identifier] = (report.offenders[identifier] || 0) + 1;
+      }
+
+      if (report.samples.length < this.config.sampleSize) {
+        report.samples.push({
+          index: item.index,
+          identifier,
+          record: item.record,
+          errors: item.errors || [],
+          codes: (item.issues || []).map(issue => issue.code)
+        });
+      }
+    }
+
+    report.offenders = Object.fromEntries(this.rankOffenders(report.offenders, this.config.topOffenders * 10));
+
+    await FileUtils.writeJsonFile(filePath, report);
+    return report;
+  }
+
+  /**
+   * Lista los reportes (sin muestras) del más reciente al más antiguo
+   * @param {Object} filters - dataType, runId, since, until, limit
+   * @returns {Array} Reportes
+   */
+  async list(filters = {}) {
+    const since = filters.since ? new Date(filters.since).getTime() : null;
+    const until = filters.until ? new Date(filters.until).getTime() : null;
+
+    const reports = (await this.readAllReports())
+      .filter(report => !filters.dataType || report.dataType === filters.dataType)
+      .filter(report => !filters.runId || report.runId === filters.runId)
+      .filter(report => !since || new Date(report.createdAt).getTime() >= since)
+      .filter(report => !until || new Date(report.createdAt).getTime() <= until)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(report => {
+        const { samples, ...summary } = this.toPublic(report);
+        return summary;
+      });
+
+    return filters.limit ? reports.slice(0, filters.limit) : reports;
+  }
+
+  /**
+   * Obtiene los reportes completos de una ejecución (uno por tipo)
+   * @param {string} runId - ID de la ejecución
+   * @param {Object} filters - dataType
+   * @returns {Object|null} { runId, reports } o null si no existe
+   */
+  async get(runId, filters = {}) {
+    const reports = (await this.readAllReports())
+      .filter(report => report.runId === runId)
+      .filter(report => !filters.dataType || report.dataType === filters.dataType)
+      .map(report => this.toPublic(report));
+
+    return reports.length > 0 ? { runId, reports } : null;
+  }
+
+  /**
+   * Tasa de validación por tipo en las últimas ejecuciones (para el dashboard)
+   * @param {Object} filters - since, until, limit (ejecuciones por tipo, 20 por defecto)
+   * @returns {Object} { tipo: [{ runId, createdAt, total, validationRate }] } del más antiguo al más reciente
+   */
+  async getTrend(filters = {}) {
+    const limit = filters.limit || 20;
+    const trend = {};
+
+    for (const report of await this.list({ since: filters.since, until: filters.until })) {
+      const points = trend[report.dataType] || (trend[report.dataType] = []);
+      if (points.length < limit) {
+        points.push({
+          runId: report.runId,
+          createdAt: report.createdAt,
+          total: report.total,
+          validationRate: report.validationRate
+        });
+      }
+    }
+
+    for (const points of Object.values(trend)) {
+      points.reverse();
+    }
+
+    return trend;
+  }
+
+  /**
+   * Elimina los reportes con más antigüedad que la retención configurada
+   * @returns {Object} Reportes eliminados
+   */
+  async purgeExpired() {
+    const cutoff = Date.now() - this.config.retentionDays * 24 * 60 * 60 * 1000;
+    const expired = (await this.readAllReports())
+      .filter(report => new Date(report.updatedAt).getTime() < cutoff);
+
+    for (const report of expired) {
+      await FileUtils.deleteFile(this.getReportPath(report.runId, report.dataType));
+    }
+
+    if (expired.length > 0) {
+      logger.info(`🗑️ Reportes de validación purgados: ${expired.length}`);
+    }
+
+    return { success: true, purged: expired.length };
+  }
+
+  /**
+   * Forma pública del reporte: identificadores con más rechazos en lugar del conteo completo
+   */
+  toPublic(report) {
+    const { offenders, ...rest } = report;
+    return {
+      ...rest,
+      topOffenders: this.rankOffenders(offenders, this.config.topOffenders)
+        .map(([identifier, count]) => ({ identifier, count }))
+    };
+  }
+
+  /**
+   * Identificadores ordenados por cantidad de rechazos
+   * @returns {Array} [[identifier, count]]
+   */
+  rankOffenders(offenders = {}, limit) {
+    return Object.entries(offenders)
+      .sort(([, a], [, b]) => b - a)
+      .slice(0, limit);
+  }
+
+  /**
+   * Identificador (dispositivo o usuario) de un registro rechazado según el identityField del tipo
+   */
+  getIdentifier(record, dataType) {
+    const identityField = dataTypeRegistry.get(dataType)?.identityField;
+    if (!identityField || !record || typeof record !== 'object') {
+      return null;
+    }
+
+    const snakeCase = identityField.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+    const identifier = record[identityField] ?? record[snakeCase] ?? null;
+    return identifier === null || typeof identifier === 'object' ? null : String(identifier);
+  }
+
+  /**
+   * Ruta local de un reporte; rechaza ids con caracteres de ruta
+   */
+  getReportPath(runId, dataType) {
+    if (!/^[\w.-]+$/.test(runId) || !/^[\w.-]+$/.test(dataType)) {
+      throw new Error(`ID de ejecución inválido: ${runId}`);
+    }
+    return path.join(this.storagePath, `vr_${runId}__${dataType}.json`);
+  }
+
+  /**
+   * Lee todos los reportes locales
+   */
+  async readAllReports() {
+    await FileUtils.ensureDirectoryExists(this.storagePath);
+
+    const files = (await fs.readdir(this.storagePath))
+      .filter(file => file.startsWith('vr_') && file.endsWith('.json'));
+
+    const reports = [];
+    for (const file of files) {
+      try {
+        reports.push(await FileUtils.readJsonFile(path.join(this.storagePath, file)));
+      } catch (error) {
+        logger.warn(`⚠️ Error leyendo reporte de validación ${file}:`, error.message);
+      }
+    }
+
+    return reports;
+  }
+}
@@ -0,0 +1,152 @@
+import { Storage } from '@google-cloud/storage';
+import { logger } from '../utils/logger.js';
+import { FileUtils } from '../utils/FileUtils.js';
+import { StorageBackend } from './StorageBackend.js';
+
+/**
+ * Backend de Google Cloud Storage
+ */
+export class GCSStorageBackend extends StorageBackend {
+  /**
+   * @param {Object} options - projectId, keyFilename y bucketName
+   */
+  constructor({ projectId, keyFilename, bucketName }) {
+    super('gcs', bucketName);
+    this.projectId = projectId;
+    this.keyFilename = keyFilename;
+    this.storage = null;
+    this.bucket = null;
+  }
+
+  async initialize() {
+    // Verificar que existe el archivo de credenciales
+    const credentialsExist = await FileUtils.pathExists(this.keyFilename);
+    if (!credentialsExist) {
+      throw new Error(`Archivo de credenciales no encontrado: ${this.keyFilename}`);
+    }
+
+    this.storage = new Storage({
+      projectId: this.projectId,
+      keyFilename: this.keyFilename
+    });
+    this.bucket = this.storage.bucket(this.bucketName);
+
+    const [exists] = await this.bucket.exists();
+    if (!exists) {
+      logger.warn(`⚠️ Bucket ${this.bucketName} no existe, intentando crear...`);
+      await this.bucket.create();
+      logger.info(`✅ Bucket ${this.bucketName} creado exitosamente`);
+    }
+  }
+
+  async upload(name, content, options = {}) {
+    await this.bucket.file(name).save(content, {
+      metadata: {
+        contentType: options.contentType,
+        ...(options.contentEncoding && { contentEncoding: options.contentEncoding }),
+        metadata: options.metadata || {}
+      },
+      resumable: Boolean(options.resumable)
+    });
+
+    return { name, size: Buffer.byteLength(content) };
+  }
+
+  async download(name) {
+    const file = this.bucket.file(name);
+    const [exists] = await file.exists();
+    if (!exists) {
+      return null;
+    }
+
+    const [content] = await file.download();
+    const [metadata] = await file.getMetadata();
+    return { ...this.toObjectInfo(name, metadata), content };
+  }
+
+  async list(options = {}) {
+    const { prefix = '', maxResults = 100 } = options;
+
+    // El listado ya trae la metadata de cada objeto
+    const [files] = await this.bucket.getFiles({
+      prefix,
+      ...(Number.isFinite(maxResults) && { maxResults })
+    });
+
+    return files.map(file => this.toObjectInfo(file.name, file.metadata));
+  }
+
+  async exists(name) {
+    const file = this.bucket.file(name);
+    const [exists] = await file.exists();
+    if (!exists) {
+      return null;
+    }
+
+    const [metadata] = await file.getMetadata();
+    return this.toObjectInfo(name, metadata);
+  }
+
+  async updateMetadata(name, metadata) {
+    const file = this.bucket.file(name);
+    const [exists] = await file.exists();
+    if (!exists) {
+      return false;
+    }
+
+    // GCS combina la metadata propia nueva con la existente
+    await file.setMetadata({ metadata });
+    return true;
+  }
+
+  async delete(name) {
+    const file = this.bucket.file(name);
+    const [exists] = await file.exists();
+    if (!exists) {
+      return false;
+    }
+
+    await file.delete();
+    return true;
+  }
+
+  uri(name) {
+    return `gs://${this.bucketName}/${name}`;
+  }
+
+  async getStatus() {
+    const status = {
+      keyFilename: this.keyFilename,
+      credentialsExist: await FileUtils.pathExists(this.keyFilename)
+    };
+
+    if (this.bucket) {
+      try {
+        const [exists] = await this.bucket.exists();
+        status.bucketExists = exists;
+      } catch (bucketError) {
+        status.bucketExists = false;
+        status.bucketError = bucketError.message;
+      }
+    }
+
+    return status;
+  }
+
+  async cleanup() {
+    this.storage = null;
+    this.bucket = null;
+  }
+
+  toObjectInfo(name, metadata = {}) {
+    return {
+      name,
+      size: parseInt(metadata.size) || 0,
+      created: metadata.timeCreated,
+      updated: metadata.updated,
+      contentType: metadata.contentType,
+      contentEncoding: metadata.contentEncoding,
+      metadata: metadata.metadata || {}
+    };
+  }
+}
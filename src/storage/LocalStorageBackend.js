@@ -0,0 +1,182 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+import { FileUtils } from '../utils/FileUtils.js';
+import { StorageBackend } from './StorageBackend.js';
+
+const METADATA_SUFFIX = '.metadata.json';
+
+/**
+ * Backend de sistema de archivos local (desarrollo, tests y modo simulación).
+ *
+ * Cada objeto es un archivo bajo rootPath (las carpetas de partición son directorios) con su
+ * metadata en <nombre>.metadata.json. Las URIs usan el esquema gs:// para que el flujo simulado
+ * hacia BigQuery funcione igual que con GCS.
+ */
+export class LocalStorageBackend extends StorageBackend {
+  /**
+   * @param {Object} options - rootPath y bucketName (solo para las URIs)
+   */
+  constructor({ rootPath, bucketName }) {
+    super('local', bucketName);
+    this.rootPath = rootPath;
+  }
+
+  async initialize() {
+    await FileUtils.ensureDirectoryExists(this.rootPath);
+  }
+
+  async upload(name, content, options = {}) {
+    const filePath = this.getFilePath(name);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    await fs.writeFile(filePath, content, typeof content === 'string' ? 'utf8' : undefined);
+    await fs.writeFile(`${filePath}${METADATA_SUFFIX}`, JSON.stringify({
+      contentType: options.contentType,
+      ...(options.contentEncoding && { contentEncoding: options.contentEncoding }),
+      metadata: options.metadata || {}
+    }, null, 2), 'utf8');
+
+    return { name, size: Buffer.byteLength(content), localPath: filePath };
+  }
+
+  async download(name) {
+    const info = await this.exists(name);
+    if (!info) {
+      return null;
+    }
+
+    return { ...info, content: await fs.readFile(info.localPath) };
+  }
+
+  async list(options = {}) {
+    const { prefix = '', maxResults = 100 } = options;
+
+    if (!(await FileUtils.pathExists(this.rootPath))) {
+      return [];
+    }
+
+    const names = (await this.listObjectNames())
+      .filter(name => name.startsWith(prefix))
+      .slice(0, maxResults);
+
+    const objects = [];
+    for (const name of names) {
+      try {
+        const info = await this.exists(name);
+        if (info) {
+          objects.push(info);
+        }
+      } catch (fileError) {
+        logger.warn(`⚠️ Error procesando archivo ${name}:`, fileError.message);
+      }
+    }
+
+    return objects;
+  }
+
+  async exists(name) {
+    const filePath = this.getFilePath(name);
+    if (!(await FileUtils.pathExists(filePath))) {
+      return null;
+    }
+
+    const stats = await fs.stat(filePath);
+    let sidecar = {};
+    try {
+      sidecar = JSON.parse(await fs.readFile(`${filePath}${METADATA_SUFFIX}`, 'utf8'));
+    } catch {
+      logger.warn(`⚠️ No se pudo leer metadata de ${name}`);
+    }
+
+    return {
+      name,
+      size: stats.size,
+      created: stats.birthtime.toISOString(),
+      updated: stats.mtime.toISOString(),
+      contentType: sidecar.contentType || 'application/json',
+      contentEncoding: sidecar.contentEncoding,
+      metadata: sidecar.metadata || {},
+      localPath: filePath
+    };
+  }
+
+  async updateMetadata(name, metadata) {
+    const info = await this.exists(name);
+    if (!info) {
+      return false;
+    }
+
+    await fs.writeFile(`${info.localPath}${METADATA_SUFFIX}`, JSON.stringify({
+      contentType: info.contentType,
+      ...(info.contentEncoding && { contentEncoding: info.contentEncoding }),
+      metadata: { ...info.metadata, ...metadata }
+    }, null, 2), 'utf8');
+    return true;
+  }
+
+  async delete(name) {
+    const filePath = this.getFilePath(name);
+    if (!(await FileUtils.pathExists(filePath))) {
+      return false;
+    }
+
+    await fs.unlink(filePath);
+    await fs.rm(`${filePath}${METADATA_SUFFIX}`, { force: true });
+
+    // Eliminar las carpetas de partición que quedaron vacías
+    for (let dir = path.dirname(name); dir !== '.' && dir !== '/'; dir = path.dirname(dir)) {
+      try {
+        await fs.rmdir(path.join(this.rootPath, dir));
+      } catch {
+        break;
+      }
+    }
+
+    return true;
+  }
+
+  uri(name) {
+    return `gs://${this.bucketName}/${name}`;
+  }
+
+  async getStatus() {
+    return {
+      localStoragePath: this.rootPath,
+      localStorageExists: await FileUtils.pathExists(this.rootPath)
+    };
+  }
+
+  /**
+   * Nombres (con / como separador) de los objetos, recorriendo las carpetas de partición
+   * @returns {Array} Nombres ordenados como los lista GCS
+   */
+  async listObjectNames() {
+    const entries = await fs.readdir(this.rootPath, { recursive: true });
+    const names = [];
+
+    for (const entry of entries) {
+      const name = entry.split(path.sep).join('/');
+      if (name.endsWith(METADATA_SUFFIX)) {
+        continue;
+      }
+      if ((await fs.stat(path.join(this.rootPath, entry))).isFile()) {
+        names.push(name);
+      }
+    }
+
+    return names.sort();
+  }
+
+  /**
+   * Ruta local de un objeto; rechaza nombres que salen de rootPath
+   */
+  getFilePath(name) {
+    const root = path.resolve(this.rootPath);
+    const filePath = path.resolve(root, name);
+    if (!filePath.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`Nombre de objeto inválido: ${name}`);
+    }
+    return path.join(this.rootPath, name);
+  }
+}
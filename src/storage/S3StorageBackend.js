@@ -0,0 +1,222 @@
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+  HeadBucketCommand,
+  CreateBucketCommand
+} from '@aws-sdk/client-s3';
+import { logger } from '../utils/logger.js';
+import { StorageBackend } from './StorageBackend.js';
+
+const METADATA_SUFFIX = '.metadata.json';
+
+/**
+ * Backend S3 compatible (AWS S3, MinIO).
+ *
+ * La metadata propia de cada objeto se guarda en un objeto <nombre>.metadata.json, como en el
+ * backend local: la metadata de usuario de S3 pasa las claves a minúsculas y admite solo 2 KB.
+ * Los objetos se suben con PutObject (hasta 5 GB); la opción resumable no aplica.
+ */
+export class S3StorageBackend extends StorageBackend {
+  /**
+   * @param {Object} options - endpoint, region, bucketName, accessKeyId, secretAccessKey y forcePathStyle
+   */
+  constructor({ endpoint, region, bucketName, accessKeyId, secretAccessKey, forcePathStyle = true }) {
+    super('s3', bucketName);
+    this.endpoint = endpoint;
+    this.region = region;
+    this.clientOptions = {
+      region,
+      forcePathStyle,
+      ...(endpoint && { endpoint }),
+      // Sin claves se usa la cadena de credenciales por defecto (variables AWS_*, perfil, rol)
+      ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } })
+    };
+    this.client = null;
+  }
+
+  async initialize() {
+    this.client = new S3Client(this.clientOptions);
+
+    try {
+      await this.client.send(new HeadBucketCommand({ Bucket: this.bucketName }));
+    } catch (error) {
+      if (!this.isNotFound(error)) {
+        throw error;
+      }
+
+      logger.warn(`⚠️ Bucket ${this.bucketName} no existe, intentando crear...`);
+      await this.client.send(new CreateBucketCommand({ Bucket: this.bucketName }));
+      logger.info(`✅ Bucket ${this.bucketName} creado exitosamente`);
+    }
+  }
+
+  async upload(name, content, options = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucketName,
+      Key: name,
+      Body: content,
+      ContentType: options.contentType,
+      ...(options.contentEncoding && { ContentEncoding: options.contentEncoding })
+    }));
+
+    await this.writeSidecar(name, options.contentType, options.contentEncoding, options.metadata || {});
+
+    return { name, size: Buffer.byteLength(content) };
+  }
+
+  async download(name) {
+    let response;
+    try {
+      response = await this.client.send(new GetObjectCommand({ Bucket: this.bucketName, Key: name }));
+    } catch (error) {
+      if (this.isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+
+    const content = Buffer.from(await response.Body.transformToByteArray());
+    return {
+      ...this.toObjectInfo(name, response, (await this.readSidecar(name)).metadata || {}),
+      content
+    };
+  }
+
+  async list(options = {}) {
+    const { prefix = '', maxResults = 100 } = options;
+    const objects = [];
+    let continuationToken;
+
+    do {
+      const response = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucketName,
+        Prefix: prefix,
+        ContinuationToken: continuationToken
+      }));
+
+      for (const item of response.Contents || []) {
+        if (item.Key.endsWith(METADATA_SUFFIX) || objects.length >= maxResults) {
+          continue;
+        }
+        objects.push({ item, sidecar: await this.readSidecar(item.Key) });
+      }
+
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken && objects.length < maxResults);
+
+    // ListObjectsV2 no trae contentType ni contentEncoding: se toman del objeto de metadata
+    return objects.map(({ item, sidecar }) => ({
+      name: item.Key,
+      size: item.Size || 0,
+      created: item.LastModified?.toISOString(),
+      updated: item.LastModified?.toISOString(),
+      contentType: sidecar.contentType,
+      contentEncoding: sidecar.contentEncoding,
+      metadata: sidecar.metadata || {}
+    }));
+  }
+
+  async exists(name) {
+    try {
+      const response = await this.client.send(new HeadObjectCommand({ Bucket: this.bucketName, Key: name }));
+      return this.toObjectInfo(name, response, (await this.readSidecar(name)).metadata || {});
+    } catch (error) {
+      if (this.isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async updateMetadata(name, metadata) {
+    const info = await this.exists(name);
+    if (!info) {
+      return false;
+    }
+
+    await this.writeSidecar(name, info.contentType, info.contentEncoding, { ...info.metadata, ...metadata });
+    return true;
+  }
+
+  async delete(name) {
+    if (!(await this.exists(name))) {
+      return false;
+    }
+
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucketName, Key: name }));
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucketName, Key: `${name}${METADATA_SUFFIX}` }));
+    return true;
+  }
+
+  async getStatus() {
+    const status = { endpoint: this.endpoint || 'aws', region: this.region };
+
+    if (this.client) {
+      try {
+        await this.client.send(new HeadBucketCommand({ Bucket: this.bucketName }));
+        status.bucketExists = true;
+      } catch (bucketError) {
+        status.bucketExists = false;
+        status.bucketError = bucketError.message;
+      }
+    }
+
+    return status;
+  }
+
+  async cleanup() {
+    this.client?.destroy();
+    this.client = null;
+  }
+
+  /**
+   * Escribe el objeto de metadata de un objeto
+   */
+  async writeSidecar(name, contentType, contentEncoding, metadata) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucketName,
+      Key: `${name}${METADATA_SUFFIX}`,
+      Body: JSON.stringify({
+        contentType,
+        ...(contentEncoding && { contentEncoding }),
+        metadata
+      }),
+      ContentType: 'application/json'
+    }));
+  }
+
+  /**
+   * Lee el objeto de metadata de un objeto ({} si no tiene)
+   */
+  async readSidecar(name) {
+    try {
+      const response = await this.client.send(new GetObjectCommand({ Bucket: this.bucketName, Key: `${name}${METADATA_SUFFIX}` }));
+      return JSON.parse(await response.Body.transformToString());
+    } catch (error) {
+      if (!this.isNotFound(error)) {
+        logger.warn(`⚠️ No se pudo leer metadata de ${name}:`, error.message);
+      }
+      return {};
+    }
+  }
+
+  toObjectInfo(name, response, metadata) {
+    return {
+      name,
+      size: response.ContentLength || 0,
+      created: response.LastModified?.toISOString(),
+      updated: response.LastModified?.toISOString(),
+      contentType: response.ContentType,
+      contentEncoding: response.ContentEncoding,
+      metadata
+    };
+  }
+
+  isNotFound(error) {
+    return ['NotFound', 'NoSuchKey', 'NoSuchBucket'].includes(error.name) || error.$metadata?.httpStatusCode === 404;
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * Interfaz de los backends de almacenamiento de objetos (GCS, S3 compatible y sistema de archivos local).
+ *
+ * Los objetos se identifican por nombre con / como separador. Cada objeto guarda, además del
+ * contenido, su contentType, contentEncoding y un mapa de metadata propia (dataType, recordCount,
+ * contentHash, ...). Las operaciones devuelven la información de objeto:
+ * { name, size, created, updated, contentType, contentEncoding, metadata }
+ *
+ * Un objeto inexistente no es un error: download y exists devuelven null y delete devuelve false.
+ * Los errores de conexión o permisos se lanzan; GCSAdapter los convierte en resultados { success, error }.
+ */
+export class StorageBackend {
+  /**
+   * @param {string} name - Nombre del backend (gcs, s3, local)
+   * @param {string} bucketName - Bucket o contenedor de los objetos
+   */
+  constructor(name, bucketName) {
+    this.name = name;
+    this.bucketName = bucketName;
+  }
+
+  /**
+   * Verifica credenciales y crea el bucket si no existe
+   */
+  async initialize() {
+    throw new Error(`${this.name}: initialize no implementado`);
+  }
+
+  /**
+   * Sube (o reemplaza) un objeto
+   * @param {string} name - Nombre del objeto
+   * @param {Buffer|string} content - Contenido
+   * @param {Object} options - contentType, contentEncoding, metadata y resumable (upload resumable, si el backend lo soporta)
+   * @returns {Object} Información del objeto subido
+   */
+  async upload(name, content, options = {}) {
+    throw new Error(`${this.name}: upload no implementado`);
+  }
+
+  /**
+   * Descarga un objeto
+   * @returns {Object|null} Información del objeto con content (Buffer), o null si no existe
+   */
+  async download(name) {
+    throw new Error(`${this.name}: download no implementado`);
+  }
+
+  /**
+   * Lista objetos ordenados por nombre
+   * @param {Object} options - prefix y maxResults
+   * @returns {Array} Información de cada objeto
+   */
+  async list(options = {}) {
+    throw new Error(`${this.name}: list no implementado`);
+  }
+
+  /**
+   * Información de un objeto
+   * @returns {Object|null} Información del objeto o null si no existe
+   */
+  async exists(name) {
+    throw new Error(`${this.name}: exists no implementado`);
+  }
+
+  /**
+   * Agrega claves a la metadata propia de un objeto (las existentes se conservan)
+   * @returns {boolean} False si el objeto no existe
+   */
+  async updateMetadata(name, metadata) {
+    throw new Error(`${this.name}: updateMetadata no implementado`);
+  }
+
+  /**
+   * Elimina un objeto
+   * @returns {boolean} False si el objeto no existía
+   */
+  async delete(name) {
+    throw new Error(`${this.name}: delete no implementado`);
+  }
+
+  /**
+   * Estadísticas de todos los objetos del bucket
+   * @returns {Object} { totalFiles, totalSize, filesByType } (por metadata.dataType)
+   */
+  async stats() {
+    let totalSize = 0;
+    const filesByType = {};
+    const objects = await this.list({ maxResults: Infinity });
+
+    for (const object of objects) {
+      totalSize += object.size || 0;
+      const dataType = object.metadata?.dataType || 'unknown';
+      filesByType[dataType] = (filesByType[dataType] || 0) + 1;
+    }
+
+    return { totalFiles: objects.length, totalSize, filesByType };
+  }
+
+  /**
+   * URI del objeto (gs://, s3://)
+   */
+  uri(name) {
+    return `${this.name}://${this.bucketName}/${name}`;
+  }
+
+  /**
+   * Estado específico del backend para health checks
+   */
+  async getStatus() {
+    return {};
+  }
+
+  /**
+   * Libera clientes y conexiones
+   */
+  async cleanup() {}
+}
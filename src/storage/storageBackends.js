@@ -0,0 +1,25 @@
+import { GCSStorageBackend } from './GCSStorageBackend.js';
+import { S3StorageBackend } from './S3StorageBackend.js';
+import { LocalStorageBackend } from './LocalStorageBackend.js';
+
+/**
+ * Crea el backend de almacenamiento configurado en STORAGE_BACKEND
+ * @param {string} backend - gcs, s3 o local
+ * @param {Object} options - Opciones del backend (ver cada implementación)
+ * @returns {StorageBackend} Backend sin inicializar
+ */
+export function createStorageBackend(backend, options) {
+  switch (backend) {
+    case 'gcs':
+      return new GCSStorageBackend(options);
+    case 's3':
+      return new S3StorageBackend(options);
+    case 'local':
+      return new LocalStorageBackend(options);
+    default:
+      throw new Error(`Backend de almacenamiento no soportado: ${backend}`);
+  }
+}
+
+export { StorageBackend } from './StorageBackend.js';
+export { GCSStorageBackend, S3StorageBackend, LocalStorageBackend };
@@ -3,63 +3,277 @@
  */
 
 /**
- * Esquema base para un registro GPS
+ * Límites físicos compartidos por los esquemas y GPS_CONSTANTS
  */
-export const GPSRecordSchema = {
-  // Campos requeridos
+const GPS_LIMITS = {
+  LATITUDE_MIN: -90,
+  LATITUDE_MAX: 90,
+  LONGITUDE_MIN: -180,
+  LONGITUDE_MAX: 180,
+  SPEED_MIN: 0,
+  SPEED_MAX: 500,
+  ALTITUDE_MIN: -500,
+  ALTITUDE_MAX: 10000,
+  HEADING_MIN: 0,
+  HEADING_MAX: 360
+};
+
+/**
+ * Códigos de error de validación.
+ * Todos los validadores basados en esquema (SchemaValidator) reportan estos códigos
+ */
+export const VALIDATION_ERROR_CODES = {
+  PARSE_ERROR: 'PARSE_ERROR',
+  NOT_AN_OBJECT: 'NOT_AN_OBJECT',
+  REQUIRED: 'REQUIRED',
+  EMPTY: 'EMPTY',
+  INVALID_TYPE: 'INVALID_TYPE',
+  OUT_OF_RANGE: 'OUT_OF_RANGE',
+  TOO_LONG: 'TOO_LONG',
+  INVALID_FORMAT: 'INVALID_FORMAT',
+  // Reportado por TrajectoryService (velocidad implícita mayor a la permitida)
+  IMPLAUSIBLE_SPEED: 'IMPLAUSIBLE_SPEED',
+  // Reportado por GeofenceService (punto fuera del área de servicio)
+  OUTSIDE_SERVICE_AREA: 'OUTSIDE_SERVICE_AREA'
+};
+
+/**
+ * Correcciones aplicadas a un valor durante la validación.
+ * Se registran en la columna declarada con correctionField (ej: timestamp_correction)
+ */
+export const FIELD_CORRECTIONS = {
+  DEFAULTED_MISSING: 'defaulted_missing',
+  DEFAULTED_INVALID: 'defaulted_invalid',
+  EPOCH_SECONDS: 'epoch_seconds',
+  ASSUMED_TIMEZONE: 'assumed_timezone',
+  FUTURE_FLAGGED: 'future_flagged',
+  TOO_OLD_FLAGGED: 'too_old_flagged',
+  // Coordenadas (columna coordinate_normalization)
+  COMMA_DECIMAL: 'comma_decimal',
+  DMS: 'dms',
+  SWAPPED_LAT_LNG: 'swapped_lat_lng'
+};
+
+/**
+ * Opciones de campo soportadas por SchemaValidator:
+ * - type: 'number' | 'string' (los strings numéricos se convierten a número y los números a string)
+ * - required / default: campo obligatorio; si tiene default se completa en lugar de rechazar
+ * - min / max / maxLength: límites
+ * - format: 'iso8601' (normaliza a ISO) | 'timestamp' (ISO, epoch en segundos o milisegundos y
+ *   fechas sin offset; normaliza a ISO) | 'email' | 'coordinate' (grados decimales, decimal con coma
+ *   o grados-minutos-segundos; normaliza a número)
+ * - hemispheres: letras de hemisferio aceptadas por el formato coordinate (S, W y O son negativos)
+ * - timezone: zona horaria IANA para fechas sin offset del formato timestamp (sin ella las interpreta Date)
+ * - maxFutureSeconds / maxAgeSeconds: ventana aceptada del formato timestamp respecto a la hora actual
+ * - onOutOfWindow: 'reject' (por defecto) | 'flag' (conserva el valor y registra la corrección)
+ * - correctionField: campo del resultado donde se registran las correcciones aplicadas (FIELD_CORRECTIONS)
+ * - aliases: nombres alternativos en la entrada (device_id → deviceId)
+ * - label: nombre del campo en los mensajes de error
+ * - clamp: ajusta al rango en lugar de rechazar
+ * - normalize: 'angle' normaliza a 0-360 grados
+ * - sanitize: elimina caracteres peligrosos (<>"'&)
+ * - lowercase: convierte a minúsculas
+ * - onInvalid: 'reject' (por defecto) | 'omit' (descarta el campo) | 'default' (usa el default)
+ */
+
+const currentTimestamp = () => new Date().toISOString();
+
+/**
+ * Reglas reutilizables por los esquemas y por los campos declarados en el registro de tipos
+ * (validation.fields con `rule`)
+ */
+export const FieldRules = {
+  identifier: {
+    type: 'string',
+    required: true,
+    sanitize: true,
+    description: 'Required, non-empty string identifier'
+  },
   latitude: {
     type: 'number',
     required: true,
-    min: -90,
-    max: 90,
-    description: 'Latitud en grados decimales'
+    min: GPS_LIMITS.LATITUDE_MIN,
+    max: GPS_LIMITS.LATITUDE_MAX,
+    format: 'coordinate',
+    hemispheres: ['N', 'S'],
+    label: 'Latitude',
+    description: 'Required, number between -90 and 90'
   },
   longitude: {
     type: 'number',
     required: true,
-    min: -180,
-    max: 180,
-    description: 'Longitud en grados decimales'
+    min: GPS_LIMITS.LONGITUDE_MIN,
+    max: GPS_LIMITS.LONGITUDE_MAX,
+    format: 'coordinate',
+    hemispheres: ['E', 'W', 'O'],
+    label: 'Longitude',
+    description: 'Required, number between -180 and 180'
   },
-  
-  // Campos opcionales
   timestamp: {
     type: 'string',
-    required: false,
-    format: 'iso8601',
-    description: 'Timestamp en formato ISO 8601'
+    format: 'timestamp',
+    required: true,
+    default: currentTimestamp,
+    onInvalid: 'default',
+    description: 'Required, valid date string or current time'
   },
+  text: {
+    type: 'string',
+    required: true,
+    sanitize: true,
+    description: 'Required, non-empty string'
+  },
+  email: {
+    type: 'string',
+    format: 'email',
+    required: true,
+    lowercase: true,
+    maxLength: 254,
+    description: 'Required, valid email format, max 254 characters'
+  }
+};
+
+/**
+ * Reglas de timestamp según el modo de validación (ver config.timestampValidation)
+ * @param {Object} options - mode ('lenient' | 'flag' | 'strict'), timezone, maxFutureSeconds, maxAgeHours
+ * @returns {Object} Reglas a combinar con FieldRules.timestamp
+ */
+export function timestampPolicy({ mode = 'lenient', timezone, maxFutureSeconds, maxAgeHours } = {}) {
+  if (mode === 'lenient') {
+    return { timezone };
+  }
+
+  const window = {
+    timezone,
+    maxFutureSeconds,
+    maxAgeSeconds: maxAgeHours * 3600
+  };
+
+  if (mode === 'flag') {
+    return { ...window, onOutOfWindow: 'flag' };
+  }
+
+  return {
+    ...window,
+    required: true,
+    default: undefined,
+    onInvalid: 'reject',
+    onOutOfWindow: 'reject',
+    description: 'Required, valid date within the accepted window'
+  };
+}
+
+/**
+ * Telemetría opcional de un punto: se conserva si es válida y se omite si no
+ */
+export const TelemetryFields = {
   speed: {
     type: 'number',
     required: false,
-    min: 0,
-    max: 500,
+    min: GPS_LIMITS.SPEED_MIN,
+    max: GPS_LIMITS.SPEED_MAX,
+    clamp: true,
+    onInvalid: 'omit',
     description: 'Velocidad en km/h'
   },
   heading: {
     type: 'number',
     required: false,
-    min: 0,
-    max: 360,
+    min: GPS_LIMITS.HEADING_MIN,
+    max: GPS_LIMITS.HEADING_MAX,
+    normalize: 'angle',
+    aliases: ['bearing'],
+    onInvalid: 'omit',
     description: 'Rumbo en grados (0-360)'
   },
   altitude: {
     type: 'number',
     required: false,
-    min: -500,
-    max: 10000,
+    min: GPS_LIMITS.ALTITUDE_MIN,
+    max: GPS_LIMITS.ALTITUDE_MAX,
+    clamp: true,
+    aliases: ['alt'],
+    onInvalid: 'omit',
     description: 'Altitud en metros'
   },
   accuracy: {
     type: 'number',
     required: false,
     min: 0,
+    clamp: true,
+    onInvalid: 'omit',
     description: 'Precisión en metros'
+  }
+};
+
+/**
+ * Esquema de un punto GPS en la lista de Redis (tipo gps del pipeline)
+ */
+export const GPSPointSchema = {
+  deviceId: { ...FieldRules.identifier, aliases: ['device_id'] },
+  lat: { ...FieldRules.latitude, aliases: ['latitude'], correctionField: 'coordinate_normalization' },
+  lng: { ...FieldRules.longitude, aliases: ['longitude', 'lon'], correctionField: 'coordinate_normalization' },
+  timestamp: { ...FieldRules.timestamp, aliases: ['time'], correctionField: 'timestamp_correction' },
+  vehicleClass: {
+    type: 'string',
+    required: false,
+    maxLength: 50,
+    sanitize: true,
+    lowercase: true,
+    aliases: ['vehicle_class'],
+    onInvalid: 'omit',
+    description: 'Clase de vehículo (límite de velocidad en TrajectoryService)'
   },
+  ...TelemetryFields
+};
+
+/**
+ * Esquema de un punto mobile en la lista de Redis (tipo mobile del pipeline)
+ */
+export const MobilePointSchema = {
+  userId: { ...FieldRules.identifier, aliases: ['user_id'] },
+  lat: { ...FieldRules.latitude, aliases: ['latitude'], correctionField: 'coordinate_normalization' },
+  lng: { ...FieldRules.longitude, aliases: ['longitude', 'lon'], correctionField: 'coordinate_normalization' },
+  timestamp: { ...FieldRules.timestamp, aliases: ['time'], correctionField: 'timestamp_correction' },
+  name: { ...FieldRules.text, maxLength: 100, description: 'Required, non-empty string, max 100 characters' },
+  email: { ...FieldRules.email }
+};
+
+/**
+ * Esquema base para un registro GPS (GPSValidator / flujo legacy)
+ */
+export const GPSRecordSchema = {
+  // Campos requeridos
+  latitude: {
+    ...FieldRules.latitude,
+    aliases: ['lat'],
+    correctionField: 'coordinate_normalization',
+    description: 'Latitud en grados decimales'
+  },
+  longitude: {
+    ...FieldRules.longitude,
+    aliases: ['lng', 'lon'],
+    correctionField: 'coordinate_normalization',
+    description: 'Longitud en grados decimales'
+  },
+  
+  // Campos opcionales
+  timestamp: {
+    ...FieldRules.timestamp,
+    required: false,
+    aliases: ['time'],
+    correctionField: 'timestamp_correction',
+    description: 'Timestamp en formato ISO 8601 (hora actual si falta o es inválido)'
+  },
+  ...TelemetryFields,
   device_id: {
     type: 'string',
     required: false,
     maxLength: 100,
+    sanitize: true,
+    aliases: ['deviceId'],
+    default: 'unknown',
+    onInvalid: 'default',
     description: 'Identificador del dispositivo'
   }
 };
@@ -239,23 +453,8 @@ export const MetricsSchema = {
  * Constantes para tipos de datos GPS
  */
 export const GPS_CONSTANTS = {
-  // Límites geográficos
-  LATITUDE_MIN: -90,
-  LATITUDE_MAX: 90,
-  LONGITUDE_MIN: -180,
-  LONGITUDE_MAX: 180,
-  
-  // Límites de velocidad (km/h)
-  SPEED_MIN: 0,
-  SPEED_MAX: 500,
-  
-  // Límites de altitud (metros)
-  ALTITUDE_MIN: -500,
-  ALTITUDE_MAX: 10000,
-  
-  // Límites de rumbo (grados)
-  HEADING_MIN: 0,
-  HEADING_MAX: 360,
+  // Límites geográficos, de velocidad (km/h), altitud (metros) y rumbo (grados)
+  ...GPS_LIMITS,
   
   // Valores por defecto
   DEFAULT_DEVICE_ID: 'unknown',
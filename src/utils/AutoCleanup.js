@@ -124,7 +124,10 @@ export class AutoCleanup {
       // Eliminar archivos en lotes
       for (const file of oldFiles) {
         try {
-          await this.gcsAdapter.deleteFile(file.name);
+          const result = await this.gcsAdapter.deleteFile(file.name);
+          if (!result.success) {
+            throw new Error(result.error);
+          }
           deletedFiles++;
           deletedSize += file.size || 0;
           
@@ -4,6 +4,7 @@ import { logger } from './logger.js';
 import { config } from '../config/env.js';
 import { FileUtils } from './FileUtils.js';
 import { MetricsCollector } from './MetricsCollector.js';
+import { dataTypeRegistry } from '../config/dataTypes.js';
 
 /**
  * Gestor de backups con sistema de recuperación automática
@@ -417,7 +418,7 @@ export class BackupManager {
   /**
    * Guarda datos extraídos en archivos locales cuando falla GCS upload
    * @param {Array} data - Datos extraídos de Redis
-   * @param {string} type - Tipo de datos: 'gps' o 'mobile'
+   * @param {string} type - Tipo de datos registrado ('gps', 'mobile', ...)
    * @param {Object} metadata - Metadata adicional
    * @returns {Object} Resultado de la operación
    */
@@ -440,11 +441,11 @@ export class BackupManager {
         throw new Error(error);
       }
       
-      if (!type || !['gps', 'mobile'].includes(type)) {
-        const error = 'El tipo debe ser "gps" o "mobile"';
+      if (!type || !dataTypeRegistry.has(type)) {
+        const error = `El tipo debe ser ${dataTypeRegistry.describeNames()}`;
         logger.error(`❌ Validación fallida en saveToLocalBackup: ${error}`, {
           providedType: type,
-          validTypes: ['gps', 'mobile']
+          validTypes: dataTypeRegistry.names()
         });
         throw new Error(error);
       }
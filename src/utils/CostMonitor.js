@@ -6,7 +6,10 @@ import { AlertManager } from './AlertManager.js';
  * Monitor de costos y uso de recursos GCP
  */
 export class CostMonitor {
-  constructor() {
+  /**
+   * @param {GCSAdapter} gcsAdapter - Adaptador de almacenamiento para medir el bucket (opcional)
+   */
+  constructor(gcsAdapter = null) {
     this.enabled = process.env.COST_MONITORING_ENABLED === 'true';
     this.dailyReportEnabled = process.env.COST_DAILY_REPORT === 'true';
     
@@ -30,6 +33,7 @@ export class CostMonitor {
       }
     };
 
+    this.gcsAdapter = gcsAdapter;
     this.metricsCollector = MetricsCollector.getInstance();
     this.alertManager = new AlertManager();
     
@@ -39,6 +43,12 @@ export class CostMonitor {
       data: null,
       ttl: 5 * 60 * 1000 // 5 minutos
     };
+
+    // Medir el bucket lista todos los objetos (y en S3 un GET de metadata por objeto): se mide como máximo una vez por TTL
+    this.storageStatsCache = {
+      lastUpdate: null,
+      ttl: (parseFloat(process.env.COST_STORAGE_STATS_TTL_MINUTES) || 60) * 60 * 1000
+    };
   }
 
   /**
@@ -46,6 +56,7 @@ export class CostMonitor {
    */
   async calculateGCSCosts() {
     try {
+      await this.refreshStorageMetrics();
       const gcsMetrics = await this.metricsCollector.getGCSMetrics();
       
       // Costo de almacenamiento (por mes)
@@ -83,6 +94,30 @@ export class CostMonitor {
     }
   }
 
+  /**
+   * Actualiza las métricas de almacenamiento con el tamaño real del bucket (si hay adaptador).
+   * Dentro del TTL de storageStatsCache se reutiliza la última medición.
+   * Sin adaptador, o si falla el listado, se usan las métricas acumuladas
+   */
+  async refreshStorageMetrics() {
+    if (!this.gcsAdapter) {
+      return;
+    }
+
+    if (this.storageStatsCache.lastUpdate &&
+        (Date.now() - this.storageStatsCache.lastUpdate) < this.storageStatsCache.ttl) {
+      return;
+    }
+
+    try {
+      const { totalFiles, totalSize, filesByType } = await this.gcsAdapter.getBucketStats();
+      await this.metricsCollector.updateGCSStorageMetrics({ totalFiles, totalSize, filesByType });
+      this.storageStatsCache.lastUpdate = Date.now();
+    } catch (error) {
+      logger.warn('⚠️ No se pudo medir el bucket, se usan las métricas acumuladas:', error.message);
+    }
+  }
+
   /**
    * Calcula costos estimados de BigQuery
    */
@@ -633,7 +668,8 @@ export class CostMonitor {
       cacheStatus: {
         hasData: !!this.costCache.data,
         lastUpdate: this.costCache.lastUpdate,
-        age: this.costCache.lastUpdate ? Date.now() - this.costCache.lastUpdate : null
+        age: this.costCache.lastUpdate ? Date.now() - this.costCache.lastUpdate : null,
+        storageStatsLastUpdate: this.storageStatsCache.lastUpdate
       },
       features: {
         lifecycleManagement: process.env.LIFECYCLE_MANAGEMENT === 'true',
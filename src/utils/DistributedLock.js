@@ -1,7 +1,9 @@
 import { logger } from './logger.js';
 
 /**
- * Lock distribuido usando Redis para evitar procesamiento concurrente
+ * Lock distribuido usando Redis para evitar procesamiento concurrente.
+ * Cada operación (SET NX y el script de liberación) usa una sola key, por lo que
+ * funciona igual con Redis standalone, Sentinel o Cluster (el cliente enruta por hash slot).
  */
 export class DistributedLock {
   constructor(redisClient, lockKey = 'gps:processing:lock', ttl = 300000) {
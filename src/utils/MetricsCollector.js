@@ -1,6 +1,20 @@
 import { logger } from './logger.js';
 import { FileUtils } from './FileUtils.js';
 import { config } from '../config/env.js';
+import { dataTypeRegistry } from '../config/dataTypes.js';
+
+const createUploadMetrics = () => ({ total: 0, successful: 0, failed: 0, totalSize: 0, totalTime: 0, avgSize: 0, avgTime: 0 });
+const createBatchJobMetrics = () => ({ total: 0, successful: 0, failed: 0, totalRecords: 0, totalTime: 0, avgRecords: 0, avgTime: 0 });
+const createBackupTypeMetrics = () => ({ total: 0, pending: 0, completed: 0, failed: 0, totalRecords: 0 });
+const createDeduplicationMetrics = () => ({ checked: 0, duplicates: 0, inBatch: 0, crossRun: 0 });
+
+/**
+ * Crea un bucket de métricas por cada tipo registrado (config/dataTypes.js)
+ */
+function buildTypeMetrics(factory) {
+  const buckets = new Set(dataTypeRegistry.list().map(definition => definition.metricsBucket));
+  return Object.fromEntries([...buckets].map(bucket => [bucket, factory()]));
+}
 
 /**
  * Recolector de métricas para monitoreo del microservicio
@@ -24,7 +38,9 @@ export class MetricsCollector {
         totalProcessingTime: 0,
         averageProcessingTime: 0,
         lastProcessing: null,
-        lastError: null
+        lastError: null,
+        recordsByKey: {},
+        lastRunRecordsByKey: {}
       },
       redis: {
         connections: 0,
@@ -34,16 +50,13 @@ export class MetricsCollector {
         lastError: null
       },
       gcs: {
-        uploads: {
-          gps: { total: 0, successful: 0, failed: 0, totalSize: 0, totalTime: 0, avgSize: 0, avgTime: 0 },
-          mobile: { total: 0, successful: 0, failed: 0, totalSize: 0, totalTime: 0, avgSize: 0, avgTime: 0 }
-        },
+        uploads: buildTypeMetrics(createUploadMetrics),
         storage: {
           totalFiles: 0,
           totalSize: 0,
           oldestFile: null,
           newestFile: null,
-          filesByType: { gps: 0, mobile: 0, unknown: 0 }
+          filesByType: { ...buildTypeMetrics(() => 0), unknown: 0 }
         },
         lastUpload: null,
         lastError: null
@@ -55,10 +68,7 @@ export class MetricsCollector {
         totalRecordsUploaded: 0,
         lastUpload: null,
         lastError: null,
-        batchJobs: {
-          gps: { total: 0, successful: 0, failed: 0, totalRecords: 0, totalTime: 0, avgRecords: 0, avgTime: 0 },
-          mobile: { total: 0, successful: 0, failed: 0, totalRecords: 0, totalTime: 0, avgRecords: 0, avgTime: 0 }
-        },
+        batchJobs: buildTypeMetrics(createBatchJobMetrics),
         lastBatchJob: null
       },
       costs: {
@@ -73,6 +83,14 @@ export class MetricsCollector {
         invalidRecords: 0,
         validationRate: 0
       },
+      deduplication: {
+        byType: buildTypeMetrics(createDeduplicationMetrics),
+        lastRun: null
+      },
+      parsing: {
+        byFormat: {},
+        lastRun: null
+      },
       system: {
         startTime: new Date().toISOString(),
         uptime: 0,
@@ -93,10 +111,7 @@ export class MetricsCollector {
           lastBackupCreated: null,
           lastBackupProcessed: null,
           lastError: null,
-          byType: {
-            gps: { total: 0, pending: 0, completed: 0, failed: 0, totalRecords: 0 },
-            mobile: { total: 0, pending: 0, completed: 0, failed: 0, totalRecords: 0 }
-          }
+          byType: buildTypeMetrics(createBackupTypeMetrics)
         },
         retryTimes: [], // Array para calcular tiempo promedio de retry
         alerts: {
@@ -140,6 +155,15 @@ export class MetricsCollector {
       this.metrics.processing.totalProcessingTime += processingTime || 0;
       this.metrics.processing.lastProcessing = new Date().toISOString();
 
+      // Registros extraídos por key de Redis (listas particionadas)
+      if (data.recordsByKey) {
+        this.metrics.processing.recordsByKey = this.metrics.processing.recordsByKey || {};
+        for (const [key, count] of Object.entries(data.recordsByKey)) {
+          this.metrics.processing.recordsByKey[key] = (this.metrics.processing.recordsByKey[key] || 0) + count;
+        }
+        this.metrics.processing.lastRunRecordsByKey = data.recordsByKey;
+      }
+
       if (success) {
         this.metrics.processing.successfulRuns++;
       } else {
@@ -202,7 +226,7 @@ export class MetricsCollector {
    */
   async recordGCSOperation(dataType, fileSize, uploadTime, success, error = null) {
     try {
-      const typeMetrics = this.metrics.gcs.uploads[dataType];
+      const typeMetrics = this.getTypeMetrics(this.metrics.gcs.uploads, dataType, createUploadMetrics);
       if (!typeMetrics) {
         logger.warn(`⚠️ Tipo de datos GCS no reconocido: ${dataType}`);
         return;
@@ -250,8 +274,9 @@ export class MetricsCollector {
       this.metrics.gcs.storage.oldestFile = oldestFile;
       this.metrics.gcs.storage.newestFile = newestFile;
       this.metrics.gcs.storage.filesByType = {
-        gps: filesByType?.gps || 0,
-        mobile: filesByType?.mobile || 0,
+        ...Object.fromEntries(
+          Object.keys(buildTypeMetrics(() => 0)).map(bucket => [bucket, filesByType?.[bucket] || 0])
+        ),
         unknown: filesByType?.unknown || 0
       };
 
@@ -294,7 +319,7 @@ export class MetricsCollector {
    */
   async recordBigQueryBatchJob(dataType, recordsProcessed, processingTime, success, jobId, error = null) {
     try {
-      const typeMetrics = this.metrics.bigquery.batchJobs[dataType];
+      const typeMetrics = this.getTypeMetrics(this.metrics.bigquery.batchJobs, dataType, createBatchJobMetrics);
       if (!typeMetrics) {
         logger.warn(`⚠️ Tipo de datos BigQuery no reconocido: ${dataType}`);
         return;
@@ -384,6 +409,52 @@ export class MetricsCollector {
     }
   }
 
+  /**
+   * Registra los duplicados suprimidos en un lote
+   * @param {string} dataType - Tipo de datos registrado
+   * @param {Object} stats - { checked, inBatch, crossRun }
+   */
+  async recordDeduplication(dataType, stats) {
+    try {
+      const typeMetrics = this.getTypeMetrics(this.metrics.deduplication.byType, dataType, createDeduplicationMetrics);
+      if (!typeMetrics) {
+        return;
+      }
+
+      typeMetrics.checked += stats.checked || 0;
+      typeMetrics.inBatch += stats.inBatch || 0;
+      typeMetrics.crossRun += stats.crossRun || 0;
+      typeMetrics.duplicates = typeMetrics.inBatch + typeMetrics.crossRun;
+      this.metrics.deduplication.lastRun = new Date().toISOString();
+
+      await this.saveMetrics();
+
+    } catch (error) {
+      logger.error('❌ Error registrando métricas de deduplicación:', error.message);
+    }
+  }
+
+  /**
+   * Registra los payloads parseados y los errores de parseo por formato de entrada
+   * @param {Object} stats - { formato: { parsed, failed } } (de PayloadParserRegistry.parseBatch)
+   */
+  async recordParsing(stats) {
+    try {
+      for (const [format, formatStats] of Object.entries(stats)) {
+        const formatMetrics = this.metrics.parsing.byFormat[format] ||
+          (this.metrics.parsing.byFormat[format] = { parsed: 0, failed: 0 });
+        formatMetrics.parsed += formatStats.parsed || 0;
+        formatMetrics.failed += formatStats.failed || 0;
+      }
+      this.metrics.parsing.lastRun = new Date().toISOString();
+
+      await this.saveMetrics();
+
+    } catch (error) {
+      logger.error('❌ Error registrando métricas de parseo:', error.message);
+    }
+  }
+
   /**
    * Actualiza métricas del sistema
    */
@@ -437,17 +508,15 @@ export class MetricsCollector {
       lastUpload: this.metrics.gcs.lastUpload,
       lastError: this.metrics.gcs.lastError,
       summary: {
-        totalUploads: this.metrics.gcs.uploads.gps.total + this.metrics.gcs.uploads.mobile.total,
-        successfulUploads: this.metrics.gcs.uploads.gps.successful + this.metrics.gcs.uploads.mobile.successful,
-        failedUploads: this.metrics.gcs.uploads.gps.failed + this.metrics.gcs.uploads.mobile.failed,
+        totalUploads: this.sumTypeMetrics(this.metrics.gcs.uploads, 'total'),
+        successfulUploads: this.sumTypeMetrics(this.metrics.gcs.uploads, 'successful'),
+        failedUploads: this.sumTypeMetrics(this.metrics.gcs.uploads, 'failed'),
         successRate: this.calculateSuccessRate(
-          this.metrics.gcs.uploads.gps.successful + this.metrics.gcs.uploads.mobile.successful,
-          this.metrics.gcs.uploads.gps.total + this.metrics.gcs.uploads.mobile.total
+          this.sumTypeMetrics(this.metrics.gcs.uploads, 'successful'),
+          this.sumTypeMetrics(this.metrics.gcs.uploads, 'total')
         ),
         totalStorageSize: this.formatBytes(this.metrics.gcs.storage.totalSize),
-        avgUploadSize: this.formatBytes(
-          (this.metrics.gcs.uploads.gps.avgSize + this.metrics.gcs.uploads.mobile.avgSize) / 2
-        )
+        avgUploadSize: this.formatBytes(this.averageTypeMetrics(this.metrics.gcs.uploads, 'avgSize'))
       }
     };
   }
@@ -467,17 +536,15 @@ export class MetricsCollector {
       lastBatchJob: this.metrics.bigquery.lastBatchJob,
       lastError: this.metrics.bigquery.lastError,
       summary: {
-        totalBatchJobs: this.metrics.bigquery.batchJobs.gps.total + this.metrics.bigquery.batchJobs.mobile.total,
-        successfulBatchJobs: this.metrics.bigquery.batchJobs.gps.successful + this.metrics.bigquery.batchJobs.mobile.successful,
-        failedBatchJobs: this.metrics.bigquery.batchJobs.gps.failed + this.metrics.bigquery.batchJobs.mobile.failed,
+        totalBatchJobs: this.sumTypeMetrics(this.metrics.bigquery.batchJobs, 'total'),
+        successfulBatchJobs: this.sumTypeMetrics(this.metrics.bigquery.batchJobs, 'successful'),
+        failedBatchJobs: this.sumTypeMetrics(this.metrics.bigquery.batchJobs, 'failed'),
         successRate: this.calculateSuccessRate(
-          this.metrics.bigquery.batchJobs.gps.successful + this.metrics.bigquery.batchJobs.mobile.successful,
-          this.metrics.bigquery.batchJobs.gps.total + this.metrics.bigquery.batchJobs.mobile.total
+          this.sumTypeMetrics(this.metrics.bigquery.batchJobs, 'successful'),
+          this.sumTypeMetrics(this.metrics.bigquery.batchJobs, 'total')
         ),
-        totalRecordsProcessed: this.metrics.bigquery.batchJobs.gps.totalRecords + this.metrics.bigquery.batchJobs.mobile.totalRecords,
-        avgProcessingTime: Math.round(
-          (this.metrics.bigquery.batchJobs.gps.avgTime + this.metrics.bigquery.batchJobs.mobile.avgTime) / 2
-        )
+        totalRecordsProcessed: this.sumTypeMetrics(this.metrics.bigquery.batchJobs, 'totalRecords'),
+        avgProcessingTime: Math.round(this.averageTypeMetrics(this.metrics.bigquery.batchJobs, 'avgTime'))
       }
     };
   }
@@ -518,12 +585,12 @@ export class MetricsCollector {
     const costs = this.metrics.costs;
 
     // Calcular totales GCS
-    const totalGCSUploads = gcs.uploads.gps.total + gcs.uploads.mobile.total;
-    const successfulGCSUploads = gcs.uploads.gps.successful + gcs.uploads.mobile.successful;
+    const totalGCSUploads = this.sumTypeMetrics(gcs.uploads, 'total');
+    const successfulGCSUploads = this.sumTypeMetrics(gcs.uploads, 'successful');
 
     // Calcular totales BigQuery batch
-    const totalBQBatch = bigquery.batchJobs.gps.total + bigquery.batchJobs.mobile.total;
-    const successfulBQBatch = bigquery.batchJobs.gps.successful + bigquery.batchJobs.mobile.successful;
+    const totalBQBatch = this.sumTypeMetrics(bigquery.batchJobs, 'total');
+    const successfulBQBatch = this.sumTypeMetrics(bigquery.batchJobs, 'successful');
 
     return {
       successRate: processing.totalRuns > 0 ? 
@@ -537,6 +604,10 @@ export class MetricsCollector {
         (bigquery.successfulUploads / bigquery.uploads * 100).toFixed(2) : 0,
       
       validationRate: validation.validationRate.toFixed(2),
+
+      duplicatesSuppressed: this.sumTypeMetrics(this.metrics.deduplication.byType, 'duplicates'),
+
+      parseErrors: this.sumTypeMetrics(this.metrics.parsing.byFormat, 'failed'),
       
       averageProcessingTime: Math.round(processing.averageProcessingTime),
       
@@ -662,7 +733,9 @@ export class MetricsCollector {
           totalProcessingTime: 0,
           averageProcessingTime: 0,
           lastProcessing: null,
-          lastError: null
+          lastError: null,
+          recordsByKey: {},
+          lastRunRecordsByKey: {}
         },
         redis: {
           connections: 0,
@@ -672,16 +745,13 @@ export class MetricsCollector {
           lastError: null
         },
         gcs: {
-          uploads: {
-            gps: { total: 0, successful: 0, failed: 0, totalSize: 0, totalTime: 0, avgSize: 0, avgTime: 0 },
-            mobile: { total: 0, successful: 0, failed: 0, totalSize: 0, totalTime: 0, avgSize: 0, avgTime: 0 }
-          },
+          uploads: buildTypeMetrics(createUploadMetrics),
           storage: {
             totalFiles: 0,
             totalSize: 0,
             oldestFile: null,
             newestFile: null,
-            filesByType: { gps: 0, mobile: 0, unknown: 0 }
+            filesByType: { ...buildTypeMetrics(() => 0), unknown: 0 }
           },
           lastUpload: null,
           lastError: null
@@ -693,10 +763,7 @@ export class MetricsCollector {
           totalRecordsUploaded: 0,
           lastUpload: null,
           lastError: null,
-          batchJobs: {
-            gps: { total: 0, successful: 0, failed: 0, totalRecords: 0, totalTime: 0, avgRecords: 0, avgTime: 0 },
-            mobile: { total: 0, successful: 0, failed: 0, totalRecords: 0, totalTime: 0, avgRecords: 0, avgTime: 0 }
-          },
+          batchJobs: buildTypeMetrics(createBatchJobMetrics),
           lastBatchJob: null
         },
         costs: {
@@ -711,6 +778,14 @@ export class MetricsCollector {
           invalidRecords: 0,
           validationRate: 0
         },
+        deduplication: {
+          byType: buildTypeMetrics(createDeduplicationMetrics),
+          lastRun: null
+        },
+        parsing: {
+          byFormat: {},
+          lastRun: null
+        },
         system: {
           startTime: startTime, // Mantener tiempo de inicio original
           uptime: 0,
@@ -731,10 +806,7 @@ export class MetricsCollector {
             lastBackupCreated: null,
             lastBackupProcessed: null,
             lastError: null,
-            byType: {
-              gps: { total: 0, pending: 0, completed: 0, failed: 0, totalRecords: 0 },
-              mobile: { total: 0, pending: 0, completed: 0, failed: 0, totalRecords: 0 }
-            }
+            byType: buildTypeMetrics(createBackupTypeMetrics)
           },
           retryTimes: [],
           alerts: {
@@ -758,6 +830,9 @@ export class MetricsCollector {
   async recordBackupOperation(operation, backupData, success = true, error = null) {
     try {
       const backupMetrics = this.metrics.backup.local;
+      const typeMetrics = backupData.type
+        ? this.getTypeMetrics(backupMetrics.byType, backupData.type, createBackupTypeMetrics)
+        : null;
       const timestamp = new Date().toISOString();
 
       switch (operation) {
@@ -768,10 +843,10 @@ export class MetricsCollector {
           backupMetrics.lastBackupCreated = timestamp;
           
           // Métricas por tipo
-          if (backupData.type && backupMetrics.byType[backupData.type]) {
-            backupMetrics.byType[backupData.type].total++;
-            backupMetrics.byType[backupData.type].pending++;
-            backupMetrics.byType[backupData.type].totalRecords += backupData.recordCount || 0;
+          if (typeMetrics) {
+            typeMetrics.total++;
+            typeMetrics.pending++;
+            typeMetrics.totalRecords += backupData.recordCount || 0;
           }
           break;
 
@@ -779,9 +854,9 @@ export class MetricsCollector {
           if (backupMetrics.pending > 0) backupMetrics.pending--;
           backupMetrics.processing++;
           
-          if (backupData.type && backupMetrics.byType[backupData.type]) {
-            if (backupMetrics.byType[backupData.type].pending > 0) {
-              backupMetrics.byType[backupData.type].pending--;
+          if (typeMetrics) {
+            if (typeMetrics.pending > 0) {
+              typeMetrics.pending--;
             }
           }
           break;
@@ -796,8 +871,8 @@ export class MetricsCollector {
             this.recordBackupRetryTime(backupData.retryTime);
           }
           
-          if (backupData.type && backupMetrics.byType[backupData.type]) {
-            backupMetrics.byType[backupData.type].completed++;
+          if (typeMetrics) {
+            typeMetrics.completed++;
           }
           break;
 
@@ -817,14 +892,14 @@ export class MetricsCollector {
               error: error
             });
             
-            if (backupData.type && backupMetrics.byType[backupData.type]) {
-              backupMetrics.byType[backupData.type].failed++;
+            if (typeMetrics) {
+              typeMetrics.failed++;
             }
           } else {
             backupMetrics.pending++;
             
-            if (backupData.type && backupMetrics.byType[backupData.type]) {
-              backupMetrics.byType[backupData.type].pending++;
+            if (typeMetrics) {
+              typeMetrics.pending++;
             }
           }
           
@@ -954,20 +1029,50 @@ export class MetricsCollector {
           maxRetriesExceeded: this.metrics.backup.alerts.maxRetriesExceeded.length,
           oldPendingBackups: this.metrics.backup.alerts.oldPendingBackups.length
         },
-        byType: {
-          gps: {
-            ...this.metrics.backup.local.byType.gps,
-            successRate: this.calculateTypeSuccessRate('gps')
-          },
-          mobile: {
-            ...this.metrics.backup.local.byType.mobile,
-            successRate: this.calculateTypeSuccessRate('mobile')
-          }
-        }
+        byType: Object.fromEntries(
+          Object.entries(this.metrics.backup.local.byType).map(([type, typeMetrics]) => [
+            type,
+            { ...typeMetrics, successRate: this.calculateTypeSuccessRate(type) }
+          ])
+        )
       }
     };
   }
 
+  /**
+   * Suma un campo de todos los buckets por tipo
+   */
+  sumTypeMetrics(container, field) {
+    return Object.values(container).reduce((total, typeMetrics) => total + (typeMetrics[field] || 0), 0);
+  }
+
+  /**
+   * Promedia un campo entre los buckets por tipo
+   */
+  averageTypeMetrics(container, field) {
+    const buckets = Object.values(container);
+    return buckets.length > 0 ? this.sumTypeMetrics(container, field) / buckets.length : 0;
+  }
+
+  /**
+   * Obtiene (creándolo si falta) el bucket de métricas de un tipo registrado
+   * @param {Object} container - Objeto con buckets por tipo
+   * @param {string} dataType - Nombre del tipo de datos
+   * @param {Function} factory - Crea un bucket vacío
+   * @returns {Object|null} Bucket del tipo o null si el tipo no está registrado
+   */
+  getTypeMetrics(container, dataType, factory) {
+    const definition = dataTypeRegistry.get(dataType);
+    if (!definition) {
+      return container[dataType] || null;
+    }
+
+    if (!container[definition.metricsBucket]) {
+      container[definition.metricsBucket] = factory();
+    }
+    return container[definition.metricsBucket];
+  }
+
   /**
    * Calcula tasa de éxito de backups
    */
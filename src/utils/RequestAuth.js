@@ -0,0 +1,28 @@
+import crypto from 'crypto';
+
+/**
+ * Autenticación de peticiones HTTP por token compartido
+ */
+export class RequestAuth {
+  /**
+   * Verifica si una petición trae el token esperado, en Authorization: Bearer o en el header indicado.
+   * La comparación es de tiempo constante; sin token configurado ninguna petición es válida
+   * @param {Object} headers - Headers HTTP (nombres en minúsculas, como los entrega Node)
+   * @param {string|null} expectedToken - Token configurado
+   * @param {string} headerName - Header alternativo al Bearer (ej: x-admin-token, x-api-key)
+   * @returns {boolean} true si alguno de los dos coincide
+   */
+  static hasToken(headers = {}, expectedToken, headerName = 'x-admin-token') {
+    if (!expectedToken) {
+      return false;
+    }
+
+    const expected = Buffer.from(expectedToken);
+    const matches = (token) => {
+      const provided = Buffer.from(typeof token === 'string' ? token : '');
+      return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+    };
+
+    return matches((headers.authorization || '').replace(/^Bearer\s+/i, '')) || matches(headers[headerName]);
+  }
+}
@@ -0,0 +1,323 @@
+import { Writable } from 'stream';
+import avro from 'avsc';
+import parquet from 'parquetjs-lite';
+import { dataTypeRegistry } from '../config/dataTypes.js';
+
+/**
+ * Formatos de los archivos de staging en GCS. sourceFormat es el valor del job de carga de BigQuery
+ */
+const FORMATS = {
+  jsonl: { name: 'jsonl', extension: '.json', contentType: 'application/json', sourceFormat: 'NEWLINE_DELIMITED_JSON', metadataFormat: 'newline_delimited_json' },
+  avro: { name: 'avro', extension: '.avro', contentType: 'application/avro', sourceFormat: 'AVRO', metadataFormat: 'avro' },
+  parquet: { name: 'parquet', extension: '.parquet', contentType: 'application/vnd.apache.parquet', sourceFormat: 'PARQUET', metadataFormat: 'parquet' }
+};
+
+const AVRO_TYPES = {
+  STRING: 'string',
+  FLOAT: 'double',
+  INTEGER: 'long',
+  BOOLEAN: 'boolean',
+  TIMESTAMP: { type: 'long', logicalType: 'timestamp-micros' },
+  // BigQuery carga en columnas JSON los string anotados con sqlType JSON
+  JSON: { type: 'string', sqlType: 'JSON' }
+};
+
+/**
+ * timestamp-micros al leer: microsegundos desde epoch a Date
+ */
+class TimestampMicrosType extends avro.types.LogicalType {
+  _fromValue(value) {
+    return new Date(value / 1000);
+  }
+
+  _toValue(value) {
+    return value instanceof Date ? value.getTime() * 1000 : undefined;
+  }
+
+  _resolve(type) {
+    if (avro.Type.isType(type, 'long')) {
+      return this._fromValue;
+    }
+  }
+}
+
+const AVRO_LOGICAL_TYPES = { 'timestamp-micros': TimestampMicrosType };
+
+const PARQUET_TYPES = {
+  STRING: 'UTF8',
+  FLOAT: 'DOUBLE',
+  INTEGER: 'INT64',
+  BOOLEAN: 'BOOLEAN',
+  TIMESTAMP: 'TIMESTAMP_MICROS',
+  JSON: 'JSON'
+};
+
+/**
+ * Codificación de lotes a Avro y Parquet a partir del esquema BigQuery del tipo de datos.
+ *
+ * Los timestamps se escriben como microsegundos (timestamp-micros / TIMESTAMP_MICROS) y los FLOAT
+ * como double, sin pasar por texto. Avro usa bloques deflate y Parquet páginas Snappy; ninguno se
+ * comprime además con gzip (BigQuery no carga Avro ni Parquet comprimidos por fuera).
+ * Los campos del registro que no están en el esquema no se escriben.
+ */
+export class StagingFileFormats {
+  constructor() {
+    this.avroSchemas = new Map();
+    this.parquetSchemas = new Map();
+  }
+
+  /**
+   * Obtiene un formato por nombre
+   * @param {string} name - jsonl, avro o parquet
+   * @returns {Object} { name, extension, contentType, sourceFormat, metadataFormat }
+   */
+  get(name) {
+    const format = FORMATS[name];
+    if (!format) {
+      throw new Error(`Formato de archivo no soportado: ${name}`);
+    }
+    return format;
+  }
+
+  /**
+   * Formato de un archivo según su extensión (JSON Lines si no es .avro ni .parquet)
+   * @param {string} fileName - Nombre u URI del archivo
+   */
+  fromFileName(fileName = '') {
+    return Object.values(FORMATS).find(format => format !== FORMATS.jsonl && fileName.endsWith(format.extension)) || FORMATS.jsonl;
+  }
+
+  /**
+   * Codifica registros en un archivo Avro (object container) o Parquet
+   * @param {string} formatName - avro o parquet
+   * @param {Array} records - Registros formateados del lote
+   * @param {string} dataType - Tipo registrado (su bigQuery.schema define las columnas)
+   * @returns {Buffer} Contenido del archivo
+   */
+  async encode(formatName, records, dataType) {
+    const schema = this.getBigQuerySchema(dataType);
+    const rows = records.map(record => this.toRow(record, schema));
+
+    if (formatName === 'avro') {
+      return await this.encodeAvro(rows, dataType, schema);
+    }
+    if (formatName === 'parquet') {
+      return await this.encodeParquet(rows, dataType, schema);
+    }
+    throw new Error(`Formato binario no soportado: ${formatName}`);
+  }
+
+  /**
+   * Lee los registros de un archivo Avro o Parquet (timestamps como ISO, columnas JSON como objeto
+   * y sin las columnas vacías)
+   * @param {string} formatName - avro o parquet
+   * @param {Buffer} buffer - Contenido del archivo
+   * @returns {Array} Registros
+   */
+  async decode(formatName, buffer) {
+    const rows = formatName === 'avro'
+      ? await this.decodeAvro(buffer)
+      : await this.decodeParquet(buffer);
+
+    return rows.map(row => Object.fromEntries(
+      Object.entries(row)
+        .filter(([, value]) => value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0))
+        .map(([name, value]) => [name, value instanceof Date ? value.toISOString() : value])
+    ));
+  }
+
+  async encodeAvro(rows, dataType, schema) {
+    // El esquema se pasa sin compilar para que el header conserve logicalType y sqlType
+    const encoder = new avro.streams.BlockEncoder(this.getAvroSchema(dataType, schema), { codec: 'deflate' });
+    const content = this.collect(encoder);
+
+    for (const row of rows) {
+      for (const field of schema) {
+        const toAvro = value => field.type === 'TIMESTAMP' ? value.getTime() * 1000 : field.type === 'JSON' ? JSON.stringify(value) : value;
+        if (row[field.name] !== null) {
+          row[field.name] = field.mode === 'REPEATED' ? row[field.name].map(toAvro) : toAvro(row[field.name]);
+        }
+      }
+      encoder.write(row);
+    }
+    encoder.end();
+
+    return await content;
+  }
+
+  async decodeAvro(buffer) {
+    const decoder = new avro.streams.BlockDecoder({
+      parseHook: schema => avro.Type.forSchema(schema, { logicalTypes: AVRO_LOGICAL_TYPES })
+    });
+    const rows = [];
+    let jsonFields = [];
+
+    decoder.on('metadata', (type, codec, header) => {
+      jsonFields = JSON.parse(header.meta['avro.schema'].toString()).fields
+        .filter(field => [field.type].flat().some(branch => branch?.sqlType === 'JSON'))
+        .map(field => field.name);
+    });
+    decoder.on('data', row => {
+      for (const name of jsonFields) {
+        if (row[name] !== null) row[name] = JSON.parse(row[name]);
+      }
+      rows.push({ ...row });
+    });
+
+    await new Promise((resolve, reject) => {
+      decoder.on('end', resolve);
+      decoder.on('error', reject);
+      decoder.end(buffer);
+    });
+
+    return rows;
+  }
+
+  async encodeParquet(rows, dataType, schema) {
+    const chunks = [];
+    const output = new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(chunk);
+        callback();
+      }
+    });
+
+    // Páginas v1: las que BigQuery y la mayoría de lectores aceptan sin configuración
+    const writer = await parquet.ParquetWriter.openStream(this.getParquetSchema(dataType, schema), output, { useDataPageV2: false });
+    for (const row of rows) {
+      await writer.appendRow(Object.fromEntries(Object.entries(row).filter(([, value]) => value !== null)));
+    }
+    await writer.close();
+
+    return Buffer.concat(chunks);
+  }
+
+  async decodeParquet(buffer) {
+    const reader = await parquet.ParquetReader.openBuffer(buffer);
+    const cursor = reader.getCursor();
+    const rows = [];
+
+    try {
+      let row;
+      while ((row = await cursor.next())) {
+        rows.push(row);
+      }
+    } finally {
+      await reader.close();
+    }
+
+    return rows;
+  }
+
+  /**
+   * Fila con las columnas del esquema: TIMESTAMP como Date, REPEATED como arreglo y las ausentes en null
+   */
+  toRow(record, schema) {
+    const row = {};
+
+    for (const field of schema) {
+      const value = record[field.name];
+
+      if (field.mode === 'REPEATED') {
+        row[field.name] = (Array.isArray(value) ? value : value == null ? [] : [value])
+          .map(item => this.toValue(item, field));
+      } else {
+        row[field.name] = value == null ? null : this.toValue(value, field);
+      }
+    }
+
+    return row;
+  }
+
+  toValue(value, field) {
+    switch (field.type) {
+      case 'TIMESTAMP': {
+        const date = value instanceof Date ? value : new Date(value);
+        if (Number.isNaN(date.getTime())) {
+          throw new Error(`${field.name}: timestamp inválido ${value}`);
+        }
+        return date;
+      }
+      case 'FLOAT':
+        return Number(value);
+      case 'INTEGER':
+        return Math.trunc(Number(value));
+      case 'BOOLEAN':
+        return Boolean(value);
+      case 'JSON':
+        return typeof value === 'string' ? JSON.parse(value) : value;
+      default:
+        return String(value);
+    }
+  }
+
+  getBigQuerySchema(dataType) {
+    const schema = dataTypeRegistry.get(dataType)?.bigQuery?.schema;
+    if (!schema) {
+      throw new Error(`Tipo de datos sin esquema BigQuery: ${dataType}`);
+    }
+    return schema;
+  }
+
+  /**
+   * Esquema Avro (record) equivalente al esquema BigQuery del tipo
+   */
+  getAvroSchema(dataType, schema) {
+    if (!this.avroSchemas.has(dataType)) {
+      this.avroSchemas.set(dataType, {
+        type: 'record',
+        name: `${dataType.replace(/\W/g, '_')}_record`,
+        fields: schema.map(field => {
+          const type = AVRO_TYPES[field.type];
+          if (!type) {
+            throw new Error(`Tipo BigQuery sin equivalente Avro: ${field.name} ${field.type}`);
+          }
+
+          if (field.mode === 'REPEATED') {
+            return { name: field.name, type: { type: 'array', items: type } };
+          }
+          return field.mode === 'REQUIRED'
+            ? { name: field.name, type }
+            : { name: field.name, type: ['null', type], default: null };
+        })
+      });
+    }
+    return this.avroSchemas.get(dataType);
+  }
+
+  /**
+   * Esquema Parquet equivalente al esquema BigQuery del tipo
+   */
+  getParquetSchema(dataType, schema) {
+    if (!this.parquetSchemas.has(dataType)) {
+      this.parquetSchemas.set(dataType, new parquet.ParquetSchema(Object.fromEntries(schema.map(field => {
+        const type = PARQUET_TYPES[field.type];
+        if (!type) {
+          throw new Error(`Tipo BigQuery sin equivalente Parquet: ${field.name} ${field.type}`);
+        }
+
+        return [field.name, {
+          type,
+          compression: 'SNAPPY',
+          ...(field.mode === 'REPEATED' && { repeated: true }),
+          ...(field.mode === 'NULLABLE' && { optional: true })
+        }];
+      }))));
+    }
+    return this.parquetSchemas.get(dataType);
+  }
+
+  /**
+   * Junta en un buffer la salida de un stream
+   */
+  collect(stream) {
+    const chunks = [];
+    return new Promise((resolve, reject) => {
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('end', () => resolve(Buffer.concat(chunks)));
+      stream.on('error', reject);
+    });
+  }
+}
+
+export const stagingFileFormats = new StagingFileFormats();
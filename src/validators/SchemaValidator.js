@@ -0,0 +1,621 @@
+import { FieldRules, VALIDATION_ERROR_CODES, FIELD_CORRECTIONS } from '../types/GPSTypes.js';
+
+const CODES = VALIDATION_ERROR_CODES;
+const CORRECTIONS = FIELD_CORRECTIONS;
+
+// Caracteres eliminados de los campos con sanitize
+const UNSAFE_CHARACTERS = /[<>"'&]/g;
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Epoch por debajo de este valor se interpreta en segundos (en milisegundos sería 1973)
+const EPOCH_SECONDS_LIMIT = 1e11;
+
+// Límite de Date en milisegundos
+const MAX_EPOCH_MS = 8.64e15;
+
+// Fecha/hora sin offset: 2025-01-15, 2025-01-15 10:30, 2025-01-15T10:30:00.123
+const LOCAL_DATETIME_REGEX = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?$/;
+
+const NUMERIC_STRING_REGEX = /^-?\d+(\.\d+)?$/;
+
+// Grados con coma decimal: -12,0464
+const COMMA_DECIMAL_REGEX = /^-?\d+,\d+$/;
+
+// Coordenada en grados-minutos-segundos con hemisferio opcional al inicio o al final: 12°2'47"S, S 12 2.78
+const DMS_REGEX = /^([NSEWO])?\s*(-)?\s*([\d.,°º'′"″\s]+?)\s*([NSEWO])?$/i;
+const DMS_PART_REGEX = /^\d+([.,]\d+)?$/;
+const DMS_SYMBOLS_REGEX = /[°º'′"″]/;
+const NEGATIVE_HEMISPHERES = new Set(['S', 'W', 'O']);
+
+const timeZoneFormatters = new Map();
+
+/**
+ * Formatter (cacheado por zona) para obtener la hora de pared en una zona horaria
+ */
+function getTimeZoneFormatter(timeZone) {
+  if (!timeZoneFormatters.has(timeZone)) {
+    timeZoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return timeZoneFormatters.get(timeZone);
+}
+
+/**
+ * Offset en milisegundos de una zona horaria en un instante (America/Lima → -5h)
+ */
+function getTimeZoneOffset(epochMs, timeZone) {
+  const parts = Object.fromEntries(
+    getTimeZoneFormatter(timeZone).formatToParts(new Date(epochMs)).map(part => [part.type, part.value])
+  );
+  const wallClockAsUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClockAsUTC - Math.floor(epochMs / 1000) * 1000;
+}
+
+/**
+ * Convierte una fecha/hora sin offset (match de LOCAL_DATETIME_REGEX) a epoch interpretándola en la zona
+ * @returns {number} Epoch en milisegundos o NaN si la fecha no existe
+ */
+function zonedDateTimeToEpoch(match, timeZone) {
+  const [year, month, day, hour = 0, minute = 0, second = 0] = match.slice(1, 7).map(part => Number(part || 0));
+  const millis = Number((match[7] || '0').padEnd(3, '0'));
+
+  if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59 || second > 59) {
+    return NaN;
+  }
+
+  const wallClockAsUTC = Date.UTC(year, month - 1, day, hour, minute, second, millis);
+  const offset = getTimeZoneOffset(wallClockAsUTC, timeZone);
+  const epochMs = wallClockAsUTC - offset;
+
+  // Si el instante cae al otro lado de un cambio de horario, usar el offset vigente en ese instante
+  const actualOffset = getTimeZoneOffset(epochMs, timeZone);
+  return actualOffset === offset ? epochMs : wallClockAsUTC - actualOffset;
+}
+
+/**
+ * Convierte un valor crudo de timestamp a epoch en milisegundos
+ * @returns {Object} { epochMs, corrections }
+ */
+function parseTimestamp(raw, rules) {
+  const input = typeof raw === 'string' && NUMERIC_STRING_REGEX.test(raw.trim()) ? Number(raw.trim()) : raw;
+
+  if (typeof input === 'number') {
+    return Math.abs(input) < EPOCH_SECONDS_LIMIT
+      ? { epochMs: input * 1000, corrections: [CORRECTIONS.EPOCH_SECONDS] }
+      : { epochMs: input, corrections: [] };
+  }
+
+  if (typeof input !== 'string') {
+    return { epochMs: NaN, corrections: [] };
+  }
+
+  const localMatch = rules.timezone ? LOCAL_DATETIME_REGEX.exec(input.trim()) : null;
+  if (localMatch) {
+    return {
+      epochMs: zonedDateTimeToEpoch(localMatch, rules.timezone),
+      corrections: [CORRECTIONS.ASSUMED_TIMEZONE]
+    };
+  }
+
+  return { epochMs: new Date(input).getTime(), corrections: [] };
+}
+
+/**
+ * Convierte una coordenada en grados-minutos-segundos (o grados-minutos) a grados decimales
+ * @returns {Object|null} { value, hemisphere } | { invalid: true } | null si no tiene forma DMS
+ */
+function parseDMS(text) {
+  const match = DMS_REGEX.exec(text);
+  if (!match) {
+    return null;
+  }
+
+  const [, prefix, minus, body, suffix] = match;
+  const parts = body.split(/[°º'′"″\s]+/).filter(Boolean);
+  const hemisphere = (prefix || suffix || '').toUpperCase() || null;
+
+  if (!hemisphere && !DMS_SYMBOLS_REGEX.test(body)) {
+    return null;
+  }
+  if ((prefix && suffix) || parts.length === 0 || parts.length > 3 || !parts.every(part => DMS_PART_REGEX.test(part))) {
+    return { invalid: true };
+  }
+
+  const [degrees, minutes = 0, seconds = 0] = parts.map(part => Number(part.replace(',', '.')));
+  if (minutes >= 60 || seconds >= 60 || (minus && hemisphere && !NEGATIVE_HEMISPHERES.has(hemisphere))) {
+    return { invalid: true };
+  }
+
+  const decimal = Math.round((degrees + minutes / 60 + seconds / 3600) * 1e7) / 1e7;
+  return { value: minus || NEGATIVE_HEMISPHERES.has(hemisphere) ? -decimal : decimal, hemisphere };
+}
+
+/**
+ * Indica si un punto cae dentro de una región { minLat, maxLat, minLng, maxLng }
+ */
+function isInRegion(lat, lng, region) {
+  return lat >= region.minLat && lat <= region.maxLat && lng >= region.minLng && lng <= region.maxLng;
+}
+
+/**
+ * Primera key presente (no vacía) del registro entre el nombre del campo y sus alias
+ */
+function findPresentKey(data, keys) {
+  return keys.find(key => data[key] !== undefined && data[key] !== null && data[key] !== '');
+}
+
+/**
+ * Conversión de valores crudos según el tipo declarado.
+ * Devuelven { value } o { code } si el valor no es convertible
+ */
+const TYPE_COERCERS = {
+  number: (raw) => {
+    const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw.trim()) : raw;
+    return typeof value === 'number' && Number.isFinite(value)
+      ? { value }
+      : { code: CODES.INVALID_TYPE };
+  },
+  string: (raw) => {
+    if (typeof raw === 'string') {
+      return { value: raw };
+    }
+    return typeof raw === 'number' || typeof raw === 'boolean'
+      ? { value: String(raw) }
+      : { code: CODES.INVALID_TYPE };
+  }
+};
+
+/**
+ * Formatos que además de validar normalizan el valor.
+ * Devuelven { value, corrections } o { code, detail } (detail reemplaza el mensaje por defecto)
+ */
+const FORMAT_COERCERS = {
+  coordinate: (raw, rules = {}) => {
+    const number = TYPE_COERCERS.number(raw);
+    if (!number.code || typeof raw !== 'string') {
+      return number;
+    }
+
+    const text = raw.trim();
+    if (COMMA_DECIMAL_REGEX.test(text)) {
+      return { value: Number(text.replace(',', '.')), corrections: [CORRECTIONS.COMMA_DECIMAL] };
+    }
+
+    const dms = parseDMS(text);
+    if (!dms) {
+      return { code: CODES.INVALID_TYPE };
+    }
+    if (dms.invalid || (dms.hemisphere && rules.hemispheres && !rules.hemispheres.includes(dms.hemisphere))) {
+      return { code: CODES.INVALID_FORMAT };
+    }
+    return { value: dms.value, corrections: [CORRECTIONS.DMS] };
+  },
+  iso8601: (raw) => {
+    if (typeof raw !== 'string' && typeof raw !== 'number') {
+      return { code: CODES.INVALID_FORMAT };
+    }
+    const date = new Date(raw);
+    return isNaN(date.getTime())
+      ? { code: CODES.INVALID_FORMAT }
+      : { value: date.toISOString() };
+  },
+  timestamp: (raw, rules) => {
+    const { epochMs, corrections } = parseTimestamp(raw, rules);
+
+    if (!Number.isFinite(epochMs) || Math.abs(epochMs) > MAX_EPOCH_MS) {
+      return { code: CODES.INVALID_FORMAT };
+    }
+
+    const now = Date.now();
+    let outOfWindow = null;
+
+    if (rules.maxFutureSeconds !== undefined && epochMs > now + rules.maxFutureSeconds * 1000) {
+      outOfWindow = {
+        correction: CORRECTIONS.FUTURE_FLAGGED,
+        detail: `is more than ${rules.maxFutureSeconds} seconds in the future`
+      };
+    } else if (rules.maxAgeSeconds !== undefined && epochMs < now - rules.maxAgeSeconds * 1000) {
+      outOfWindow = {
+        correction: CORRECTIONS.TOO_OLD_FLAGGED,
+        detail: `is older than ${rules.maxAgeSeconds / 3600} hours`
+      };
+    }
+
+    if (outOfWindow && rules.onOutOfWindow !== 'flag') {
+      return { code: CODES.OUT_OF_RANGE, detail: outOfWindow.detail };
+    }
+
+    return {
+      value: new Date(epochMs).toISOString(),
+      corrections: outOfWindow ? [...corrections, outOfWindow.correction] : corrections
+    };
+  }
+};
+
+/**
+ * Formatos que solo validan el valor ya convertido
+ */
+const FORMAT_TESTS = {
+  email: (value) => EMAIL_REGEX.test(value)
+};
+
+/**
+ * Validador genérico que compila un esquema (ver GPSTypes.js) en chequeos por campo.
+ *
+ * El esquema se compila una sola vez en el constructor; validate() solo recorre las
+ * funciones compiladas. Cada error se reporta como mensaje (errors) y como
+ * { field, code, message } (issues) con los códigos de VALIDATION_ERROR_CODES.
+ * Las correcciones aplicadas a un campo (default, epoch en segundos, zona horaria asumida...)
+ * se registran en su correctionField con los valores de FIELD_CORRECTIONS separados por coma.
+ * Con options.coordinates y una región de referencia, antes de validar se corrigen lat/lng
+ * invertidas (swapped_lat_lng en el correctionField de la latitud).
+ */
+export class SchemaValidator {
+  /**
+   * @param {Object} schema - Esquema { campo: reglas }
+   * @param {Object} options - Opciones
+   * @param {string} options.subject - Nombre del tipo para mensajes ("userId is required for mobile data")
+   * @param {boolean} options.passthrough - Copiar al resultado los campos no declarados en el esquema
+   * @param {Object} options.attributes - Agrupar campos no declarados en un objeto: { field, keys }
+   *   (keys: nombres aceptados o ['*'] para todos; vacío = desactivado)
+   * @param {Object} options.coordinates - Corrección de lat/lng invertidas: { latitude, longitude, referenceRegion }
+   *   (campos del esquema y región { minLat, maxLat, minLng, maxLng }; sin región = desactivado)
+   */
+  constructor(schema, options = {}) {
+    this.schema = schema;
+    this.subject = options.subject || null;
+    this.passthrough = Boolean(options.passthrough);
+    this.attributes = options.attributes?.field && options.attributes.keys?.length > 0
+      ? { field: options.attributes.field, keys: new Set(options.attributes.keys) }
+      : null;
+    this.fields = Object.entries(schema).map(([name, rules]) => ({
+      name,
+      rules,
+      check: this.compileField(name, rules)
+    }));
+    this.fieldsByName = new Map(this.fields.map(field => [field.name, field]));
+    this.knownKeys = new Set(this.fields.flatMap(({ name, rules }) => [
+      name,
+      ...(rules.aliases || []),
+      ...(rules.correctionField ? [rules.correctionField] : [])
+    ]));
+    if (this.attributes) {
+      this.knownKeys.add(this.attributes.field);
+    }
+    this.coordinates = options.coordinates?.referenceRegion ? this.compileCoordinates(options.coordinates) : null;
+  }
+
+  /**
+   * Resuelve los campos de latitud y longitud usados para detectar coordenadas invertidas
+   */
+  compileCoordinates({ latitude, longitude, referenceRegion }) {
+    const [latField, lngField] = [latitude, longitude].map(name => {
+      const field = this.fieldsByName.get(name);
+      if (!field) {
+        throw new Error(`Campo de coordenadas no declarado en el esquema: ${name}`);
+      }
+      return field;
+    });
+
+    return {
+      latKeys: [latField.name, ...(latField.rules.aliases || [])],
+      lngKeys: [lngField.name, ...(lngField.rules.aliases || [])],
+      region: referenceRegion,
+      correctionField: latField.rules.correctionField || null
+    };
+  }
+
+  /**
+   * Convierte campos declarados con reglas predefinidas ({ name, rule, ...opciones })
+   * en un esquema
+   * @param {Array} fields - Campos del registro de tipos
+   * @returns {Object} Esquema
+   */
+  static fromFields(fields = []) {
+    return Object.fromEntries(fields.map(({ name, rule, ...overrides }) => {
+      const preset = FieldRules[rule];
+      if (!preset) {
+        throw new Error(`Regla de validación desconocida: ${rule}`);
+      }
+      return [name, { ...preset, ...overrides }];
+    }));
+  }
+
+  /**
+   * Compila las reglas de un campo en una función (data) => { value, corrections } | { issue }.
+   * Un value undefined indica que el campo se omite del resultado
+   */
+  compileField(name, rules) {
+    const label = rules.label || name;
+    const keys = [name, ...(rules.aliases || [])];
+    const coerce = FORMAT_COERCERS[rules.format] || TYPE_COERCERS[rules.type] || (raw => ({ value: raw }));
+
+    if (rules.timezone) {
+      // Falla al compilar si la zona horaria no existe
+      getTimeZoneFormatter(rules.timezone);
+    }
+    const formatTest = FORMAT_TESTS[rules.format];
+    const hasDefault = rules.default !== undefined;
+    const resolveDefault = () => (typeof rules.default === 'function' ? rules.default() : rules.default);
+    const requiredMessage = this.subject
+      ? `${label} is required for ${this.subject} data`
+      : `${label} is required`;
+
+    const messages = {
+      [CODES.REQUIRED]: () => requiredMessage,
+      [CODES.EMPTY]: () => `${label} cannot be empty`,
+      [CODES.INVALID_TYPE]: () => `${label} must be a ${rules.type}`,
+      [CODES.OUT_OF_RANGE]: () => {
+        if (rules.min !== undefined && rules.max !== undefined) {
+          return `${label} must be between ${rules.min} and ${rules.max}`;
+        }
+        return rules.min !== undefined ? `${label} must be >= ${rules.min}` : `${label} must be <= ${rules.max}`;
+      },
+      [CODES.TOO_LONG]: () => `${label} cannot exceed ${rules.maxLength} characters`,
+      [CODES.INVALID_FORMAT]: () => `${label} format is invalid`
+    };
+
+    const invalid = (code, detail) => {
+      if (rules.onInvalid === 'omit') {
+        return { value: undefined };
+      }
+      if (rules.onInvalid === 'default' && hasDefault) {
+        return { value: resolveDefault(), corrections: [CORRECTIONS.DEFAULTED_INVALID] };
+      }
+      return { issue: { field: name, code, message: detail ? `${label} ${detail}` : messages[code]() } };
+    };
+
+    return (data) => {
+      const key = findPresentKey(data, keys);
+      const raw = key === undefined ? undefined : data[key];
+
+      if (raw === undefined) {
+        if (hasDefault) {
+          return { value: resolveDefault(), corrections: [CORRECTIONS.DEFAULTED_MISSING] };
+        }
+        return rules.required ? invalid(CODES.REQUIRED) : { value: undefined };
+      }
+
+      const coerced = coerce(raw, rules);
+      if (coerced.code) {
+        return invalid(coerced.code, coerced.detail);
+      }
+
+      let value = coerced.value;
+
+      if (typeof value === 'string') {
+        value = value.trim();
+        if (value.length === 0) {
+          return invalid(CODES.EMPTY);
+        }
+        if (rules.lowercase) {
+          value = value.toLowerCase();
+        }
+        if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+          return invalid(CODES.TOO_LONG);
+        }
+        if (formatTest && !formatTest(value)) {
+          return invalid(CODES.INVALID_FORMAT);
+        }
+        if (rules.sanitize) {
+          value = value.replace(UNSAFE_CHARACTERS, '');
+        }
+      }
+
+      if (typeof value === 'number') {
+        if (rules.normalize === 'angle') {
+          value = value % 360;
+          if (value < 0) {
+            value += 360;
+          }
+        }
+
+        if (rules.min !== undefined && value < rules.min) {
+          if (!rules.clamp) {
+            return invalid(CODES.OUT_OF_RANGE);
+          }
+          value = rules.min;
+        }
+
+        if (rules.max !== undefined && value > rules.max) {
+          if (!rules.clamp) {
+            return invalid(CODES.OUT_OF_RANGE);
+          }
+          value = rules.max;
+        }
+      }
+
+      return { value, corrections: coerced.corrections };
+    };
+  }
+
+  /**
+   * Valida un registro completo
+   * @param {Object|string} record - Registro (o JSON string)
+   * @returns {Object} { isValid, errors, issues, cleanedData }
+   */
+  validate(record) {
+    let data;
+
+    try {
+      data = typeof record === 'string' ? JSON.parse(record) : record;
+    } catch (parseError) {
+      return this.buildFailure(CODES.PARSE_ERROR, `JSON parse error: ${parseError.message}`);
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return this.buildFailure(CODES.NOT_AN_OBJECT, 'Record is not a valid object');
+    }
+
+    const cleanedData = {};
+    const issues = [];
+    // correctionField → correcciones (lat y lng comparten coordinate_normalization)
+    const corrections = {};
+    const addCorrections = (correctionField, values = []) => {
+      if (correctionField && values.length > 0) {
+        corrections[correctionField] = [...(corrections[correctionField] || []), ...values];
+      }
+    };
+
+    const swapped = this.coordinates ? this.swapCoordinates(data) : null;
+    if (swapped) {
+      data = swapped;
+      addCorrections(this.coordinates.correctionField, [CORRECTIONS.SWAPPED_LAT_LNG]);
+    }
+
+    for (const field of this.fields) {
+      const result = field.check(data);
+      if (result.issue) {
+        issues.push(result.issue);
+        continue;
+      }
+      if (result.value !== undefined) {
+        cleanedData[field.name] = result.value;
+      }
+      addCorrections(field.rules.correctionField, result.corrections);
+    }
+
+    for (const [correctionField, values] of Object.entries(corrections)) {
+      cleanedData[correctionField] = [...new Set(values)].join(',');
+    }
+
+    if (this.passthrough && issues.length === 0) {
+      for (const key of Object.keys(data)) {
+        if (!this.knownKeys.has(key)) {
+          cleanedData[key] = data[key];
+        }
+      }
+    }
+
+    if (this.attributes && issues.length === 0) {
+      const attributes = this.collectAttributes(data);
+      if (attributes) {
+        cleanedData[this.attributes.field] = attributes;
+      }
+    }
+
+    return {
+      isValid: issues.length === 0,
+      errors: issues.map(issue => issue.message),
+      issues,
+      cleanedData: issues.length === 0 ? cleanedData : null
+    };
+  }
+
+  /**
+   * Detecta lat/lng invertidas: el punto cae fuera de la región de referencia y con los valores
+   * intercambiados cae dentro (en Lima: lat -77, lng -12)
+   * @param {Object} data - Registro
+   * @returns {Object|null} Copia del registro con los valores intercambiados o null si no corresponde
+   */
+  swapCoordinates(data) {
+    const { latKeys, lngKeys, region } = this.coordinates;
+    const latKey = findPresentKey(data, latKeys);
+    const lngKey = findPresentKey(data, lngKeys);
+
+    if (latKey === undefined || lngKey === undefined) {
+      return null;
+    }
+
+    const lat = FORMAT_COERCERS.coordinate(data[latKey]).value;
+    const lng = FORMAT_COERCERS.coordinate(data[lngKey]).value;
+
+    if (lat === undefined || lng === undefined || isInRegion(lat, lng, region) || !isInRegion(lng, lat, region)) {
+      return null;
+    }
+
+    return { ...data, [latKey]: data[lngKey], [lngKey]: data[latKey] };
+  }
+
+  /**
+   * Reúne los campos no declarados aceptados por la configuración de atributos,
+   * incluidos los que ya vienen agrupados en el campo de atributos del registro
+   * @param {Object} data - Registro
+   * @returns {Object|null} Atributos o null si no hay ninguno
+   */
+  collectAttributes(data) {
+    const { field, keys } = this.attributes;
+    const nested = data[field] && typeof data[field] === 'object' && !Array.isArray(data[field]) ? data[field] : {};
+    const candidates = {
+      ...nested,
+      ...Object.fromEntries(Object.entries(data).filter(([key]) => !this.knownKeys.has(key)))
+    };
+    const accepted = Object.entries(candidates)
+      .filter(([key, value]) => value !== undefined && (keys.has('*') || keys.has(key)));
+
+    return accepted.length > 0 ? Object.fromEntries(accepted) : null;
+  }
+
+  /**
+   * Valida un solo campo del esquema
+   * @param {string} name - Nombre del campo
+   * @param {Object} data - Registro
+   * @returns {Object} { isValid, errors, issues, value, corrections }
+   */
+  validateField(name, data) {
+    const field = this.fieldsByName.get(name);
+    if (!field) {
+      throw new Error(`Campo no declarado en el esquema: ${name}`);
+    }
+
+    const result = field.check(data || {});
+    const issues = result.issue ? [result.issue] : [];
+
+    return {
+      isValid: issues.length === 0,
+      errors: issues.map(issue => issue.message),
+      issues,
+      value: result.issue || result.value === undefined ? null : result.value,
+      corrections: result.corrections || []
+    };
+  }
+
+  /**
+   * Construye un resultado fallido a nivel de registro
+   */
+  buildFailure(code, message) {
+    return {
+      isValid: false,
+      errors: [message],
+      issues: [{ field: null, code, message }],
+      cleanedData: null
+    };
+  }
+
+  /**
+   * Indica si una key de la entrada corresponde a un campo del esquema o a uno de sus alias
+   */
+  isKnownKey(key) {
+    return this.knownKeys.has(key);
+  }
+
+  /**
+   * Campos requeridos del esquema
+   */
+  getRequiredFields() {
+    return this.fields.filter(field => field.rules.required).map(field => field.name);
+  }
+
+  /**
+   * Campos opcionales del esquema
+   */
+  getOptionalFields() {
+    return this.fields.filter(field => !field.rules.required).map(field => field.name);
+  }
+
+  /**
+   * Descripción de las reglas por campo
+   */
+  describe() {
+    return Object.fromEntries(this.fields.map(({ name, rules }) => [name, rules.description || rules.type]));
+  }
+}
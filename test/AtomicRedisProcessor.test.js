@@ -1,6 +1,8 @@
 import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
 import { AtomicRedisProcessor } from '../src/services/AtomicRedisProcessor.js';
+import { RedisRepository } from '../src/repositories/RedisRepository.js';
+import { dataTypeRegistry } from '../src/config/dataTypes.js';
 
 describe('AtomicRedisProcessor', () => {
   let processor;
@@ -18,7 +20,9 @@ describe('AtomicRedisProcessor', () => {
       getMobileStats: async () => ({ totalRecords: 0, memoryUsage: 0 }),
       getListData: async () => [],
       clearListData: async () => true,
-      addMultipleToList: async () => 1
+      addMultipleToList: async () => 1,
+      findStagingKeys: async () => [],
+      moveListToStaging: async () => 1
     };
   });
 
@@ -36,7 +40,7 @@ describe('AtomicRedisProcessor', () => {
   });
 
   describe('extractAndClearGPSData', () => {
-    it('should extract GPS data and clear Redis immediately when data exists', async () => {
+    it('should move GPS data to staging and free Redis immediately when data exists', async () => {
       // Mock data for GPS extraction
       const mockGPSData = [
         { id: 1, lat: 40.7128, lng: -74.0060, timestamp: '2025-01-25T10:00:00Z' },
@@ -44,7 +48,7 @@ describe('AtomicRedisProcessor', () => {
         { id: 3, lat: 40.7505, lng: -73.9934, timestamp: '2025-01-25T10:02:00Z' }
       ];
 
-      let clearCalled = false;
+      let movedTo = null;
       let extractionOrder = [];
       let statsCallCount = 0;
 
@@ -60,20 +64,24 @@ describe('AtomicRedisProcessor', () => {
             return { totalRecords: 0, memoryUsage: 0 };
           }
         },
+        moveListToStaging: async (key, stagingKey) => {
+          extractionOrder.push('moveListToStaging');
+          assert.strictEqual(key, 'gps:history:global');
+          movedTo = stagingKey;
+          return 3;
+        },
         getListData: async (key) => {
           extractionOrder.push('getListData');
-          assert.strictEqual(key, 'gps:history:global');
+          assert.strictEqual(key, movedTo);
           return mockGPSData;
         },
-        clearListData: async (key) => {
+        clearListData: async () => {
           extractionOrder.push('clearListData');
-          clearCalled = true;
-          assert.strictEqual(key, 'gps:history:global');
           return true;
         }
       };
 
-      const result = await processor.extractAndClearGPSData();
+      const result = await processor.extractAndClearGPSData('run_test');
 
       // Verify extraction was successful
       assert.strictEqual(result.success, true);
@@ -84,11 +92,14 @@ describe('AtomicRedisProcessor', () => {
       assert.strictEqual(result.initialRecords, 3);
       assert.strictEqual(result.finalRecords, 0);
 
-      // Verify Redis was cleared immediately after extraction
-      assert.strictEqual(clearCalled, true);
-      
-      // Verify correct order: stats -> extract -> clear -> final stats
-      assert.deepStrictEqual(extractionOrder, ['getGPSStats', 'getListData', 'clearListData', 'getGPSStats']);
+      // Verify data was moved to a staging key owned by this run
+      assert.strictEqual(movedTo, 'gps:history:global:staging:run_test');
+      assert.strictEqual(result.stagingKey, movedTo);
+      assert.deepStrictEqual(result.stagingKeys, [movedTo]);
+
+      // Verify correct order: stats -> move to staging -> read staging -> final stats
+      // Staging is not deleted during extraction
+      assert.deepStrictEqual(extractionOrder, ['getGPSStats', 'moveListToStaging', 'getListData', 'getGPSStats']);
 
       // Verify timing information is present
       assert.ok(result.extractionTime >= 0);
@@ -142,14 +153,14 @@ describe('AtomicRedisProcessor', () => {
   });
 
   describe('extractAndClearMobileData', () => {
-    it('should extract Mobile data and clear Redis immediately when data exists', async () => {
+    it('should move Mobile data to staging and free Redis immediately when data exists', async () => {
       // Mock data for Mobile extraction
       const mockMobileData = [
         { id: 1, deviceId: 'device1', signal: -70, timestamp: '2025-01-25T10:00:00Z' },
         { id: 2, deviceId: 'device2', signal: -65, timestamp: '2025-01-25T10:01:00Z' }
       ];
 
-      let clearCalled = false;
+      let movedTo = null;
       let extractionOrder = [];
       let mobileStatsCallCount = 0;
 
@@ -165,20 +176,24 @@ describe('AtomicRedisProcessor', () => {
             return { totalRecords: 0, memoryUsage: 0 };
           }
         },
+        moveListToStaging: async (key, stagingKey) => {
+          extractionOrder.push('moveListToStaging');
+          assert.strictEqual(key, 'mobile:history:global');
+          movedTo = stagingKey;
+          return 2;
+        },
         getListData: async (key) => {
           extractionOrder.push('getListData');
-          assert.strictEqual(key, 'mobile:history:global');
+          assert.strictEqual(key, movedTo);
           return mockMobileData;
         },
-        clearListData: async (key) => {
+        clearListData: async () => {
           extractionOrder.push('clearListData');
-          clearCalled = true;
-          assert.strictEqual(key, 'mobile:history:global');
           return true;
         }
       };
 
-      const result = await processor.extractAndClearMobileData();
+      const result = await processor.extractAndClearMobileData('run_test');
 
       // Verify extraction was successful
       assert.strictEqual(result.success, true);
@@ -189,11 +204,12 @@ describe('AtomicRedisProcessor', () => {
       assert.strictEqual(result.initialRecords, 2);
       assert.strictEqual(result.finalRecords, 0);
 
-      // Verify Redis was cleared immediately after extraction
-      assert.strictEqual(clearCalled, true);
-      
-      // Verify correct order: stats -> extract -> clear -> final stats
-      assert.deepStrictEqual(extractionOrder, ['getMobileStats', 'getListData', 'clearListData', 'getMobileStats']);
+      // Verify data was moved to a staging key owned by this run
+      assert.strictEqual(movedTo, 'mobile:history:global:staging:run_test');
+      assert.deepStrictEqual(result.stagingKeys, [movedTo]);
+
+      // Verify correct order: stats -> move to staging -> read staging -> final stats
+      assert.deepStrictEqual(extractionOrder, ['getMobileStats', 'moveListToStaging', 'getListData', 'getMobileStats']);
     });
 
     it('should handle empty Mobile data gracefully', async () => {
@@ -261,10 +277,19 @@ describe('AtomicRedisProcessor', () => {
             return { totalRecords: 0, memoryUsage: 0 };
           }
         },
+        findStagingKeys: async (key) => {
+          operationOrder.push(`findStagingKeys-${key}`);
+          return [];
+        },
+        moveListToStaging: async (key) => {
+          operationOrder.push(`moveListToStaging-${key}`);
+          return 1;
+        },
         getListData: async (key) => {
-          operationOrder.push(`getListData-${key}`);
-          if (key === 'gps:history:global') return mockGPSData;
-          if (key === 'mobile:history:global') return mockMobileData;
+          const sourceKey = key.split(':staging:')[0];
+          operationOrder.push(`getListData-${sourceKey}`);
+          if (sourceKey === 'gps:history:global') return mockGPSData;
+          if (sourceKey === 'mobile:history:global') return mockMobileData;
           return [];
         },
         clearListData: async (key) => {
@@ -292,6 +317,10 @@ describe('AtomicRedisProcessor', () => {
       assert.deepStrictEqual(result.mobile.data, mockMobileData);
       assert.strictEqual(result.mobile.cleared, true);
 
+      // Both types share the run id for their staging keys
+      assert.deepStrictEqual(result.gps.stagingKeys, [`gps:history:global:staging:${result.runId}`]);
+      assert.deepStrictEqual(result.mobile.stagingKeys, [`mobile:history:global:staging:${result.runId}`]);
+
       // Verify statistics
       assert.strictEqual(result.initialStats.gps, 1);
       assert.strictEqual(result.initialStats.mobile, 1);
@@ -303,8 +332,9 @@ describe('AtomicRedisProcessor', () => {
       // Verify coordinated execution order
       const expectedOrder = [
         'getGPSStats', 'getMobileStats', // Initial stats
-        'getGPSStats', 'getListData-gps:history:global', 'clearListData-gps:history:global', 'getGPSStats', // GPS extraction
-        'getMobileStats', 'getListData-mobile:history:global', 'clearListData-mobile:history:global', 'getMobileStats', // Mobile extraction
+        'findStagingKeys-gps:history:global', 'findStagingKeys-mobile:history:global', // Pending staging
+        'getGPSStats', 'findStagingKeys-gps:history:global', 'moveListToStaging-gps:history:global', 'getListData-gps:history:global', 'getGPSStats', // GPS extraction
+        'getMobileStats', 'findStagingKeys-mobile:history:global', 'moveListToStaging-mobile:history:global', 'getListData-mobile:history:global', 'getMobileStats', // Mobile extraction
         'getGPSStats', 'getMobileStats' // Final stats
       ];
       assert.deepStrictEqual(operationOrder, expectedOrder);
@@ -336,10 +366,10 @@ describe('AtomicRedisProcessor', () => {
         getGPSStats: async () => ({ totalRecords: 1, memoryUsage: 256 }),
         getMobileStats: async () => ({ totalRecords: 1, memoryUsage: 256 }),
         getListData: async (key) => {
-          if (key === 'gps:history:global') {
+          if (key.startsWith('gps:history:global:staging:')) {
             throw new Error('GPS extraction failed');
           }
-          if (key === 'mobile:history:global') {
+          if (key.startsWith('mobile:history:global:staging:')) {
             return mockMobileData;
           }
           return [];
@@ -372,10 +402,10 @@ describe('AtomicRedisProcessor', () => {
         getGPSStats: async () => ({ totalRecords: 1, memoryUsage: 256 }),
         getMobileStats: async () => ({ totalRecords: 1, memoryUsage: 256 }),
         getListData: async (key) => {
-          if (key === 'gps:history:global') {
+          if (key.startsWith('gps:history:global:staging:')) {
             return mockGPSData;
           }
-          if (key === 'mobile:history:global') {
+          if (key.startsWith('mobile:history:global:staging:')) {
             throw new Error('Mobile extraction failed');
           }
           return [];
@@ -422,20 +452,20 @@ describe('AtomicRedisProcessor', () => {
             return { totalRecords: 1, memoryUsage: 256 };
           }
         },
-        getListData: async (key) => {
-          assert.strictEqual(key, 'gps:history:global');
-          return initialGPSData;
-        },
-        clearListData: async (key) => {
+        moveListToStaging: async (key) => {
           assert.strictEqual(key, 'gps:history:global');
           redisCleared = true;
           
-          // Simulate new data arriving immediately after clearing
+          // Simulate new data arriving immediately after the move
           setTimeout(() => {
             newDataAdded = true;
           }, 1);
           
-          return true;
+          return 1;
+        },
+        getListData: async (key) => {
+          assert.ok(key.startsWith('gps:history:global:staging:'));
+          return initialGPSData;
         },
         addMultipleToList: async (key, data) => {
           // Simulate new data being added to clean Redis
@@ -485,14 +515,14 @@ describe('AtomicRedisProcessor', () => {
             return { totalRecords: 1, memoryUsage: 256 };
           }
         },
-        getListData: async (key) => {
-          assert.strictEqual(key, 'mobile:history:global');
-          return initialMobileData;
-        },
-        clearListData: async (key) => {
+        moveListToStaging: async (key) => {
           assert.strictEqual(key, 'mobile:history:global');
           redisCleared = true;
-          return true;
+          return 1;
+        },
+        getListData: async (key) => {
+          assert.ok(key.startsWith('mobile:history:global:staging:'));
+          return initialMobileData;
         }
       };
 
@@ -511,28 +541,32 @@ describe('AtomicRedisProcessor', () => {
   });
 
   describe('atomic operations verification', () => {
-    it('should ensure atomic extraction and clearing for GPS data', async () => {
+    it('should move GPS data to staging before reading and keep staging until released', async () => {
       const mockData = [
         { id: 1, lat: 40.7128, lng: -74.0060 },
         { id: 2, lat: 40.7589, lng: -73.9851 }
       ];
 
+      let moved = false;
       let extractionCompleted = false;
-      let clearingStarted = false;
+      const clearedKeys = [];
 
       processor.redisRepo = {
         ...mockRedisRepo,
         getGPSStats: async () => ({ totalRecords: 2, memoryUsage: 512 }),
+        moveListToStaging: async () => {
+          moved = true;
+          return 2;
+        },
         getListData: async (key) => {
-          // Simulate extraction taking some time
+          // Live list is already free before the (slow) read from staging
+          assert.strictEqual(moved, true);
           await new Promise(resolve => setTimeout(resolve, 10));
           extractionCompleted = true;
           return mockData;
         },
         clearListData: async (key) => {
-          // Verify extraction completed before clearing starts
-          assert.strictEqual(extractionCompleted, true);
-          clearingStarted = true;
+          clearedKeys.push(key);
           return true;
         }
       };
@@ -541,30 +575,39 @@ describe('AtomicRedisProcessor', () => {
 
       assert.strictEqual(result.success, true);
       assert.strictEqual(extractionCompleted, true);
-      assert.strictEqual(clearingStarted, true);
+      assert.deepStrictEqual(clearedKeys, []);
+
+      const released = await processor.releaseStagingKeys(result.stagingKeys);
+      assert.strictEqual(released, 1);
+      assert.deepStrictEqual(clearedKeys, result.stagingKeys);
       assert.strictEqual(result.recordCount, 2);
       assert.strictEqual(result.cleared, true);
     });
 
-    it('should ensure atomic extraction and clearing for Mobile data', async () => {
+    it('should move Mobile data to staging before reading and keep staging until released', async () => {
       const mockData = [
         { id: 1, deviceId: 'device1', signal: -70 }
       ];
 
+      let moved = false;
       let extractionCompleted = false;
-      let clearingStarted = false;
+      const clearedKeys = [];
 
       processor.redisRepo = {
         ...mockRedisRepo,
         getMobileStats: async () => ({ totalRecords: 1, memoryUsage: 256 }),
+        moveListToStaging: async () => {
+          moved = true;
+          return 1;
+        },
         getListData: async (key) => {
+          assert.strictEqual(moved, true);
           await new Promise(resolve => setTimeout(resolve, 10));
           extractionCompleted = true;
           return mockData;
         },
         clearListData: async (key) => {
-          assert.strictEqual(extractionCompleted, true);
-          clearingStarted = true;
+          clearedKeys.push(key);
           return true;
         }
       };
@@ -573,12 +616,302 @@ describe('AtomicRedisProcessor', () => {
 
       assert.strictEqual(result.success, true);
       assert.strictEqual(extractionCompleted, true);
-      assert.strictEqual(clearingStarted, true);
+      assert.deepStrictEqual(clearedKeys, []);
       assert.strictEqual(result.recordCount, 1);
       assert.strictEqual(result.cleared, true);
     });
   });
 
+  describe('staging resume', () => {
+    it('should resume leftover staging keys even when the live list is empty', async () => {
+      const leftoverKey = 'gps:history:global:staging:run_previous';
+      const leftoverData = [{ id: 1, lat: -12.0464, lng: -77.0428 }];
+      let moveCalled = false;
+
+      processor.redisRepo = {
+        ...mockRedisRepo,
+        getGPSStats: async () => ({ totalRecords: 0, memoryUsage: 0 }),
+        findStagingKeys: async () => [leftoverKey],
+        moveListToStaging: async () => {
+          moveCalled = true;
+          return 0;
+        },
+        getListData: async (key) => {
+          assert.strictEqual(key, leftoverKey);
+          return leftoverData;
+        }
+      };
+
+      const result = await processor.extractAndClearGPSData();
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(moveCalled, false);
+      assert.strictEqual(result.recordCount, 1);
+      assert.deepStrictEqual(result.data, leftoverData);
+      assert.deepStrictEqual(result.stagingKeys, [leftoverKey]);
+      assert.deepStrictEqual(result.resumedStagingKeys, [leftoverKey]);
+      assert.strictEqual(result.cleared, false);
+    });
+
+    it('should combine leftover staging with the current run staging', async () => {
+      const leftoverKey = 'mobile:history:global:staging:run_previous';
+
+      processor.redisRepo = {
+        ...mockRedisRepo,
+        getMobileStats: async () => ({ totalRecords: 1, memoryUsage: 256 }),
+        findStagingKeys: async () => [leftoverKey],
+        moveListToStaging: async () => 1,
+        getListData: async (key) => [{ source: key }]
+      };
+
+      const result = await processor.extractAndClearMobileData('run_current');
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.recordCount, 2);
+      assert.deepStrictEqual(result.stagingKeys, [
+        leftoverKey,
+        'mobile:history:global:staging:run_current'
+      ]);
+    });
+
+    it('should run coordinated extraction when only staging keys are pending', async () => {
+      processor.redisRepo = {
+        ...mockRedisRepo,
+        getGPSStats: async () => ({ totalRecords: 0, memoryUsage: 0 }),
+        getMobileStats: async () => ({ totalRecords: 0, memoryUsage: 0 }),
+        findStagingKeys: async (key) => key === 'gps:history:global'
+          ? ['gps:history:global:staging:run_previous']
+          : [],
+        getListData: async () => [{ id: 1 }]
+      };
+
+      const result = await processor.extractAllData();
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.totalRecords, 1);
+      assert.deepStrictEqual(result.gps.stagingKeys, ['gps:history:global:staging:run_previous']);
+      assert.deepStrictEqual(result.mobile.stagingKeys, []);
+    });
+
+    it('should keep releasing remaining staging keys when one deletion fails', async () => {
+      processor.redisRepo = {
+        ...mockRedisRepo,
+        clearListData: async (key) => {
+          if (key.endsWith('run_a')) {
+            throw new Error('Redis unavailable');
+          }
+          return true;
+        }
+      };
+
+      const released = await processor.releaseStagingKeys([
+        'gps:history:global:staging:run_a',
+        'gps:history:global:staging:run_b'
+      ]);
+
+      assert.strictEqual(released, 1);
+    });
+  });
+
+  describe('extractAllDataInChunks', () => {
+    const createChunkedRepo = (gpsItems, released) => {
+      const lists = new Map();
+
+      return {
+        ...mockRedisRepo,
+        getGPSStats: async () => ({ totalRecords: lists.has('gps:history:global') ? 0 : gpsItems.length, memoryUsage: 0 }),
+        moveListToStaging: async (key, stagingKey) => {
+          if (key !== 'gps:history:global') return 0;
+          lists.set(stagingKey, [...gpsItems]);
+          lists.set(key, []);
+          return gpsItems.length;
+        },
+        popListChunk: async (key, count, inflightKey) => {
+          const items = lists.get(key) || [];
+          const data = items.splice(0, count);
+          // Como el RPUSH del script: se agrega a lo que ya tenga la key inflight
+          if (data.length > 0) lists.set(inflightKey, [...(lists.get(inflightKey) || []), ...data]);
+          return { data, bytes: data.length * 10 };
+        },
+        getListData: async (key) => [...(lists.get(key) || [])],
+        getListLength: async (key) => (lists.get(key) || []).length,
+        clearListData: async (key) => {
+          released.push(key);
+          lists.delete(key);
+          return true;
+        },
+        lists
+      };
+    };
+
+    it('should hand each chunk to the callback and release it once secured', async () => {
+      const released = [];
+      const gpsItems = Array.from({ length: 5 }, (_, i) => ({ id: i }));
+      processor.redisRepo = createChunkedRepo(gpsItems, released);
+      processor.chunkedExtraction = { enabled: true, chunkSize: 2, maxChunksPerRun: 0, maxBytesPerRun: 0 };
+
+      const chunkSizes = [];
+      const result = await processor.extractAllDataInChunks(async (dataType, data) => {
+        chunkSizes.push(`${dataType}:${data.length}`);
+        return { success: true, recordsProcessed: data.length, secured: true };
+      });
+
+      assert.strictEqual(result.success, true);
+      assert.deepStrictEqual(chunkSizes, ['gps:2', 'gps:2', 'gps:1']);
+      assert.strictEqual(result.gps.chunks, 3);
+      assert.strictEqual(result.gps.recordsProcessed, 5);
+      assert.strictEqual(result.totalChunks, 3);
+      assert.strictEqual(result.totalBytes, 50);
+      assert.strictEqual(result.capReached, false);
+      assert.strictEqual(released.length, 3);
+      assert.ok(released.every(key => key.endsWith(':inflight')));
+    });
+
+    it('should stop at the per-run chunk cap and leave the rest in staging', async () => {
+      const released = [];
+      processor.redisRepo = createChunkedRepo(Array.from({ length: 5 }, (_, i) => ({ id: i })), released);
+      processor.chunkedExtraction = { enabled: true, chunkSize: 2, maxChunksPerRun: 1, maxBytesPerRun: 0 };
+
+      const result = await processor.extractAllDataInChunks(async (dataType, data) => (
+        { success: true, recordsProcessed: data.length, secured: true }
+      ));
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.totalChunks, 1);
+      assert.strictEqual(result.gps.recordCount, 2);
+      assert.strictEqual(result.capReached, true);
+    });
+
+    it('should recover a chunk left inflight by a crashed run before popping from its staging key', async () => {
+      const released = [];
+      const repo = createChunkedRepo([], released);
+      const stagingKey = 'gps:history:global:staging:run_old';
+      repo.lists.set(stagingKey, [{ id: 2 }, { id: 3 }, { id: 4 }]);
+      repo.lists.set(`${stagingKey}:inflight`, [{ id: 0 }, { id: 1 }]);
+      // SCAN devuelve la staging key antes que su key inflight
+      repo.findStagingKeys = async (key) => key === 'gps:history:global' ? [stagingKey, `${stagingKey}:inflight`] : [];
+      processor.redisRepo = repo;
+      processor.chunkedExtraction = { enabled: true, chunkSize: 2, maxChunksPerRun: 0, maxBytesPerRun: 0 };
+
+      const chunks = [];
+      const result = await processor.extractAllDataInChunks(async (dataType, data) => {
+        chunks.push(data.map(item => item.id));
+        return { success: true, recordsProcessed: data.length, secured: true };
+      });
+
+      assert.strictEqual(result.success, true);
+      assert.deepStrictEqual(chunks, [[0, 1], [2, 3], [4]]);
+      assert.strictEqual(result.gps.recordsProcessed, 5);
+      assert.ok([...repo.lists.values()].every(items => items.length === 0));
+      assert.deepStrictEqual(released, [`${stagingKey}:inflight`, `${stagingKey}:inflight`, `${stagingKey}:inflight`]);
+    });
+
+    it('should keep an unsecured chunk inflight and stop extracting that type', async () => {
+      const released = [];
+      processor.redisRepo = createChunkedRepo(Array.from({ length: 4 }, (_, i) => ({ id: i })), released);
+      processor.chunkedExtraction = { enabled: true, chunkSize: 2, maxChunksPerRun: 0, maxBytesPerRun: 0 };
+
+      const result = await processor.extractAllDataInChunks(async () => (
+        { success: false, error: 'GCS down', recordsProcessed: 0, secured: false }
+      ));
+
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.gps.chunks, 1);
+      assert.deepStrictEqual(result.gps.errors, ['GCS down']);
+      assert.deepStrictEqual(released, []);
+    });
+  });
+
+  describe('sharded keys', () => {
+    let gpsDefinition;
+    let originalSources;
+
+    beforeEach(() => {
+      gpsDefinition = dataTypeRegistry.require('gps');
+      originalSources = { redisKeys: gpsDefinition.redisKeys, redisKeyPattern: gpsDefinition.redisKeyPattern };
+      gpsDefinition.redisKeyPattern = 'gps:history:*';
+    });
+
+    afterEach(() => {
+      Object.assign(gpsDefinition, originalSources);
+    });
+
+    const createShardedRepo = (shards) => {
+      const lists = new Map(Object.entries(shards));
+
+      return {
+        ...mockRedisRepo,
+        resolveListKeys: async (keys, pattern) => {
+          assert.strictEqual(pattern, 'gps:history:*');
+          return [...new Set([...keys, ...Object.keys(shards)])];
+        },
+        getGPSStats: async () => ({ totalRecords: (lists.get('gps:history:global') || []).length, memoryUsage: 0 }),
+        getListStats: async (key) => ({ totalRecords: (lists.get(key) || []).length, memoryUsage: 0 }),
+        moveListToStaging: async (key, stagingKey) => {
+          const items = lists.get(key) || [];
+          lists.set(stagingKey, items);
+          lists.delete(key);
+          return items.length;
+        },
+        getListData: async (key) => lists.get(key) || []
+      };
+    };
+
+    it('should drain every matching key in the same run and report per-key counts', async () => {
+      processor.redisRepo = createShardedRepo({
+        'gps:history:zone-a': [{ id: 1 }, { id: 2 }],
+        'gps:history:zone-b': [{ id: 3 }]
+      });
+
+      const result = await processor.extractAndClearGPSData('run_test');
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.recordCount, 3);
+      assert.deepStrictEqual(result.keyCounts, {
+        'gps:history:global': 0,
+        'gps:history:zone-a': 2,
+        'gps:history:zone-b': 1
+      });
+      assert.deepStrictEqual(result.stagingKeys, [
+        'gps:history:zone-a:staging:run_test',
+        'gps:history:zone-b:staging:run_test'
+      ]);
+    });
+
+    it('should include sharded keys in coordinated extraction stats and results', async () => {
+      processor.redisRepo = createShardedRepo({
+        'gps:history:zone-a': [{ id: 1 }],
+        'gps:history:zone-b': [{ id: 2 }, { id: 3 }]
+      });
+
+      const result = await processor.extractAllData();
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.initialStats.gps, 3);
+      assert.strictEqual(result.gps.recordCount, 3);
+      assert.deepStrictEqual(result.gps.keyCounts, {
+        'gps:history:global': 0,
+        'gps:history:zone-a': 1,
+        'gps:history:zone-b': 2
+      });
+    });
+
+    it('should map staging keys found by the pattern back to their source list', async () => {
+      const repo = new RedisRepository();
+      repo.connect = async () => true;
+      repo.client = {
+        scan: async (cursor, ...args) => {
+          assert.deepStrictEqual(args, ['MATCH', 'gps:history:*', 'COUNT', 100, 'TYPE', 'list']);
+          return ['0', ['gps:history:zone-a', 'gps:history:zone-c:staging:run_old', 'gps:history:zone-c:staging:run_old:inflight']];
+        }
+      };
+
+      const keys = await repo.resolveListKeys(['gps:history:global'], 'gps:history:*');
+
+      assert.deepStrictEqual(keys, ['gps:history:global', 'gps:history:zone-a', 'gps:history:zone-c']);
+    });
+  });
+
   describe('error handling and recovery', () => {
     it('should handle partial failures in coordinated extraction', async () => {
       processor.redisRepo = {
@@ -586,7 +919,7 @@ describe('AtomicRedisProcessor', () => {
         getGPSStats: async () => ({ totalRecords: 1, memoryUsage: 256 }),
         getMobileStats: async () => ({ totalRecords: 1, memoryUsage: 256 }),
         getListData: async (key) => {
-          if (key === 'gps:history:global') {
+          if (key.startsWith('gps:history:global:staging:')) {
             return [{ id: 1, lat: 40.7128, lng: -74.0060 }];
           }
           throw new Error('Mobile data extraction failed');
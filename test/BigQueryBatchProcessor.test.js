@@ -266,6 +266,66 @@ describe('BigQueryBatchProcessor', () => {
     });
   });
 
+  describe('upgradeTableSchema', () => {
+    it('should add missing nullable columns and keep existing ones', async () => {
+      const currentFields = [
+        { name: 'deviceId', type: 'STRING', mode: 'REQUIRED' },
+        { name: 'timestamp', type: 'TIMESTAMP', mode: 'REQUIRED' }
+      ];
+      let updatedMetadata = null;
+      const table = {
+        getMetadata: async () => [{ schema: { fields: currentFields } }],
+        setMetadata: async (metadata) => { updatedMetadata = metadata; }
+      };
+
+      const added = await processor.upgradeTableSchema(table, 'gps_records', [
+        ...currentFields,
+        { name: 'lat', type: 'FLOAT', mode: 'REQUIRED' },
+        { name: 'timestamp_correction', type: 'STRING', mode: 'NULLABLE' }
+      ]);
+
+      assert.deepStrictEqual(added, ['timestamp_correction']);
+      assert.deepStrictEqual(updatedMetadata.schema.fields.map(field => field.name), ['deviceId', 'timestamp', 'timestamp_correction']);
+      assert.deepStrictEqual(await processor.upgradeTableSchema(table, 'gps_records', currentFields), []);
+    });
+  });
+
+  describe('source formats', () => {
+    it('should load each staging file with the sourceFormat of its extension', async () => {
+      const loads = [];
+      processor.simulationMode = false;
+      processor.isInitialized = true;
+      processor.dataset = { table: () => ({}) };
+      processor.bigQuery = {
+        createJob: async (options) => {
+          loads.push(options.configuration.load);
+          return [{
+            promise: async () => [{ status: { state: 'DONE' }, statistics: { load: { outputRows: '2', inputFileBytes: '512' } } }]
+          }];
+        }
+      };
+
+      for (const fileName of ['batch.json', 'batch.json.gz', 'batch.avro', 'batch.parquet']) {
+        const result = await processor.processGCSFile(`gs://test-bucket/gps-data/${fileName}`, 'gps', { processingId: 'gps_1' });
+        assert.strictEqual(result.success, true);
+      }
+
+      assert.deepStrictEqual(loads.map(load => load.sourceFormat), ['NEWLINE_DELIMITED_JSON', 'NEWLINE_DELIMITED_JSON', 'AVRO', 'PARQUET']);
+      assert.deepStrictEqual(loads.map(load => load.useAvroLogicalTypes), [undefined, undefined, true, undefined]);
+    });
+
+    it('should reject URIs outside GCS without creating a load job', async () => {
+      processor.simulationMode = false;
+      processor.isInitialized = true;
+      processor.bigQuery = { createJob: async () => assert.fail('no debe crear el job de carga') };
+
+      const result = await processor.processGCSFile('s3://test-bucket/gps-data/batch.json', 'gps');
+
+      assert.strictEqual(result.success, false);
+      assert.match(result.error, /solo carga archivos de GCS/);
+    });
+  });
+
   describe('getStatus', () => {
     it('should return status in simulation mode', async () => {
       await processor.initialize();
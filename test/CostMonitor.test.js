@@ -0,0 +1,43 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { CostMonitor } from '../src/utils/CostMonitor.js';
+
+describe('CostMonitor', () => {
+  let statsCalls;
+  let monitor;
+
+  beforeEach(() => {
+    statsCalls = 0;
+    const gcsAdapter = {
+      getBucketStats: async () => {
+        statsCalls++;
+        return { totalFiles: 2, totalSize: 2048, filesByType: { gps: 2 } };
+      }
+    };
+
+    monitor = new CostMonitor(gcsAdapter);
+    monitor.metricsCollector = { updateGCSStorageMetrics: async () => {} };
+  });
+
+  it('should measure the bucket once per storage stats TTL', async () => {
+    await monitor.refreshStorageMetrics();
+    await monitor.refreshStorageMetrics();
+    assert.strictEqual(statsCalls, 1);
+
+    monitor.storageStatsCache.lastUpdate = Date.now() - monitor.storageStatsCache.ttl;
+    await monitor.refreshStorageMetrics();
+    assert.strictEqual(statsCalls, 2);
+  });
+
+  it('should retry the measurement after a failed listing', async () => {
+    monitor.gcsAdapter.getBucketStats = async () => {
+      statsCalls++;
+      throw new Error('list failed');
+    };
+
+    await monitor.refreshStorageMetrics();
+    await monitor.refreshStorageMetrics();
+    assert.strictEqual(statsCalls, 2);
+    assert.strictEqual(monitor.storageStatsCache.lastUpdate, null);
+  });
+});
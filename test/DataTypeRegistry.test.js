@@ -0,0 +1,73 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { DataTypeRegistry, dataTypeRegistry } from '../src/config/dataTypes.js';
+import { DataSeparator } from '../src/services/DataSeparator.js';
+import { GCSAdapter } from '../src/adapters/GCSAdapter.js';
+
+const busDefinition = {
+  name: 'bus',
+  label: 'Bus',
+  redisKey: 'bus:history:global',
+  gcsPrefix: 'bus-data/',
+  validation: {
+    fields: [
+      { name: 'busId', rule: 'identifier' },
+      { name: 'lat', rule: 'latitude' },
+      { name: 'lng', rule: 'longitude' },
+      { name: 'timestamp', rule: 'timestamp' }
+    ]
+  },
+  bigQuery: {
+    tableId: 'bus_records',
+    schema: [
+      { name: 'busId', type: 'STRING', mode: 'REQUIRED' },
+      { name: 'lat', type: 'FLOAT', mode: 'REQUIRED' },
+      { name: 'lng', type: 'FLOAT', mode: 'REQUIRED' },
+      { name: 'timestamp', type: 'TIMESTAMP', mode: 'REQUIRED' }
+    ]
+  }
+};
+
+describe('DataTypeRegistry', () => {
+  afterEach(() => {
+    dataTypeRegistry.unregister('bus');
+  });
+
+  it('should register gps and mobile by default', () => {
+    assert.deepStrictEqual(dataTypeRegistry.names(), ['gps', 'mobile']);
+    assert.strictEqual(dataTypeRegistry.describeNames(), '"gps" o "mobile"');
+    assert.strictEqual(dataTypeRegistry.require('mobile').redisKey, 'mobile:history:global');
+  });
+
+  it('should reject incomplete definitions', () => {
+    const registry = new DataTypeRegistry();
+
+    assert.throws(() => registry.register({ name: 'bus' }), /faltan: redisKey, gcsPrefix/);
+    assert.throws(() => registry.register({ ...busDefinition, bigQuery: { tableId: 'bus_records' } }), /bigQuery\.tableId y bigQuery\.schema/);
+    assert.throws(() => registry.require('bus'), /Tipo de datos no registrado: bus/);
+  });
+
+  it('should apply defaults to registered types', () => {
+    const definition = dataTypeRegistry.register(busDefinition);
+
+    assert.strictEqual(definition.metricsBucket, 'bus');
+    assert.strictEqual(definition.validation.errorLabel, 'Bus');
+    assert.strictEqual(dataTypeRegistry.findByTable('bus_records').name, 'bus');
+    assert.strictEqual(dataTypeRegistry.findByGCSFileName('bus-data/2024-01-15_run.json').name, 'bus');
+    assert.strictEqual(dataTypeRegistry.getTableMap().bus, 'bus_records');
+  });
+
+  it('should drive validation and GCS prefixes for a new type', () => {
+    dataTypeRegistry.register(busDefinition);
+
+    const result = new DataSeparator().validateData([
+      { busId: 'bus-1', lat: -12.0464, lng: -77.0428, timestamp: '2024-01-15T10:30:00Z' },
+      { lat: -12.0464, lng: -77.0428 }
+    ], 'bus');
+
+    assert.strictEqual(result.stats.valid, 1);
+    assert.strictEqual(result.stats.invalid, 1);
+    assert.strictEqual(result.validData[0].busId, 'bus-1');
+    assert.strictEqual(new GCSAdapter().getDataTypePrefix('bus'), 'bus-data/');
+  });
+});
@@ -0,0 +1,220 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DeadLetterService } from '../src/services/DeadLetterService.js';
+import { DataSeparator } from '../src/services/DataSeparator.js';
+import { PrivacyService } from '../src/services/PrivacyService.js';
+import { RedisStreamSource } from '../src/services/RedisStreamSource.js';
+
+describe('DeadLetterService', () => {
+  let storagePath;
+  let pushed;
+  let gcsFiles;
+  let service;
+  let dataSeparator;
+
+  beforeEach(async () => {
+    storagePath = await fs.mkdtemp(path.join(os.tmpdir(), 'dead-letter-'));
+    pushed = [];
+    gcsFiles = new Map();
+    dataSeparator = new DataSeparator();
+
+    const redisRepo = {
+      addMultipleToList: async (key, records) => {
+        pushed.push({ key, records });
+        return records.length;
+      }
+    };
+    const gcsAdapter = {
+      uploadJSONLines: async (jsonLines, fileName) => {
+        gcsFiles.set(fileName, jsonLines);
+        return { success: true, fileName };
+      },
+      deleteFile: async (fileName) => gcsFiles.delete(fileName)
+    };
+
+    service = new DeadLetterService(redisRepo, dataSeparator, gcsAdapter, {
+      enabled: true,
+      storagePath,
+      gcsPrefix: 'dead-letter/',
+      retentionDays: 30,
+      adminToken: 'dl-secret'
+    });
+  });
+
+  afterEach(async () => {
+    await fs.rm(storagePath, { recursive: true, force: true });
+  });
+
+  const saveRejected = async (records, context = { runId: 'run_1', source: 'test' }) => {
+    const validation = await dataSeparator.validateData(records, 'gps');
+    return await service.save('gps', validation.invalidData, context);
+  };
+
+  it('should keep original payload, errors, codes and run id of rejected records', async () => {
+    const result = await saveRejected([
+      { deviceId: 'dev-1', lat: -12.04, lng: -77.04, timestamp: '2025-01-15T10:30:00Z' },
+      { deviceId: 'dev-2', lat: 95, lng: -77.04, timestamp: '2025-01-15T10:30:00Z' }
+    ]);
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.saved, 1);
+    assert.strictEqual(gcsFiles.has(`dead-letter/gps/${result.batchId}.jsonl`), true);
+
+    const batch = await service.get(result.batchId);
+    assert.strictEqual(batch.runId, 'run_1');
+    assert.strictEqual(batch.entries[0].index, 1);
+    assert.strictEqual(batch.entries[0].identifier, 'dev-2');
+    assert.deepStrictEqual(batch.entries[0].record, { deviceId: 'dev-2', lat: 95, lng: -77.04, timestamp: '2025-01-15T10:30:00Z' });
+    assert.deepStrictEqual(batch.entries[0].codes, ['OUT_OF_RANGE']);
+
+    const listed = await service.list({ identifier: 'dev-2' });
+    assert.strictEqual(listed.length, 1);
+    assert.deepStrictEqual(listed[0].codes, { OUT_OF_RANGE: 1 });
+    assert.strictEqual((await service.list({ runId: 'other' })).length, 0);
+  });
+
+  it('should replay fixed records and keep the ones still invalid', async () => {
+    const { batchId } = await saveRejected([
+      { deviceId: 'dev-2', lat: 95, lng: -77.04 },
+      { deviceId: 'dev-3', lng: -77.04 }
+    ]);
+
+    const result = await service.replay(batchId, {
+      fixes: [
+        { entryId: 'e0', record: { deviceId: 'dev-2', lat: -12.04, lng: -77.04 } },
+        { entryId: 'e1', record: { deviceId: 'dev-3', lat: 'north', lng: -77.04 } }
+      ]
+    });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.replayed, 1);
+    assert.strictEqual(result.remaining, 1);
+    assert.deepStrictEqual(result.stillInvalid[0].codes, ['INVALID_TYPE']);
+    assert.deepStrictEqual(pushed, [{ key: 'gps:history:global', records: [{ deviceId: 'dev-2', lat: -12.04, lng: -77.04 }] }]);
+
+    const batch = await service.get(batchId);
+    assert.deepStrictEqual(batch.entries.map(entry => entry.id), ['e1']);
+    assert.strictEqual(batch.entries[0].record.lat, 'north');
+
+    const unknown = await service.replay(batchId, { entryIds: ['e9'] });
+    assert.strictEqual(unknown.statusCode, 400);
+  });
+
+  it('should delete the batch and its GCS copy once every entry is replayed', async () => {
+    const { batchId } = await saveRejected([{ deviceId: 'dev-2', lat: 95, lng: -77.04 }]);
+
+    await service.replay(batchId, { fixes: [{ entryId: 'e0', record: { deviceId: 'dev-2', lat: 5, lng: -77.04 } }] });
+
+    assert.strictEqual(await service.get(batchId), null);
+    assert.strictEqual(gcsFiles.size, 0);
+    assert.strictEqual((await service.replay(batchId)).statusCode, 404);
+  });
+
+  it('should replay into the type stream instead of the list in stream mode', async () => {
+    const appended = [];
+    const streamRepo = {
+      addMultipleToStream: async (key, records) => {
+        appended.push({ key, records });
+        return records.length;
+      }
+    };
+    service.streamSource = new RedisStreamSource(streamRepo, { enabled: true, gpsKey: 'gps:stream' });
+
+    const { batchId } = await saveRejected([{ deviceId: 'dev-2', lat: 95, lng: -77.04 }]);
+    const result = await service.replay(batchId, { fixes: [{ entryId: 'e0', record: { deviceId: 'dev-2', lat: 5, lng: -77.04 } }] });
+
+    assert.strictEqual(result.key, 'gps:stream');
+    assert.strictEqual(pushed.length, 0);
+    assert.deepStrictEqual(appended, [{ key: 'gps:stream', records: [{ deviceId: 'dev-2', lat: 5, lng: -77.04 }] }]);
+  });
+
+  it('should replay the sealed original of records stored with privacy protection', async () => {
+    const privacyConfig = {
+      enabled: true,
+      rules: { mobile: { email: 'hmac', userId: 'hmac', name: 'truncate' } },
+      hmacKey: 'test-hmac-key',
+      encryptionKey: '0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef',
+      encryptionKeyFile: null,
+      truncateLength: 1,
+      mappingEnabled: false
+    };
+    const privacyService = new PrivacyService({}, privacyConfig);
+    service.privacyService = privacyService;
+
+    const point = (lat) => ({ userId: 'user-1', lat, lng: -77.0428, timestamp: '2025-01-15T10:00:00.000Z', name: 'Ana Pérez', email: 'ana@example.com' });
+    const validation = await dataSeparator.validateData([point(95), point(-12.0464)], 'mobile');
+    const rejected = await privacyService.protectRejected('mobile', validation.invalidData);
+    // Un punto válido descartado después de la privacidad (geocercas o trayectorias)
+    const [droppedRecord] = (await privacyService.protect('mobile', validation.validData)).records;
+    const entries = privacyService.sealRejected('mobile', [...rejected, { index: 1, record: droppedRecord, errors: ['outside'], issues: [] }]);
+    const { batchId } = await service.save('mobile', entries, { runId: 'run_1' });
+
+    const stored = await service.get(batchId);
+    assert.notStrictEqual(stored.entries[0].record.email, 'ana@example.com');
+    assert.ok(stored.entries.every(entry => entry.protected && entry.sealedRecord.startsWith('enc:v1:')));
+    assert.ok(!JSON.stringify(stored).includes('ana@example.com'));
+
+    const result = await service.replay(batchId);
+
+    // El original inválido sigue en el dead-letter, protegido; el válido se reinyecta en claro, una sola vez protegido por el pipeline
+    assert.strictEqual(result.replayed, 1);
+    assert.deepStrictEqual(result.stillInvalid.map(item => item.entryId), ['e0']);
+    assert.deepStrictEqual(pushed[0].records, [point(-12.0464)]);
+    const remaining = await service.get(batchId);
+    assert.ok(!JSON.stringify(remaining).includes('ana@example.com'));
+    assert.deepStrictEqual(privacyService.unseal(remaining.entries[0].sealedRecord), point(95));
+
+    const fixed = await service.replay(batchId, { fixes: [{ entryId: 'e0', record: point(-12.05) }] });
+    assert.strictEqual(fixed.replayed, 1);
+    assert.deepStrictEqual(pushed[1].records, [point(-12.05)]);
+  });
+
+  it('should not replay protected records without a recoverable original', async () => {
+    service.privacyService = new PrivacyService({}, {
+      enabled: true,
+      rules: { mobile: { email: 'hmac' } },
+      hmacKey: 'test-hmac-key',
+      encryptionKey: null,
+      encryptionKeyFile: null,
+      mappingEnabled: false
+    });
+
+    const validation = await dataSeparator.validateData([{ userId: 'user-1', lat: 95, lng: -77.04, email: 'ana@example.com' }], 'mobile');
+    const entries = service.privacyService.sealRejected('mobile', await service.privacyService.protectRejected('mobile', validation.invalidData));
+    const { batchId } = await service.save('mobile', entries, { runId: 'run_1' });
+
+    const result = await service.replay(batchId);
+
+    assert.strictEqual(result.replayed, 0);
+    assert.match(result.stillInvalid[0].errors[0], /no recoverable original/);
+    assert.strictEqual(pushed.length, 0);
+  });
+
+  it('should purge by age and reject unsafe batch ids', async () => {
+    const { batchId } = await saveRejected([{ deviceId: 'dev-2', lat: 95, lng: -77.04 }]);
+    const batch = await service.get(batchId);
+    batch.createdAt = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000).toISOString();
+    await fs.writeFile(path.join(storagePath, `${batchId}.json`), JSON.stringify(batch));
+    await saveRejected([{ deviceId: 'dev-4', lat: 95, lng: -77.04 }], { runId: 'run_2' });
+
+    assert.strictEqual((await service.purge()).statusCode, 400);
+
+    const result = await service.purgeExpired();
+    assert.deepStrictEqual(result.batchIds, [batchId]);
+    assert.strictEqual((await service.list()).length, 1);
+    assert.throws(() => service.getBatchPath('../etc/passwd'), /ID de lote inválido/);
+  });
+
+  it('should only grant access with the configured admin token', () => {
+    assert.strictEqual(service.isPrivileged({ authorization: 'Bearer dl-secret' }), true);
+    assert.strictEqual(service.isPrivileged({ 'x-admin-token': 'dl-secret' }), true);
+    assert.strictEqual(service.isPrivileged({ authorization: 'Bearer dl-secre' }), false);
+    assert.strictEqual(service.isPrivileged({}), false);
+
+    service.config.adminToken = null;
+    assert.strictEqual(service.isPrivileged({ authorization: 'Bearer ' }), false);
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { DeduplicationService } from '../src/services/DeduplicationService.js';
+
+describe('DeduplicationService', () => {
+  let sets;
+  let redisRepo;
+  let service;
+  let deduplicationConfig;
+
+  const point = (deviceId, lat, timestamp = '2025-01-15T10:00:00.000Z') => ({
+    deviceId,
+    lat,
+    lng: -77.0428,
+    timestamp
+  });
+
+  beforeEach(() => {
+    sets = {};
+    deduplicationConfig = {
+      enabled: true,
+      ttlHours: 48,
+      coordinatePrecision: 5,
+      keyPrefix: 'dedup:'
+    };
+    redisRepo = {
+      getSetMembership: async (key, members) => members.map(member => Boolean(sets[key]?.has(member))),
+      addSetMembers: async (key, members) => {
+        sets[key] = sets[key] || new Set();
+        members.forEach(member => sets[key].add(member));
+        return members.length;
+      }
+    };
+    service = new DeduplicationService(redisRepo, deduplicationConfig);
+  });
+
+  it('should suppress in-batch duplicates using rounded coordinates', async () => {
+    const records = [
+      point('dev-1', -12.046371),
+      point('dev-1', -12.0463712),
+      point('dev-2', -12.046371),
+      point('dev-1', -12.046371, '2025-01-15T10:00:05.000Z')
+    ];
+
+    const result = await service.check('gps', records);
+
+    assert.strictEqual(result.records.length, 3);
+    assert.deepStrictEqual(result.duplicates, { total: 1, inBatch: 1, crossRun: 0 });
+    assert.deepStrictEqual(Object.keys(result.pending), ['dedup:gps:2025011510']);
+    assert.strictEqual(result.pending['dedup:gps:2025011510'].length, 3);
+  });
+
+  it('should suppress records already committed by a previous run', async () => {
+    const first = await service.check('gps', [point('dev-1', -12.00), point('dev-1', -12.01, '2025-01-15T11:30:00.000Z')]);
+    await service.commit('gps', first.pending);
+
+    const result = await service.check('gps', [point('dev-1', -12.00), point('dev-1', -12.02)]);
+
+    assert.deepStrictEqual(result.records.map(record => record.lat), [-12.02]);
+    assert.deepStrictEqual(result.duplicates, { total: 1, inBatch: 0, crossRun: 1 });
+    assert.ok(sets['dedup:gps:2025011511']);
+  });
+
+  it('should not remember fingerprints of a batch that was never committed', async () => {
+    await service.check('gps', [point('dev-1', -12.00)]);
+
+    const retry = await service.check('gps', [point('dev-1', -12.00)]);
+
+    assert.strictEqual(retry.records.length, 1);
+    assert.strictEqual(retry.duplicates.crossRun, 0);
+  });
+
+  it('should only remember fingerprints of the records committed through pendingFor', async () => {
+    const first = await service.check('gps', [point('dev-1', -12.00), point('dev-1', -12.01), point('dev-2', -12.02)]);
+    await service.commit('gps', service.pendingFor('gps', first.records.slice(0, 1)));
+
+    const retry = await service.check('gps', [point('dev-1', -12.00), point('dev-1', -12.01), point('dev-2', -12.02)]);
+
+    assert.deepStrictEqual(retry.records.map(record => record.lat), [-12.01, -12.02]);
+    assert.deepStrictEqual(retry.duplicates, { total: 1, inBatch: 0, crossRun: 1 });
+
+    deduplicationConfig.enabled = false;
+    assert.deepStrictEqual(service.pendingFor('gps', first.records), {});
+  });
+
+  it('should fall back to in-batch deduplication when Redis fails', async () => {
+    redisRepo.getSetMembership = async () => {
+      throw new Error('Connection is closed.');
+    };
+
+    const result = await service.check('gps', [point('dev-1', -12.00), point('dev-1', -12.00)]);
+
+    assert.strictEqual(result.records.length, 1);
+    assert.deepStrictEqual(result.duplicates, { total: 1, inBatch: 1, crossRun: 0 });
+  });
+
+  it('should keep records without identity and skip disabled or unknown types', async () => {
+    const records = [{ lat: -12.00, lng: -77.04, timestamp: '2025-01-15T10:00:00.000Z' }, point('dev-1', -12.00)];
+
+    const result = await service.check('gps', [...records, records[0]]);
+    assert.strictEqual(result.records.length, 3);
+
+    assert.strictEqual((await service.check('unknown', records)).records, records);
+
+    deduplicationConfig.enabled = false;
+    assert.strictEqual((await service.check('gps', records)).records, records);
+  });
+});
@@ -3,14 +3,16 @@ import assert from 'node:assert';
 import fs from 'fs/promises';
 import path from 'path';
 import { GCSAdapter } from '../src/adapters/GCSAdapter.js';
+import { config } from '../src/config/env.js';
 
 describe('GCSAdapter', () => {
+  const originalStorageBackend = config.storage.backend;
   let gcsAdapter;
   const testStoragePath = 'tmp/test-gcs-simulation/';
 
   beforeEach(async () => {
-    // Configurar modo simulación para tests
-    process.env.GCS_SIMULATION_MODE = 'true';
+    // Configurar modo simulación (backend local) para tests
+    config.storage.backend = 'local';
     process.env.GCS_BUCKET_NAME = 'test-bucket';
     
     gcsAdapter = new GCSAdapter();
@@ -33,7 +35,7 @@ describe('GCSAdapter', () => {
     }
     
     await gcsAdapter.cleanup();
-    delete process.env.GCS_SIMULATION_MODE;
+    config.storage.backend = originalStorageBackend;
     delete process.env.GCS_BUCKET_NAME;
   });
 
@@ -229,6 +231,34 @@ describe('GCSAdapter', () => {
     });
   });
 
+  describe('gzip compression', () => {
+    it('should upload gzip JSON Lines and download them decompressed', async () => {
+      gcsAdapter.compression = { enabled: true, level: 9 };
+      const jsonLines = Array.from({ length: 50 }, (_, index) => JSON.stringify({ deviceId: `device${index}`, lat: -12.0464, lng: -77.0428 })).join('\n');
+
+      const result = await gcsAdapter.uploadJSONLines(jsonLines, 'gps-data/batch.json', { dataType: 'gps' });
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.fileName, 'gps-data/batch.json.gz');
+      assert.ok(result.fileSize < Buffer.byteLength(jsonLines));
+      assert.deepStrictEqual([result.metadata.compression, result.metadata.uncompressedSize], ['gzip', Buffer.byteLength(jsonLines)]);
+
+      const stored = await fs.readFile(path.join(testStoragePath, 'gps-data/batch.json.gz'));
+      assert.deepStrictEqual([stored[0], stored[1]], [0x1f, 0x8b]);
+      assert.strictEqual((await gcsAdapter.downloadFile(result.fileName)).content, jsonLines);
+    });
+
+    it('should keep compressing .gz names when compression is disabled', async () => {
+      const result = await gcsAdapter.uploadJSONLines('{"deviceId":"device1"}', 'recovered.json.gz');
+      const [listed] = await gcsAdapter.listFiles({ prefix: 'recovered' });
+
+      assert.strictEqual(result.fileName, 'recovered.json.gz');
+      assert.strictEqual(listed.contentEncoding, 'gzip');
+      assert.strictEqual((await gcsAdapter.downloadFile('recovered.json.gz')).content, '{"deviceId":"device1"}');
+      assert.strictEqual((await gcsAdapter.uploadJSONLines('{}', 'plain.json')).fileName, 'plain.json');
+    });
+  });
+
   describe('deleteFile', () => {
     beforeEach(async () => {
       await gcsAdapter.initialize();
@@ -304,6 +334,129 @@ describe('GCSAdapter', () => {
     });
   });
 
+  describe('size-bounded parts', () => {
+    it('should split lines by record count and uncompressed bytes', () => {
+      const lines = ['{"a":1}', '{"a":2}', '{"a":3}', `{"big":"${'x'.repeat(40)}"}`, '{"a":5}'];
+
+      gcsAdapter.fileLimits = { maxRecords: 2, maxBytes: 0 };
+      assert.deepStrictEqual(gcsAdapter.splitJSONLines(lines).map(({ start, end }) => [start, end]), [[0, 2], [2, 4], [4, 5]]);
+
+      gcsAdapter.fileLimits = { maxRecords: 0, maxBytes: 20 };
+      assert.deepStrictEqual(gcsAdapter.splitJSONLines(lines).map(({ start, end, bytes }) => [start, end, bytes]), [[0, 2, 16], [2, 3, 8], [3, 4, 51], [4, 5, 8]]);
+
+      gcsAdapter.fileLimits = { maxRecords: 0, maxBytes: 0 };
+      assert.strictEqual(gcsAdapter.splitJSONLines(lines).length, 1);
+      assert.deepStrictEqual(gcsAdapter.splitJSONLines([]), []);
+    });
+
+    it('should number part files and use resumable uploads above the threshold', async () => {
+      gcsAdapter.resumableThresholdBytes = 10;
+      const fileName = gcsAdapter.generateFileName('gps', 'gps_1', { part: 2 });
+
+      assert.ok(fileName.endsWith('_gps_1_part002.json'));
+      assert.strictEqual(gcsAdapter.generateFileName('gps', 'gps_1', {}).endsWith('_gps_1.json'), true);
+      assert.strictEqual((await gcsAdapter.uploadJSONLines('{"a":1}', 'small.json')).resumable, false);
+      assert.strictEqual((await gcsAdapter.uploadJSONLines('{"a":1}\n{"a":2}', 'large.json')).resumable, true);
+    });
+  });
+
+  describe('staging formats', () => {
+    const records = Array.from({ length: 200 }, (_, index) => ({
+      deviceId: `device${index}`,
+      lat: -12.0464 - index / 10000,
+      lng: -77.0428,
+      timestamp: new Date(Date.UTC(2026, 9, 19, 13, 0, index)).toISOString(),
+      speed: index % 2 ? 42.5 : undefined,
+      geofence_tags: index % 3 ? [] : ['centro'],
+      attributes: { battery: index }
+    }));
+    const expected = records.map(record => JSON.parse(JSON.stringify({ ...record, geofence_tags: record.geofence_tags.length ? record.geofence_tags : undefined })));
+
+    for (const format of ['avro', 'parquet']) {
+      it(`should write ${format} files from the BigQuery schema and read them back`, async () => {
+        gcsAdapter.outputFormat = { name: format, extension: `.${format}` };
+        const fileName = gcsAdapter.generateFileName('gps', 'gps_1');
+        const jsonBytes = Buffer.byteLength(records.map(record => JSON.stringify(record)).join('\n'));
+
+        const result = await gcsAdapter.uploadRecords(records, fileName, { dataType: 'gps', processingId: 'gps_1' });
+
+        assert.strictEqual(result.success, true);
+        assert.ok(result.fileName.endsWith(`.${format}`));
+        assert.deepStrictEqual([result.metadata.format, result.metadata.recordCount], [format, 200]);
+        assert.ok(result.fileSize < jsonBytes / 2);
+
+        const downloaded = await gcsAdapter.downloadFile(result.fileName);
+        assert.deepStrictEqual(downloaded.content.split('\n').map(line => JSON.parse(line)), expected);
+      });
+    }
+
+    it('should keep JSON Lines uploads for .json names', async () => {
+      const result = await gcsAdapter.uploadRecords(records.slice(0, 2), 'gps-data/batch.json', { dataType: 'gps' });
+
+      assert.strictEqual(result.metadata.format, 'newline_delimited_json');
+      assert.strictEqual((await gcsAdapter.downloadFile('gps-data/batch.json')).content, records.slice(0, 2).map(record => JSON.stringify(record)).join('\n'));
+    });
+  });
+
+  describe('content-addressed uploads', () => {
+    it('should name files by content hash and skip re-uploading the same content', async () => {
+      gcsAdapter.objectNameTemplate = '{prefix}dt={date}/hour={hour}/{runId}_{chunk}_{processingId}';
+      gcsAdapter.objectNamePattern = gcsAdapter.compileObjectNamePattern(gcsAdapter.objectNameTemplate);
+
+      const jsonLines = '{"deviceId":"device1"}\n{"deviceId":"device2"}';
+      const contentHash = gcsAdapter.computeContentHash(jsonLines);
+      const fileName = gcsAdapter.generateDeterministicFileName('gps', 'gps_1', contentHash, { eventTime: '2026-10-19T13:00:00.000Z' });
+
+      assert.strictEqual(fileName, `gps-data/dt=2026-10-19/hour=08/${contentHash.slice(0, 32)}.json`);
+      assert.strictEqual(gcsAdapter.generateDeterministicFileName('gps', 'gps_2', contentHash, { eventTime: '2026-10-19T13:00:00.000Z' }), fileName);
+      assert.deepStrictEqual(gcsAdapter.getFilePartition(fileName), { date: '2026-10-19', hour: '08', source: 'name' });
+
+      const first = await gcsAdapter.uploadJSONLines(jsonLines, fileName, { dataType: 'gps', contentHash });
+      const replay = await gcsAdapter.uploadJSONLines(jsonLines, fileName, { dataType: 'gps', contentHash });
+      const changed = await gcsAdapter.uploadJSONLines('{"deviceId":"device3"}', fileName, { dataType: 'gps', contentHash: 'abc' });
+
+      assert.deepStrictEqual([first.alreadyExists, replay.alreadyExists, changed.alreadyExists], [undefined, true, undefined]);
+      assert.strictEqual((await gcsAdapter.downloadFile(fileName)).content, '{"deviceId":"device3"}');
+    });
+  });
+
+  describe('partitioned object names', () => {
+    const hiveTemplate = '{prefix}dt={date}/hour={hour}/{runId}_{chunk}_{processingId}';
+
+    beforeEach(async () => {
+      gcsAdapter.objectNameTemplate = hiveTemplate;
+      gcsAdapter.objectNamePattern = gcsAdapter.compileObjectNamePattern(hiveTemplate);
+      await gcsAdapter.initialize();
+    });
+
+    it('should render the template with the event date and hour in Lima time', () => {
+      const fileName = gcsAdapter.generateFileName('gps', 'gps_1', { eventTime: '2026-10-19T04:30:00.000Z', runId: 'run_1', chunk: 3 });
+
+      assert.strictEqual(fileName, 'gps-data/dt=2026-10-18/hour=23/run_1_0003_gps_1.json');
+      assert.deepStrictEqual(gcsAdapter.getFilePartition(fileName), { date: '2026-10-18', hour: '23', source: 'name' });
+      assert.strictEqual(gcsAdapter.getListPrefix('gps'), 'gps-data/');
+      assert.strictEqual(gcsAdapter.getListPrefix('gps', { date: '2026-10-18' }), 'gps-data/dt=2026-10-18/');
+      assert.strictEqual(gcsAdapter.getListPrefix('mobile', { date: '2026-10-18', hour: '23' }), 'mobile-data/dt=2026-10-18/hour=23/');
+    });
+
+    it('should list, age out and delete files across partition folders', async () => {
+      const upload = (eventTime, processingId) => gcsAdapter.uploadJSONLines('{}', gcsAdapter.generateFileName('gps', processingId, { eventTime }), { dataType: 'gps' });
+      const old = await upload('2026-09-01T15:00:00.000Z', 'gps_old');
+      await upload('2026-10-19T15:00:00.000Z', 'gps_new');
+      await gcsAdapter.uploadJSONLines('{}', 'gps-data/legacy_flat.json', { dataType: 'gps' });
+
+      assert.strictEqual((await gcsAdapter.listFiles({ prefix: 'gps-data/' })).length, 3);
+      assert.deepStrictEqual((await gcsAdapter.listFiles({ dataType: 'gps', date: '2026-09-01' })).map(file => file.name), [old.fileName]);
+
+      const oldFiles = await gcsAdapter.listOldFiles(new Date('2026-10-01T00:00:00.000Z'));
+      assert.deepStrictEqual(oldFiles.map(file => file.name), [old.fileName]);
+
+      await gcsAdapter.deleteFile(old.fileName);
+      assert.strictEqual(await fs.access(path.join(testStoragePath, 'gps-data/dt=2026-09-01')).then(() => true).catch(() => false), false);
+      assert.strictEqual((await gcsAdapter.getBucketStats()).totalFiles, 2);
+    });
+  });
+
   describe('getBucketStats', () => {
     beforeEach(async () => {
       await gcsAdapter.initialize();
@@ -373,8 +526,7 @@ describe('GCSAdapter', () => {
       await gcsAdapter.cleanup();
       
       assert.strictEqual(gcsAdapter.isInitialized, false);
-      assert.strictEqual(gcsAdapter.storage, null);
-      assert.strictEqual(gcsAdapter.bucket, null);
+      assert.strictEqual(gcsAdapter.backend, null);
     });
   });
 });
\ No newline at end of file
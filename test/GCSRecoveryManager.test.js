@@ -9,6 +9,7 @@ describe('GCSRecoveryManager', () => {
   let mockGCSAdapter;
   let mockBigQueryProcessor;
   let testRecoveryPath;
+  let uploadedRecords;
 
   beforeEach(async () => {
     // Configurar variables de entorno para tests
@@ -16,14 +17,18 @@ describe('GCSRecoveryManager', () => {
     process.env.GCS_CLEANUP_PROCESSED_FILES = 'true';
     
     // Crear mocks
+    uploadedRecords = [];
     mockGCSAdapter = {
       bucketName: 'test-bucket',
-      uploadJSON: async (data, fileName, metadata) => ({
-        success: true,
-        gcsUri: `gs://test-bucket/${fileName}`,
-        fileName,
-        size: JSON.stringify(data).length
-      }),
+      uploadRecords: async (records, fileName, metadata) => {
+        uploadedRecords.push({ records, fileName, metadata });
+        return {
+          success: true,
+          gcsUri: `gs://test-bucket/${fileName}`,
+          fileName,
+          size: JSON.stringify(records).length
+        };
+      },
       listFiles: async (options = {}) => {
         if (options.prefix === 'existing-file.json') {
           return [{ name: 'existing-file.json', size: 1000 }];
@@ -229,6 +234,33 @@ describe('GCSRecoveryManager', () => {
       assert.strictEqual(result.results[0].success, false);
     });
 
+    it('should skip BigQuery for content that was already loaded', async () => {
+      const contentHash = 'ab12'.repeat(16);
+      const loads = [];
+      mockBigQueryProcessor.processGCSFile = async (gcsUri, dataType, metadata) => {
+        loads.push(gcsUri);
+        return { success: true, jobId: 'job_original', recordsProcessed: metadata.recordCount };
+      };
+
+      await recoveryManager.createGCSBackup('existing-file.json', { dataType: 'gps', recordCount: 100, contentHash });
+      await recoveryManager.processGCSPendingFiles();
+
+      const marker = await recoveryManager.getLoadedMarker('gps', contentHash);
+      assert.deepStrictEqual([marker.gcsFileName, marker.jobId, marker.recordsProcessed], ['existing-file.json', 'job_original', 100]);
+
+      // Replay del mismo contenido: backup pendiente y huérfano
+      await recoveryManager.createGCSBackup('existing-file.json', { dataType: 'gps', recordCount: 100, contentHash });
+      const replay = await recoveryManager.processGCSPendingFiles();
+      const orphans = await recoveryManager.processOrphanFiles([
+        { name: 'gps-data/orphan.json', gcsPath: 'gs://test-bucket/gps-data/orphan.json', dataType: 'gps', metadata: { contentHash } }
+      ]);
+
+      assert.strictEqual(loads.length, 1);
+      assert.deepStrictEqual([replay.processed, replay.results[0].method], [1, 'already_loaded']);
+      assert.deepStrictEqual([orphans.processed, orphans.results[0].method], [1, 'already_loaded']);
+      assert.strictEqual(await recoveryManager.getLoadedMarker('gps', 'cd34'.repeat(16)), null);
+    });
+
     it('should return success when no pending files', async () => {
       const result = await recoveryManager.processGCSPendingFiles();
 
@@ -259,6 +291,9 @@ describe('GCSRecoveryManager', () => {
       assert.strictEqual(result.method, 'original_data_recovery');
       assert.ok(result.jobId);
       assert.ok(result.recordsProcessed > 0);
+      // Un .json se re-sube como JSON Lines (uploadRecords), igual que la subida original
+      assert.deepStrictEqual(uploadedRecords.map(upload => upload.fileName), ['recovery-test.json']);
+      assert.deepStrictEqual(uploadedRecords[0].records, pendingFile.originalData);
     });
 
     it('should fail when no original data available', async () => {
@@ -277,7 +312,7 @@ describe('GCSRecoveryManager', () => {
 
     it('should handle GCS upload failures during recovery', async () => {
       // Mock GCS upload failure
-      mockGCSAdapter.uploadJSON = async () => ({
+      mockGCSAdapter.uploadRecords = async () => ({
         success: false,
         error: 'GCS upload failed'
       });
@@ -3,14 +3,17 @@ import assert from 'node:assert';
 import { GPSProcessorService } from '../src/services/GPSProcessorService.js';
 import fs from 'fs/promises';
 import path from 'path';
+import { config } from '../src/config/env.js';
 
 describe('GPSProcessorService', () => {
+  const originalStorageBackend = config.storage.backend;
   let processor;
   let testTmpPath;
 
   beforeEach(async () => {
     // Configurar variables de entorno para tests
-    process.env.GCS_SIMULATION_MODE = 'true';
+    // Backend local (equivale a GCS_SIMULATION_MODE=true)
+    config.storage.backend = 'local';
     process.env.BIGQUERY_SIMULATION_MODE = 'true';
     process.env.GCS_CLEANUP_PROCESSED_FILES = 'true';
     
@@ -32,7 +35,7 @@ describe('GPSProcessorService', () => {
       // Ignorar errores de limpieza
     }
     
-    delete process.env.GCS_SIMULATION_MODE;
+    config.storage.backend = originalStorageBackend;
     delete process.env.BIGQUERY_SIMULATION_MODE;
     delete process.env.GCS_CLEANUP_PROCESSED_FILES;
   });
@@ -560,4 +563,66 @@ describe('GPSProcessorService', () => {
       assert.strictEqual(result.message, 'No new data to process');
     });
   });
-});
\ No newline at end of file
+});
+describe('GPSProcessorService source metadata and recovery fallback', () => {
+  it('should keep the uploaded records of a single-part upload as recovery fallback', async () => {
+    const processor = new GPSProcessorService();
+    const backups = [];
+    processor.bigQueryProcessor.processGCSFile = async () => ({ success: false, error: 'Load job failed' });
+    processor.recoveryManager.createGCSBackup = async (gcsFileName, metadata, originalData) => {
+      backups.push({ gcsFileName, metadata, originalData });
+      return { success: true, backupId: 'gcs_recovery_test' };
+    };
+
+    const records = [
+      { deviceId: 'device_001', lat: -12.0464, lng: -77.0428, timestamp: '2025-01-15T10:30:00.000Z', quality_flag: 'implausible_speed' }
+    ];
+    const part = {
+      part: 1,
+      partCount: 1,
+      fileName: 'gps-data/abc123.jsonl',
+      gcsPath: 'gs://test-bucket/gps-data/abc123.jsonl',
+      contentHash: 'abc123',
+      recordCount: records.length,
+      records
+    };
+    const gcsResult = {
+      processingId: 'gps_test',
+      validationStats: { total: 2, valid: 1, invalid: 1 },
+      // Registros protegidos sin normalizar ni deduplicar: no deben usarse como fallback
+      protectedRecords: [{ deviceId: 'device_001', lat: '-12.0464', lng: '-77.0428' }, { lat: 200 }]
+    };
+
+    const source = 'atomic_extraction:gps:history:global:shard:1,gps:history:global:shard:2';
+    const result = await processor.loadPartToBigQuery('gps', part, gcsResult, { createBackups: true, source });
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.recoveryCreated, true);
+    assert.strictEqual(backups.length, 1);
+    assert.strictEqual(backups[0].gcsFileName, part.fileName);
+    assert.strictEqual(backups[0].originalData, records);
+    assert.strictEqual(backups[0].metadata.contentHash, part.contentHash);
+    assert.strictEqual(backups[0].metadata.source, source);
+  });
+
+  it('should label the upload metadata and the local backup with the extraction source keys', async () => {
+    const processor = new GPSProcessorService();
+    const uploads = [];
+    const backups = [];
+    processor.uploadDataToGCS = async (data, dataType, metadata) => {
+      uploads.push(metadata);
+      return { success: false, error: 'GCS unavailable' };
+    };
+    processor.backupManager.saveToLocalBackup = async (data, dataType, metadata) => {
+      backups.push(metadata);
+      return { success: true, backupId: 'backup_test' };
+    };
+
+    const source = 'stream:gps:stream:global';
+    const result = await processor.processExtractedDataType('gps', [{ deviceId: 'device_001' }], { source });
+
+    assert.strictEqual(result.backupCreated, true);
+    assert.strictEqual(uploads[0].source, source);
+    assert.strictEqual(backups[0].source, source);
+  });
+});
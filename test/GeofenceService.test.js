@@ -0,0 +1,84 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { GeofenceService } from '../src/services/GeofenceService.js';
+
+describe('GeofenceService', () => {
+  let service;
+  let geofenceConfig;
+
+  const point = (lat, lng) => ({ deviceId: 'dev-1', lat, lng, timestamp: '2025-01-15T10:00:00.000Z' });
+
+  beforeEach(() => {
+    geofenceConfig = {
+      enabled: true,
+      file: 'examples/geofences.lima.geojson',
+      serviceAreaKind: 'service_area',
+      outsideAction: 'flag'
+    };
+    service = new GeofenceService(geofenceConfig);
+  });
+
+  it('should tag points with the polygons that contain them', async () => {
+    const result = await service.tag('gps', [
+      point(-12.0464, -77.0300),
+      point(-12.1200, -77.0300),
+      point(-12.2000, -76.9000)
+    ]);
+
+    assert.deepStrictEqual(result.records[0].geofence_tags, ['lima_metropolitana', 'cercado_de_lima', 'deposito_central']);
+    assert.deepStrictEqual(result.records[1].geofence_tags, ['lima_metropolitana', 'miraflores']);
+    assert.deepStrictEqual(result.records[2].geofence_tags, ['lima_metropolitana']);
+    assert.ok(result.records.every(record => record.in_service_area === true));
+    assert.strictEqual(result.outside, 0);
+  });
+
+  it('should mark or drop points outside the service area', async () => {
+    const records = [point(-12.0464, -77.0300), point(-13.4000, -76.1000)];
+
+    const flagged = await service.tag('gps', records);
+    assert.strictEqual(flagged.records.length, 2);
+    assert.strictEqual(flagged.records[1].in_service_area, false);
+    assert.deepStrictEqual(flagged.records[1].geofence_tags, []);
+
+    geofenceConfig.outsideAction = 'drop';
+    const dropped = await service.tag('gps', records);
+    assert.strictEqual(dropped.records.length, 1);
+    assert.strictEqual(dropped.dropped[0].index, 1);
+    assert.strictEqual(dropped.dropped[0].issues[0].code, 'OUTSIDE_SERVICE_AREA');
+  });
+
+  it('should exclude polygon holes and leave in_service_area null without a service area', async () => {
+    service.features = service.compile({
+      type: 'FeatureCollection',
+      features: [{
+        type: 'Feature',
+        properties: { name: 'anillo', kind: 'district' },
+        geometry: {
+          type: 'Polygon',
+          coordinates: [
+            [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]],
+            [[4, 4], [6, 4], [6, 6], [4, 6], [4, 4]]
+          ]
+        }
+      }]
+    });
+
+    assert.strictEqual(service.contains(service.features[0], 2, 2), true);
+    assert.strictEqual(service.contains(service.features[0], 5, 5), false);
+
+    const result = await service.tag('gps', [point(5, 5)]);
+    assert.strictEqual(result.records[0].in_service_area, null);
+    assert.strictEqual(result.outside, 0);
+  });
+
+  it('should pass records through when disabled or when the file cannot be read', async () => {
+    const records = [point(-13.4000, -76.1000)];
+
+    geofenceConfig.enabled = false;
+    assert.strictEqual((await service.tag('gps', records)).records, records);
+
+    geofenceConfig.enabled = true;
+    geofenceConfig.file = 'tmp/missing-geofences.geojson';
+    assert.strictEqual((await service.tag('gps', records)).records, records);
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { IngestionService } from '../src/services/IngestionService.js';
+import { DataSeparator } from '../src/services/DataSeparator.js';
+import { RedisStreamSource } from '../src/services/RedisStreamSource.js';
+
+describe('IngestionService', () => {
+  let service;
+  let pushed;
+  let ingestionConfig;
+
+  const gpsPoint = (deviceId, lat = -12.0464) => ({
+    deviceId,
+    lat,
+    lng: -77.0428,
+    timestamp: '2024-01-15T10:30:00Z'
+  });
+
+  beforeEach(() => {
+    pushed = [];
+    ingestionConfig = {
+      enabled: true,
+      maxBodyBytes: 1024 * 1024,
+      maxRecordsPerRequest: 3,
+      apiKey: null
+    };
+
+    const mockRedisRepo = {
+      addMultipleToList: async (key, values) => {
+        pushed.push({ key, values });
+        return values.length;
+      }
+    };
+
+    service = new IngestionService(mockRedisRepo, new DataSeparator(), ingestionConfig);
+  });
+
+  it('should enqueue a single GPS point in the configured list', async () => {
+    const result = await service.ingest('gps', JSON.stringify(gpsPoint('dev-1')), 'application/json');
+
+    assert.strictEqual(result.statusCode, 200);
+    assert.strictEqual(result.accepted, 1);
+    assert.strictEqual(result.rejectedCount, 0);
+    assert.strictEqual(pushed[0].key, 'gps:history:global');
+    assert.strictEqual(pushed[0].values[0].deviceId, 'dev-1');
+  });
+
+  it('should enqueue valid records of a batch and report rejected ones with reasons', async () => {
+    const body = JSON.stringify([gpsPoint('dev-1'), gpsPoint('dev-2', 95), { lat: -12.05, lng: -77.03 }]);
+    const result = await service.ingest('gps', body, 'application/json');
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.received, 3);
+    assert.strictEqual(result.accepted, 1);
+    assert.deepStrictEqual(result.rejected.map(item => item.index), [1, 2]);
+    assert.ok(result.rejected[0].errors.some(error => error.includes('Latitude must be between -90 and 90')));
+    assert.ok(result.rejected[1].errors.length > 0);
+    assert.strictEqual(pushed[0].values.length, 1);
+  });
+
+  it('should parse NDJSON and reject malformed lines', async () => {
+    const body = [
+      JSON.stringify({ userId: 'user-1', lat: -12.0464, lng: -77.0428, timestamp: '2024-01-15T10:30:00Z', name: 'Ana', email: 'ana@example.com' }),
+      '{not json',
+      JSON.stringify({ userId: 'user-2', lat: -12.0464, lng: -77.0428, name: 'Luis', email: 'invalid-email' })
+    ].join('\n');
+
+    const result = await service.ingest('mobile', body, 'application/x-ndjson');
+
+    assert.strictEqual(result.key, 'mobile:history:global');
+    assert.strictEqual(result.accepted, 1);
+    assert.strictEqual(result.rejected[0].line, 2);
+    assert.match(result.rejected[0].errors[0], /JSON parse error/);
+    assert.strictEqual(result.rejected[1].index, 2);
+  });
+
+  it('should enqueue in the type stream instead of the list in stream mode', async () => {
+    const appended = [];
+    const mockRedisRepo = {
+      addMultipleToList: async (key, values) => {
+        pushed.push({ key, values });
+        return values.length;
+      },
+      addMultipleToStream: async (key, values) => {
+        appended.push({ key, values });
+        return 10 + values.length;
+      }
+    };
+    const streamSource = new RedisStreamSource(mockRedisRepo, { enabled: true, gpsKey: 'gps:stream' });
+    service = new IngestionService(mockRedisRepo, new DataSeparator(), ingestionConfig, streamSource);
+
+    const result = await service.ingest('gps', JSON.stringify([gpsPoint('dev-1'), gpsPoint('dev-2')]));
+
+    assert.strictEqual(result.statusCode, 200);
+    assert.strictEqual(result.key, 'gps:stream');
+    assert.strictEqual(result.listLength, 12);
+    assert.strictEqual(pushed.length, 0);
+    assert.strictEqual(appended[0].key, 'gps:stream');
+    assert.deepStrictEqual(appended[0].values.map(point => point.deviceId), ['dev-1', 'dev-2']);
+  });
+
+  it('should return 422 without touching Redis when every record is rejected', async () => {
+    const result = await service.ingest('gps', JSON.stringify([{ deviceId: 'dev-1' }]));
+
+    assert.strictEqual(result.statusCode, 422);
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(pushed.length, 0);
+  });
+
+  it('should enforce request limits, unknown types and API keys', async () => {
+    const tooMany = JSON.stringify([gpsPoint('a'), gpsPoint('b'), gpsPoint('c'), gpsPoint('d')]);
+
+    assert.strictEqual((await service.ingest('gps', tooMany)).statusCode, 413);
+    assert.strictEqual((await service.ingest('bus', JSON.stringify(gpsPoint('a')))).statusCode, 404);
+    assert.strictEqual((await service.ingest('gps', '{broken')).statusCode, 400);
+
+    assert.strictEqual(service.isAuthorized({}), false);
+    assert.strictEqual(service.isAuthorized({ authorization: 'Bearer ' }), false);
+
+    ingestionConfig.apiKey = 'secret';
+    assert.strictEqual(service.isAuthorized({}), false);
+    assert.strictEqual(service.isAuthorized({ authorization: 'Bearer secre' }), false);
+    assert.strictEqual(service.isAuthorized({ 'x-api-key': 'secret-extra' }), false);
+    assert.strictEqual(service.isAuthorized({ authorization: 'Bearer secret' }), true);
+    assert.strictEqual(service.isAuthorized({ 'x-api-key': 'secret' }), true);
+  });
+});
@@ -120,6 +120,18 @@ describe('MetricsCollector - Enhanced GCS/BigQuery Metrics', () => {
     });
   });
 
+  describe('Deduplication Metrics', () => {
+    it('should accumulate suppressed duplicates per type', async () => {
+      await metricsCollector.recordDeduplication('gps', { checked: 10, inBatch: 2, crossRun: 1 });
+      await metricsCollector.recordDeduplication('gps', { checked: 5, inBatch: 0, crossRun: 3 });
+
+      const metrics = await metricsCollector.getMetrics();
+
+      assert.deepStrictEqual(metrics.deduplication.byType.gps, { checked: 15, duplicates: 6, inBatch: 2, crossRun: 4 });
+      assert.strictEqual(metrics.summary.duplicatesSuppressed, 6);
+    });
+  });
+
   describe('Utility Methods', () => {
     it('should calculate success rate correctly', () => {
       assert.strictEqual(metricsCollector.calculateSuccessRate(8, 10), '80.00');
@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { PayloadParserRegistry, payloadParsers } from '../src/parsers/PayloadParserRegistry.js';
+import { CSVParser } from '../src/parsers/CSVParser.js';
+import { DataSeparator } from '../src/services/DataSeparator.js';
+import { VALIDATION_ERROR_CODES } from '../src/types/GPSTypes.js';
+
+describe('PayloadParserRegistry', () => {
+  const rmc = '$GPRMC,103000.00,A,1202.784,S,07702.568,W,10.0,180.0,150125,,,A*6A';
+  const gga = '$GPGGA,103000.00,1202.784,S,07702.568,W,1,08,0.9,150.0,M,,M,,*79';
+
+  it('should parse NMEA RMC and GGA sentences with a device prefix', () => {
+    const result = payloadParsers.parseBatch([`dev-1,${rmc}`, `dev-2|${gga}`], 'gps');
+
+    assert.deepStrictEqual(result.records[0].record, {
+      lat: -12.0464,
+      lng: -77.0428,
+      timestamp: '2025-01-15T10:30:00.000Z',
+      speed: 18.52,
+      heading: 180,
+      deviceId: 'dev-1'
+    });
+    assert.strictEqual(result.records[1].record.deviceId, 'dev-2');
+    assert.strictEqual(result.records[1].record.altitude, 150);
+    assert.match(result.records[1].record.timestamp, /T10:30:00\.000Z$/);
+    assert.deepStrictEqual(result.stats, { nmea: { parsed: 2, failed: 0 } });
+
+    const invalid = payloadParsers.parseBatch([rmc.replace('*6A', '*00'), rmc.replace(',A,1202', ',V,1202').replace('*6A', '')], 'gps');
+    assert.deepStrictEqual(invalid.failures.map(failure => failure.error), [
+      'NMEA parse error: Checksum NMEA inválido: *00',
+      'NMEA parse error: RMC sin posición válida (estado V)'
+    ]);
+  });
+
+  it('should expand GeoJSON feature collections into one record per point', () => {
+    const collection = {
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', geometry: { type: 'Point', coordinates: [-77.0428, -12.0464, 150] }, properties: { deviceId: 'dev-1' } },
+        { type: 'Feature', geometry: { type: 'Point', coordinates: [-77.03, -12.12] }, properties: { deviceId: 'dev-2' } }
+      ]
+    };
+    const line = JSON.stringify({ type: 'Feature', geometry: { type: 'LineString', coordinates: [[0, 0], [1, 1]] } });
+
+    const result = payloadParsers.parseBatch([collection, line, '{"deviceId":"dev-3"}'], 'gps');
+
+    assert.deepStrictEqual(result.records.map(({ index, record }) => [index, record.deviceId]), [[0, 'dev-1'], [0, 'dev-2'], [2, 'dev-3']]);
+    assert.deepStrictEqual(result.records[0].record, { deviceId: 'dev-1', lat: -12.0464, lng: -77.0428, altitude: 150 });
+    assert.strictEqual(result.failures[0].error, 'GeoJSON parse error: Feature debe tener geometría Point');
+    assert.deepStrictEqual(result.stats, { geojson: { parsed: 1, failed: 1 }, json: { parsed: 1, failed: 0 } });
+  });
+
+  it('should map CSV lines to the configured column layout', () => {
+    const registry = new PayloadParserRegistry();
+    registry.register(new CSVParser({ csvDelimiter: ';' }));
+    registry.getContext = dataType => ({ dataType, identityField: 'deviceId', csvColumns: ['deviceId', 'lat', 'lng', 'timestamp', 'speed'] });
+
+    const result = registry.parseBatch([
+      'deviceId;lat;lng;timestamp;speed',
+      'dev-1;-12.0464;-77.0428;2025-01-15T10:00:00Z;',
+      '"dev;2";-12.1;-77.0;2025-01-15T10:00:00Z;30',
+      'dev-3;-12.1;-77.0'
+    ], 'gps');
+
+    assert.deepStrictEqual(result.records.map(({ record }) => record), [
+      { deviceId: 'dev-1', lat: '-12.0464', lng: '-77.0428', timestamp: '2025-01-15T10:00:00Z' },
+      { deviceId: 'dev;2', lat: '-12.1', lng: '-77.0', timestamp: '2025-01-15T10:00:00Z', speed: '30' }
+    ]);
+    assert.strictEqual(result.failures[0].format, 'json');
+    assert.deepStrictEqual(result.stats.csv, { parsed: 3, failed: 0 });
+    assert.strictEqual(registry.recognizes('dev-3;-12.1;-77.0;x;1', 'gps'), true);
+    assert.deepStrictEqual(registry.names(), ['csv', 'json']);
+  });
+
+  it('should validate parsed payloads and reject unparseable ones with PARSE_ERROR', () => {
+    const dataSeparator = new DataSeparator();
+
+    assert.strictEqual(dataSeparator.parseRedisValue(`dev-1,${rmc}`, 'gps'), `dev-1,${rmc}`);
+    assert.strictEqual(dataSeparator.parseRedisValue('invalid json', 'gps'), null);
+
+    const result = dataSeparator.validateData([`dev-1,${rmc}`, `dev-1,${rmc.replace('*6A', '*00')}`], 'gps');
+
+    assert.strictEqual(result.validData.length, 1);
+    assert.strictEqual(result.validData[0].deviceId, 'dev-1');
+    assert.strictEqual(result.invalidData[0].index, 1);
+    assert.strictEqual(result.invalidData[0].issues[0].code, VALIDATION_ERROR_CODES.PARSE_ERROR);
+    assert.deepStrictEqual(result.stats.parsing, { nmea: { parsed: 1, failed: 1 } });
+    assert.strictEqual(result.stats.total, 2);
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { PrivacyService } from '../src/services/PrivacyService.js';
+
+describe('PrivacyService', () => {
+  let hashes;
+  let service;
+  let privacyConfig;
+
+  const record = () => ({
+    userId: 'user-123',
+    lat: -12.0464,
+    lng: -77.0428,
+    timestamp: '2025-01-15T10:00:00.000Z',
+    name: 'Juan Pérez',
+    email: 'juan@example.com'
+  });
+
+  beforeEach(() => {
+    hashes = {};
+    privacyConfig = {
+      enabled: true,
+      rules: { mobile: { email: 'hmac', userId: 'hmac', name: 'truncate' } },
+      hmacKey: 'test-hmac-key',
+      encryptionKey: '0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef',
+      encryptionKeyFile: null,
+      truncateLength: 1,
+      redactedValue: '[REDACTED]',
+      mappingEnabled: true,
+      mappingKeyPrefix: 'privacy:map:',
+      adminToken: 'admin-secret'
+    };
+    const redisRepo = {
+      getHashValues: async (key, fields) => Object.fromEntries(fields.filter(field => hashes[key]?.[field]).map(field => [field, hashes[key][field]])),
+      setHashValues: async (key, values) => {
+        hashes[key] = { ...hashes[key], ...values };
+      }
+    };
+    service = new PrivacyService(redisRepo, privacyConfig);
+  });
+
+  it('should pseudonymize and truncate configured fields with stable pseudonyms', async () => {
+    const result = await service.protect('mobile', [record(), record()]);
+    const [first, second] = result.records;
+
+    assert.match(first.email, /^[0-9a-f]{64}$/);
+    assert.notStrictEqual(first.userId, 'user-123');
+    assert.strictEqual(first.email, second.email);
+    assert.strictEqual(first.name, 'J');
+    assert.strictEqual(first.lat, -12.0464);
+    assert.strictEqual(result.protectedFields, 6);
+    assert.ok(!JSON.stringify(result.records).includes('juan@example.com'));
+  });
+
+  it('should encrypt and redact fields and leave other types untouched', async () => {
+    privacyConfig.rules.mobile = { email: 'encrypt', name: 'redact' };
+    const gps = [{ deviceId: 'dev-1', lat: -12, lng: -77 }];
+
+    const { records } = await service.protect('mobile', [record()]);
+
+    assert.ok(records[0].email.startsWith('enc:v1:'));
+    assert.strictEqual(service.decrypt(records[0].email), 'juan@example.com');
+    assert.strictEqual(records[0].name, '[REDACTED]');
+    assert.strictEqual((await service.protect('gps', gps)).records, gps);
+  });
+
+  it('should store encrypted mappings reachable only with the admin token', async () => {
+    const { records } = await service.protect('mobile', [record()]);
+    const pseudonym = records[0].email;
+
+    assert.ok(hashes['privacy:map:mobile:email'][pseudonym].startsWith('enc:v1:'));
+    assert.strictEqual(service.isPrivileged({ authorization: 'Bearer admin-secret' }), true);
+    assert.strictEqual(service.isPrivileged({ 'x-admin-token': 'admin-secret' }), true);
+    assert.strictEqual(service.isPrivileged({ authorization: 'Bearer ingest-key' }), false);
+
+    const resolved = await service.resolvePseudonym('mobile', 'email', pseudonym);
+    assert.strictEqual(resolved.value, 'juan@example.com');
+    assert.strictEqual((await service.resolvePseudonym('mobile', 'name', 'J')).statusCode, 400);
+    assert.strictEqual((await service.resolvePseudonym('mobile', 'email', 'unknown')).statusCode, 404);
+  });
+
+  it('should protect rejected entries without touching non-object records', async () => {
+    const invalid = [
+      { index: 0, record: { ...record(), lat: 'bad' }, errors: ['lat'], issues: [] },
+      { index: 1, record: 'not-json', errors: ['format'], issues: [] }
+    ];
+
+    const protectedEntries = await service.protectRejected('mobile', invalid);
+
+    assert.notStrictEqual(protectedEntries[0].record.email, 'juan@example.com');
+    assert.deepStrictEqual(protectedEntries[0].errors, ['lat']);
+    assert.strictEqual(protectedEntries[1].record, 'not-json');
+  });
+});
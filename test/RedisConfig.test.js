@@ -0,0 +1,128 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  buildRedisOptions,
+  resolveRedisConfig,
+  parseRedisNodes,
+  hashTagKey,
+  untagKey
+} from '../src/config/redis.js';
+
+describe('Redis connection config', () => {
+  let tmpDir;
+  let baseConfig;
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'redis-config-'));
+    await fs.writeFile(path.join(tmpDir, 'ca.pem'), 'CA');
+    await fs.writeFile(path.join(tmpDir, 'client.crt'), 'CERT');
+    await fs.writeFile(path.join(tmpDir, 'client.key'), 'KEY');
+
+    baseConfig = {
+      host: 'localhost',
+      port: 6379,
+      password: 'secret',
+      db: 2,
+      retryDelayOnFailover: 100,
+      maxRetriesPerRequest: 3,
+      lazyConnect: true,
+      mode: 'standalone',
+      username: null,
+      configFile: null,
+      sentinel: { nodes: [], masterName: 'mymaster', password: null, tls: false },
+      cluster: { nodes: [], scaleReads: 'master', dnsLookupPassthrough: false },
+      tls: { enabled: false, caFile: null, certFile: null, keyFile: null, servername: null, rejectUnauthorized: true }
+    };
+  });
+
+  after(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should build standalone options without TLS by default', () => {
+    const { mode, options } = buildRedisOptions(baseConfig);
+
+    assert.strictEqual(mode, 'standalone');
+    assert.strictEqual(options.host, 'localhost');
+    assert.strictEqual(options.db, 2);
+    assert.strictEqual(options.password, 'secret');
+    assert.strictEqual(options.tls, undefined);
+  });
+
+  it('should build sentinel options with CA and client certificate', () => {
+    const { mode, options } = buildRedisOptions({
+      ...baseConfig,
+      mode: 'sentinel',
+      sentinel: { nodes: ['sentinel-a:26379', 'sentinel-b'], masterName: 'gps-master', password: 'sentinel-secret', tls: true },
+      tls: {
+        ...baseConfig.tls,
+        enabled: true,
+        caFile: path.join(tmpDir, 'ca.pem'),
+        certFile: path.join(tmpDir, 'client.crt'),
+        keyFile: path.join(tmpDir, 'client.key')
+      }
+    });
+
+    assert.strictEqual(mode, 'sentinel');
+    assert.deepStrictEqual(options.sentinels, [
+      { host: 'sentinel-a', port: 26379 },
+      { host: 'sentinel-b', port: 26379 }
+    ]);
+    assert.strictEqual(options.name, 'gps-master');
+    assert.strictEqual(options.sentinelPassword, 'sentinel-secret');
+    assert.strictEqual(options.enableTLSForSentinelMode, true);
+    assert.strictEqual(options.tls.ca.toString(), 'CA');
+    assert.strictEqual(options.tls.cert.toString(), 'CERT');
+    assert.strictEqual(options.tls.key.toString(), 'KEY');
+  });
+
+  it('should build cluster options with TLS on every node connection', () => {
+    const { mode, nodes, options } = buildRedisOptions({
+      ...baseConfig,
+      mode: 'cluster',
+      cluster: { nodes: ['node-1:7000', 'node-2:7001'], scaleReads: 'master', dnsLookupPassthrough: true },
+      tls: { ...baseConfig.tls, enabled: true, caFile: path.join(tmpDir, 'ca.pem') }
+    });
+
+    assert.strictEqual(mode, 'cluster');
+    assert.deepStrictEqual(nodes, [{ host: 'node-1', port: 7000 }, { host: 'node-2', port: 7001 }]);
+    assert.strictEqual(options.redisOptions.password, 'secret');
+    assert.strictEqual(options.redisOptions.tls.ca.toString(), 'CA');
+    assert.strictEqual(typeof options.dnsLookup, 'function');
+    assert.strictEqual(options.redisOptions.db, undefined);
+  });
+
+  it('should reject unknown modes and missing nodes', () => {
+    assert.throws(() => buildRedisOptions({ ...baseConfig, mode: 'replica' }), /REDIS_MODE inválido/);
+    assert.throws(() => buildRedisOptions({ ...baseConfig, mode: 'sentinel' }), /REDIS_SENTINELS es requerido/);
+    assert.throws(() => buildRedisOptions({ ...baseConfig, mode: 'cluster' }), /REDIS_CLUSTER_NODES es requerido/);
+  });
+
+  it('should let a config file override env settings', async () => {
+    const configFile = path.join(tmpDir, 'redis.json');
+    await fs.writeFile(configFile, JSON.stringify({
+      mode: 'cluster',
+      cluster: { nodes: [{ host: 'node-1', port: 7000 }] },
+      tls: { enabled: true }
+    }));
+
+    const resolved = resolveRedisConfig({ ...baseConfig, configFile });
+
+    assert.strictEqual(resolved.mode, 'cluster');
+    assert.strictEqual(resolved.cluster.scaleReads, 'master');
+    assert.strictEqual(resolved.tls.enabled, true);
+    assert.strictEqual(resolved.tls.rejectUnauthorized, true);
+    assert.deepStrictEqual(parseRedisNodes(resolved.cluster.nodes), [{ host: 'node-1', port: 7000 }]);
+  });
+
+  it('should keep derived keys in the same cluster hash slot', () => {
+    assert.strictEqual(hashTagKey('gps:history:global', false), 'gps:history:global');
+    assert.strictEqual(hashTagKey('gps:history:global', true), '{gps:history:global}');
+    assert.strictEqual(hashTagKey('gps:history:{zone-a}', true), 'gps:history:{zone-a}');
+    assert.strictEqual(untagKey('{gps:history:global}'), 'gps:history:global');
+    assert.strictEqual(untagKey('gps:history:{zone-a}'), 'gps:history:{zone-a}');
+  });
+});
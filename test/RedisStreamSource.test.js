@@ -0,0 +1,141 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { RedisStreamSource } from '../src/services/RedisStreamSource.js';
+
+describe('RedisStreamSource', () => {
+  let mockRedisRepo;
+  let acked;
+  let streamConfig;
+
+  const createStream = (entries) => {
+    const pending = [...entries];
+    return async (streamKey, group, consumer, count) => pending.splice(0, count);
+  };
+
+  beforeEach(() => {
+    acked = [];
+    streamConfig = {
+      enabled: true,
+      gpsKey: 'gps:stream:global',
+      mobileKey: 'mobile:stream:global',
+      group: 'test-group',
+      consumer: 'test-consumer',
+      batchSize: 2,
+      maxBatchesPerRun: 0,
+      claimIdleMs: 60000
+    };
+
+    mockRedisRepo = {
+      ensureConsumerGroup: async () => true,
+      claimPendingEntries: async () => ({ nextId: '0-0', entries: [] }),
+      readStreamGroup: async () => [],
+      ackStreamEntries: async (streamKey, group, ids) => {
+        acked.push(...ids.map(id => `${streamKey}/${id}`));
+        return ids.length;
+      },
+      getStreamStats: async (streamKey, group) => ({ key: streamKey, group, length: 0, pending: 0 })
+    };
+  });
+
+  it('should create consumer groups for both streams on initialize', async () => {
+    const groups = [];
+    mockRedisRepo.ensureConsumerGroup = async (streamKey, group) => {
+      groups.push(`${streamKey}/${group}`);
+      return true;
+    };
+
+    const source = new RedisStreamSource(mockRedisRepo, streamConfig);
+    await source.initialize();
+
+    assert.strictEqual(source.isInitialized, true);
+    assert.deepStrictEqual(groups, ['gps:stream:global/test-group', 'mobile:stream:global/test-group']);
+  });
+
+  it('should ack entries only after a successful load', async () => {
+    mockRedisRepo.readStreamGroup = async (streamKey, ...rest) => streamKey === 'gps:stream:global'
+      ? gpsStream(streamKey, ...rest)
+      : [];
+    const gpsStream = createStream([
+      { id: '1-0', data: { deviceId: 'a' } },
+      { id: '2-0', data: { deviceId: 'b' } },
+      { id: '3-0', data: { deviceId: 'c' } }
+    ]);
+
+    const batches = [];
+    const source = new RedisStreamSource(mockRedisRepo, streamConfig);
+    const result = await source.consumeAll(async (dataType, data) => {
+      batches.push(`${dataType}:${data.length}`);
+      return { success: true, recordsProcessed: data.length };
+    });
+
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(batches, ['gps:2', 'gps:1']);
+    assert.strictEqual(result.gps.acked, 3);
+    assert.strictEqual(result.gps.recordsProcessed, 3);
+    assert.deepStrictEqual(acked, ['gps:stream:global/1-0', 'gps:stream:global/2-0', 'gps:stream:global/3-0']);
+  });
+
+  it('should leave entries pending when the load fails', async () => {
+    mockRedisRepo.readStreamGroup = createStream([
+      { id: '1-0', data: { deviceId: 'a' } },
+      { id: '2-0', data: { deviceId: 'b' } },
+      { id: '3-0', data: { deviceId: 'c' } }
+    ]);
+
+    const source = new RedisStreamSource(mockRedisRepo, streamConfig);
+    const result = await source.consumeStream('gps', async () => ({
+      success: false,
+      error: 'BigQuery job failed',
+      recordsProcessed: 0
+    }));
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.batches, 1);
+    assert.strictEqual(result.acked, 0);
+    assert.deepStrictEqual(result.errors, ['BigQuery job failed']);
+    assert.deepStrictEqual(acked, []);
+  });
+
+  it('should reclaim idle pending entries before reading new ones', async () => {
+    const order = [];
+    mockRedisRepo.claimPendingEntries = async (streamKey, group, consumer, minIdleMs, count, startId) => {
+      order.push(`claim:${startId}`);
+      assert.strictEqual(minIdleMs, 60000);
+      return startId === '0-0'
+        ? { nextId: '5-0', entries: [{ id: '4-0', data: { deviceId: 'old' } }] }
+        : { nextId: '0-0', entries: [] };
+    };
+    mockRedisRepo.readStreamGroup = async () => {
+      order.push('read');
+      return [];
+    };
+
+    const source = new RedisStreamSource(mockRedisRepo, streamConfig);
+    const result = await source.consumeStream('gps', async (dataType, data) => {
+      order.push(`process:${data[0].deviceId}`);
+      return { success: true, recordsProcessed: data.length };
+    });
+
+    assert.strictEqual(result.reclaimed, 1);
+    assert.strictEqual(result.acked, 1);
+    assert.deepStrictEqual(order, ['claim:0-0', 'process:old', 'claim:5-0', 'read']);
+  });
+
+  it('should respect the per-run batch cap', async () => {
+    streamConfig.maxBatchesPerRun = 1;
+    mockRedisRepo.readStreamGroup = createStream([
+      { id: '1-0', data: {} },
+      { id: '2-0', data: {} },
+      { id: '3-0', data: {} }
+    ]);
+
+    const source = new RedisStreamSource(mockRedisRepo, streamConfig);
+    const result = await source.consumeStream('gps', async (dataType, data) => ({
+      success: true,
+      recordsProcessed: data.length
+    }));
+
+    assert.strictEqual(result.batches, 1);
+    assert.strictEqual(result.acked, 2);
+  });
+});
@@ -0,0 +1,26 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { RequestAuth } from '../src/utils/RequestAuth.js';
+
+describe('RequestAuth', () => {
+  it('should accept the token as Bearer or in the alternate header', () => {
+    assert.strictEqual(RequestAuth.hasToken({ authorization: 'Bearer s3cret' }, 's3cret'), true);
+    assert.strictEqual(RequestAuth.hasToken({ authorization: 'bearer s3cret' }, 's3cret'), true);
+    assert.strictEqual(RequestAuth.hasToken({ 'x-admin-token': 's3cret' }, 's3cret'), true);
+    assert.strictEqual(RequestAuth.hasToken({ 'x-api-key': 's3cret' }, 's3cret', 'x-api-key'), true);
+    assert.strictEqual(RequestAuth.hasToken({ authorization: 'Bearer wrong!', 'x-admin-token': 's3cret' }, 's3cret'), true);
+  });
+
+  it('should reject wrong, missing or differently sized tokens', () => {
+    assert.strictEqual(RequestAuth.hasToken({ authorization: 'Bearer s3cre' }, 's3cret'), false);
+    assert.strictEqual(RequestAuth.hasToken({ authorization: 'Bearer s3cret-long' }, 's3cret'), false);
+    assert.strictEqual(RequestAuth.hasToken({ 'x-api-key': 's3cret' }, 's3cret'), false);
+    assert.strictEqual(RequestAuth.hasToken({ 'x-admin-token': ['s3cret', 's3cret'] }, 's3cret'), false);
+    assert.strictEqual(RequestAuth.hasToken({}, 's3cret'), false);
+  });
+
+  it('should reject every request when no token is configured', () => {
+    assert.strictEqual(RequestAuth.hasToken({ authorization: 'Bearer ' }, null), false);
+    assert.strictEqual(RequestAuth.hasToken({ 'x-admin-token': '' }, ''), false);
+  });
+});
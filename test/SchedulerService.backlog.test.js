@@ -0,0 +1,89 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { SchedulerService } from '../src/services/SchedulerService.js';
+
+describe('SchedulerService - Backlog Trigger', () => {
+  let scheduler;
+  let listLengths;
+  let executions;
+
+  beforeEach(() => {
+    listLengths = { 'gps:history:global': 0, 'mobile:history:global': 0 };
+    executions = [];
+
+    scheduler = new SchedulerService();
+    scheduler.backlogTrigger = {
+      enabled: true,
+      checkIntervalSeconds: 15,
+      recordThreshold: 1000,
+      bytesThreshold: 0,
+      minGapSeconds: 60
+    };
+    scheduler.processor = {
+      redisRepo: {
+        getListLength: async (key) => listLengths[key] || 0,
+        getListStats: async (key) => ({ totalRecords: listLengths[key] || 0, memoryUsage: (listLengths[key] || 0) * 200 })
+      }
+    };
+    scheduler.executeScheduledJob = async (trigger) => {
+      executions.push(trigger);
+      scheduler.lastJobFinishedAt = Date.now();
+    };
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+  });
+
+  it('should not run while the backlog is below the threshold', async () => {
+    listLengths['gps:history:global'] = 600;
+    listLengths['mobile:history:global'] = 300;
+
+    const result = await scheduler.checkBacklog();
+
+    assert.strictEqual(result.triggered, false);
+    assert.strictEqual(result.reason, 'below_threshold');
+    assert.strictEqual(result.backlog.records, 900);
+    assert.strictEqual(executions.length, 0);
+  });
+
+  it('should run early when the record threshold is crossed across all lists', async () => {
+    listLengths['gps:history:global'] = 700;
+    listLengths['mobile:history:global'] = 400;
+
+    const result = await scheduler.checkBacklog();
+
+    assert.strictEqual(result.triggered, true);
+    assert.strictEqual(result.reason, 'records');
+    assert.deepStrictEqual(executions, ['backlog']);
+    assert.strictEqual(scheduler.stats.backlogTriggeredExecutions, 1);
+    assert.strictEqual(scheduler.stats.lastBacklogTrigger.byKey['mobile:history:global'], 400);
+  });
+
+  it('should run early when the byte threshold is crossed', async () => {
+    scheduler.backlogTrigger.recordThreshold = 0;
+    scheduler.backlogTrigger.bytesThreshold = 100000;
+    listLengths['gps:history:global'] = 600;
+
+    const result = await scheduler.checkBacklog();
+
+    assert.strictEqual(result.triggered, true);
+    assert.strictEqual(result.reason, 'bytes');
+    assert.strictEqual(result.backlog.bytes, 120000);
+  });
+
+  it('should keep the minimum gap between runs and skip while a job is running', async () => {
+    listLengths['gps:history:global'] = 5000;
+
+    assert.strictEqual((await scheduler.checkBacklog()).triggered, true);
+    assert.strictEqual((await scheduler.checkBacklog()).reason, 'min_gap');
+
+    scheduler.lastJobFinishedAt = Date.now() - 61000;
+    scheduler.currentJobs = 1;
+    assert.strictEqual((await scheduler.checkBacklog()).reason, 'job_running');
+
+    scheduler.currentJobs = 0;
+    assert.strictEqual((await scheduler.checkBacklog()).triggered, true);
+    assert.deepStrictEqual(executions, ['backlog', 'backlog']);
+  });
+});
@@ -0,0 +1,200 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { SchemaValidator } from '../src/validators/SchemaValidator.js';
+import { GPSValidator } from '../src/validators/GPSValidator.js';
+import { GPSPointSchema, MobilePointSchema, VALIDATION_ERROR_CODES, timestampPolicy } from '../src/types/GPSTypes.js';
+
+describe('SchemaValidator', () => {
+  it('should resolve aliases and coerce values from the GPS point schema', () => {
+    const validator = new SchemaValidator(GPSPointSchema, { subject: 'GPS' });
+
+    const result = validator.validate({
+      device_id: ' dev<1> ',
+      latitude: '0',
+      lon: -77.0428,
+      time: 1705314600000
+    });
+
+    assert.strictEqual(result.isValid, true);
+    assert.deepStrictEqual(result.cleanedData, {
+      deviceId: 'dev1',
+      lat: 0,
+      lng: -77.0428,
+      timestamp: '2024-01-15T10:30:00.000Z'
+    });
+  });
+
+  it('should report consistent error codes per field', () => {
+    const validator = new SchemaValidator(MobilePointSchema, { subject: 'mobile' });
+
+    const result = validator.validate({
+      userId: '   ',
+      lat: 'north',
+      lng: 200,
+      name: 'x'.repeat(101),
+      email: 'not-an-email'
+    });
+
+    assert.strictEqual(result.isValid, false);
+    assert.deepStrictEqual(
+      result.issues.map(issue => [issue.field, issue.code]),
+      [
+        ['userId', VALIDATION_ERROR_CODES.EMPTY],
+        ['lat', VALIDATION_ERROR_CODES.INVALID_TYPE],
+        ['lng', VALIDATION_ERROR_CODES.OUT_OF_RANGE],
+        ['name', VALIDATION_ERROR_CODES.TOO_LONG],
+        ['email', VALIDATION_ERROR_CODES.INVALID_FORMAT]
+      ]
+    );
+    assert.ok(result.errors.includes('Longitude must be between -180 and 180'));
+    assert.strictEqual(validator.validate({}).errors[0], 'userId is required for mobile data');
+    assert.strictEqual(validator.validate('[1]').issues[0].code, VALIDATION_ERROR_CODES.NOT_AN_OBJECT);
+    assert.strictEqual(validator.validate('{bad').issues[0].code, VALIDATION_ERROR_CODES.PARSE_ERROR);
+  });
+
+  it('should compile registry fields from predefined rules', () => {
+    const schema = SchemaValidator.fromFields([
+      { name: 'busId', rule: 'identifier', aliases: ['bus_id'] },
+      { name: 'driver', rule: 'text', maxLength: 5 }
+    ]);
+    const validator = new SchemaValidator(schema);
+
+    assert.deepStrictEqual(validator.validate({ bus_id: 'b-1', driver: 'Ana' }).cleanedData, { busId: 'b-1', driver: 'Ana' });
+    assert.strictEqual(validator.validate({ busId: 'b-1', driver: 'Roberto' }).issues[0].code, VALIDATION_ERROR_CODES.TOO_LONG);
+    assert.throws(() => SchemaValidator.fromFields([{ name: 'x', rule: 'unknown' }]), /Regla de validación desconocida/);
+  });
+
+  it('should clamp, normalize and default optional GPS record fields', () => {
+    const result = new GPSValidator().validateGPSRecord({
+      lat: -12.0464,
+      lng: -77.0428,
+      speed: 900,
+      bearing: -90,
+      altitude: 'high',
+      accuracy: -3,
+      source: 'tracker'
+    });
+
+    assert.strictEqual(result.isValid, true);
+    assert.strictEqual(result.cleanedData.latitude, -12.0464);
+    assert.strictEqual(result.cleanedData.speed, 500);
+    assert.strictEqual(result.cleanedData.heading, 270);
+    assert.strictEqual(result.cleanedData.altitude, undefined);
+    assert.strictEqual(result.cleanedData.accuracy, 0);
+    assert.strictEqual(result.cleanedData.device_id, 'unknown');
+    assert.strictEqual(result.cleanedData.source, 'tracker');
+    assert.strictEqual(result.cleanedData.lat, undefined);
+  });
+
+  it('should keep GPS point telemetry and group configured extra fields into attributes', () => {
+    const point = {
+      deviceId: 'dev-1',
+      lat: -12.0464,
+      lng: -77.0428,
+      timestamp: '2025-01-15T10:00:00.000Z',
+      speed: '42.5',
+      alt: 150,
+      accuracy: 'n/a',
+      battery: 87,
+      firmware: '2.1',
+      attributes: { route_id: 'R-12' }
+    };
+
+    const allowed = new SchemaValidator(GPSPointSchema, { attributes: { field: 'attributes', keys: ['battery', 'route_id'] } });
+    const result = allowed.validate(point);
+
+    assert.strictEqual(result.cleanedData.speed, 42.5);
+    assert.strictEqual(result.cleanedData.altitude, 150);
+    assert.strictEqual(result.cleanedData.accuracy, undefined);
+    assert.deepStrictEqual(result.cleanedData.attributes, { route_id: 'R-12', battery: 87 });
+
+    const all = new SchemaValidator(GPSPointSchema, { attributes: { field: 'attributes', keys: ['*'] } });
+    assert.deepStrictEqual(all.validate(point).cleanedData.attributes, { route_id: 'R-12', battery: 87, firmware: '2.1' });
+    assert.strictEqual(new SchemaValidator(GPSPointSchema).validate(point).cleanedData.attributes, undefined);
+  });
+
+  it('should normalize comma decimals, DMS strings and swapped coordinates', () => {
+    const lima = { minLat: -12.6, maxLat: -11.5, minLng: -77.4, maxLng: -76.6 };
+    const validator = new SchemaValidator(GPSPointSchema, {
+      coordinates: { latitude: 'lat', longitude: 'lng', referenceRegion: lima }
+    });
+    const point = (lat, lng) => validator.validate({ deviceId: 'dev-1', lat, lng, timestamp: '2025-01-15T10:00:00.000Z' });
+
+    const comma = point('-12,0464', '-77,0428').cleanedData;
+    assert.deepStrictEqual([comma.lat, comma.lng, comma.coordinate_normalization], [-12.0464, -77.0428, 'comma_decimal']);
+
+    const dms = point('12°2\'47"S', '77 2 34.08 W').cleanedData;
+    assert.deepStrictEqual([dms.lat, dms.lng, dms.coordinate_normalization], [-12.0463889, -77.0428, 'dms']);
+
+    const swapped = point(-77.0428, '-12,0464').cleanedData;
+    assert.deepStrictEqual([swapped.lat, swapped.lng, swapped.coordinate_normalization], [-12.0464, -77.0428, 'swapped_lat_lng,comma_decimal']);
+
+    const outside = point(40.7128, -74.006).cleanedData;
+    assert.deepStrictEqual([outside.lat, outside.coordinate_normalization], [40.7128, undefined]);
+
+    assert.strictEqual(point('12°2\'47"W', -77.0428).issues[0].code, VALIDATION_ERROR_CODES.INVALID_FORMAT);
+    assert.strictEqual(point('12°75\'S', -77.0428).issues[0].code, VALIDATION_ERROR_CODES.INVALID_FORMAT);
+    assert.strictEqual(new GPSValidator().validateLatitude({ latitude: '12°2\'47"S' }).value, -12.0463889);
+  });
+
+  describe('timestamps', () => {
+    const withPolicy = (options) => new SchemaValidator({
+      ...GPSPointSchema,
+      timestamp: {
+        ...GPSPointSchema.timestamp,
+        ...timestampPolicy({ maxFutureSeconds: 300, maxAgeHours: 72, timezone: 'America/Lima', ...options })
+      }
+    }, { subject: 'GPS' });
+    const point = (timestamp) => ({ deviceId: 'dev-1', lat: -12.0464, lng: -77.0428, timestamp });
+
+    it('should accept epoch seconds and interpret offset-less times in the configured timezone', () => {
+      const validator = withPolicy({ mode: 'lenient' });
+
+      const seconds = validator.validate(point(1705314600)).cleanedData;
+      assert.strictEqual(seconds.timestamp, '2024-01-15T10:30:00.000Z');
+      assert.strictEqual(seconds.timestamp_correction, 'epoch_seconds');
+
+      const local = validator.validate(point('2024-01-15 05:30:00')).cleanedData;
+      assert.strictEqual(local.timestamp, '2024-01-15T10:30:00.000Z');
+      assert.strictEqual(local.timestamp_correction, 'assumed_timezone');
+
+      const explicit = validator.validate(point('2024-01-15T05:30:00-05:00')).cleanedData;
+      assert.strictEqual(explicit.timestamp, '2024-01-15T10:30:00.000Z');
+      assert.strictEqual(explicit.timestamp_correction, undefined);
+
+      const missing = validator.validate(point(undefined)).cleanedData;
+      assert.ok(Math.abs(Date.parse(missing.timestamp) - Date.now()) < 5000);
+      assert.strictEqual(missing.timestamp_correction, 'defaulted_missing');
+      assert.strictEqual(validator.validate(point('yesterday')).cleanedData.timestamp_correction, 'defaulted_invalid');
+    });
+
+    it('should reject missing, invalid and out-of-window timestamps in strict mode', () => {
+      const validator = withPolicy({ mode: 'strict' });
+      const issue = (timestamp) => validator.validate(point(timestamp)).issues[0];
+
+      assert.strictEqual(issue(undefined).code, VALIDATION_ERROR_CODES.REQUIRED);
+      assert.strictEqual(issue('yesterday').code, VALIDATION_ERROR_CODES.INVALID_FORMAT);
+      assert.deepStrictEqual(issue(Date.now() + 3600 * 1000), {
+        field: 'timestamp',
+        code: VALIDATION_ERROR_CODES.OUT_OF_RANGE,
+        message: 'timestamp is more than 300 seconds in the future'
+      });
+      assert.strictEqual(issue(new Date(Date.now() - 100 * 3600 * 1000).toISOString()).message, 'timestamp is older than 72 hours');
+      assert.strictEqual(validator.validate(point(new Date().toISOString())).isValid, true);
+    });
+
+    it('should keep out-of-window timestamps flagged in flag mode', () => {
+      const validator = withPolicy({ mode: 'flag' });
+      const future = new Date(Date.now() + 3600 * 1000).toISOString();
+
+      const result = validator.validate(point(future));
+      assert.strictEqual(result.isValid, true);
+      assert.strictEqual(result.cleanedData.timestamp, future);
+      assert.strictEqual(result.cleanedData.timestamp_correction, 'future_flagged');
+      assert.strictEqual(
+        validator.validate(point(Math.floor(Date.now() / 1000) - 100 * 3600)).cleanedData.timestamp_correction,
+        'epoch_seconds,too_old_flagged'
+      );
+    });
+  });
+});
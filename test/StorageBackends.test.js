@@ -0,0 +1,156 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import { S3StorageBackend, StorageBackend, createStorageBackend } from '../src/storage/storageBackends.js';
+import { GCSAdapter } from '../src/adapters/GCSAdapter.js';
+
+describe('StorageBackends', () => {
+  const rootPath = 'tmp/test-storage-backends/';
+
+  beforeEach(async () => {
+    await fs.rm(rootPath, { recursive: true, force: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(rootPath, { recursive: true, force: true });
+  });
+
+  it('should store, list, update and delete objects on the local filesystem', async () => {
+    const backend = createStorageBackend('local', { rootPath, bucketName: 'test-bucket' });
+    await backend.initialize();
+
+    await backend.upload('gps-data/dt=2026-10-19/a.json', '{"id":1}', { contentType: 'application/json', metadata: { dataType: 'gps' } });
+    await backend.upload('mobile-data/b.json', '{"id":2}\n{"id":3}', { contentType: 'application/json', metadata: { dataType: 'mobile' } });
+
+    const listed = await backend.list({ prefix: 'gps-data/' });
+    assert.deepStrictEqual(listed.map(object => object.name), ['gps-data/dt=2026-10-19/a.json']);
+    assert.strictEqual(listed[0].metadata.dataType, 'gps');
+
+    assert.strictEqual(await backend.updateMetadata('gps-data/dt=2026-10-19/a.json', { loaded: true }), true);
+    const downloaded = await backend.download('gps-data/dt=2026-10-19/a.json');
+    assert.strictEqual(downloaded.content.toString(), '{"id":1}');
+    assert.deepStrictEqual(downloaded.metadata, { dataType: 'gps', loaded: true });
+
+    assert.deepStrictEqual(await backend.stats(), { totalFiles: 2, totalSize: 25, filesByType: { gps: 1, mobile: 1 } });
+    assert.strictEqual(backend.uri('mobile-data/b.json'), 'gs://test-bucket/mobile-data/b.json');
+
+    assert.strictEqual(await backend.delete('gps-data/dt=2026-10-19/a.json'), true);
+    assert.strictEqual(await backend.delete('gps-data/dt=2026-10-19/a.json'), false);
+    assert.strictEqual(await backend.download('gps-data/dt=2026-10-19/a.json'), null);
+    // La carpeta de partición vacía se elimina
+    await assert.rejects(fs.stat(`${rootPath}gps-data`));
+
+    await assert.rejects(backend.upload('../outside.json', '{}'), /Nombre de objeto inválido/);
+  });
+
+  it('should page S3 listings and keep metadata in sidecar objects', async () => {
+    const backend = new S3StorageBackend({ endpoint: 'http://localhost:9000', region: 'us-east-1', bucketName: 'test-bucket' });
+    const objects = new Map();
+    const sent = [];
+    const body = content => ({
+      transformToByteArray: async () => new Uint8Array(Buffer.from(content)),
+      transformToString: async () => content
+    });
+    const notFound = () => Object.assign(new Error('NoSuchKey'), { name: 'NoSuchKey' });
+
+    backend.client = {
+      send: async (command) => {
+        const { Key, ContinuationToken } = command.input;
+        sent.push(command.constructor.name);
+
+        switch (command.constructor.name) {
+          case 'PutObjectCommand':
+            objects.set(Key, { content: String(command.input.Body), contentType: command.input.ContentType });
+            return {};
+          case 'GetObjectCommand':
+            if (!objects.has(Key)) throw notFound();
+            return { Body: body(objects.get(Key).content), ContentLength: objects.get(Key).content.length, ContentType: objects.get(Key).contentType };
+          case 'ListObjectsV2Command': {
+            // Páginas de 3 claves (incluidos los objetos de metadata)
+            const keys = [...objects.keys()].sort();
+            const start = Number(ContinuationToken || 0);
+            const page = keys.slice(start, start + 3);
+            return {
+              Contents: page.map(key => ({ Key: key, Size: objects.get(key).content.length })),
+              IsTruncated: start + 3 < keys.length,
+              NextContinuationToken: String(start + 3)
+            };
+          }
+          default:
+            throw new Error(`Comando inesperado: ${command.constructor.name}`);
+        }
+      }
+    };
+
+    await backend.upload('gps-data/a.json', '{"id":1}', { contentType: 'application/json', metadata: { dataType: 'gps', contentHash: 'abcDEF' } });
+    await backend.upload('gps-data/b.avro', Buffer.from('avro'), { contentType: 'application/avro', metadata: { dataType: 'gps' } });
+    await backend.upload('gps-data/c.json', '{"id":3}', { contentType: 'application/json', metadata: { dataType: 'gps' } });
+
+    const listed = await backend.list({ prefix: 'gps-data/' });
+    assert.deepStrictEqual(listed.map(object => object.name), ['gps-data/a.json', 'gps-data/b.avro', 'gps-data/c.json']);
+    assert.strictEqual(listed[0].metadata.contentHash, 'abcDEF');
+    assert.strictEqual(listed[1].contentType, 'application/avro');
+    assert.ok(sent.filter(name => name === 'ListObjectsV2Command').length > 1);
+
+    assert.strictEqual((await backend.list({ prefix: 'gps-data/', maxResults: 2 })).length, 2);
+    assert.strictEqual(await backend.download('gps-data/missing.json'), null);
+    assert.strictEqual(backend.uri('gps-data/a.json'), 's3://test-bucket/gps-data/a.json');
+  });
+
+  it('should route GCSAdapter operations through the configured backend', async () => {
+    const stored = new Map();
+    const backend = new StorageBackend('s3', 'test-bucket');
+    backend.upload = async (name, content, options) => {
+      stored.set(name, { content: Buffer.from(content), ...options });
+      return { name, size: Buffer.byteLength(content) };
+    };
+    backend.exists = async (name) => stored.has(name)
+      ? { name, size: stored.get(name).content.length, metadata: stored.get(name).metadata }
+      : null;
+    backend.download = async (name) => stored.has(name) ? { ...(await backend.exists(name)), content: stored.get(name).content } : null;
+    backend.list = async ({ prefix = '' }) => [...stored.keys()]
+      .filter(name => name.startsWith(prefix))
+      .map(name => ({ name, size: stored.get(name).content.length, created: '2026-10-19T08:00:00.000Z', metadata: stored.get(name).metadata }));
+    backend.delete = async (name) => stored.delete(name);
+
+    const gcsAdapter = new GCSAdapter();
+    gcsAdapter.simulationMode = false;
+    gcsAdapter.isInitialized = true;
+    gcsAdapter.backend = backend;
+
+    const upload = await gcsAdapter.uploadJSONLines('{"id":1}\n{"id":2}', 'gps-data/batch.json', { dataType: 'gps' });
+    assert.strictEqual(upload.success, true);
+    assert.strictEqual(upload.gcsUri, 's3://test-bucket/gps-data/batch.json');
+    assert.strictEqual(upload.simulated, undefined);
+    assert.strictEqual(stored.get('gps-data/batch.json').metadata.recordCount, 2);
+
+    const files = await gcsAdapter.listFiles({ prefix: 'gps-data/', dataType: 'gps' });
+    assert.deepStrictEqual(files.map(file => file.gcsPath), ['s3://test-bucket/gps-data/batch.json']);
+
+    const download = await gcsAdapter.downloadFile('gps-data/batch.json');
+    assert.strictEqual(download.content, '{"id":1}\n{"id":2}');
+
+    const stats = await gcsAdapter.getBucketStats();
+    assert.strictEqual(stats.totalFiles, 1);
+    assert.deepStrictEqual(stats.filesByType, { gps: 1 });
+
+    assert.strictEqual((await gcsAdapter.deleteFile('gps-data/batch.json')).deletedAt !== undefined, true);
+    assert.strictEqual((await gcsAdapter.deleteFile('gps-data/batch.json')).message, 'File not found, considered deleted');
+    assert.strictEqual((await gcsAdapter.downloadFile('gps-data/batch.json')).success, false);
+  });
+
+  it('should fail instead of falling back to local storage when the configured backend cannot initialize', async () => {
+    const gcsAdapter = new GCSAdapter();
+    gcsAdapter.simulationMode = false;
+    gcsAdapter.localStoragePath = rootPath;
+    gcsAdapter.createBackend = () => Object.assign(new StorageBackend('s3', 'test-bucket'), {
+      initialize: async () => { throw new Error('connect ECONNREFUSED'); }
+    });
+
+    await assert.rejects(() => gcsAdapter.initialize(), /ECONNREFUSED/);
+
+    assert.strictEqual(gcsAdapter.simulationMode, false);
+    assert.strictEqual(gcsAdapter.isInitialized, false);
+    assert.strictEqual(gcsAdapter.backend, null);
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { TrajectoryService } from '../src/services/TrajectoryService.js';
+
+describe('TrajectoryService', () => {
+  let hash;
+  let service;
+  let trajectoryConfig;
+
+  // ~1.1 km por cada 0.01 grados de latitud
+  const point = (deviceId, lat, minutes, extra = {}) => ({
+    deviceId,
+    lat,
+    lng: -77.0428,
+    timestamp: new Date(Date.parse('2025-01-15T10:00:00Z') + minutes * 60000).toISOString(),
+    ...extra
+  });
+
+  beforeEach(() => {
+    hash = {};
+    trajectoryConfig = {
+      enabled: true,
+      action: 'flag',
+      defaultMaxSpeedKmh: 200,
+      maxSpeedByClass: { bus: 90 },
+      minDistanceMeters: 50,
+      lastPointKeyPrefix: 'trajectory:last:',
+      lastPointMaxAgeHours: 24 * 365 * 100
+    };
+    const redisRepo = {
+      getHashValues: async (key, fields) => Object.fromEntries(fields.filter(field => hash[field]).map(field => [field, hash[field]])),
+      setHashValues: async (key, values) => Object.assign(hash, values)
+    };
+    service = new TrajectoryService(redisRepo, trajectoryConfig);
+  });
+
+  it('should flag a single teleport and keep comparing against the last plausible point', async () => {
+    const records = [
+      point('dev-1', -12.00, 0),
+      point('dev-1', -12.01, 1),
+      point('dev-1', -14.50, 2),
+      point('dev-1', -12.02, 3)
+    ];
+
+    const result = await service.check('gps', records);
+
+    assert.strictEqual(result.records.length, 4);
+    assert.deepStrictEqual(result.flagged.map(item => item.index), [2]);
+    assert.strictEqual(result.records[2].quality_flag, 'implausible_speed');
+    assert.ok(result.records[2].implied_speed_kmh > 1000);
+    assert.strictEqual(result.records[3].quality_flag, undefined);
+    assert.deepStrictEqual(result.lastPoints['dev-1'], { lat: -12.02, lng: -77.0428, timestamp: records[3].timestamp });
+  });
+
+  it('should order points by timestamp and apply the vehicle class limit', async () => {
+    // 0.02 grados en 1 minuto ≈ 133 km/h: plausible para un auto, no para un bus
+    const records = [
+      point('bus-1', -12.02, 1, { vehicleClass: 'bus' }),
+      point('car-1', -12.00, 0),
+      point('bus-1', -12.00, 0, { vehicleClass: 'bus' }),
+      point('car-1', -12.02, 1)
+    ];
+
+    const result = await service.check('gps', records);
+
+    assert.deepStrictEqual(result.flagged.map(item => item.deviceId), ['bus-1']);
+    assert.strictEqual(result.records[0].quality_flag, 'implausible_speed');
+    assert.strictEqual(result.checked, 2);
+  });
+
+  it('should compare the first point with the last known point and drop in drop mode', async () => {
+    trajectoryConfig.action = 'drop';
+    await service.saveLastPoints('gps', { 'dev-1': { lat: -12.00, lng: -77.0428, timestamp: point('dev-1', 0, 0).timestamp } });
+
+    const result = await service.check('gps', [point('dev-1', -13.00, 5), point('dev-1', -12.001, 6)]);
+
+    assert.strictEqual(result.records.length, 1);
+    assert.strictEqual(result.dropped[0].index, 0);
+    assert.strictEqual(result.dropped[0].issues[0].code, 'IMPLAUSIBLE_SPEED');
+    assert.strictEqual(result.lastPoints['dev-1'].lat, -12.001);
+  });
+
+  it('should leave records untouched when disabled or for types without device field', async () => {
+    const records = [point('dev-1', -12.00, 0), point('dev-1', -14.00, 1)];
+
+    assert.strictEqual((await service.check('unknown', records)).records, records);
+
+    trajectoryConfig.enabled = false;
+    const result = await service.check('gps', records);
+    assert.strictEqual(result.records, records);
+    assert.strictEqual(result.flagged.length, 0);
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ValidationReportService } from '../src/services/ValidationReportService.js';
+import { DataSeparator } from '../src/services/DataSeparator.js';
+
+describe('ValidationReportService', () => {
+  let storagePath;
+  let service;
+  let dataSeparator;
+
+  const gpsPoint = (deviceId, lat = -12.0464) => ({ deviceId, lat, lng: -77.0428, timestamp: new Date().toISOString() });
+
+  beforeEach(async () => {
+    storagePath = await fs.mkdtemp(path.join(os.tmpdir(), 'validation-reports-'));
+    dataSeparator = new DataSeparator();
+    service = new ValidationReportService({
+      enabled: true,
+      storagePath,
+      sampleSize: 2,
+      topOffenders: 1,
+      retentionDays: 30,
+      adminToken: 'vr-secret'
+    });
+  });
+
+  afterEach(async () => {
+    await fs.rm(storagePath, { recursive: true, force: true });
+  });
+
+  it('should accumulate every validation of a run into one report per data type', async () => {
+    const chunk1 = dataSeparator.validateData([gpsPoint('dev-1'), gpsPoint('dev-2', 120), gpsPoint('dev-2', 95)], 'gps');
+    const chunk2 = dataSeparator.validateData([{ lat: -12.04, lng: -77.04 }, 'not json', gpsPoint('dev-3', 91)], 'gps');
+    const mobile = dataSeparator.validateData([{ userId: 'u-1', lat: -12.04, lng: -77.04, name: 'Ana', email: 'ana@example.com' }], 'mobile');
+
+    await Promise.all([
+      service.record('gps', chunk1, { runId: 'run_1', source: 'atomic_extraction:gps' }),
+      service.record('mobile', mobile, { runId: 'run_1' }),
+      service.record('gps', chunk2, { runId: 'run_1' })
+    ]);
+
+    const run = await service.get('run_1');
+    const gps = run.reports.find(report => report.dataType === 'gps');
+
+    assert.strictEqual(run.reports.length, 2);
+    assert.deepStrictEqual(
+      [gps.validations, gps.total, gps.valid, gps.invalid, gps.validationRate, gps.source],
+      [2, 6, 1, 5, 16.67, 'atomic_extraction:gps']
+    );
+    assert.deepStrictEqual(gps.errorCodes, { OUT_OF_RANGE: 3, REQUIRED: 1, PARSE_ERROR: 1 });
+    assert.deepStrictEqual(gps.parsing.json, { parsed: 5, failed: 1 });
+    assert.deepStrictEqual(gps.topOffenders, [{ identifier: 'dev-2', count: 2 }]);
+    assert.deepStrictEqual(gps.samples.map(sample => [sample.identifier, sample.codes]), [['dev-2', ['OUT_OF_RANGE']], ['dev-2', ['OUT_OF_RANGE']]]);
+    assert.strictEqual(run.reports.find(report => report.dataType === 'mobile').validationRate, 100);
+  });
+
+  it('should list reports without samples filtered by type and time range', async () => {
+    await service.record('gps', dataSeparator.validateData([gpsPoint('dev-1')], 'gps'), { runId: 'run_old' });
+    await service.record('gps', dataSeparator.validateData([gpsPoint('dev-1')], 'gps'), { runId: 'run_new' });
+    await service.record('mobile', dataSeparator.validateData([{ userId: 'u-1' }], 'mobile'), { runId: 'run_new' });
+
+    const oldPath = path.join(storagePath, 'vr_run_old__gps.json');
+    const old = JSON.parse(await fs.readFile(oldPath, 'utf8'));
+    old.createdAt = '2025-01-01T00:00:00.000Z';
+    await fs.writeFile(oldPath, JSON.stringify(old));
+
+    const recent = await service.list({ dataType: 'gps', since: '2025-06-01T00:00:00.000Z' });
+    assert.deepStrictEqual(recent.map(report => report.runId), ['run_new']);
+    assert.strictEqual(recent[0].samples, undefined);
+
+    assert.deepStrictEqual((await service.list({ until: '2025-01-02T00:00:00.000Z' })).map(report => report.runId), ['run_old']);
+    assert.deepStrictEqual((await service.list()).map(report => report.dataType).sort(), ['gps', 'gps', 'mobile']);
+    assert.strictEqual((await service.get('run_new', { dataType: 'mobile' })).reports[0].invalid, 1);
+    assert.strictEqual(await service.get('run_missing'), null);
+  });
+
+  it('should build the validation rate trend per data type from oldest to newest', async () => {
+    for (const [runId, lat] of [['run_a', -12.04], ['run_b', 200], ['run_c', -12.05]]) {
+      await service.record('gps', dataSeparator.validateData([gpsPoint('dev-1', lat)], 'gps'), { runId });
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    const trend = await service.getTrend({ limit: 2 });
+
+    assert.deepStrictEqual(trend.gps.map(point => [point.runId, point.validationRate]), [['run_b', 0], ['run_c', 100]]);
+    assert.strictEqual(trend.mobile, undefined);
+  });
+
+  it('should purge expired reports and skip recording when disabled', async () => {
+    await service.record('gps', dataSeparator.validateData([gpsPoint('dev-1')], 'gps'), { runId: 'run_1' });
+    await service.record('gps', dataSeparator.validateData([gpsPoint('dev-1')], 'gps'), { runId: 'run_2' });
+
+    const expiredPath = path.join(storagePath, 'vr_run_1__gps.json');
+    const expired = JSON.parse(await fs.readFile(expiredPath, 'utf8'));
+    expired.updatedAt = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString();
+    await fs.writeFile(expiredPath, JSON.stringify(expired));
+
+    assert.deepStrictEqual(await service.purgeExpired(), { success: true, purged: 1 });
+    assert.deepStrictEqual((await service.list()).map(report => report.runId), ['run_2']);
+
+    const disabled = new ValidationReportService({ enabled: false, storagePath });
+    assert.deepStrictEqual(await disabled.record('gps', { stats: { total: 1 } }, { runId: 'run_3' }), { success: true, recorded: false });
+  });
+
+  it('should only grant access with the configured admin token', () => {
+    assert.strictEqual(service.isPrivileged({ authorization: 'Bearer vr-secret' }), true);
+    assert.strictEqual(service.isPrivileged({ 'x-admin-token': 'vr-secret' }), true);
+    assert.strictEqual(service.isPrivileged({ authorization: 'Bearer vr-secre' }), false);
+    assert.strictEqual(service.isPrivileged({}), false);
+
+    service.config.adminToken = null;
+    assert.strictEqual(service.isPrivileged({ authorization: 'Bearer ' }), false);
+  });
+});
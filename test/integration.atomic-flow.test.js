@@ -8,12 +8,14 @@ import { BackupManager } from '../src/utils/BackupManager.js';
 import { GCSAdapter } from '../src/adapters/GCSAdapter.js';
 import { BigQueryBatchProcessor } from '../src/services/BigQueryBatchProcessor.js';
 import { RedisRepository } from '../src/repositories/RedisRepository.js';
+import { config } from '../src/config/env.js';
 
 /**
  * Tests de integración para flujo completo con extracción atómica
  * Cubre los requerimientos 1.5, 2.1, 2.4, 4.1, 4.2 del spec
  */
 describe('Integration Tests - Atomic Flow Complete', () => {
+  const originalStorageBackend = config.storage.backend;
   let processor;
   let atomicProcessor;
   let backupManager;
@@ -24,7 +26,8 @@ describe('Integration Tests - Atomic Flow Complete', () => {
 
   beforeEach(async () => {
     // Configurar variables de entorno para tests
-    process.env.GCS_SIMULATION_MODE = 'true';
+    // Backend local (equivale a GCS_SIMULATION_MODE=true)
+    config.storage.backend = 'local';
     process.env.BIGQUERY_SIMULATION_MODE = 'true';
     process.env.GCS_CLEANUP_PROCESSED_FILES = 'false'; // Keep files for verification
     process.env.BACKUP_STORAGE_PATH = 'tmp/test-atomic-backups/';
@@ -62,7 +65,7 @@ describe('Integration Tests - Atomic Flow Complete', () => {
     }
     
     // Limpiar variables de entorno
-    delete process.env.GCS_SIMULATION_MODE;
+    config.storage.backend = originalStorageBackend;
     delete process.env.BIGQUERY_SIMULATION_MODE;
     delete process.env.GCS_CLEANUP_PROCESSED_FILES;
     delete process.env.BACKUP_STORAGE_PATH;
@@ -8,12 +8,14 @@ import { BigQueryBatchProcessor } from '../src/services/BigQueryBatchProcessor.j
 import { GCSRecoveryManager } from '../src/services/GCSRecoveryManager.js';
 import { DataSeparator } from '../src/services/DataSeparator.js';
 import { RedisRepository } from '../src/repositories/RedisRepository.js';
+import { config } from '../src/config/env.js';
 
 /**
  * Tests de integración end-to-end para el flujo completo Redis → GCS → BigQuery
  * Cubre los requerimientos 1.1, 2.1, 3.1 del spec
  */
 describe('End-to-End Integration Tests', () => {
+  const originalStorageBackend = config.storage.backend;
   let processor;
   let gcsAdapter;
   let bigQueryProcessor;
@@ -24,7 +26,8 @@ describe('End-to-End Integration Tests', () => {
 
   beforeEach(async () => {
     // Configurar variables de entorno para tests
-    process.env.GCS_SIMULATION_MODE = 'true';
+    // Backend local (equivale a GCS_SIMULATION_MODE=true)
+    config.storage.backend = 'local';
     process.env.BIGQUERY_SIMULATION_MODE = 'true';
     process.env.GCS_CLEANUP_PROCESSED_FILES = 'true';
     process.env.GCS_MAX_RETRY_ATTEMPTS = '3';
@@ -63,7 +66,7 @@ describe('End-to-End Integration Tests', () => {
     }
     
     // Limpiar variables de entorno
-    delete process.env.GCS_SIMULATION_MODE;
+    config.storage.backend = originalStorageBackend;
     delete process.env.BIGQUERY_SIMULATION_MODE;
     delete process.env.GCS_CLEANUP_PROCESSED_FILES;
     delete process.env.GCS_MAX_RETRY_ATTEMPTS;